@@ -3,19 +3,28 @@
 // ========================================
 // This component sets up routing and global layout
 
-import { Routes, Route, Navigate } from 'react-router-dom';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { useSelector } from 'react-redux';
 
 // Import pages
 import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
+import Board from './pages/Board';
 import IssueDetail from './pages/IssueDetail';
 import CreateIssue from './pages/CreateIssue';
+import WorkspaceSettings from './pages/WorkspaceSettings';
+import ProjectWorkflow from './pages/ProjectWorkflow';
+import Milestones from './pages/Milestones';
+import Sprints from './pages/Sprints';
+import SprintDetail from './pages/SprintDetail';
+import ImportIssues from './pages/ImportIssues';
+import AcceptInvitation from './pages/AcceptInvitation';
 
 // Import components
 import ProtectedRoute from './components/ProtectedRoute';
 import Navbar from './components/Navbar';
+import getLoginRedirect from './utils/loginRedirect';
 
 // ========================================
 // APP COMPONENT
@@ -25,6 +34,7 @@ function App() {
   // Get authentication state from Redux store
   // This tells us if user is logged in
   const { isAuthenticated } = useSelector((state) => state.auth);
+  const location = useLocation();
 
   return (
     <>
@@ -37,18 +47,21 @@ function App() {
             PUBLIC ROUTES (No authentication required)
             ==================================== */}
 
-        {/* Login route: If already logged in, redirect to dashboard */}
+        {/* Login route: If already logged in, redirect to the requested page or dashboard */}
         <Route
           path="/login"
-          element={isAuthenticated ? <Navigate to="/dashboard" /> : <Login />}
+          element={isAuthenticated ? <Navigate to={getLoginRedirect(location)} /> : <Login />}
         />
 
-        {/* Register route: If already logged in, redirect to dashboard */}
+        {/* Register route: If already logged in, redirect to the requested page or dashboard */}
         <Route
           path="/register"
-          element={isAuthenticated ? <Navigate to="/dashboard" /> : <Register />}
+          element={isAuthenticated ? <Navigate to={getLoginRedirect(location)} /> : <Register />}
         />
 
+        {/* Invitation link: Shows login prompt when logged out, accept screen when logged in */}
+        <Route path="/invitations/:token" element={<AcceptInvitation />} />
+
         {/* ====================================
             PROTECTED ROUTES (Require authentication)
             ==================================== */}
@@ -63,6 +76,16 @@ function App() {
           }
         />
 
+        {/* Board: Issues as cards in one column per status */}
+        <Route
+          path="/board"
+          element={
+            <ProtectedRoute>
+              <Board />
+            </ProtectedRoute>
+          }
+        />
+
         {/* Create Issue: Form to create new issue */}
         <Route
           path="/issues/create"
@@ -83,6 +106,66 @@ function App() {
           }
         />
 
+        {/* Workspace Settings: Members and invitations of the selected workspace */}
+        <Route
+          path="/workspace"
+          element={
+            <ProtectedRoute>
+              <WorkspaceSettings />
+            </ProtectedRoute>
+          }
+        />
+
+        {/* Project Workflow: Statuses and allowed transitions of a project */}
+        <Route
+          path="/projects/:projectId/workflow"
+          element={
+            <ProtectedRoute>
+              <ProjectWorkflow />
+            </ProtectedRoute>
+          }
+        />
+
+        {/* Milestones: Releases of a project and their progress */}
+        <Route
+          path="/projects/:projectId/milestones"
+          element={
+            <ProtectedRoute>
+              <Milestones />
+            </ProtectedRoute>
+          }
+        />
+
+        {/* Sprints: Time-boxed iterations of a project */}
+        <Route
+          path="/projects/:projectId/sprints"
+          element={
+            <ProtectedRoute>
+              <Sprints />
+            </ProtectedRoute>
+          }
+        />
+
+        {/* Sprint Detail: Sprint planning and burndown */}
+        <Route
+          path="/projects/:projectId/sprints/:sprintId"
+          element={
+            <ProtectedRoute>
+              <SprintDetail />
+            </ProtectedRoute>
+          }
+        />
+
+        {/* Import Issues: Create a project's issues from a CSV or JSON file */}
+        <Route
+          path="/projects/:projectId/import"
+          element={
+            <ProtectedRoute>
+              <ImportIssues />
+            </ProtectedRoute>
+          }
+        />
+
         {/* ====================================
             DEFAULT ROUTES
             ==================================== */}
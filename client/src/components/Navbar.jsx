@@ -1,24 +1,50 @@
 // ========================================
 // NAVBAR COMPONENT
 // ========================================
-// Top navigation bar with logo, navigation links, and logout
+// Top navigation bar with logo, workspace and project switchers, navigation links, and logout
 
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import { useState, useEffect } from 'react';
 import './Navbar.css';
 import { logout } from '../redux/slices/authSlice';
+import { fetchWorkspaces, createWorkspace, setCurrentWorkspace } from '../redux/slices/workspacesSlice';
+import { fetchProjects, createProject, setCurrentProject } from '../redux/slices/projectsSlice';
 import Button from './common/Button';
+import Input from './common/Input';
+import Modal from './common/Modal';
 import KeyboardArrowDownOutlinedIcon from '@mui/icons-material/KeyboardArrowDownOutlined';
 import ShinyText from './common/ShinyText';
 
 const Navbar = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
+  const location = useLocation();
 
   // Get user info from Redux store
   const { user } = useSelector((state) => state.auth);
 
+  // Get workspaces and the selected workspace from Redux store
+  const {
+    workspaces,
+    currentWorkspaceId,
+    actionLoading: workspaceLoading,
+    error: workspaceError
+  } = useSelector((state) => state.workspaces);
+  const currentWorkspace = workspaces.find((workspace) => workspace.id === currentWorkspaceId);
+
+  // Get projects and the selected project from Redux store
+  const { projects, currentProjectId, actionLoading: projectLoading, error: projectError } = useSelector(
+    (state) => state.projects
+  );
+  const currentProject = projects.find((project) => project.id === currentProjectId);
+
+  // New workspace / project modal state ('workspace', 'project' or null when closed)
+  const [createDialog, setCreateDialog] = useState(null);
+  const [createForm, setCreateForm] = useState({ name: '', description: '' });
+  const createLoading = createDialog === 'workspace' ? workspaceLoading : projectLoading;
+  const createError = createDialog === 'workspace' ? workspaceError : projectError;
+
   // Scroll state
   const [scrollDirection, setScrollDirection] = useState('up');
   const [prevScrollPos, setPrevScrollPos] = useState(0);
@@ -48,6 +74,75 @@ const Navbar = () => {
     return () => window.removeEventListener('scroll', handleScroll);
   }, [prevScrollPos]);
 
+  // Fetch workspaces for the switcher on mount
+  useEffect(() => {
+    dispatch(fetchWorkspaces());
+  }, [dispatch]);
+
+  // Fetch the selected workspace's projects whenever the workspace changes
+  useEffect(() => {
+    if (currentWorkspaceId) {
+      dispatch(fetchProjects(currentWorkspaceId));
+    }
+  }, [dispatch, currentWorkspaceId]);
+
+  // Show the dashboard after a switch; on the dashboard itself the switch is written to its URL
+  const showDashboard = () => {
+    if (location.pathname !== '/dashboard') {
+      navigate('/dashboard');
+    }
+  };
+
+  // Handle workspace switch
+  const handleSelectWorkspace = (workspaceId) => {
+    dispatch(setCurrentWorkspace(workspaceId));
+    showDashboard();
+  };
+
+  // Handle project switch (null = all projects)
+  const handleSelectProject = (projectId) => {
+    dispatch(setCurrentProject(projectId));
+    showDashboard();
+  };
+
+  // Open / close the new workspace or project modal
+  const openCreateDialog = (type) => {
+    setCreateForm({ name: '', description: '' });
+    setCreateDialog(type);
+  };
+
+  const closeCreateDialog = () => {
+    setCreateDialog(null);
+  };
+
+  // Handle new workspace / project form changes
+  const handleCreateFormChange = (e) => {
+    const { name, value } = e.target;
+    setCreateForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Handle new workspace / project submission and switch to it
+  const handleCreateSubmit = async (e) => {
+    e.preventDefault();
+
+    if (createDialog === 'workspace') {
+      const result = await dispatch(createWorkspace({ name: createForm.name }));
+
+      if (createWorkspace.fulfilled.match(result)) {
+        closeCreateDialog();
+        handleSelectWorkspace(result.payload.id);
+      }
+      return;
+    }
+
+    const result = await dispatch(createProject({ ...createForm, workspaceId: currentWorkspaceId }));
+
+    if (createProject.fulfilled.match(result)) {
+      closeCreateDialog();
+      handleSelectProject(result.payload.id);
+    }
+  };
+
   // Handle logout
   const handleLogout = () => {
     // Dispatch logout action (clears state and localStorage)
@@ -77,7 +172,121 @@ const Navbar = () => {
 
         {/* Right side: Nav links and user info */}
         <div className="userInfo">
-        
+          {/* Workspace switcher */}
+          <div className="switcherMenu">
+            <div className="switcherTrigger">
+              <span className="switcherLabel">Workspace</span>
+              <span className="switcherName">{currentWorkspace ? currentWorkspace.name : 'Select workspace'}</span>
+              <KeyboardArrowDownOutlinedIcon className="dropdownArrow" />
+            </div>
+
+            <div className="switcherDropdown">
+              {workspaces.map((workspace) => (
+                <button
+                  key={workspace.id}
+                  className={`switcherOption ${workspace.id === currentWorkspaceId ? 'switcherOption-active' : ''}`}
+                  onClick={() => handleSelectWorkspace(workspace.id)}
+                >
+                  <span>{workspace.name}</span>
+                  <span className="switcherCount">{workspace._count?.members ?? 1} members</span>
+                </button>
+              ))}
+              {currentWorkspace && (
+                <Button
+                  variant="ghost"
+                  size="small"
+                  onClick={() => navigate('/workspace')}
+                  className="switcherAction"
+                >
+                  Members & invitations
+                </Button>
+              )}
+              <Button
+                variant="ghost"
+                size="small"
+                onClick={() => openCreateDialog('workspace')}
+                className="switcherAction"
+              >
+                + New workspace
+              </Button>
+            </div>
+          </div>
+
+          {/* Project switcher */}
+          <div className="switcherMenu">
+            <div className="switcherTrigger">
+              <span className="switcherLabel">Project</span>
+              <span className="switcherName">{currentProject ? currentProject.name : 'All projects'}</span>
+              <KeyboardArrowDownOutlinedIcon className="dropdownArrow" />
+            </div>
+
+            <div className="switcherDropdown">
+              <button
+                className={`switcherOption ${!currentProjectId ? 'switcherOption-active' : ''}`}
+                onClick={() => handleSelectProject(null)}
+              >
+                All projects
+              </button>
+              {projects.map((project) => (
+                <button
+                  key={project.id}
+                  className={`switcherOption ${project.id === currentProjectId ? 'switcherOption-active' : ''}`}
+                  onClick={() => handleSelectProject(project.id)}
+                >
+                  <span>{project.name}</span>
+                  <span className="switcherCount">{project._count?.issues ?? 0}</span>
+                </button>
+              ))}
+              {currentProject && (
+                <>
+                  <Button
+                    variant="ghost"
+                    size="small"
+                    onClick={() => navigate(`/projects/${currentProject.id}/milestones`)}
+                    className="switcherAction"
+                  >
+                    Milestones
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="small"
+                    onClick={() => navigate(`/projects/${currentProject.id}/sprints`)}
+                    className="switcherAction"
+                  >
+                    Sprints
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="small"
+                    onClick={() => navigate(`/projects/${currentProject.id}/workflow`)}
+                    className="switcherAction"
+                  >
+                    Workflow
+                  </Button>
+                  {currentWorkspace?.permissions.includes('issue:create') && (
+                    <Button
+                      variant="ghost"
+                      size="small"
+                      onClick={() => navigate(`/projects/${currentProject.id}/import`)}
+                      className="switcherAction"
+                    >
+                      Import issues
+                    </Button>
+                  )}
+                </>
+              )}
+              {currentWorkspace?.permissions.includes('project:create') && (
+                <Button
+                  variant="ghost"
+                  size="small"
+                  onClick={() => openCreateDialog('project')}
+                  className="switcherAction"
+                >
+                  + New project
+                </Button>
+              )}
+            </div>
+          </div>
 
           {/* User dropdown menu */}
           {user && (
@@ -102,6 +311,49 @@ const Navbar = () => {
           )}
         </div>
       </div>
+
+      {/* New workspace / project modal */}
+      <Modal
+        isOpen={Boolean(createDialog)}
+        onClose={closeCreateDialog}
+        title={createDialog === 'workspace' ? 'New Workspace' : 'New Project'}
+        size="small"
+      >
+        <form className="createForm" onSubmit={handleCreateSubmit}>
+          {createError && <div className="createFormError">{createError}</div>}
+
+          <Input
+            label="Name"
+            name="name"
+            value={createForm.name}
+            onChange={handleCreateFormChange}
+            placeholder={createDialog === 'workspace' ? 'e.g. Acme Engineering' : 'e.g. Backend, Mobile, Infra'}
+            maxLength={100}
+            required
+          />
+
+          {createDialog === 'project' && (
+            <Input
+              label="Description"
+              name="description"
+              value={createForm.description}
+              onChange={handleCreateFormChange}
+              maxLength={1000}
+              multiline
+              rows={3}
+            />
+          )}
+
+          <div className="createFormButtons">
+            <Button type="button" variant="ghost" onClick={closeCreateDialog} disabled={createLoading}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={createLoading}>
+              {createLoading ? 'Creating...' : 'Create'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
     </nav>
   );
 };
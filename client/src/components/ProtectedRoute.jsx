@@ -2,9 +2,9 @@
 // PROTECTED ROUTE COMPONENT
 // ========================================
 // Wrapper component that protects routes requiring authentication
-// Redirects to login if user is not authenticated
+// Redirects to login if user is not authenticated, remembering the page for after login
 
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useSelector } from 'react-redux';
 
 /**
@@ -23,10 +23,12 @@ import { useSelector } from 'react-redux';
 const ProtectedRoute = ({ children }) => {
   // Get authentication status from Redux store
   const { isAuthenticated } = useSelector((state) => state.auth);
+  const location = useLocation();
 
   // If not authenticated, redirect to login page
+  // The requested page (e.g. a shared dashboard link) is passed along to return to after login
   if (!isAuthenticated) {
-    return <Navigate to="/login" replace />;
+    return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
   // If authenticated, render the child components
@@ -1,8 +1,8 @@
 // ========================================
 // BADGE COMPONENT
 // ========================================
-// Visual indicator for status, priority, and severity
-// Shows different colors based on the variant
+// Visual indicator for status, priority, severity and labels
+// Shows different colors based on the variant, or a custom color for labels
 
 import './Badge.css';
 import classNames from '../../utils/classNames';
@@ -11,24 +11,33 @@ import classNames from '../../utils/classNames';
  * Badge component props:
  * @param {string} variant - Badge type (status, priority, or severity value)
  * @param {string} size - Badge size: 'small' (default), 'large'
+ * @param {string} color - Custom hex color (e.g. '#E53935'), overrides the variant colors
  * @param {ReactNode} children - Badge content
  */
 const Badge = ({
   variant,
   size = 'small',
+  color,
   children,
   className,
+  style,
   ...rest
 }) => {
   const badgeClasses = classNames(
     "badge",
     variant && `badge-${variant}`,
     size === 'large' && 'badge-large',
+    color && 'badge-custom',
     className
   );
 
+  // Tinted background and border derived from the custom color (8-digit hex adds alpha)
+  const colorStyle = color
+    ? { backgroundColor: `${color}1F`, color, borderColor: `${color}78`, ...style }
+    : style;
+
   return (
-    <span className={badgeClasses} {...rest}>
+    <span className={badgeClasses} style={colorStyle} {...rest}>
       {children || variant}
     </span>
   );
@@ -0,0 +1,104 @@
+// ========================================
+// ATTACHMENT DROPZONE COMPONENT
+// ========================================
+// Drop, browse or paste files to attach them to an issue
+
+import { useState, useEffect, useRef } from 'react';
+import './AttachmentDropzone.css';
+import classNames from '../../utils/classNames';
+import { ALLOWED_EXTENSIONS, MAX_FILE_SIZE_MB } from '../../utils/attachments';
+
+/**
+ * Attachment dropzone props:
+ * @param {function} onFiles - Called with an array of File objects that were dropped, picked or pasted
+ * @param {boolean} disabled - Ignore new files (e.g. while uploading)
+ * @param {string} hint - Optional text shown under the main prompt
+ */
+const AttachmentDropzone = ({ onFiles, disabled = false, hint }) => {
+  const inputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  // Accept files pasted anywhere on the page (e.g. screenshots) while the dropzone is shown
+  useEffect(() => {
+    if (disabled) {
+      return undefined;
+    }
+
+    const handlePaste = (e) => {
+      const files = Array.from(e.clipboardData?.files || []);
+      if (files.length > 0) {
+        e.preventDefault();
+        onFiles(files);
+      }
+    };
+
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  }, [onFiles, disabled]);
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!disabled) {
+      setIsDragging(true);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+
+    const files = Array.from(e.dataTransfer.files || []);
+    if (!disabled && files.length > 0) {
+      onFiles(files);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length > 0) {
+      onFiles(files);
+    }
+    // Reset so picking the same file again still fires onChange
+    e.target.value = '';
+  };
+
+  return (
+    <div
+      className={classNames(
+        'attachmentDropzone',
+        isDragging && 'attachmentDropzone-dragging',
+        disabled && 'attachmentDropzone-disabled'
+      )}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      onClick={() => !disabled && inputRef.current?.click()}
+      role="button"
+      tabIndex={disabled ? -1 : 0}
+      onKeyDown={(e) => {
+        if (!disabled && (e.key === 'Enter' || e.key === ' ')) {
+          e.preventDefault();
+          inputRef.current?.click();
+        }
+      }}
+    >
+      <input
+        ref={inputRef}
+        type="file"
+        multiple
+        accept={ALLOWED_EXTENSIONS.join(',')}
+        onChange={handleInputChange}
+        className="attachmentDropzoneInput"
+        disabled={disabled}
+      />
+      <span className="attachmentDropzoneText">
+        Drop files here, paste a screenshot or <span className="attachmentDropzoneLink">browse</span>
+      </span>
+      <span className="attachmentDropzoneHint">
+        {hint || `Images, PDFs, text, logs and archives up to ${MAX_FILE_SIZE_MB} MB`}
+      </span>
+    </div>
+  );
+};
+
+export default AttachmentDropzone;
@@ -0,0 +1,167 @@
+// ========================================
+// ATTACHMENTS PANEL COMPONENT
+// ========================================
+// Files attached to an issue: image thumbnails, download links and uploads
+
+import { useState, useEffect, useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import './AttachmentsPanel.css';
+import {
+  fetchAttachments,
+  uploadAttachments,
+  deleteAttachment,
+  clearAttachments
+} from '../../redux/slices/attachmentsSlice';
+import Card from '../common/Card';
+import { ConfirmModal } from '../common/Modal';
+import AttachmentDropzone from './AttachmentDropzone';
+import {
+  MAX_FILES_PER_UPLOAD,
+  validateFiles,
+  formatFileSize,
+  getAttachmentUrl,
+  isImage
+} from '../../utils/attachments';
+
+/**
+ * Attachments panel props:
+ * @param {number} issueId - Issue whose files are shown
+ * @param {boolean} canUpload - Whether the user's role allows attaching files
+ * @param {boolean} canManage - Whether the user can delete files uploaded by others
+ */
+const AttachmentsPanel = ({ issueId, canUpload, canManage }) => {
+  const dispatch = useDispatch();
+
+  // Get state from Redux
+  const { user } = useSelector((state) => state.auth);
+  const { attachments, loading, uploading, actionLoading, error } = useSelector(
+    (state) => state.attachments
+  );
+
+  // Local state: files rejected before upload, and the attachment pending deletion
+  const [fileErrors, setFileErrors] = useState([]);
+  const [attachmentToDelete, setAttachmentToDelete] = useState(null);
+
+  // Fetch attachments when the issue changes
+  useEffect(() => {
+    dispatch(fetchAttachments(issueId));
+
+    return () => {
+      dispatch(clearAttachments());
+    };
+  }, [dispatch, issueId]);
+
+  // Upload dropped, picked or pasted files, a batch at a time
+  const handleFiles = useCallback((files) => {
+    const { valid, errors } = validateFiles(files);
+    setFileErrors(errors);
+
+    for (let i = 0; i < valid.length; i += MAX_FILES_PER_UPLOAD) {
+      dispatch(uploadAttachments({ issueId, files: valid.slice(i, i + MAX_FILES_PER_UPLOAD) }));
+    }
+  }, [dispatch, issueId]);
+
+  // Handle delete
+  const handleDelete = async () => {
+    const result = await dispatch(deleteAttachment({ issueId, attachmentId: attachmentToDelete.id }));
+
+    if (deleteAttachment.fulfilled.match(result)) {
+      setAttachmentToDelete(null);
+    }
+  };
+
+  const images = attachments.filter(isImage);
+  const files = attachments.filter((attachment) => !isImage(attachment));
+
+  // Uploaders can delete their own files; roles that can edit the issue can delete any
+  const canDelete = (attachment) => canManage || attachment.userId === user?.id;
+
+  return (
+    <Card className="attachmentsPanel">
+      <h2 className="attachmentsTitle">Attachments ({attachments.length})</h2>
+
+      {(error || fileErrors.length > 0) && (
+        <div className="errorAlert">
+          {[...fileErrors, error].filter(Boolean).map((message) => (
+            <div key={message}>{message}</div>
+          ))}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="attachmentsEmpty">Loading attachments...</p>
+      ) : attachments.length === 0 ? (
+        <p className="attachmentsEmpty">No files attached.</p>
+      ) : (
+        <>
+          {/* Image thumbnails open full size in a new tab */}
+          {images.length > 0 && (
+            <div className="attachmentThumbnails">
+              {images.map((attachment) => (
+                <figure key={attachment.id} className="attachmentThumbnail">
+                  <a href={getAttachmentUrl(attachment)} target="_blank" rel="noopener noreferrer">
+                    <img src={getAttachmentUrl(attachment)} alt={attachment.fileName} loading="lazy" />
+                  </a>
+                  <figcaption className="attachmentCaption">
+                    <span className="attachmentName" title={attachment.fileName}>{attachment.fileName}</span>
+                    {canDelete(attachment) && (
+                      <button className="attachmentAction" onClick={() => setAttachmentToDelete(attachment)}>
+                        Delete
+                      </button>
+                    )}
+                  </figcaption>
+                </figure>
+              ))}
+            </div>
+          )}
+
+          {/* Other files are listed with a download link */}
+          {files.length > 0 && (
+            <ul className="attachmentList">
+              {files.map((attachment) => (
+                <li key={attachment.id} className="attachmentItem">
+                  <a
+                    href={getAttachmentUrl(attachment, true)}
+                    className="attachmentName"
+                    title={attachment.fileName}
+                  >
+                    {attachment.fileName}
+                  </a>
+                  <span className="attachmentMeta">
+                    {formatFileSize(attachment.size)} · {attachment.user?.name || attachment.user?.email || 'Unknown'}
+                  </span>
+                  {canDelete(attachment) && (
+                    <button className="attachmentAction" onClick={() => setAttachmentToDelete(attachment)}>
+                      Delete
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+
+      {canUpload && (
+        <AttachmentDropzone
+          onFiles={handleFiles}
+          disabled={uploading}
+          hint={uploading ? 'Uploading...' : undefined}
+        />
+      )}
+
+      <ConfirmModal
+        isOpen={Boolean(attachmentToDelete)}
+        onClose={() => setAttachmentToDelete(null)}
+        title="Delete Attachment"
+        message={`Are you sure you want to delete "${attachmentToDelete?.fileName}"?`}
+        confirmText="Yes, Delete File"
+        confirmVariant="danger"
+        onConfirm={handleDelete}
+        loading={actionLoading}
+      />
+    </Card>
+  );
+};
+
+export default AttachmentsPanel;
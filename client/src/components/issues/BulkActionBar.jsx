@@ -0,0 +1,199 @@
+// ========================================
+// BULK ACTION BAR COMPONENT
+// ========================================
+// Sits above the dashboard list: tick all listed issues, then change their status, priority,
+// severity, assignee or labels, or delete them, in one request
+
+import { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import './BulkActionBar.css';
+import { bulkUpdateIssues, setSelectedIssues } from '../../redux/slices/issuesSlice';
+import Button from '../common/Button';
+import Select from '../common/Select';
+import { ConfirmModal } from '../common/Modal';
+
+const LEVELS = ['Low', 'Medium', 'High', 'Critical'];
+
+// Select value meaning "assign to nobody" (an empty value is the placeholder)
+const UNASSIGNED = 'none';
+
+/**
+ * Bulk action bar props:
+ * @param {array} statuses - Statuses of the listed issues' workflows: [{ key, name }]
+ * @param {function} onDone - Called with { message, results, changedCount, failedCount } after a bulk action
+ */
+const BulkActionBar = ({ statuses, onDone }) => {
+  const dispatch = useDispatch();
+
+  const { issues, selectedIds, bulkLoading } = useSelector((state) => state.issues);
+  const { workspaces, currentWorkspaceId, members } = useSelector((state) => state.workspaces);
+  const { labels } = useSelector((state) => state.labels);
+
+  const currentWorkspace = workspaces.find((workspace) => workspace.id === currentWorkspaceId);
+  const canUpdate = Boolean(currentWorkspace?.permissions.includes('issue:update'));
+  const canDelete = Boolean(currentWorkspace?.permissions.includes('issue:delete'));
+
+  const [isConfirmOpen, setIsConfirmOpen] = useState(false);
+  // Issues the last action could not change: [{ id, message }]
+  const [failures, setFailures] = useState([]);
+
+  if (!canUpdate && !canDelete) {
+    return null;
+  }
+
+  const allSelected = issues.length > 0 && issues.every((issue) => selectedIds.includes(issue.id));
+
+  const runAction = async (action, changes) => {
+    const result = await dispatch(bulkUpdateIssues({ issueIds: selectedIds, action, changes }));
+
+    if (bulkUpdateIssues.fulfilled.match(result)) {
+      setFailures(result.payload.results.filter((item) => !item.success));
+      onDone(result.payload);
+    }
+  };
+
+  // Every select applies its change straight away and then goes back to its placeholder
+  const handleChange = (field) => (e) => {
+    const { value } = e.target;
+    if (!value) return;
+
+    if (field === 'assigneeId') {
+      runAction('update', { assigneeId: value === UNASSIGNED ? null : parseInt(value) });
+    } else if (field === 'addLabelIds' || field === 'removeLabelIds') {
+      runAction('update', { [field]: [parseInt(value)] });
+    } else {
+      runAction('update', { [field]: value });
+    }
+  };
+
+  const handleDelete = async () => {
+    await runAction('delete');
+    setIsConfirmOpen(false);
+  };
+
+  const labelOptions = labels.map((label) => ({ value: label.id.toString(), label: label.name }));
+
+  return (
+    <div className="bulkActionBar">
+      <div className="bulkSelection">
+        <label className="bulkSelectAll">
+          <input
+            type="checkbox"
+            checked={allSelected}
+            onChange={() => dispatch(setSelectedIssues(allSelected ? [] : issues.map((issue) => issue.id)))}
+          />
+          {selectedIds.length > 0 ? `${selectedIds.length} selected` : 'Select all'}
+        </label>
+        {selectedIds.length > 0 && (
+          <Button variant="ghost" size="small" onClick={() => dispatch(setSelectedIssues([]))}>
+            Clear selection
+          </Button>
+        )}
+      </div>
+
+      {selectedIds.length > 0 && (
+        <div className="bulkActions">
+          {canUpdate && (
+            <>
+              <Select
+                name="bulkStatus"
+                value=""
+                onChange={handleChange('status')}
+                options={statuses.map((status) => ({ value: status.key, label: status.name }))}
+                placeholder="Set status…"
+                disabled={bulkLoading}
+              />
+              <Select
+                name="bulkPriority"
+                value=""
+                onChange={handleChange('priority')}
+                options={LEVELS}
+                placeholder="Set priority…"
+                disabled={bulkLoading}
+              />
+              <Select
+                name="bulkSeverity"
+                value=""
+                onChange={handleChange('severity')}
+                options={LEVELS}
+                placeholder="Set severity…"
+                disabled={bulkLoading}
+              />
+              <Select
+                name="bulkAssignee"
+                value=""
+                onChange={handleChange('assigneeId')}
+                options={[
+                  { value: UNASSIGNED, label: 'Unassigned' },
+                  ...members.map((member) => ({
+                    value: member.userId.toString(),
+                    label: member.user.name || member.user.email
+                  }))
+                ]}
+                placeholder="Assign to…"
+                disabled={bulkLoading}
+              />
+              {labels.length > 0 && (
+                <>
+                  <Select
+                    name="bulkAddLabel"
+                    value=""
+                    onChange={handleChange('addLabelIds')}
+                    options={labelOptions}
+                    placeholder="Add label…"
+                    disabled={bulkLoading}
+                  />
+                  <Select
+                    name="bulkRemoveLabel"
+                    value=""
+                    onChange={handleChange('removeLabelIds')}
+                    options={labelOptions}
+                    placeholder="Remove label…"
+                    disabled={bulkLoading}
+                  />
+                </>
+              )}
+            </>
+          )}
+          {canDelete && (
+            <Button variant="danger" size="small" onClick={() => setIsConfirmOpen(true)} disabled={bulkLoading}>
+              Delete
+            </Button>
+          )}
+        </div>
+      )}
+
+      {/* Issues the last action skipped, with the reason for each */}
+      {failures.length > 0 && (
+        <div className="bulkFailures">
+          <div className="bulkFailuresHeader">
+            <span>
+              {failures.length} {failures.length === 1 ? 'issue was' : 'issues were'} not changed
+            </span>
+            <button className="bulkFailuresClose" onClick={() => setFailures([])} aria-label="Dismiss">
+              ✕
+            </button>
+          </div>
+          <ul className="bulkFailuresList">
+            {failures.map((failure) => (
+              <li key={failure.id}>#{failure.id}: {failure.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={isConfirmOpen}
+        onClose={() => setIsConfirmOpen(false)}
+        title="Delete Issues"
+        message={`Are you sure you want to delete ${selectedIds.length} ${selectedIds.length === 1 ? 'issue' : 'issues'}? This cannot be undone.`}
+        confirmText="Yes, Delete Issues"
+        confirmVariant="danger"
+        onConfirm={handleDelete}
+        loading={bulkLoading}
+      />
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,274 @@
+// ========================================
+// COMMENTS PANEL COMPONENT
+// ========================================
+// Threaded markdown comments shown below the issue details
+
+import { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import ReactMarkdown from 'react-markdown';
+import './CommentsPanel.css';
+import {
+  fetchComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  clearComments
+} from '../../redux/slices/commentsSlice';
+import Card from '../common/Card';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import { ConfirmModal } from '../common/Modal';
+
+// Group comments by parent so each thread can render its replies
+const groupByParent = (comments) => {
+  const groups = {};
+
+  comments.forEach(comment => {
+    const key = comment.parentId || 'root';
+    groups[key] = groups[key] || [];
+    groups[key].push(comment);
+  });
+
+  return groups;
+};
+
+// Format date for display
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * Comment composer props:
+ * @param {string} initialValue - Starting text (when editing)
+ * @param {string} submitText - Label of the submit button
+ * @param {function} onSubmit - Called with the trimmed body; resolves to true on success
+ * @param {function} onCancel - Optional cancel handler (shows a Cancel button)
+ * @param {boolean} loading - Disable the form while a request is in flight
+ */
+const CommentComposer = ({ initialValue = '', submitText, onSubmit, onCancel, loading }) => {
+  const [body, setBody] = useState(initialValue);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!body.trim()) {
+      return;
+    }
+
+    const succeeded = await onSubmit(body.trim());
+    if (succeeded) {
+      setBody('');
+    }
+  };
+
+  return (
+    <form className="commentComposer" onSubmit={handleSubmit}>
+      <Input
+        name="body"
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        placeholder="Write a comment... Markdown is supported"
+        maxLength={5000}
+        multiline
+        rows={3}
+      />
+      <div className="commentComposerButtons">
+        {onCancel && (
+          <Button type="button" variant="ghost" size="small" onClick={onCancel} disabled={loading}>
+            Cancel
+          </Button>
+        )}
+        <Button type="submit" variant="primary" size="small" disabled={loading || !body.trim()}>
+          {submitText}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Comments panel props:
+ * @param {number} issueId - Issue whose comments are shown
+ * @param {boolean} canComment - Whether the user's role allows adding comments and replies
+ */
+const CommentsPanel = ({ issueId, canComment }) => {
+  const dispatch = useDispatch();
+
+  // Get state from Redux
+  const { user } = useSelector((state) => state.auth);
+  const { comments, loading, actionLoading, error } = useSelector((state) => state.comments);
+
+  // Local state: which comment is being replied to or edited, and which is pending deletion
+  const [replyingToId, setReplyingToId] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [commentToDelete, setCommentToDelete] = useState(null);
+
+  // Fetch comments when the issue changes
+  useEffect(() => {
+    dispatch(fetchComments(issueId));
+
+    return () => {
+      dispatch(clearComments());
+    };
+  }, [dispatch, issueId]);
+
+  const threads = groupByParent(comments);
+  const commentCount = comments.filter((comment) => !comment.deletedAt).length;
+
+  // Handle new comment or reply
+  const handleAdd = async (body, parentId = null) => {
+    const result = await dispatch(addComment({ issueId, body, parentId }));
+
+    if (addComment.fulfilled.match(result)) {
+      setReplyingToId(null);
+      return true;
+    }
+    return false;
+  };
+
+  // Handle edit
+  const handleUpdate = async (commentId, body) => {
+    const result = await dispatch(updateComment({ issueId, commentId, body }));
+
+    if (updateComment.fulfilled.match(result)) {
+      setEditingId(null);
+      return true;
+    }
+    return false;
+  };
+
+  // Handle delete
+  const handleDelete = async () => {
+    const result = await dispatch(deleteComment({ issueId, commentId: commentToDelete.id }));
+
+    if (deleteComment.fulfilled.match(result)) {
+      setCommentToDelete(null);
+    }
+  };
+
+  // Render a comment with its replies nested below it
+  const renderComment = (comment) => {
+    const isAuthor = comment.userId === user?.id;
+    const isEdited = comment.updatedAt !== comment.createdAt;
+    const replies = threads[comment.id] || [];
+
+    // Deleted comments stay only to hold their replies
+    if (comment.deletedAt) {
+      return (
+        <div key={comment.id} className="comment">
+          <div className="commentBody commentBody-deleted">[deleted]</div>
+          {replies.length > 0 && (
+            <div className="commentReplies">
+              {replies.map(renderComment)}
+            </div>
+          )}
+        </div>
+      );
+    }
+
+    return (
+      <div key={comment.id} className="comment">
+        <div className="commentHeader">
+          <span className="commentAuthor">{comment.user?.name || comment.user?.email || 'Unknown'}</span>
+          <span className="commentDate">
+            {formatDate(comment.createdAt)}{isEdited && ' · edited'}
+          </span>
+        </div>
+
+        {editingId === comment.id ? (
+          <CommentComposer
+            initialValue={comment.body}
+            submitText="Save"
+            onSubmit={(body) => handleUpdate(comment.id, body)}
+            onCancel={() => setEditingId(null)}
+            loading={actionLoading}
+          />
+        ) : (
+          <div className="commentBody">
+            <ReactMarkdown>{comment.body}</ReactMarkdown>
+          </div>
+        )}
+
+        {editingId !== comment.id && (
+          <div className="commentActions">
+            {canComment && (
+              <button className="commentAction" onClick={() => setReplyingToId(comment.id)}>
+                Reply
+              </button>
+            )}
+            {isAuthor && (
+              <>
+                <button className="commentAction" onClick={() => setEditingId(comment.id)}>
+                  Edit
+                </button>
+                <button className="commentAction" onClick={() => setCommentToDelete(comment)}>
+                  Delete
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
+        {(replies.length > 0 || replyingToId === comment.id) && (
+          <div className="commentReplies">
+            {replies.map(renderComment)}
+
+            {replyingToId === comment.id && (
+              <CommentComposer
+                submitText="Reply"
+                onSubmit={(body) => handleAdd(body, comment.id)}
+                onCancel={() => setReplyingToId(null)}
+                loading={actionLoading}
+              />
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Card className="commentsPanel">
+      <h2 className="commentsTitle">Comments ({commentCount})</h2>
+
+      {error && <div className="errorAlert">{error}</div>}
+
+      {loading ? (
+        <p className="commentsEmpty">Loading comments...</p>
+      ) : comments.length === 0 ? (
+        <p className="commentsEmpty">No comments yet.</p>
+      ) : (
+        <div className="commentList">
+          {(threads.root || []).map(renderComment)}
+        </div>
+      )}
+
+      {canComment && (
+        <CommentComposer
+          submitText="Comment"
+          onSubmit={(body) => handleAdd(body)}
+          loading={actionLoading}
+        />
+      )}
+
+      <ConfirmModal
+        isOpen={Boolean(commentToDelete)}
+        onClose={() => setCommentToDelete(null)}
+        title="Delete Comment"
+        message="Are you sure you want to delete this comment? Replies to it stay, under a deleted comment."
+        confirmText="Yes, Delete Comment"
+        confirmVariant="danger"
+        onConfirm={handleDelete}
+        loading={actionLoading}
+      />
+    </Card>
+  );
+};
+
+export default CommentsPanel;
@@ -0,0 +1,44 @@
+// ========================================
+// ISSUE COLUMNS COMPONENT
+// ========================================
+// Menu of checkboxes choosing which details each issue card in the list shows
+// Column state lives in the issues slice and is saved with views
+
+import { useDispatch, useSelector } from 'react-redux';
+import './IssueColumns.css';
+import { setColumns } from '../../redux/slices/issuesSlice';
+import { VIEW_COLUMNS } from '../../utils/savedViews';
+import Button from '../common/Button';
+
+const IssueColumns = () => {
+  const dispatch = useDispatch();
+  const { columns } = useSelector((state) => state.issues);
+
+  // Keep the card order of VIEW_COLUMNS whatever order columns are switched on in
+  const handleToggle = (value) => {
+    const next = columns.includes(value) ? columns.filter((column) => column !== value) : [...columns, value];
+    dispatch(setColumns(VIEW_COLUMNS.map((column) => column.value).filter((column) => next.includes(column))));
+  };
+
+  return (
+    <div className="issueColumns">
+      <Button variant="outline" size="small">
+        Details ({columns.length}/{VIEW_COLUMNS.length})
+      </Button>
+      <div className="issueColumnsDropdown">
+        {VIEW_COLUMNS.map((column) => (
+          <label key={column.value} className="issueColumnsOption">
+            <input
+              type="checkbox"
+              checked={columns.includes(column.value)}
+              onChange={() => handleToggle(column.value)}
+            />
+            {column.label}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default IssueColumns;
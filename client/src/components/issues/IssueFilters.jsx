@@ -0,0 +1,257 @@
+// ========================================
+// ISSUE FILTERS COMPONENT
+// ========================================
+// Search, filter fields and quick filters shared by the issue list and the board
+// Filters live in the issues slice, so both views always show the same issues
+
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import './IssueFilters.css';
+import { setFilters, clearFilters } from '../../redux/slices/issuesSlice';
+import { fetchLabels } from '../../redux/slices/labelsSlice';
+import { fetchMilestones } from '../../redux/slices/milestonesSlice';
+import { fetchSprints } from '../../redux/slices/sprintsSlice';
+import { fetchMembers } from '../../redux/slices/workspacesSlice';
+import Button from '../common/Button';
+import Select from '../common/Select';
+import LabelPicker from './LabelPicker';
+import SearchQueryInput from './SearchQueryInput';
+
+/**
+ * Issue filters props:
+ * @param {array} statuses - Workflow statuses offered in the status filter ({ key, name })
+ * @param {ReactNode} summary - Shown before the quick filters (e.g. the result count)
+ * @param {ReactNode} actions - Shown at the end of the quick filter row (e.g. the export menu)
+ */
+const IssueFilters = ({ statuses, summary, actions }) => {
+  const dispatch = useDispatch();
+
+  // Get state from Redux
+  const { filters } = useSelector((state) => state.issues);
+  const { currentWorkspaceId, members } = useSelector((state) => state.workspaces);
+  const { currentProjectId } = useSelector((state) => state.projects);
+
+  // Labels of the selected workspace, offered in the label filter
+  const { labels } = useSelector((state) => state.labels);
+
+  // Milestones of the selected project, offered in the milestone filter
+  const { milestones } = useSelector((state) => state.milestones);
+
+  // Sprints of the selected project, suggested in the search box
+  const { sprints } = useSelector((state) => state.sprints);
+
+  // Local state for search input (to implement debouncing)
+  const [searchInput, setSearchInput] = useState(filters.search || '');
+
+  // Pick up searches set from outside the box (e.g. by applying a saved view)
+  const [syncedSearch, setSyncedSearch] = useState(filters.search);
+  if (filters.search !== syncedSearch) {
+    setSyncedSearch(filters.search);
+    setSearchInput(filters.search);
+  }
+
+  // Debounce search input
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      if (searchInput !== filters.search) {
+        dispatch(setFilters({ search: searchInput }));
+      }
+    }, 500);
+
+    return () => clearTimeout(timer);
+  }, [searchInput, filters.search, dispatch]);
+
+  // Fetch the workspace's labels for the label filter
+  useEffect(() => {
+    if (currentWorkspaceId) {
+      dispatch(fetchLabels(currentWorkspaceId));
+    }
+  }, [dispatch, currentWorkspaceId]);
+
+  // Fetch the workspace's members for assignee:/author: suggestions
+  useEffect(() => {
+    if (currentWorkspaceId) {
+      dispatch(fetchMembers(currentWorkspaceId));
+    }
+  }, [dispatch, currentWorkspaceId]);
+
+  // Fetch the selected project's milestones for the milestone filter, and its sprints for suggestions
+  useEffect(() => {
+    if (currentProjectId) {
+      dispatch(fetchMilestones(currentProjectId));
+      dispatch(fetchSprints(currentProjectId));
+    }
+  }, [dispatch, currentProjectId]);
+
+  // Values suggested after field: in the search box
+  const levels = ['Low', 'Medium', 'High', 'Critical'];
+  const memberEmails = members.map((member) => member.user.email);
+  const searchValues = {
+    status: statuses.map((status) => status.key),
+    priority: levels,
+    severity: levels,
+    label: labels.map((label) => label.name),
+    assignee: ['me', 'none', ...memberEmails],
+    author: ['me', ...memberEmails],
+    due: ['none'],
+    points: ['none'],
+    milestone: currentProjectId ? ['none', ...milestones.map((milestone) => milestone.name)] : ['none'],
+    sprint: currentProjectId ? ['none', ...sprints.map((sprint) => sprint.name)] : ['none']
+  };
+
+  // Handle filter changes
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    dispatch(setFilters({ [name]: value }));
+  };
+
+  // Toggle the "Assigned to me" quick filter
+  const handleToggleAssignedToMe = () => {
+    dispatch(setFilters({ assignee: filters.assignee === 'me' ? '' : 'me' }));
+  };
+
+  // Toggle the "Overdue" quick filter
+  const handleToggleOverdue = () => {
+    dispatch(setFilters({ overdue: !filters.overdue }));
+  };
+
+  // Show or hide sub-tasks
+  const handleToggleSubtasks = () => {
+    dispatch(setFilters({ subtasks: filters.subtasks === 'exclude' ? 'include' : 'exclude' }));
+  };
+
+  // Handle clear filters
+  const handleClearFilters = () => {
+    setSearchInput('');
+    dispatch(clearFilters());
+  };
+
+  return (
+    <div className="filtersSection">
+      <div className="filtersRow">
+        <div className="filterFields">
+          {/* Search query with field autocomplete and debouncing */}
+          <SearchQueryInput
+            placeholder="Search, e.g. login priority:>=High assignee:me -label:wontfix"
+            value={searchInput}
+            onChange={setSearchInput}
+            values={searchValues}
+          />
+
+          {/* Status filter */}
+          <Select
+            name="status"
+            value={filters.status}
+            onChange={handleFilterChange}
+            options={statuses.map((status) => ({ value: status.key, label: status.name }))}
+            placeholder="All Statuses"
+            showFilledState={true}
+          />
+
+          {/* Priority filter */}
+          <Select
+            name="priority"
+            value={filters.priority}
+            onChange={handleFilterChange}
+            options={['Low', 'Medium', 'High', 'Critical']}
+            placeholder="All Priorities"
+            showFilledState={true}
+          />
+
+          {/* Severity filter */}
+          <Select
+            name="severity"
+            value={filters.severity}
+            onChange={handleFilterChange}
+            options={['Low', 'Medium', 'High', 'Critical']}
+            placeholder="All Severities"
+            showFilledState={true}
+          />
+
+          {/* Milestone filter (milestones belong to a project) */}
+          {currentProjectId && (
+            <Select
+              name="milestone"
+              value={filters.milestone}
+              onChange={handleFilterChange}
+              options={[
+                { value: 'none', label: 'No milestone' },
+                ...milestones.map((milestone) => ({ value: milestone.id.toString(), label: milestone.name }))
+              ]}
+              placeholder="All Milestones"
+              showFilledState={true}
+            />
+          )}
+        </div>
+
+        {/* Clear filters button - only show when filters are active */}
+        {(searchInput || filters.status || filters.priority || filters.severity || filters.assignee ||
+          filters.labels.length > 0 || filters.overdue || filters.milestone) && (
+          <Button variant="ghost" onClick={handleClearFilters}>
+            Clear
+          </Button>
+        )}
+      </div>
+
+      {/* Label filter */}
+      {labels.length > 0 && (
+        <div className="labelFilterRow">
+          <LabelPicker
+            labels={labels}
+            selectedIds={filters.labels}
+            onChange={(labelIds) => dispatch(setFilters({ labels: labelIds }))}
+          />
+          {filters.labels.length > 1 && (
+            <Select
+              name="labelMatch"
+              value={filters.labelMatch}
+              onChange={handleFilterChange}
+              options={[
+                { value: 'any', label: 'Any selected label' },
+                { value: 'all', label: 'All selected labels' }
+              ]}
+              placeholder="Match"
+            />
+          )}
+        </div>
+      )}
+
+      <div className="actionsRow">
+        <div className="quickFilters">
+          {summary}
+
+          {/* Assigned to me quick filter */}
+          <Button
+            variant={filters.assignee === 'me' ? 'primary' : 'outline'}
+            size="small"
+            onClick={handleToggleAssignedToMe}
+          >
+            Assigned to me
+          </Button>
+
+          {/* Overdue quick filter */}
+          <Button
+            variant={filters.overdue ? 'primary' : 'outline'}
+            size="small"
+            onClick={handleToggleOverdue}
+          >
+            Overdue
+          </Button>
+
+          {/* Sub-task visibility */}
+          <Button
+            variant={filters.subtasks === 'exclude' ? 'primary' : 'outline'}
+            size="small"
+            onClick={handleToggleSubtasks}
+          >
+            Hide sub-tasks
+          </Button>
+        </div>
+
+        {actions}
+      </div>
+    </div>
+  );
+};
+
+export default IssueFilters;
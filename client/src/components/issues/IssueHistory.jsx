@@ -0,0 +1,176 @@
+// ========================================
+// ISSUE HISTORY COMPONENT
+// ========================================
+// Timeline of who changed what on an issue, with diffs for description edits
+
+import { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import './IssueHistory.css';
+import { fetchIssueHistory } from '../../redux/slices/issuesSlice';
+import Card from '../common/Card';
+import diffLines from '../../utils/diffLines';
+
+// Readable names for recorded fields
+const FIELD_LABELS = {
+  title: 'title',
+  description: 'description',
+  status: 'status',
+  priority: 'priority',
+  severity: 'severity',
+  assigneeId: 'assignee',
+  dueDate: 'due date',
+  storyPoints: 'story points',
+  parentId: 'parent issue',
+  milestoneId: 'milestone',
+  sprintId: 'sprint',
+  labels: 'labels'
+};
+
+// Format date for display
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * Issue history props:
+ * @param {number} issueId - Issue whose activity is shown
+ * @param {string} updatedAt - Issue's updatedAt; the timeline reloads when it changes
+ */
+const IssueHistory = ({ issueId, updatedAt }) => {
+  const dispatch = useDispatch();
+
+  // Get state from Redux
+  const { history, historyLoading } = useSelector((state) => state.issues);
+  const { statuses } = useSelector((state) => state.workflow);
+
+  // Description diffs are collapsed until expanded
+  const [expandedIds, setExpandedIds] = useState([]);
+
+  // Reload the timeline whenever the issue changes
+  useEffect(() => {
+    dispatch(fetchIssueHistory(issueId));
+  }, [dispatch, issueId, updatedAt]);
+
+  const toggleExpanded = (activityId) => {
+    setExpandedIds(prev => (
+      prev.includes(activityId) ? prev.filter(id => id !== activityId) : [...prev, activityId]
+    ));
+  };
+
+  // Show a stored value, resolving assignee, milestone and sprint IDs and status keys to names
+  const formatValue = (field, value) => {
+    if (value === null || value === '') {
+      if (field === 'assigneeId') return 'Unassigned';
+      if (field === 'labels') return 'no labels';
+      if (field === 'dueDate') return 'no due date';
+      if (field === 'parentId') return 'none';
+      if (field === 'milestoneId') return 'no milestone';
+      if (field === 'sprintId') return 'the backlog';
+      if (field === 'storyPoints') return 'no estimate';
+      return 'empty';
+    }
+
+    if (field === 'assigneeId') {
+      const user = history.users.find((u) => u.id === parseInt(value));
+      return user ? user.name || user.email : `user #${value}`;
+    }
+
+    if (field === 'parentId') {
+      return `#${value}`;
+    }
+
+    if (field === 'milestoneId') {
+      const milestone = history.milestones.find((m) => m.id === parseInt(value));
+      return milestone ? milestone.name : `milestone #${value}`;
+    }
+
+    if (field === 'sprintId') {
+      const sprint = history.sprints.find((s) => s.id === parseInt(value));
+      return sprint ? sprint.name : `sprint #${value}`;
+    }
+
+    if (field === 'status') {
+      const status = statuses.find((item) => item.key === value);
+      return status ? status.name : value;
+    }
+
+    return value;
+  };
+
+  // Describe a single activity entry
+  const renderSummary = (activity) => {
+    if (activity.action === 'Created') {
+      return 'created this issue';
+    }
+
+    if (activity.action === 'Deleted') {
+      return 'deleted this issue';
+    }
+
+    const label = FIELD_LABELS[activity.field] || activity.field;
+
+    // Long text fields show a diff instead of inline values
+    if (activity.field === 'description') {
+      return (
+        <>
+          edited the description{' '}
+          <button className="historyToggle" onClick={() => toggleExpanded(activity.id)}>
+            {expandedIds.includes(activity.id) ? 'Hide changes' : 'Show changes'}
+          </button>
+        </>
+      );
+    }
+
+    return (
+      <>
+        changed {label} from <strong>{formatValue(activity.field, activity.oldValue)}</strong> to{' '}
+        <strong>{formatValue(activity.field, activity.newValue)}</strong>
+      </>
+    );
+  };
+
+  return (
+    <Card className="issueHistory">
+      <h2 className="historyTitle">History</h2>
+
+      {historyLoading && history.activities.length === 0 ? (
+        <p className="historyEmpty">Loading history...</p>
+      ) : history.activities.length === 0 ? (
+        <p className="historyEmpty">No recorded activity.</p>
+      ) : (
+        <ol className="historyTimeline">
+          {history.activities.map((activity) => (
+            <li key={activity.id} className="historyItem">
+              <div className="historyText">
+                <span className="historyActor">
+                  {activity.user?.name || activity.user?.email || 'Deleted user'}
+                </span>{' '}
+                {renderSummary(activity)}
+              </div>
+              <span className="historyDate">{formatDate(activity.createdAt)}</span>
+
+              {activity.field === 'description' && expandedIds.includes(activity.id) && (
+                <pre className="historyDiff">
+                  {diffLines(activity.oldValue, activity.newValue).map((line, index) => (
+                    <div key={index} className={`diffLine diffLine-${line.type}`}>
+                      {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}
+                      {line.text}
+                    </div>
+                  ))}
+                </pre>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </Card>
+  );
+};
+
+export default IssueHistory;
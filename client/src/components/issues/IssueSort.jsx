@@ -0,0 +1,83 @@
+// ========================================
+// ISSUE SORT COMPONENT
+// ========================================
+// Sort controls for the issue list: a main sort key and an optional tie-breaker,
+// each with its own direction. Sort state lives in the issues slice
+
+import { useDispatch, useSelector } from 'react-redux';
+import './IssueSort.css';
+import { setSort } from '../../redux/slices/issuesSlice';
+import { SORT_FIELDS, DEFAULT_SORT } from '../../utils/issueSort';
+import Button from '../common/Button';
+import Select from '../common/Select';
+
+const IssueSort = () => {
+  const dispatch = useDispatch();
+  const { sort, listMode } = useSelector((state) => state.issues);
+  const [primary, secondary] = sort;
+
+  // Infinite scroll pages with cursors, which cannot follow a relevance ranking
+  const fields = listMode === 'scroll' ? SORT_FIELDS.filter((item) => item.value !== 'relevance') : SORT_FIELDS;
+
+  // Pick the field at a position; choosing none drops that key and every key after it
+  const handleFieldChange = (index, field) => {
+    if (!field) {
+      dispatch(setSort(index === 0 ? DEFAULT_SORT : sort.slice(0, index)));
+      return;
+    }
+
+    const { defaultOrder } = SORT_FIELDS.find((item) => item.value === field);
+    const later = sort.slice(index + 1).filter((key) => key.field !== field);
+
+    dispatch(setSort([
+      ...sort.slice(0, index).filter((key) => key.field !== field),
+      { field, order: defaultOrder },
+      ...later
+    ]));
+  };
+
+  const handleToggleOrder = (index) => {
+    dispatch(setSort(sort.map((key, i) => (
+      i === index ? { ...key, order: key.order === 'asc' ? 'desc' : 'asc' } : key
+    ))));
+  };
+
+  // Direction toggle for the key at a position
+  const renderOrderButton = (key, index) => (
+    <Button
+      variant="ghost"
+      size="small"
+      onClick={() => handleToggleOrder(index)}
+      title={key.order === 'asc' ? 'Ascending - click to reverse' : 'Descending - click to reverse'}
+      aria-label={`Sort ${key.order === 'asc' ? 'ascending' : 'descending'}`}
+    >
+      {key.order === 'asc' ? '↑' : '↓'}
+    </Button>
+  );
+
+  return (
+    <div className="issueSort">
+      <span className="issueSortLabel">Sort by</span>
+      <Select
+        name="sortField"
+        value={primary.field}
+        onChange={(e) => handleFieldChange(0, e.target.value)}
+        options={fields}
+        placeholder="Default"
+      />
+      {renderOrderButton(primary, 0)}
+
+      <span className="issueSortLabel">then</span>
+      <Select
+        name="thenSortField"
+        value={secondary?.field || ''}
+        onChange={(e) => handleFieldChange(1, e.target.value)}
+        options={fields.filter((item) => item.value !== primary.field)}
+        placeholder="None"
+      />
+      {secondary && renderOrderButton(secondary, 1)}
+    </div>
+  );
+};
+
+export default IssueSort;
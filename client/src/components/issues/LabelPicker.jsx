@@ -0,0 +1,68 @@
+// ========================================
+// LABEL PICKER COMPONENT
+// ========================================
+// Multiselect of workspace labels shown as toggleable colored chips
+
+import './LabelPicker.css';
+import Badge from '../common/Badge';
+
+/**
+ * LabelPicker component props:
+ * @param {string} label - Label text shown above the chips
+ * @param {array} labels - Available labels: [{ id, name, color }]
+ * @param {array} selectedIds - IDs of the selected labels
+ * @param {function} onChange - Called with the new array of selected IDs
+ * @param {boolean} disabled - Disable selection
+ * @param {string} emptyText - Text shown when the workspace has no labels
+ */
+const LabelPicker = ({
+  label,
+  labels = [],
+  selectedIds = [],
+  onChange,
+  disabled = false,
+  emptyText = 'No labels yet. Create them in workspace settings.'
+}) => {
+  // Toggle a label in or out of the selection
+  const handleToggle = (labelId) => {
+    if (disabled) return;
+
+    onChange(
+      selectedIds.includes(labelId)
+        ? selectedIds.filter(id => id !== labelId)
+        : [...selectedIds, labelId]
+    );
+  };
+
+  return (
+    <div className="labelPicker">
+      {label && <span className="labelPickerTitle">{label}</span>}
+
+      {labels.length === 0 ? (
+        <span className="labelPickerEmpty">{emptyText}</span>
+      ) : (
+        <div className="labelPickerChips">
+          {labels.map((item) => {
+            const isSelected = selectedIds.includes(item.id);
+
+            return (
+              <button
+                key={item.id}
+                type="button"
+                className={`labelPickerChip ${isSelected ? 'labelPickerChip-selected' : ''}`}
+                onClick={() => handleToggle(item.id)}
+                disabled={disabled}
+                aria-pressed={isSelected}
+                title={item.description || item.name}
+              >
+                <Badge color={isSelected ? item.color : '#9E9E9E'}>{item.name}</Badge>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LabelPicker;
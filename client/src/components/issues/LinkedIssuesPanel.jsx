@@ -0,0 +1,154 @@
+// ========================================
+// LINKED ISSUES PANEL COMPONENT
+// ========================================
+// Issues this one blocks, is blocked by, duplicates or relates to
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import './LinkedIssuesPanel.css';
+import {
+  fetchIssueLinks,
+  addIssueLink,
+  removeIssueLink,
+  clearIssueLinks
+} from '../../redux/slices/issueLinksSlice';
+import Card from '../common/Card';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import Select from '../common/Select';
+import StatusBadge from './StatusBadge';
+
+// Relations in display order, read as "this issue <label> #other"
+const RELATION_OPTIONS = [
+  { value: 'Blocks', label: 'blocks' },
+  { value: 'BlockedBy', label: 'is blocked by' },
+  { value: 'Duplicates', label: 'duplicates' },
+  { value: 'DuplicatedBy', label: 'is duplicated by' },
+  { value: 'RelatesTo', label: 'relates to' }
+];
+
+/**
+ * Linked issues panel props:
+ * @param {number} issueId - Issue whose links are shown
+ * @param {boolean} canEdit - Whether the user's role allows adding and removing links
+ * @param {function} onLinked - Called with the new link after one is added
+ */
+const LinkedIssuesPanel = ({ issueId, canEdit, onLinked }) => {
+  const dispatch = useDispatch();
+
+  // Get state from Redux
+  const { links, loading, actionLoading, error } = useSelector((state) => state.issueLinks);
+
+  // Add-link form
+  const [relation, setRelation] = useState('Blocks');
+  const [target, setTarget] = useState('');
+  const [formError, setFormError] = useState('');
+
+  // Fetch links when the issue changes
+  useEffect(() => {
+    dispatch(fetchIssueLinks(issueId));
+
+    return () => {
+      dispatch(clearIssueLinks());
+    };
+  }, [dispatch, issueId]);
+
+  // Handle add; the other issue can be typed as "42" or "#42"
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    const targetIssueId = parseInt(target.trim().replace(/^#/, ''));
+    if (isNaN(targetIssueId)) {
+      setFormError('Enter the number of the issue to link, e.g. #42');
+      return;
+    }
+    setFormError('');
+
+    const result = await dispatch(addIssueLink({ issueId, relation, targetIssueId }));
+
+    if (addIssueLink.fulfilled.match(result)) {
+      setTarget('');
+      onLinked?.(result.payload);
+    }
+  };
+
+  return (
+    <Card className="linkedIssuesPanel">
+      <h2 className="linkedIssuesTitle">Linked issues ({links.length})</h2>
+
+      {(formError || error) && <div className="errorAlert">{formError || error}</div>}
+
+      {loading ? (
+        <p className="linkedIssuesEmpty">Loading linked issues...</p>
+      ) : links.length === 0 ? (
+        <p className="linkedIssuesEmpty">No linked issues.</p>
+      ) : (
+        RELATION_OPTIONS.map((option) => {
+          const group = links.filter((link) => link.relation === option.value);
+          if (group.length === 0) return null;
+
+          return (
+            <div key={option.value} className="linkGroup">
+              <h3 className="linkGroupTitle">This issue {option.label}</h3>
+              <ul className="linkList">
+                {group.map((link) => (
+                  <li key={link.id} className="linkItem">
+                    <Link
+                      to={`/issues/${link.issue.id}`}
+                      className={link.issue.isDone ? 'linkTitle linkTitle-done' : 'linkTitle'}
+                    >
+                      #{link.issue.id} {link.issue.title}
+                    </Link>
+                    <StatusBadge
+                      status={link.issue.status}
+                      statuses={link.issue.statusColor
+                        ? [{ key: link.issue.status, name: link.issue.statusName, color: link.issue.statusColor }]
+                        : []}
+                    />
+                    {canEdit && (
+                      <button
+                        className="linkRemove"
+                        onClick={() => dispatch(removeIssueLink({ issueId, linkId: link.id }))}
+                        disabled={actionLoading}
+                        aria-label={`Remove link to #${link.issue.id}`}
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          );
+        })
+      )}
+
+      {canEdit && (
+        <form className="linkForm" onSubmit={handleAdd}>
+          <Select
+            name="relation"
+            value={relation}
+            onChange={(e) => setRelation(e.target.value)}
+            options={RELATION_OPTIONS.map((option) => ({ value: option.value, label: `This issue ${option.label}` }))}
+          />
+          <Input
+            name="target"
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            placeholder="Issue number, e.g. #42"
+          />
+          <Button type="submit" variant="outline" size="small" disabled={actionLoading || !target.trim()}>
+            Link
+          </Button>
+        </form>
+      )}
+
+      {canEdit && relation === 'Duplicates' && (
+        <p className="linkHint">Marking this issue as a duplicate closes it with a reference to the original.</p>
+      )}
+    </Card>
+  );
+};
+
+export default LinkedIssuesPanel;
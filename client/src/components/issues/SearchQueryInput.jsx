@@ -0,0 +1,120 @@
+// ========================================
+// SEARCH QUERY INPUT COMPONENT
+// ========================================
+// Search box for the issue search language that autocompletes field names and values
+// Arrow keys pick a suggestion, Enter or Tab accepts it, Escape closes the list
+
+import { useRef, useState } from 'react';
+import './SearchQueryInput.css';
+import classNames from '../../utils/classNames';
+import { getTermAt, getSuggestions } from '../../utils/searchQuery';
+
+/**
+ * Search query input props:
+ * @param {string} value - Query text (controlled component)
+ * @param {function} onChange - Called with the new query text
+ * @param {object} values - Known values per field name for suggestions, e.g. { status: ['Open'], label: ['backend'] }
+ * @param {string} placeholder - Placeholder text
+ */
+const SearchQueryInput = ({ value, onChange, values, placeholder }) => {
+  const inputRef = useRef(null);
+
+  const [caret, setCaret] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const term = getTermAt(value, caret);
+  const suggestions = isOpen && term.text ? getSuggestions(term.text, values) : [];
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    setCaret(e.target.selectionStart);
+    setIsOpen(true);
+    setActiveIndex(0);
+  };
+
+  // Keep the caret position current when it moves without typing
+  const handleSelect = (e) => {
+    setCaret(e.target.selectionStart);
+  };
+
+  // Replace the current term with the suggestion and put the caret after it
+  const applySuggestion = (suggestion) => {
+    const text = value.slice(0, term.start) + suggestion.replacement + value.slice(term.end).trimStart();
+    const position = term.start + suggestion.replacement.length;
+
+    onChange(text);
+    setCaret(position);
+    setActiveIndex(0);
+
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(position, position);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) {
+      return;
+    }
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((activeIndex + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((activeIndex - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      applySuggestion(suggestions[Math.min(activeIndex, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="searchQuery">
+      <input
+        ref={inputRef}
+        type="text"
+        className={classNames('input', value && 'input-filled')}
+        value={value}
+        onChange={handleChange}
+        onSelect={handleSelect}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        placeholder={placeholder}
+        aria-label="Search issues"
+        aria-autocomplete="list"
+        aria-expanded={suggestions.length > 0}
+        autoComplete="off"
+        spellCheck={false}
+      />
+
+      {suggestions.length > 0 && (
+        <ul className="searchQuerySuggestions" role="listbox">
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.replacement}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={classNames('searchQuerySuggestion', index === activeIndex && 'searchQuerySuggestion-active')}
+              // mousedown instead of click so the input does not lose focus first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                applySuggestion(suggestion);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+            >
+              <span className="searchQuerySuggestionLabel">{suggestion.label}</span>
+              {suggestion.hint && <span className="searchQuerySuggestionHint">{suggestion.hint}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchQueryInput;
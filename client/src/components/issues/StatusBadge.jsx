@@ -0,0 +1,30 @@
+// ========================================
+// STATUS BADGE COMPONENT
+// ========================================
+// Badge for an issue status, using the name and color from the project's workflow
+
+import Badge from '../common/Badge';
+
+/**
+ * Status badge props:
+ * @param {string} status - Status key stored on the issue (e.g. 'InReview')
+ * @param {array} statuses - Workflow statuses to look the key up in ({ key, name, color })
+ * @param {string} size - Badge size: 'small' (default), 'large'
+ * @param {string} prefix - Optional text shown before the status name (e.g. 'Status: ')
+ */
+const StatusBadge = ({ status, statuses = [], size, prefix = '' }) => {
+  const workflowStatus = statuses.find((item) => item.key === status);
+
+  // Fall back to the built-in status colors until the workflow is loaded
+  if (!workflowStatus) {
+    return <Badge variant={status} size={size}>{prefix}{status}</Badge>;
+  }
+
+  return (
+    <Badge color={workflowStatus.color} size={size}>
+      {prefix}{workflowStatus.name}
+    </Badge>
+  );
+};
+
+export default StatusBadge;
@@ -0,0 +1,148 @@
+// ========================================
+// SUB-TASKS PANEL COMPONENT
+// ========================================
+// Child issues of the issue being viewed, with a progress bar and quick creation
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import './SubtasksPanel.css';
+import {
+  fetchSubtasks,
+  createSubtask,
+  clearSubtasks
+} from '../../redux/slices/subtasksSlice';
+import Card from '../common/Card';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import StatusBadge from './StatusBadge';
+
+/**
+ * Sub-tasks panel props:
+ * @param {object} issue - Parent issue (id and projectId are used)
+ * @param {array} statuses - Workflow statuses of the issue's project, for status badges
+ * @param {boolean} canCreate - Whether the user's role allows creating issues
+ */
+const SubtasksPanel = ({ issue, statuses, canCreate }) => {
+  const dispatch = useDispatch();
+
+  // Get state from Redux
+  const { children, progress, loading, actionLoading, error } = useSelector((state) => state.subtasks);
+
+  // Quick-create form, collapsed until opened
+  const [isAdding, setIsAdding] = useState(false);
+  const [title, setTitle] = useState('');
+  const [description, setDescription] = useState('');
+
+  // Fetch sub-tasks when the issue changes
+  useEffect(() => {
+    dispatch(fetchSubtasks(issue.id));
+
+    return () => {
+      dispatch(clearSubtasks());
+    };
+  }, [dispatch, issue.id]);
+
+  // Handle create; the sub-task starts in the project's first status
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    const result = await dispatch(createSubtask({
+      parentId: issue.id,
+      projectId: issue.projectId,
+      title: title.trim(),
+      description: description.trim()
+    }));
+
+    if (createSubtask.fulfilled.match(result)) {
+      setTitle('');
+      setDescription('');
+      setIsAdding(false);
+      dispatch(fetchSubtasks(issue.id));
+    }
+  };
+
+  const percent = progress ? Math.round((progress.done / progress.total) * 100) : 0;
+
+  return (
+    <Card className="subtasksPanel">
+      <div className="subtasksHeader">
+        <h2 className="subtasksTitle">Sub-tasks</h2>
+        {progress && (
+          <span className="subtasksProgressText">{progress.done}/{progress.total} done</span>
+        )}
+      </div>
+
+      {progress && (
+        <div className="subtasksProgress" role="progressbar" aria-valuenow={percent} aria-valuemin={0} aria-valuemax={100}>
+          <div className="subtasksProgressFill" style={{ width: `${percent}%` }} />
+        </div>
+      )}
+
+      {error && <div className="errorAlert">{error}</div>}
+
+      {loading && children.length === 0 ? (
+        <p className="subtasksEmpty">Loading sub-tasks...</p>
+      ) : children.length === 0 ? (
+        <p className="subtasksEmpty">No sub-tasks.</p>
+      ) : (
+        <ul className="subtaskList">
+          {children.map((child) => (
+            <li key={child.id} className="subtaskItem">
+              <Link to={`/issues/${child.id}`} className="subtaskTitle">
+                #{child.id} {child.title}
+              </Link>
+              {child.progress && (
+                <span className="subtaskMeta">{child.progress.done}/{child.progress.total}</span>
+              )}
+              {child.assignee && (
+                <span className="subtaskMeta">{child.assignee.name || child.assignee.email}</span>
+              )}
+              <StatusBadge status={child.status} statuses={statuses} />
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canCreate && (isAdding ? (
+        <form className="subtaskForm" onSubmit={handleCreate}>
+          <Input
+            name="title"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Sub-task title"
+            maxLength={255}
+          />
+          <Input
+            name="description"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            placeholder="What needs to be done? (at least 10 characters)"
+            maxLength={5000}
+            multiline
+            rows={2}
+          />
+          <div className="subtaskFormButtons">
+            <Button type="button" variant="ghost" size="small" onClick={() => setIsAdding(false)} disabled={actionLoading}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              variant="primary"
+              size="small"
+              disabled={actionLoading || title.trim().length < 3 || description.trim().length < 10}
+            >
+              {actionLoading ? 'Creating...' : 'Create Sub-task'}
+            </Button>
+          </div>
+        </form>
+      ) : (
+        <Button variant="outline" size="small" onClick={() => setIsAdding(true)}>
+          + Add sub-task
+        </Button>
+      ))}
+    </Card>
+  );
+};
+
+export default SubtasksPanel;
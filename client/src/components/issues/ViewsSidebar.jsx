@@ -0,0 +1,243 @@
+// ========================================
+// VIEWS SIDEBAR COMPONENT
+// ========================================
+// Saved views of the selected workspace: apply one, save the current list setup,
+// pin a view's count next to the stat cards, or make a view the default
+
+import { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import './ViewsSidebar.css';
+import {
+  createView,
+  updateView,
+  deleteView,
+  pinView,
+  setDefaultView,
+  fetchViewCounts,
+  clearError
+} from '../../redux/slices/savedViewsSlice';
+import classNames from '../../utils/classNames';
+import { getViewFilters, isViewModified } from '../../utils/savedViews';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import Modal, { ConfirmModal } from '../common/Modal';
+
+/**
+ * Views sidebar props:
+ * @param {function} onApply - Called with a view to set the issue list up from it
+ */
+const ViewsSidebar = ({ onApply }) => {
+  const dispatch = useDispatch();
+
+  const { views, activeViewId, actionLoading, error } = useSelector((state) => state.savedViews);
+  const { filters, sort, columns } = useSelector((state) => state.issues);
+  const { workspaces, currentWorkspaceId } = useSelector((state) => state.workspaces);
+  const { projects, currentProjectId } = useSelector((state) => state.projects);
+
+  const currentWorkspace = workspaces.find((workspace) => workspace.id === currentWorkspaceId);
+  const canShare = Boolean(currentWorkspace?.permissions.includes('view:share'));
+  const currentProject = projects.find((project) => project.id === currentProjectId);
+
+  const activeView = views.find((view) => view.id === activeViewId);
+  const isModified = Boolean(activeView && isViewModified(activeView, { filters, sort, columns }));
+
+  const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const [form, setForm] = useState({ name: '', shared: false });
+  const [viewToDelete, setViewToDelete] = useState(null);
+
+  const myViews = views.filter((view) => !view.shared);
+  const sharedViews = views.filter((view) => view.shared);
+
+  // The list as it is set up now, in the shape the API stores
+  const getCurrentSetup = () => ({
+    filters: getViewFilters(filters),
+    sort,
+    columns,
+    projectId: currentProjectId
+  });
+
+  const openSaveDialog = () => {
+    dispatch(clearError());
+    setForm({ name: '', shared: false });
+    setIsDialogOpen(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const result = await dispatch(createView({
+      workspaceId: currentWorkspaceId,
+      data: { name: form.name, shared: form.shared, ...getCurrentSetup() }
+    }));
+
+    if (createView.fulfilled.match(result)) {
+      setIsDialogOpen(false);
+    }
+  };
+
+  // Overwrite the active view with the current setup
+  const handleUpdate = async () => {
+    const result = await dispatch(updateView({
+      workspaceId: currentWorkspaceId,
+      viewId: activeView.id,
+      data: getCurrentSetup()
+    }));
+
+    if (updateView.fulfilled.match(result) && activeView.pinned) {
+      dispatch(fetchViewCounts(currentWorkspaceId));
+    }
+  };
+
+  const handleTogglePin = async (view) => {
+    const result = await dispatch(pinView({ workspaceId: currentWorkspaceId, viewId: view.id, pinned: !view.pinned }));
+
+    if (pinView.fulfilled.match(result) && !view.pinned) {
+      dispatch(fetchViewCounts(currentWorkspaceId));
+    }
+  };
+
+  const handleToggleDefault = (view) => {
+    dispatch(setDefaultView({ workspaceId: currentWorkspaceId, viewId: view.id, isDefault: !view.isDefault }));
+  };
+
+  const handleDelete = async () => {
+    await dispatch(deleteView({ workspaceId: currentWorkspaceId, viewId: viewToDelete.id }));
+    setViewToDelete(null);
+  };
+
+  const renderView = (view) => (
+    <li
+      key={view.id}
+      className={classNames('viewItem', view.id === activeViewId && 'viewItem-active')}
+    >
+      <button className="viewName" onClick={() => onApply(view)} title={view.project ? `${view.project.name} issues` : 'All projects'}>
+        {view.name}
+        {view.id === activeViewId && isModified && <span className="viewModified"> (edited)</span>}
+      </button>
+      <div className="viewActions">
+        <button
+          className={classNames('viewAction', view.pinned && 'viewAction-on')}
+          onClick={() => handleTogglePin(view)}
+          title={view.pinned ? 'Unpin count from the dashboard' : 'Pin count next to the stat cards'}
+          aria-label={view.pinned ? `Unpin ${view.name}` : `Pin ${view.name}`}
+        >
+          📌
+        </button>
+        <button
+          className={classNames('viewAction', view.isDefault && 'viewAction-on')}
+          onClick={() => handleToggleDefault(view)}
+          title={view.isDefault ? 'Stop opening the dashboard with this view' : 'Open the dashboard with this view'}
+          aria-label={view.isDefault ? `Unset ${view.name} as default` : `Set ${view.name} as default`}
+        >
+          ★
+        </button>
+        {view.canEdit && (
+          <button
+            className="viewAction"
+            onClick={() => setViewToDelete(view)}
+            title="Delete view"
+            aria-label={`Delete ${view.name}`}
+          >
+            ✕
+          </button>
+        )}
+      </div>
+    </li>
+  );
+
+  return (
+    <aside className="viewsSidebar">
+      <h2 className="viewsTitle">Views</h2>
+
+      {error && !isDialogOpen && <div className="errorAlert">{error}</div>}
+
+      <div className="viewsSection">
+        <h3 className="viewsSectionTitle">My views</h3>
+        {myViews.length > 0 ? (
+          <ul className="viewsList">{myViews.map(renderView)}</ul>
+        ) : (
+          <p className="viewsEmpty">No private views yet</p>
+        )}
+      </div>
+
+      <div className="viewsSection">
+        <h3 className="viewsSectionTitle">Shared with the workspace</h3>
+        {sharedViews.length > 0 ? (
+          <ul className="viewsList">{sharedViews.map(renderView)}</ul>
+        ) : (
+          <p className="viewsEmpty">No shared views yet</p>
+        )}
+      </div>
+
+      <div className="viewsButtons">
+        {activeView?.canEdit && isModified && (
+          <Button variant="primary" size="small" fullWidth onClick={handleUpdate} disabled={actionLoading}>
+            Save changes to “{activeView.name}”
+          </Button>
+        )}
+        <Button variant="outline" size="small" fullWidth onClick={openSaveDialog}>
+          Save current view…
+        </Button>
+      </div>
+
+      {/* Save dialog */}
+      <Modal
+        isOpen={isDialogOpen}
+        onClose={() => setIsDialogOpen(false)}
+        title="Save View"
+        size="small"
+      >
+        <form className="viewForm" onSubmit={handleSave}>
+          {error && <div className="errorAlert">{error}</div>}
+
+          <Input
+            label="Name"
+            name="name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="e.g. My open bugs"
+            maxLength={100}
+            required
+          />
+
+          <p className="viewFormHint">
+            Saves the current filters, sort and shown details for {currentProject ? currentProject.name : 'all projects'}.
+          </p>
+
+          {canShare && (
+            <label className="viewFormCheckbox">
+              <input
+                type="checkbox"
+                checked={form.shared}
+                onChange={(e) => setForm({ ...form, shared: e.target.checked })}
+              />
+              Share with everyone in {currentWorkspace?.name || 'the workspace'}
+            </label>
+          )}
+
+          <div className="viewFormButtons">
+            <Button type="button" variant="ghost" onClick={() => setIsDialogOpen(false)} disabled={actionLoading}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={actionLoading || !form.name.trim()}>
+              {actionLoading ? 'Saving...' : 'Save'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      <ConfirmModal
+        isOpen={Boolean(viewToDelete)}
+        onClose={() => setViewToDelete(null)}
+        title="Delete View"
+        message={`Are you sure you want to delete "${viewToDelete?.name}"?${viewToDelete?.shared ? ' It is shared, so it will disappear for everyone in the workspace.' : ''}`}
+        confirmText="Yes, Delete View"
+        confirmVariant="danger"
+        onConfirm={handleDelete}
+        loading={actionLoading}
+      />
+    </aside>
+  );
+};
+
+export default ViewsSidebar;
@@ -0,0 +1,103 @@
+// ========================================
+// BURNDOWN CHART COMPONENT
+// ========================================
+// Remaining work per sprint day against the ideal line, drawn as an SVG
+
+import './BurndownChart.css';
+
+// Drawing area (viewBox units) and the padding left for axis labels
+const WIDTH = 600;
+const HEIGHT = 240;
+const PADDING = { top: 16, right: 16, bottom: 32, left: 40 };
+
+// Short axis label for a YYYY-MM-DD date, e.g. 'Oct 20'
+const formatDay = (date) => new Date(`${date}T00:00:00.000Z`).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+/**
+ * Burndown chart props:
+ * @param {object} burndown - { unit, committed, days: [{ date, scope, remaining, ideal }] } from the API;
+ *                            days that have not happened yet have null scope and remaining
+ */
+const BurndownChart = ({ burndown }) => {
+  const { days, unit } = burndown;
+
+  const maxValue = Math.max(1, ...days.map((day) => Math.max(day.ideal, day.scope ?? 0, day.remaining ?? 0)));
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const x = (index) => PADDING.left + (days.length > 1 ? (index / (days.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (value) => PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+
+  // Polyline points for one series, skipping days without a value
+  const toPoints = (key) => days
+    .map((day, index) => (day[key] === null ? null : `${x(index)},${y(day[key])}`))
+    .filter(Boolean)
+    .join(' ');
+
+  const measuredDays = days.filter((day) => day.remaining !== null);
+  const today = measuredDays[measuredDays.length - 1];
+
+  // Label the first, middle and last day on the x axis
+  const labelIndexes = [...new Set([0, Math.floor((days.length - 1) / 2), days.length - 1])];
+
+  return (
+    <div className="burndownChart">
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="burndownSvg"
+        role="img"
+        aria-label={today
+          ? `Burndown: ${today.remaining} of ${today.scope} ${unit} remaining on ${formatDay(today.date)}`
+          : 'Burndown: the sprint has not started yet'}
+      >
+        {/* Horizontal grid lines with value labels */}
+        {[0, 0.5, 1].map((share) => {
+          const value = Math.round(maxValue * share);
+          return (
+            <g key={share}>
+              <line
+                x1={PADDING.left}
+                x2={WIDTH - PADDING.right}
+                y1={y(value)}
+                y2={y(value)}
+                className="burndownGrid"
+              />
+              <text x={PADDING.left - 8} y={y(value)} className="burndownAxisLabel" textAnchor="end" dominantBaseline="middle">
+                {value}
+              </text>
+            </g>
+          );
+        })}
+
+        {labelIndexes.map((index) => (
+          <text key={index} x={x(index)} y={HEIGHT - 8} className="burndownAxisLabel" textAnchor="middle">
+            {formatDay(days[index].date)}
+          </text>
+        ))}
+
+        <polyline points={toPoints('ideal')} className="burndownLine burndownLine-ideal" />
+        <polyline points={toPoints('scope')} className="burndownLine burndownLine-scope" />
+        <polyline points={toPoints('remaining')} className="burndownLine burndownLine-remaining" />
+
+        {days.map((day, index) => day.remaining !== null && (
+          <circle key={day.date} cx={x(index)} cy={y(day.remaining)} r={3} className="burndownPoint">
+            <title>{`${formatDay(day.date)}: ${day.remaining} of ${day.scope} ${unit} remaining`}</title>
+          </circle>
+        ))}
+      </svg>
+
+      <div className="burndownLegend">
+        <span className="burndownLegendItem burndownLegendItem-remaining">Remaining</span>
+        <span className="burndownLegendItem burndownLegendItem-ideal">Ideal</span>
+        <span className="burndownLegendItem burndownLegendItem-scope">Scope</span>
+        <span className="burndownUnit">in {unit === 'points' ? 'story points' : 'issues'}</span>
+      </div>
+    </div>
+  );
+};
+
+export default BurndownChart;
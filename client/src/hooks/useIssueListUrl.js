@@ -0,0 +1,106 @@
+// ========================================
+// ISSUE LIST URL HOOK
+// ========================================
+// Keeps the dashboard's workspace, project, filters, sort and page in the query string:
+// the list is set up from the URL on load and on back/forward, and every change to the
+// list adds a history entry, so refreshing or sharing the link shows the same issues
+// Returns { openedWithList }: whether the dashboard was opened with a list in the URL
+
+import { useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { setListState } from '../redux/slices/issuesSlice';
+import { setCurrentWorkspace } from '../redux/slices/workspacesSlice';
+import { setCurrentProject } from '../redux/slices/projectsSlice';
+import { hasListParams, readListParams, toListParams } from '../utils/issueListUrl';
+
+const useIssueListUrl = () => {
+  const dispatch = useDispatch();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const { filters, sort, listMode, pagination } = useSelector((state) => state.issues);
+  const { workspaces, currentWorkspaceId } = useSelector((state) => state.workspaces);
+  const { currentProjectId } = useSelector((state) => state.projects);
+
+  // The list as a query string (scroll mode has no pages)
+  const stateQuery = toListParams({
+    filters,
+    sort,
+    page: listMode === 'scroll' ? 1 : pagination.currentPage,
+    workspaceId: currentWorkspaceId,
+    projectId: currentProjectId
+  }).toString();
+
+  // Whether the dashboard was opened with a list in the URL, e.g. from a shared link
+  const openedWithList = useRef(hasListParams(searchParams));
+
+  // Query string the list and the URL last agreed on (null until the first sync)
+  const syncedQuery = useRef(null);
+  // List state from before setting it up from the URL, while that update is still on its way
+  const staleQuery = useRef(null);
+
+  // URL -> list: on load and whenever the URL changes (back/forward, links)
+  // Reads the list state of the same render on purpose, so it only runs for URL changes
+  useEffect(() => {
+    const urlState = readListParams(searchParams);
+    const urlQuery = toListParams(urlState).toString();
+
+    // Our own update, or already applied
+    if (urlQuery === syncedQuery.current) {
+      return;
+    }
+
+    // Opened without list parameters (e.g. from another page): keep the list as it is,
+    // the effect below writes it to the URL
+    if (syncedQuery.current === null && !hasListParams(searchParams)) {
+      return;
+    }
+
+    syncedQuery.current = urlQuery;
+
+    if (urlQuery === stateQuery) {
+      return;
+    }
+
+    staleQuery.current = stateQuery;
+
+    // Only switch to a workspace the user belongs to (before workspaces load, fetching them checks it)
+    const { workspaceId, projectId } = urlState;
+    const switchWorkspace = workspaceId && workspaceId !== currentWorkspaceId &&
+      (workspaces.length === 0 || workspaces.some((workspace) => workspace.id === workspaceId));
+
+    if (switchWorkspace) {
+      dispatch(setCurrentWorkspace(workspaceId));
+    }
+
+    // Switching workspace selects all projects
+    if (projectId !== (switchWorkspace ? null : currentProjectId)) {
+      dispatch(setCurrentProject(projectId));
+    }
+
+    dispatch(setListState(urlState));
+  }, [dispatch, searchParams]);
+
+  // List -> URL: each change becomes a history entry; the first write replaces the entry
+  // the dashboard was opened with
+  useEffect(() => {
+    // The list has not been set up from the URL yet
+    if (stateQuery === staleQuery.current) {
+      return;
+    }
+
+    staleQuery.current = null;
+
+    if (stateQuery === syncedQuery.current) {
+      return;
+    }
+
+    const isFirstSync = syncedQuery.current === null;
+    syncedQuery.current = stateQuery;
+    setSearchParams(new URLSearchParams(stateQuery), { replace: isFirstSync });
+  }, [stateQuery, setSearchParams]);
+
+  return { openedWithList: openedWithList.current };
+};
+
+export default useIssueListUrl;
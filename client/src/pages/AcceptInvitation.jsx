@@ -0,0 +1,109 @@
+// ========================================
+// ACCEPT INVITATION PAGE
+// ========================================
+// Landing page for workspace invitation links (/invitations/:token)
+
+import { useEffect } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import './AcceptInvitation.css';
+import {
+  fetchWorkspaces,
+  fetchInvitationPreview,
+  acceptInvitation
+} from '../redux/slices/workspacesSlice';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import Loader from '../components/common/Loader';
+
+const AcceptInvitation = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+
+  // Get state from Redux
+  const { isAuthenticated, user } = useSelector((state) => state.auth);
+  const { invitationPreview, loading, actionLoading, error } = useSelector(
+    (state) => state.workspaces
+  );
+
+  // Remember the invitation while the user logs in or registers,
+  // otherwise load it so the user can review it before joining
+  useEffect(() => {
+    if (!isAuthenticated) {
+      localStorage.setItem('pendingInvitation', token);
+      return;
+    }
+
+    localStorage.removeItem('pendingInvitation');
+    dispatch(fetchInvitationPreview(token));
+  }, [dispatch, isAuthenticated, token]);
+
+  // Handle accept
+  const handleAccept = async () => {
+    const result = await dispatch(acceptInvitation(token));
+
+    if (acceptInvitation.fulfilled.match(result)) {
+      dispatch(fetchWorkspaces());
+      localStorage.setItem('successMessage', `You have joined ${result.payload.name}!`);
+      navigate('/dashboard');
+    }
+  };
+
+  if (!isAuthenticated) {
+    return (
+      <div className="invitationContainer">
+        <Card className="invitationCard">
+          <h1 className="invitationTitle">You've been invited</h1>
+          <p className="invitationText">
+            Log in or create an account with the invited email address to join the workspace.
+          </p>
+          <div className="invitationActions">
+            <Link to="/login"><Button variant="primary">Log In</Button></Link>
+            <Link to="/register"><Button variant="outline">Create Account</Button></Link>
+          </div>
+        </Card>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return <Loader fullScreen text="Loading invitation..." />;
+  }
+
+  return (
+    <div className="invitationContainer">
+      <Card className="invitationCard">
+        {error && <div className="errorAlert">{error}</div>}
+
+        {invitationPreview && (
+          <>
+            <h1 className="invitationTitle">Join {invitationPreview.workspace.name}</h1>
+            <p className="invitationText">
+              {invitationPreview.invitedBy?.name || invitationPreview.invitedBy?.email || 'A teammate'} invited{' '}
+              <strong>{invitationPreview.email}</strong> to join as {invitationPreview.role}.
+            </p>
+            {user && user.email.toLowerCase() !== invitationPreview.email.toLowerCase() && (
+              <p className="invitationWarning">
+                You are logged in as {user.email}. Log in with the invited email to accept.
+              </p>
+            )}
+          </>
+        )}
+
+        <div className="invitationActions">
+          <Button variant="ghost" onClick={() => navigate('/dashboard')} disabled={actionLoading}>
+            Not now
+          </Button>
+          {invitationPreview && (
+            <Button variant="primary" onClick={handleAccept} disabled={actionLoading}>
+              {actionLoading ? 'Joining...' : 'Accept Invitation'}
+            </Button>
+          )}
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+export default AcceptInvitation;
@@ -0,0 +1,319 @@
+// ========================================
+// BOARD PAGE
+// ========================================
+// Kanban board with one column per workflow status: drag a card to another column to
+// change its status, or within a column to reorder it (when a project is selected)
+
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import './Board.css';
+import {
+  fetchIssues,
+  fetchIssueStats,
+  updateIssue,
+  moveIssue,
+  clearError
+} from '../redux/slices/issuesSlice';
+import { fetchWorkflow } from '../redux/slices/workflowSlice';
+import Button from '../components/common/Button';
+import Badge from '../components/common/Badge';
+import Loader from '../components/common/Loader';
+import IssueFilters from '../components/issues/IssueFilters';
+import { formatDueDate, isOverdue } from '../utils/dueDate';
+
+// Most issues loaded onto the board at once; narrower filters show the rest
+const BOARD_LIMIT = 200;
+
+const Board = () => {
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+
+  // Get state from Redux
+  const { board, filters, stats, loading, error } = useSelector((state) => state.issues);
+  const { workspaces, currentWorkspaceId } = useSelector((state) => state.workspaces);
+  const { currentProjectId } = useSelector((state) => state.projects);
+  const workflow = useSelector((state) => state.workflow);
+
+  // Moving cards changes issues, so it needs issue:update in the selected workspace
+  const currentWorkspace = workspaces.find((workspace) => workspace.id === currentWorkspaceId);
+  const canUpdate = Boolean(currentWorkspace?.permissions.includes('issue:update'));
+
+  // Card being dragged, and where it would land: { status, beforeId } / { status, afterId } / { status }
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  // Fetch the board's issues (in board order) when workspace, project or filters change
+  useEffect(() => {
+    dispatch(fetchIssues({
+      workspaceId: currentWorkspaceId,
+      projectId: currentProjectId,
+      ...filters,
+      page: 1,
+      limit: BOARD_LIMIT,
+      sort: 'board',
+      view: 'board'
+    }));
+  }, [dispatch, currentWorkspaceId, currentProjectId, filters]);
+
+  // Fetch the statuses shown as columns
+  useEffect(() => {
+    dispatch(fetchIssueStats({ workspaceId: currentWorkspaceId, projectId: currentProjectId }));
+  }, [dispatch, currentWorkspaceId, currentProjectId]);
+
+  // Fetch the project's transitions so cards can only be dropped where the workflow allows
+  useEffect(() => {
+    if (currentProjectId) {
+      dispatch(fetchWorkflow(currentProjectId));
+    }
+  }, [dispatch, currentProjectId]);
+
+  const getColumnIssues = (status) => board.issues.filter((issue) => issue.status === status);
+
+  // Whether an issue may be dropped into a column
+  // Reordering within a column needs a project, since positions are kept per project
+  // Across projects the server still checks each issue's own workflow
+  const canDrop = (issue, status) => {
+    if (!canUpdate || !issue) {
+      return false;
+    }
+
+    if (status === issue.status) {
+      return Boolean(currentProjectId);
+    }
+
+    if (currentProjectId && workflow.projectId === currentProjectId) {
+      const fromStatus = workflow.statuses.find((item) => item.key === issue.status);
+      return Boolean(fromStatus?.transitions.includes(status));
+    }
+
+    return true;
+  };
+
+  const draggedIssue = board.issues.find((issue) => issue.id === draggedId);
+
+  const handleDragStart = (e, issue) => {
+    dispatch(clearError());
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', issue.id.toString());
+    setDraggedId(issue.id);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+
+  // Hovering a card: land before it in its top half, after it in its bottom half
+  // (without a project the column handles the drop, since cards land at the top anyway)
+  const handleCardDragOver = (e, issue) => {
+    if (!currentProjectId || !canDrop(draggedIssue, issue.status) || issue.id === draggedId) {
+      return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const isTopHalf = e.clientY < rect.top + rect.height / 2;
+    const target = isTopHalf
+      ? { status: issue.status, beforeId: issue.id }
+      : { status: issue.status, afterId: issue.id };
+
+    if (target.beforeId !== dropTarget?.beforeId || target.afterId !== dropTarget?.afterId) {
+      setDropTarget(target);
+    }
+  };
+
+  // Hovering the empty part of a column: land at its end
+  const handleColumnDragOver = (e, status) => {
+    if (!canDrop(draggedIssue, status)) {
+      return;
+    }
+
+    e.preventDefault();
+
+    if (dropTarget?.status !== status || dropTarget.beforeId || dropTarget.afterId) {
+      setDropTarget({ status });
+    }
+  };
+
+  // Where a dropped card lands among the column's other cards
+  // Without a project only the status changes, and the server puts the card at the top
+  const getPlacement = (target, issue) => {
+    if (!currentProjectId) {
+      return {};
+    }
+
+    if (target.beforeId || target.afterId) {
+      return target.beforeId ? { beforeId: target.beforeId } : { afterId: target.afterId };
+    }
+
+    const others = getColumnIssues(target.status).filter((item) => item.id !== issue.id);
+    return others.length > 0 ? { afterId: others[others.length - 1].id } : {};
+  };
+
+  const handleDrop = async (e, status) => {
+    e.preventDefault();
+
+    const issue = draggedIssue;
+    const target = dropTarget?.status === status ? dropTarget : { status };
+    handleDragEnd();
+
+    if (!canDrop(issue, status)) {
+      return;
+    }
+
+    const placement = getPlacement(target, issue);
+    const others = getColumnIssues(status).filter((item) => item.id !== issue.id);
+
+    if (status !== issue.status) {
+      const result = await dispatch(updateIssue({
+        id: issue.id,
+        data: { status },
+        optimistic: true,
+        placement
+      }));
+
+      // The server puts moved issues at the top of their new column; save any other position
+      const landsOnTop = !placement.afterId && (!placement.beforeId || placement.beforeId === others[0]?.id);
+      if (updateIssue.fulfilled.match(result) && !landsOnTop) {
+        dispatch(moveIssue({ id: issue.id, ...placement }));
+      }
+      return;
+    }
+
+    // Reorder within the column, unless the card was dropped where it already was
+    const column = getColumnIssues(status);
+    const index = column.findIndex((item) => item.id === issue.id);
+    const unchanged = (placement.beforeId && placement.beforeId === column[index + 1]?.id) ||
+      (placement.afterId && placement.afterId === column[index - 1]?.id);
+
+    if ((placement.beforeId || placement.afterId) && !unchanged) {
+      dispatch(moveIssue({ id: issue.id, ...placement }));
+    }
+  };
+
+  // Drop indicator shown above or below the hovered card
+  const getCardClassName = (issue) => {
+    const classes = ['boardCard'];
+
+    if (issue.id === draggedId) classes.push('boardCard-dragging');
+    if (dropTarget?.beforeId === issue.id) classes.push('boardCard-dropBefore');
+    if (dropTarget?.afterId === issue.id) classes.push('boardCard-dropAfter');
+
+    return classes.join(' ');
+  };
+
+  const getColumnClassName = (status) => {
+    if (!draggedIssue) {
+      return 'boardColumn';
+    }
+
+    return canDrop(draggedIssue, status)
+      ? `boardColumn boardColumn-droppable${dropTarget?.status === status ? ' boardColumn-over' : ''}`
+      : 'boardColumn boardColumn-blocked';
+  };
+
+  return (
+    <div className="boardContainer">
+      <div className="header">
+        <h1 className="title">Board</h1>
+        <Button variant="ghost" size="small" onClick={() => navigate('/dashboard')}>
+          List view
+        </Button>
+      </div>
+
+      {/* Same filters as the issue list */}
+      <IssueFilters
+        statuses={stats.statuses}
+        summary={(
+          <div className="boardSummary">
+            {board.totalCount > board.issues.length
+              ? `Showing ${board.issues.length} of ${board.totalCount} issues - narrow the filters to see the rest`
+              : `${board.totalCount} ${board.totalCount === 1 ? 'issue' : 'issues'}`}
+          </div>
+        )}
+      />
+
+      {error && <div className="errorAlert">{error}</div>}
+
+      {canUpdate && !currentProjectId && (
+        <p className="boardHint">Select a project to reorder cards within a column.</p>
+      )}
+
+      {loading && board.issues.length === 0 ? (
+        <Loader text="Loading board..." />
+      ) : (
+        <div className="boardColumns">
+          {stats.statuses.map((status) => {
+            const columnIssues = getColumnIssues(status.key);
+
+            return (
+              <section
+                key={status.key}
+                className={getColumnClassName(status.key)}
+                onDragOver={(e) => handleColumnDragOver(e, status.key)}
+                onDrop={(e) => handleDrop(e, status.key)}
+              >
+                <div className="boardColumnHeader" style={{ borderTopColor: status.color }}>
+                  <span className="boardColumnName">{status.name}</span>
+                  <span className="boardColumnCount">{columnIssues.length}</span>
+                </div>
+
+                <div className="boardCards">
+                  {columnIssues.map((issue) => (
+                    <article
+                      key={issue.id}
+                      className={getCardClassName(issue)}
+                      draggable={canUpdate}
+                      onDragStart={(e) => handleDragStart(e, issue)}
+                      onDragEnd={handleDragEnd}
+                      onDragOver={(e) => handleCardDragOver(e, issue)}
+                      onClick={() => navigate(`/issues/${issue.id}`)}
+                    >
+                      <div className="boardCardTitle">
+                        <span className="boardCardId">#{issue.id}</span> {issue.title}
+                      </div>
+
+                      {issue.labels?.length > 0 && (
+                        <div className="boardCardLabels">
+                          {issue.labels.map((label) => (
+                            <Badge key={label.id} color={label.color}>{label.name}</Badge>
+                          ))}
+                        </div>
+                      )}
+
+                      <div className="boardCardFooter">
+                        <Badge variant={issue.priority}>{issue.priority}</Badge>
+                        {issue.storyPoints !== null && <span>{issue.storyPoints} pts</span>}
+                        {issue.dueDate && (
+                          <span className={isOverdue(issue, stats.statuses) ? 'boardCardDue-overdue' : undefined}>
+                            Due {formatDueDate(issue.dueDate)}
+                          </span>
+                        )}
+                        {issue.assignee && (
+                          <span className="boardCardAssignee">{issue.assignee.name || issue.assignee.email}</span>
+                        )}
+                      </div>
+
+                      {!currentProjectId && issue.project && (
+                        <div className="boardCardProject">{issue.project.name}</div>
+                      )}
+                    </article>
+                  ))}
+
+                  {columnIssues.length === 0 && (
+                    <p className="boardColumnEmpty">No issues</p>
+                  )}
+                </div>
+              </section>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Board;
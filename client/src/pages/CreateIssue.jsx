@@ -3,15 +3,23 @@
 // ========================================
 // Form to create a new issue
 
-import { useState } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import './CreateIssue.css';
 import { createIssue } from '../redux/slices/issuesSlice';
+import { fetchMembers } from '../redux/slices/workspacesSlice';
+import { fetchLabels } from '../redux/slices/labelsSlice';
+import { fetchWorkflow } from '../redux/slices/workflowSlice';
+import { fetchMilestones } from '../redux/slices/milestonesSlice';
+import { uploadAttachments } from '../redux/slices/attachmentsSlice';
 import Card from '../components/common/Card';
 import Button from '../components/common/Button';
 import Input from '../components/common/Input';
 import Select from '../components/common/Select';
+import LabelPicker from '../components/issues/LabelPicker';
+import AttachmentDropzone from '../components/issues/AttachmentDropzone';
+import { MAX_FILES_PER_UPLOAD, validateFiles, formatFileSize } from '../utils/attachments';
 
 const CreateIssue = () => {
   const navigate = useNavigate();
@@ -19,17 +27,41 @@ const CreateIssue = () => {
 
   // Get loading and error state from Redux
   const { actionLoading, error } = useSelector((state) => state.issues);
+  const { uploading } = useSelector((state) => state.attachments);
+
+  // Projects the issue can be filed under (defaults to the selected project)
+  const { projects, currentProjectId } = useSelector((state) => state.projects);
+
+  // Members of the selected workspace who can be assigned the issue
+  const { currentWorkspaceId, members } = useSelector((state) => state.workspaces);
+  const { labels } = useSelector((state) => state.labels);
+
+  // Statuses of the selected project's workflow
+  const workflow = useSelector((state) => state.workflow);
+
+  // Milestones of the selected project
+  const milestonesState = useSelector((state) => state.milestones);
 
   // Form state
   const [formData, setFormData] = useState({
+    projectId: currentProjectId ? currentProjectId.toString() : '',
     title: '',
     description: '',
-    status: 'Open',
+    status: '', // Set to the project's first status once its workflow loads
     priority: 'Medium',
-    severity: 'Medium'
+    severity: 'Medium',
+    assigneeId: '',
+    dueDate: '',
+    storyPoints: '',
+    milestoneId: '',
+    labelIds: []
   });
 
   const [formErrors, setFormErrors] = useState({});
+
+  // Files staged for upload once the issue exists
+  const [files, setFiles] = useState([]);
+  const [fileErrors, setFileErrors] = useState([]);
   const [successMessage, setSuccessMessage] = useState('');
 
   // Handle input changes
@@ -38,7 +70,9 @@ const CreateIssue = () => {
 
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: value,
+      // Milestones belong to a project, so a new project drops the choice
+      ...(name === 'projectId' && { milestoneId: '' })
     }));
 
     // Clear field error when user starts typing
@@ -55,10 +89,52 @@ const CreateIssue = () => {
     }
   };
 
+  // Load assignable members and labels for the selected workspace
+  useEffect(() => {
+    if (currentWorkspaceId) {
+      dispatch(fetchMembers(currentWorkspaceId));
+      dispatch(fetchLabels(currentWorkspaceId));
+    }
+  }, [dispatch, currentWorkspaceId]);
+
+  // Default to the first project once projects are loaded
+  useEffect(() => {
+    if (!formData.projectId && projects.length > 0) {
+      setFormData(prev => ({ ...prev, projectId: projects[0].id.toString() }));
+    }
+  }, [projects, formData.projectId]);
+
+  // Load the workflow of the selected project for the status options
+  useEffect(() => {
+    if (formData.projectId) {
+      dispatch(fetchWorkflow(parseInt(formData.projectId)));
+      dispatch(fetchMilestones(parseInt(formData.projectId)));
+    }
+  }, [dispatch, formData.projectId]);
+
+  // Only open milestones can be targeted
+  const openMilestones = milestonesState.projectId === parseInt(formData.projectId)
+    ? milestonesState.milestones.filter((milestone) => milestone.state === 'Open')
+    : [];
+
+  // Start new issues in the project's first status (keep the choice if the project also has it)
+  const statuses = workflow.projectId === parseInt(formData.projectId) ? workflow.statuses : [];
+
+  useEffect(() => {
+    if (statuses.length > 0 && !statuses.some((status) => status.key === formData.status)) {
+      setFormData(prev => ({ ...prev, status: statuses[0].key }));
+    }
+  }, [statuses, formData.status]);
+
   // Validate form
   const validateForm = () => {
     const errors = {};
 
+    // Project validation
+    if (!formData.projectId) {
+      errors.projectId = 'Project is required';
+    }
+
     // Title validation
     if (!formData.title.trim()) {
       errors.title = 'Title is required';
@@ -77,10 +153,25 @@ const CreateIssue = () => {
       errors.description = 'Description must not exceed 5000 characters';
     }
 
+    if (formData.storyPoints !== '' && !/^\d+$/.test(formData.storyPoints)) {
+      errors.storyPoints = 'Story points must be a whole number';
+    }
+
     setFormErrors(errors);
     return Object.keys(errors).length === 0;
   };
 
+  // Stage dropped, picked or pasted files, skipping ones the API would reject
+  const handleFiles = useCallback((newFiles) => {
+    const { valid, errors } = validateFiles(newFiles);
+    setFileErrors(errors);
+    setFiles(prev => [...prev, ...valid]);
+  }, []);
+
+  const handleRemoveFile = (index) => {
+    setFiles(prev => prev.filter((_, i) => i !== index));
+  };
+
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -91,12 +182,34 @@ const CreateIssue = () => {
     }
 
     // Dispatch create issue action
-    const result = await dispatch(createIssue(formData));
+    const result = await dispatch(createIssue({
+      ...formData,
+      projectId: parseInt(formData.projectId),
+      assigneeId: formData.assigneeId ? parseInt(formData.assigneeId) : null,
+      dueDate: formData.dueDate || null,
+      storyPoints: formData.storyPoints !== '' ? parseInt(formData.storyPoints) : null,
+      milestoneId: formData.milestoneId ? parseInt(formData.milestoneId) : null
+    }));
 
     // Check if creation was successful
     if (createIssue.fulfilled.match(result)) {
+      // Attach staged files to the new issue, a batch at a time
+      let filesAttached = true;
+      for (let i = 0; i < files.length; i += MAX_FILES_PER_UPLOAD) {
+        const upload = await dispatch(uploadAttachments({
+          issueId: result.payload.id,
+          files: files.slice(i, i + MAX_FILES_PER_UPLOAD)
+        }));
+        filesAttached = filesAttached && uploadAttachments.fulfilled.match(upload);
+      }
+
       // Store success message in localStorage to show on dashboard
-      localStorage.setItem('successMessage', 'Issue created successfully!');
+      localStorage.setItem(
+        'successMessage',
+        filesAttached
+          ? 'Issue created successfully!'
+          : 'Issue created, but some files could not be attached. Add them from the issue page.'
+      );
 
       // Redirect to dashboard
       navigate('/dashboard');
@@ -122,6 +235,21 @@ const CreateIssue = () => {
         {successMessage && <div className="successAlert">{successMessage}</div>}
 
         <form className="form" onSubmit={handleSubmit}>
+          {/* Project select */}
+          <Select
+            label="Project"
+            name="projectId"
+            value={formData.projectId}
+            onChange={handleChange}
+            options={projects.map((project) => ({
+              value: project.id.toString(),
+              label: project.name
+            }))}
+            placeholder="Select a project"
+            error={formErrors.projectId}
+            required
+          />
+
           {/* Title input */}
           <Input
             label="Title"
@@ -156,12 +284,8 @@ const CreateIssue = () => {
               name="status"
               value={formData.status}
               onChange={handleChange}
-              options={[
-                { value: 'Open', label: 'Open' },
-                { value: 'InProgress', label: 'In Progress' },
-                { value: 'Resolved', label: 'Resolved' },
-                { value: 'Closed', label: 'Closed' }
-              ]}
+              options={statuses.map((status) => ({ value: status.key, label: status.name }))}
+              placeholder={workflow.loading ? 'Loading statuses...' : 'Select a status'}
               required
             />
 
@@ -196,13 +320,96 @@ const CreateIssue = () => {
             />
           </div>
 
+          {/* Assignee select */}
+          <Select
+            label="Assignee"
+            name="assigneeId"
+            value={formData.assigneeId}
+            onChange={handleChange}
+            options={members.map((member) => ({
+              value: member.userId.toString(),
+              label: member.user.name || member.user.email
+            }))}
+            placeholder="Unassigned"
+          />
+
+          {/* Optional due date */}
+          <Input
+            label="Due Date"
+            type="date"
+            name="dueDate"
+            value={formData.dueDate}
+            onChange={handleChange}
+          />
+
+          {/* Optional story point estimate */}
+          <Input
+            label="Story Points"
+            type="number"
+            name="storyPoints"
+            value={formData.storyPoints}
+            onChange={handleChange}
+            error={formErrors.storyPoints}
+            min={0}
+            max={100}
+            placeholder="Not estimated"
+          />
+
+          {/* Optional milestone */}
+          <Select
+            label="Milestone"
+            name="milestoneId"
+            value={formData.milestoneId}
+            onChange={handleChange}
+            options={openMilestones.map((milestone) => ({
+              value: milestone.id.toString(),
+              label: milestone.name
+            }))}
+            placeholder="No milestone"
+          />
+
+          {/* Labels multiselect */}
+          <LabelPicker
+            label="Labels"
+            labels={labels}
+            selectedIds={formData.labelIds}
+            onChange={(labelIds) => setFormData(prev => ({ ...prev, labelIds }))}
+          />
+
+          {/* Attachments, uploaded after the issue is created */}
+          <div className="createIssueAttachments">
+            <span className="label">Attachments</span>
+            {fileErrors.map((message) => (
+              <div key={message} className="errorAlert">{message}</div>
+            ))}
+            {files.length > 0 && (
+              <ul className="stagedFileList">
+                {files.map((file, index) => (
+                  <li key={`${file.name}-${index}`} className="stagedFile">
+                    <span className="stagedFileName">{file.name}</span>
+                    <span className="stagedFileSize">{formatFileSize(file.size)}</span>
+                    <button
+                      type="button"
+                      className="stagedFileRemove"
+                      onClick={() => handleRemoveFile(index)}
+                      disabled={actionLoading || uploading}
+                    >
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <AttachmentDropzone onFiles={handleFiles} disabled={actionLoading || uploading} />
+          </div>
+
           {/* Action buttons */}
           <div className="createIssueButtonGroup">
             <Button
               type="button"
               variant="ghost"
               onClick={handleCancel}
-              disabled={actionLoading}
+              disabled={actionLoading || uploading}
             >
               Cancel
             </Button>
@@ -210,9 +417,9 @@ const CreateIssue = () => {
             <Button
               type="submit"
               variant="primary"
-              disabled={actionLoading}
+              disabled={actionLoading || uploading}
             >
-              {actionLoading ? 'Creating...' : 'Create Issue'}
+              {actionLoading ? 'Creating...' : uploading ? 'Uploading files...' : 'Create Issue'}
             </Button>
           </div>
         </form>
@@ -3,25 +3,45 @@
 // ========================================
 // Main page showing issue statistics, list, search, filters, and pagination
 
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import './Dashboard.css';
 import {
   fetchIssues,
   fetchIssueStats,
-  setFilters,
-  clearFilters,
-  setPage
+  exportIssues,
+  applyView,
+  setListMode,
+  setPage,
+  toggleIssueSelected
 } from '../redux/slices/issuesSlice';
+import { setCurrentProject } from '../redux/slices/projectsSlice';
+import {
+  fetchViews,
+  fetchViewCounts,
+  setActiveView,
+  markDefaultApplied
+} from '../redux/slices/savedViewsSlice';
 import Card from '../components/common/Card';
 import Button from '../components/common/Button';
-import Input from '../components/common/Input';
-import Select from '../components/common/Select';
 import Badge from '../components/common/Badge';
 import Loader from '../components/common/Loader';
+import IssueFilters from '../components/issues/IssueFilters';
+import IssueSort from '../components/issues/IssueSort';
+import IssueColumns from '../components/issues/IssueColumns';
+import ViewsSidebar from '../components/issues/ViewsSidebar';
+import BulkActionBar from '../components/issues/BulkActionBar';
+import StatusBadge from '../components/issues/StatusBadge';
+import useIssueListUrl from '../hooks/useIssueListUrl';
+import { formatDueDate, isOverdue } from '../utils/dueDate';
+import { EXPORT_FORMATS, getExportColumns } from '../utils/issueExport';
+import { toSortParam, withoutRelevance } from '../utils/issueSort';
 import IosShareRoundedIcon from '@mui/icons-material/IosShareRounded';
 
+// Issues loaded per chunk in infinite scroll mode
+const SCROLL_CHUNK_SIZE = 25;
+
 // Custom hook for count-up animation
 const useCountUp = (end, duration = 1000) => {
   const [count, setCount] = useState(0);
@@ -60,11 +80,16 @@ const useCountUp = (end, duration = 1000) => {
 };
 
 // StatCard component with count-up animation
-const StatCard = ({ value, label, isLoading }) => {
+// Cards with onClick (pinned saved views) open what they count
+const StatCard = ({ value, label, color, isLoading, onClick }) => {
   const animatedValue = useCountUp(value);
 
   return (
-    <Card className="statCard">
+    <Card
+      className={onClick ? 'statCard statCard-view' : 'statCard'}
+      style={color ? { borderTopColor: color } : undefined}
+      onClick={onClick}
+    >
       <div className="statValue">
         {isLoading ? '...' : animatedValue}
       </div>
@@ -78,41 +103,138 @@ const Dashboard = () => {
   const dispatch = useDispatch();
 
   // Get state from Redux
-  const { issues, pagination, filters, stats, loading, statsLoading } = useSelector(
-    (state) => state.issues
+  const {
+    issues, listMode, pagination, filters, sort, columns, selectedIds, stats, loading, loadingMore, statsLoading, exporting, error
+  } = useSelector((state) => state.issues);
+  const isScrollMode = listMode === 'scroll';
+  const showColumn = (column) => columns.includes(column);
+
+  // Saved views of the workspace, and the counts of the ones pinned next to the stat cards
+  const { views, viewsWorkspaceId, defaultViewId, defaultAppliedFor, counts: viewCounts } = useSelector(
+    (state) => state.savedViews
+  );
+
+  // Selected workspace and project from the navbar switchers (null project = all projects)
+  const { workspaces, currentWorkspaceId } = useSelector((state) => state.workspaces);
+  const { currentProjectId } = useSelector((state) => state.projects);
+  const currentWorkspace = workspaces.find((workspace) => workspace.id === currentWorkspaceId);
+  const canCreateIssue = Boolean(currentWorkspace?.permissions.includes('issue:create'));
+  const canBulkEdit = Boolean(
+    currentWorkspace?.permissions.includes('issue:update') || currentWorkspace?.permissions.includes('issue:delete')
   );
 
-  // Local state for search input (to implement debouncing)
-  const [searchInput, setSearchInput] = useState(filters.search || '');
+  // Labels and milestones named in the result count (loaded by IssueFilters)
+  const { labels } = useSelector((state) => state.labels);
+  const { milestones } = useSelector((state) => state.milestones);
 
   // Local state for success notification
   const [successNotification, setSuccessNotification] = useState('');
   const [isNotificationClosing, setIsNotificationClosing] = useState(false);
 
-  // Debounce search input
-  useEffect(() => {
-    const timer = setTimeout(() => {
-      if (searchInput !== filters.search) {
-        dispatch(setFilters({ search: searchInput }));
-      }
-    }, 500);
+  // Keep the list in the URL so it survives a refresh and can be shared
+  const { openedWithList } = useIssueListUrl();
+
+  // Bumped to fetch the list again, e.g. after a bulk action changed issues in it
+  const [listVersion, setListVersion] = useState(0);
 
-    return () => clearTimeout(timer);
-  }, [searchInput, filters.search, dispatch]);
+  // Scroll mode always starts from the first chunk; later chunks are appended by loadMoreIssues
+  const page = isScrollMode ? null : pagination.currentPage;
+  const pageLimit = isScrollMode ? SCROLL_CHUNK_SIZE : pagination.limit;
 
-  // Fetch issues when filters or page changes
+  // Fetch issues when workspace, project, filters, sort, page or list mode changes
   useEffect(() => {
     dispatch(fetchIssues({
-      page: pagination.currentPage,
-      limit: pagination.limit,
-      ...filters
+      workspaceId: currentWorkspaceId,
+      projectId: currentProjectId,
+      ...(page === null ? { after: '' } : { page }),
+      limit: pageLimit,
+      ...filters,
+      sort: toSortParam(sort)
     }));
-  }, [dispatch, pagination.currentPage, pagination.limit, filters]);
+  }, [dispatch, currentWorkspaceId, currentProjectId, page, pageLimit, filters, sort, listVersion]);
+
+  // Infinite scroll: load the next chunk when the end of the list comes into view
+  const loadMoreRef = useRef(null);
+
+  const loadMoreIssues = () => {
+    dispatch(fetchIssues({
+      workspaceId: currentWorkspaceId,
+      projectId: currentProjectId,
+      after: pagination.nextCursor,
+      limit: SCROLL_CHUNK_SIZE,
+      ...filters,
+      sort: toSortParam(sort),
+      append: true
+    }));
+  };
+
+  // Runs after every render so the observer always continues from the latest cursor
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+
+    if (!isScrollMode || !sentinel || !pagination.hasNextPage || loading || loadingMore) {
+      return;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        observer.disconnect();
+        loadMoreIssues();
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  });
+
+  // Fetch statistics on mount and when the workspace or project changes
+  useEffect(() => {
+    dispatch(fetchIssueStats({ workspaceId: currentWorkspaceId, projectId: currentProjectId }));
+  }, [dispatch, currentWorkspaceId, currentProjectId]);
+
+  // Fetch the workspace's saved views and pinned view counts
+  useEffect(() => {
+    if (currentWorkspaceId) {
+      dispatch(fetchViews(currentWorkspaceId));
+      dispatch(fetchViewCounts(currentWorkspaceId));
+    }
+  }, [dispatch, currentWorkspaceId]);
+
+  // Set the list up from a saved view (its project too, or all projects)
+  const handleApplyView = (view) => {
+    if (view.projectId !== currentProjectId) {
+      dispatch(setCurrentProject(view.projectId));
+    }
+    dispatch(applyView(view));
+    dispatch(setActiveView(view.id));
+  };
+
+  // Open the default view the first time a workspace's views load this session,
+  // unless the dashboard was opened with a list in the URL
+  const skipDefaultView = useRef(openedWithList);
 
-  // Fetch statistics on mount
   useEffect(() => {
-    dispatch(fetchIssueStats());
-  }, [dispatch]);
+    if (!currentWorkspaceId || viewsWorkspaceId !== currentWorkspaceId || defaultAppliedFor.includes(currentWorkspaceId)) {
+      return;
+    }
+
+    dispatch(markDefaultApplied(currentWorkspaceId));
+    const defaultView = views.find((view) => view.id === defaultViewId);
+    const skipDefault = skipDefaultView.current;
+    skipDefaultView.current = false;
+
+    if (defaultView && !skipDefault) {
+      handleApplyView(defaultView);
+    }
+  });
+
+  // Resume an invitation link that was opened before logging in
+  useEffect(() => {
+    const pendingInvitation = localStorage.getItem('pendingInvitation');
+    if (pendingInvitation) {
+      navigate(`/invitations/${pendingInvitation}`);
+    }
+  }, [navigate]);
 
   // Check for success notification from localStorage
   useEffect(() => {
@@ -144,16 +266,17 @@ const Dashboard = () => {
     }
   }, [successNotification]);
 
-  // Handle filter changes
-  const handleFilterChange = (e) => {
-    const { name, value } = e.target;
-    dispatch(setFilters({ [name]: value }));
-  };
+  // After a bulk action: reload the list and every count it may have changed
+  const handleBulkDone = (result) => {
+    if (result.changedCount > 0) {
+      setSuccessNotification(result.message);
+    }
 
-  // Handle clear filters
-  const handleClearFilters = () => {
-    setSearchInput('');
-    dispatch(clearFilters());
+    setListVersion((version) => version + 1);
+    dispatch(fetchIssueStats({ workspaceId: currentWorkspaceId, projectId: currentProjectId }));
+    if (currentWorkspaceId) {
+      dispatch(fetchViewCounts(currentWorkspaceId));
+    }
   };
 
   // Handle page change
@@ -172,67 +295,30 @@ const Dashboard = () => {
     navigate('/issues/create');
   };
 
-  // Export issues to CSV
-  const handleExportCSV = async () => {
+  // Copy a link to the list as it is set up now (the URL always holds it)
+  const handleCopyLink = async () => {
+    const link = window.location.href;
+
     try {
-      // Fetch all issues matching current filters
-      const result = await dispatch(fetchIssues({
-        page: 1,
-        limit: 10000,
-        ...filters
-      })).unwrap();
-
-      const allIssues = result.issues || [];
-
-      const headers = ['ID', 'Title', 'Description', 'Status', 'Priority', 'Severity', 'Created At'];
-      const rows = allIssues.map(issue => [
-        issue.id,
-        `"${issue.title}"`,
-        `"${issue.description}"`,
-        issue.status,
-        issue.priority,
-        issue.severity,
-        new Date(issue.createdAt).toLocaleString()
-      ]);
-
-      const csvContent = [
-        headers.join(','),
-        ...rows.map(row => row.join(','))
-      ].join('\n');
-
-      const blob = new Blob([csvContent], { type: 'text/csv' });
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `issues-${new Date().toISOString().split('T')[0]}.csv`;
-      link.click();
+      await navigator.clipboard.writeText(link);
+      setSuccessNotification('Link to this view copied');
     } catch (error) {
-      console.error('Failed to export CSV:', error);
+      // Clipboard access denied (e.g. not served over HTTPS): let the user copy it by hand
+      console.error('Failed to copy link:', error);
+      window.prompt('Copy this link to share the view', link);
     }
   };
 
-  // Export issues to JSON
-  const handleExportJSON = async () => {
-    try {
-      // Fetch all issues matching current filters
-      const result = await dispatch(fetchIssues({
-        page: 1,
-        limit: 10000,
-        ...filters
-      })).unwrap();
-
-      const allIssues = result.issues || [];
-
-      const jsonContent = JSON.stringify(allIssues, null, 2);
-      const blob = new Blob([jsonContent], { type: 'application/json' });
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `issues-${new Date().toISOString().split('T')[0]}.json`;
-      link.click();
-    } catch (error) {
-      console.error('Failed to export JSON:', error);
-    }
+  // Download the issues matching the current filters and sort, with the shown details as columns
+  const handleExport = (format) => {
+    dispatch(exportIssues({
+      workspaceId: currentWorkspaceId,
+      projectId: currentProjectId,
+      format,
+      columns: getExportColumns(columns),
+      ...filters,
+      sort: toSortParam(withoutRelevance(sort))
+    }));
   };
 
   // Format date for display
@@ -245,43 +331,46 @@ const Dashboard = () => {
     });
   };
 
-  // Escape special regex characters
-  const escapeRegex = (str) => {
-    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  };
-
-  // Highlight search term in text
-  const highlightText = (text, searchTerm) => {
-    if (!searchTerm || !searchTerm.trim()) {
+  // Highlight search matches in text
+  // ranges are the [start, end) offsets the server found for the query's words and phrases
+  const highlightText = (text, ranges) => {
+    if (!ranges || ranges.length === 0) {
       return text;
     }
 
-    try {
-      const escapedTerm = escapeRegex(searchTerm.trim());
-      const regex = new RegExp(`(${escapedTerm})`, 'gi');
-      const parts = text.split(regex);
-
-      return parts.map((part, index) => {
-        if (regex.test(part)) {
-          // Reset regex lastIndex for next test
-          regex.lastIndex = 0;
-          return <mark key={index}>{part}</mark>;
-        }
-        return part;
-      });
-    } catch (error) {
-      // If regex fails, return original text
-      return text;
-    }
+    const parts = [];
+    let position = 0;
+
+    ranges.forEach(([start, end]) => {
+      parts.push(text.slice(position, start));
+      parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+      position = end;
+    });
+    parts.push(text.slice(position));
+
+    return parts;
   };
 
+  // Excerpt around the first search match, from the description or a matching comment
+  const renderSnippet = (snippet) => (
+    <>
+      {snippet.source === 'comment' && <span className="snippetSource">In a comment: </span>}
+      {snippet.truncatedStart && '… '}
+      {highlightText(snippet.text, snippet.matches)}
+      {snippet.truncatedEnd && ' …'}
+    </>
+  );
+
   // Generate result count text based on active filters
   const getResultCountText = () => {
-    const count = pagination.totalCount;
+    // Scroll mode does not count matches, so show how many are loaded so far
+    const loadedCount = isScrollMode && pagination.hasNextPage ? `${issues.length}+` : issues.length;
+    const count = isScrollMode ? loadedCount : pagination.totalCount;
     const issueWord = count === 1 ? 'Issue' : 'Issues';
 
     // Check if any filters are active
-    const hasFilters = filters.status || filters.priority || filters.severity || filters.search;
+    const hasFilters = filters.status || filters.priority || filters.severity || filters.search ||
+      filters.assignee || filters.labels.length > 0 || filters.overdue || filters.milestone;
 
     if (!hasFilters) {
       return `${count} Total ${issueWord}`;
@@ -298,7 +387,8 @@ const Dashboard = () => {
     }
 
     if (filters.status) {
-      description += ` in ${filters.status} status`;
+      const status = stats.statuses.find((item) => item.key === filters.status);
+      description += ` in ${status ? status.name : filters.status} status`;
       hasAddedFilter = true;
     }
 
@@ -311,6 +401,29 @@ const Dashboard = () => {
       description += hasAddedFilter ? ` and ${filters.severity} severity` : ` with ${filters.severity} severity`;
     }
 
+    if (filters.assignee === 'me') {
+      description += ' assigned to you';
+    }
+
+    if (filters.overdue) {
+      description += ' past their due date';
+    }
+
+    if (filters.labels.length > 0) {
+      const names = labels
+        .filter((label) => filters.labels.includes(label.id))
+        .map((label) => label.name);
+      const joiner = filters.labelMatch === 'all' ? ' and ' : ' or ';
+      description += ` labeled ${names.join(joiner)}`;
+    }
+
+    if (filters.milestone === 'none') {
+      description += ' without a milestone';
+    } else if (filters.milestone) {
+      const milestone = milestones.find((item) => item.id === parseInt(filters.milestone));
+      description += ` in ${milestone ? milestone.name : 'the selected milestone'}`;
+    }
+
     return description;
   };
 
@@ -327,191 +440,258 @@ const Dashboard = () => {
       {/* Header */}
       <div className="header">
         <h1 className="title">Dashboard</h1>
-        <Button variant="primary" onClick={handleCreateIssue}>
-          + Create Issue
-        </Button>
+        <div className="headerButtons">
+          {canCreateIssue && (
+            <Button variant="primary" onClick={handleCreateIssue}>
+              + Create Issue
+            </Button>
+          )}
+          <Button variant="outline" onClick={() => navigate('/board')}>
+            Board view
+          </Button>
+        </div>
 
-        {/* Statistics Cards */}
+        {/* Statistics Cards - one per workflow status */}
         <div className="statsGrid">
+          {stats.statuses.map((status) => (
+            <StatCard
+              key={status.key}
+              value={stats.counts?.[status.key] || 0}
+              label={status.name}
+              color={status.color}
+              isLoading={statsLoading}
+            />
+          ))}
           <StatCard
-            value={stats.counts?.Open || 0}
-            label="Open"
-            isLoading={statsLoading}
-          />
-          <StatCard
-            value={stats.counts?.InProgress || 0}
-            label="In Progress"
-            isLoading={statsLoading}
-          />
-          <StatCard
-            value={stats.counts?.Resolved || 0}
-            label="Resolved"
-            isLoading={statsLoading}
-          />
-          <StatCard
-            value={stats.counts?.Closed || 0}
-            label="Closed"
+            value={stats.overdue || 0}
+            label="Overdue"
+            color="#FF1744"
             isLoading={statsLoading}
           />
+          {/* Pinned saved views */}
+          {viewCounts.map((viewCount) => {
+            const view = views.find((item) => item.id === viewCount.viewId);
+
+            return (
+              <StatCard
+                key={`view-${viewCount.viewId}`}
+                value={viewCount.count ?? 0}
+                label={viewCount.name}
+                color="#7C4DFF"
+                onClick={view ? () => handleApplyView(view) : undefined}
+              />
+            );
+          })}
         </div>
       </div>
 
-      {/* Filters and Search */}
-      <div className="filtersSection">
-        <div className="filtersRow">
-          <div className="filterFields">
-            {/* Search input with debouncing */}
-            <Input
-              placeholder="Search by title or description..."
-              value={searchInput}
-              onChange={(e) => setSearchInput(e.target.value)}
-              showFilledState={true}
-            />
-
-            {/* Status filter */}
-            <Select
-              name="status"
-              value={filters.status}
-              onChange={handleFilterChange}
-              options={['Open', 'InProgress', 'Resolved', 'Closed']}
-              placeholder="All Statuses"
-              showFilledState={true}
-            />
-
-            {/* Priority filter */}
-            <Select
-              name="priority"
-              value={filters.priority}
-              onChange={handleFilterChange}
-              options={['Low', 'Medium', 'High', 'Critical']}
-              placeholder="All Priorities"
-              showFilledState={true}
-            />
+      <div className="dashboardBody">
+        {/* Saved views of the selected workspace */}
+        {currentWorkspaceId && <ViewsSidebar onApply={handleApplyView} />}
+
+        <div className="dashboardMain">
+          {/* Filters and Search, with sorting and the export menu next to the quick filters */}
+          <IssueFilters
+            statuses={stats.statuses}
+            summary={<div className="resultCount">{getResultCountText()}</div>}
+            actions={(
+              <div className="listActions">
+                <IssueSort />
+                <IssueColumns />
+                <Button
+                  variant={isScrollMode ? 'primary' : 'outline'}
+                  size="small"
+                  onClick={() => dispatch(setListMode(isScrollMode ? 'pages' : 'scroll'))}
+                >
+                  Infinite scroll
+                </Button>
+                <Button variant="outline" size="small" onClick={handleCopyLink}>
+                  Copy link
+                </Button>
+                <div className="exportMenu">
+                  <Button
+                    variant="outline"
+                    size="small"
+                    disabled={issues.length === 0 || exporting}
+                  >
+                    <IosShareRoundedIcon style={{ fontSize:'20px'}}/>
+                    {exporting ? 'Exporting...' : 'Export List'}
+                  </Button>
+                  <div className="exportDropdown">
+                    {EXPORT_FORMATS.map((format) => (
+                      <button
+                        key={format.value}
+                        onClick={() => handleExport(format.value)}
+                        className="exportOption"
+                        disabled={exporting}
+                      >
+                        {format.label}
+                      </button>
+                    ))}
+                    <p className="exportHint">Includes the details shown in the list</p>
+                  </div>
+                </div>
+              </div>
+            )}
+          />
 
-            {/* Severity filter */}
-            <Select
-              name="severity"
-              value={filters.severity}
-              onChange={handleFilterChange}
-              options={['Low', 'Medium', 'High', 'Critical']}
-              placeholder="All Severities"
-              showFilledState={true}
-            />
-          </div>
+          {/* Failed fetches, e.g. a search query the server could not parse */}
+          {error && <div className="errorAlert">{error}</div>}
 
-          {/* Clear filters button - only show when filters are active */}
-          {(searchInput || filters.status || filters.priority || filters.severity) && (
-            <Button variant="ghost" onClick={handleClearFilters}>
-              Clear
-            </Button>
-          )}
-        </div>
-
-        <div className="actionsRow">
-          {/* Result count */}
-          <div className="resultCount">
-            {getResultCountText()}
-          </div>
-
-          {/* Export menu */}
-          <div className="exportMenu">
-            <Button
-              variant="outline"
-              size="small"
-              disabled={issues.length === 0}
-            >
-              <IosShareRoundedIcon style={{ fontSize:'20px'}}/>
-              Export List
-            </Button>
-            <div className="exportDropdown">
-              <button onClick={handleExportCSV} className="exportOption">
-                Export as CSV
-              </button>
-              <button onClick={handleExportJSON} className="exportOption">
-                Export as JSON
-              </button>
+          {/* Issues List */}
+          {loading ? (
+            <Loader text="Loading issues..." />
+          ) : issues.length === 0 ? (
+            <div className="emptyState">
+              <h3>No issues found</h3>
+              <p>Try adjusting your filters or create a new issue</p>
             </div>
-          </div>
-        </div>
-      </div>
-
-      {/* Issues List */}
-      {loading ? (
-        <Loader text="Loading issues..." />
-      ) : issues.length === 0 ? (
-        <div className="emptyState">
-          <h3>No issues found</h3>
-          <p>Try adjusting your filters or create a new issue</p>
-        </div>
-      ) : (
-        <>
-          <div className="issuesList">
-            {issues.map((issue) => (
-              <Card key={issue.id} className="issueCard" onClick={() => handleIssueClick(issue.id)}>
-                <div className="issueContent">
-                  <div className="issueLeft">
-                    <h3 className="issueTitle">
-                      #{issue.id} - {highlightText(issue.title, filters.search)}
-                    </h3>
-                    <p className="issueDescription">
-                      {highlightText(issue.description, filters.search)}
-                    </p>
-                    <div className="issueFooter">
-                      <span>Created {formatDate(issue.createdAt)}</span>
-                    </div>
-                  </div>
-
-                  <div className="issueRight">
-                    <div className="issueBadges">
-                      <div className="badgeGroup">
-                        <span className="badgeLabel">Status:</span>
-                        <Badge variant={issue.status}>{issue.status}</Badge>
-                      </div>
-                      <div className="badgeGroup">
-                        <span className="badgeLabel">Priority:</span>
-                        <Badge variant={issue.priority}>{issue.priority}</Badge>
+          ) : (
+            <>
+              {/* Select all / bulk actions for the ticked issues */}
+              {canBulkEdit && <BulkActionBar statuses={stats.statuses} onDone={handleBulkDone} />}
+
+              <div className="issuesList">
+                {issues.map((issue) => (
+                  <Card
+                    key={issue.id}
+                    className={selectedIds.includes(issue.id) ? 'issueCard issueCard-selected' : 'issueCard'}
+                    onClick={() => handleIssueClick(issue.id)}
+                  >
+                    <div className="issueContent">
+                      {canBulkEdit && (
+                        <input
+                          type="checkbox"
+                          className="issueSelect"
+                          checked={selectedIds.includes(issue.id)}
+                          onChange={() => dispatch(toggleIssueSelected(issue.id))}
+                          onClick={(e) => e.stopPropagation()}
+                          aria-label={`Select issue #${issue.id}`}
+                        />
+                      )}
+                      <div className="issueLeft">
+                        <h3 className="issueTitle">
+                          #{issue.id} - {highlightText(issue.title, issue.matches?.title)}
+                        </h3>
+                        {showColumn('description') && (
+                          <p className="issueDescription">
+                            {issue.matches?.snippet ? renderSnippet(issue.matches.snippet) : issue.description}
+                          </p>
+                        )}
+                        {showColumn('labels') && issue.labels?.length > 0 && (
+                          <div className="issueLabels">
+                            {issue.labels.map((label) => (
+                              <Badge key={label.id} color={label.color}>{label.name}</Badge>
+                            ))}
+                          </div>
+                        )}
+                        <div className="issueFooter">
+                          {issue.parent && (
+                            <span className="subtaskOf">Sub-task of #{issue.parent.id} · </span>
+                          )}
+                          <span>Created {formatDate(issue.createdAt)}</span>
+                          {showColumn('dueDate') && issue.dueDate && (
+                            <span className={isOverdue(issue, stats.statuses) ? 'dueDate dueDate-overdue' : 'dueDate'}>
+                              {' '}· Due {formatDueDate(issue.dueDate)}
+                              {isOverdue(issue, stats.statuses) && ' (overdue)'}
+                            </span>
+                          )}
+                          {showColumn('milestone') && issue.milestone && (
+                            <span> · {issue.milestone.name}</span>
+                          )}
+                          {showColumn('storyPoints') && issue.storyPoints !== null && (
+                            <span> · {issue.storyPoints} pts</span>
+                          )}
+                          {showColumn('assignee') && issue.assignee && (
+                            <span> · Assigned to {issue.assignee.name || issue.assignee.email}</span>
+                          )}
+                          {showColumn('comments') && issue._count?.comments > 0 && (
+                            <span> · {issue._count.comments} {issue._count.comments === 1 ? 'comment' : 'comments'}</span>
+                          )}
+                          {showColumn('subtasks') && issue.progress && (
+                            <span> · {issue.progress.done}/{issue.progress.total} sub-tasks done</span>
+                          )}
+                          {showColumn('attachments') && issue._count?.attachments > 0 && (
+                            <span> · {issue._count.attachments} {issue._count.attachments === 1 ? 'file' : 'files'}</span>
+                          )}
+                          {showColumn('project') && !currentProjectId && issue.project && (
+                            <span> · {issue.project.name}</span>
+                          )}
+                        </div>
                       </div>
-                      <div className="badgeGroup">
-                        <span className="badgeLabel">Severity:</span>
-                        <Badge variant={issue.severity}>{issue.severity}</Badge>
+
+                      <div className="issueRight">
+                        <div className="issueBadges">
+                          <div className="badgeGroup">
+                            <span className="badgeLabel">Status:</span>
+                            <StatusBadge status={issue.status} statuses={stats.statuses} />
+                          </div>
+                          {showColumn('priority') && (
+                            <div className="badgeGroup">
+                              <span className="badgeLabel">Priority:</span>
+                              <Badge variant={issue.priority}>{issue.priority}</Badge>
+                            </div>
+                          )}
+                          {showColumn('severity') && (
+                            <div className="badgeGroup">
+                              <span className="badgeLabel">Severity:</span>
+                              <Badge variant={issue.severity}>{issue.severity}</Badge>
+                            </div>
+                          )}
+                        </div>
                       </div>
                     </div>
-                  </div>
+                  </Card>
+                ))}
+              </div>
+
+              {/* Infinite scroll: end-of-list marker that loads the next chunk */}
+              {isScrollMode && (
+                <div ref={loadMoreRef} className="loadMore">
+                  {loadingMore ? (
+                    <Loader text="Loading more issues..." />
+                  ) : pagination.hasNextPage ? (
+                    <Button variant="ghost" size="small" onClick={loadMoreIssues}>
+                      Load more
+                    </Button>
+                  ) : (
+                    <span className="loadMoreEnd">All matching issues loaded</span>
+                  )}
                 </div>
-              </Card>
-            ))}
-          </div>
-
-          {/* Pagination */}
-          {pagination.totalPages > 1 && (
-            <div className="pagination">
-              <Button
-                variant="ghost"
-                size="small"
-                onClick={() => handlePageChange(pagination.currentPage - 1)}
-                disabled={!pagination.hasPreviousPage}
-              >
-                ← Previous
-              </Button>
-
-                  <span className="pageInfo">
-                    <span> Page {pagination.currentPage} of {pagination.totalPages}</span>
-                    <span> ({(pagination.currentPage - 1) * pagination.limit + 1}-{Math.min(pagination.currentPage * pagination.limit, pagination.totalCount)} of {pagination.totalCount}) </span>
+              )}
+
+              {/* Pagination */}
+              {!isScrollMode && pagination.totalPages > 1 && (
+                <div className="pagination">
+                  <Button
+                    variant="ghost"
+                    size="small"
+                    onClick={() => handlePageChange(pagination.currentPage - 1)}
+                    disabled={!pagination.hasPreviousPage}
+                  >
+                    ← Previous
+                  </Button>
+
+                      <span className="pageInfo">
+                        <span> Page {pagination.currentPage} of {pagination.totalPages}</span>
+                        <span> ({(pagination.currentPage - 1) * pagination.limit + 1}-{Math.min(pagination.currentPage * pagination.limit, pagination.totalCount)} of {pagination.totalCount}) </span>
                     
-              </span>
-
-              <Button
-                variant="ghost"
-                size="small"
-                onClick={() => handlePageChange(pagination.currentPage + 1)}
-                disabled={!pagination.hasNextPage}
-              >
-                Next →
-              </Button>
-            </div>
+                  </span>
+
+                  <Button
+                    variant="ghost"
+                    size="small"
+                    onClick={() => handlePageChange(pagination.currentPage + 1)}
+                    disabled={!pagination.hasNextPage}
+                  >
+                    Next →
+                  </Button>
+                </div>
+              )}
+            </>
           )}
-        </>
-      )}
+        </div>
+      </div>
     </div>
   );
 };
@@ -0,0 +1,518 @@
+// ========================================
+// IMPORT ISSUES PAGE
+// ========================================
+// Wizard for bringing issues into a project from a CSV or JSON file (e.g. one exported from the
+// dashboard), a GitHub issue dump or a Jira export: choose a file, map its columns (or, for other
+// trackers, their statuses, priorities, labels and people) to this project, check a dry run, then import
+
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import './ImportIssues.css';
+import { importIssues, importExternalIssues, clearError } from '../redux/slices/issuesSlice';
+import { setCurrentProject } from '../redux/slices/projectsSlice';
+import { fetchMembers } from '../redux/slices/workspacesSlice';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import Select from '../components/common/Select';
+import classNames from '../utils/classNames';
+
+// Where the file comes from, with the file types the server reads for each
+const SOURCES = {
+  file: {
+    label: 'CSV or JSON file',
+    accept: '.csv,.json,.ndjson,.jsonl',
+    prompt: 'Choose a CSV or JSON file',
+    hint: 'Files exported from the dashboard can be imported as they are. Each row becomes an issue; title and description are required.'
+  },
+  github: {
+    name: 'GitHub',
+    label: 'GitHub issues (JSON)',
+    accept: '.json,.ndjson,.jsonl',
+    prompt: 'Choose a GitHub issue dump',
+    hint: 'The issue list from the GitHub API or gh issue list --json, with each issue\'s comments if you saved them. Pull requests are left out.'
+  },
+  jira: {
+    name: 'Jira',
+    label: 'Jira export (XML or CSV)',
+    accept: '.xml,.csv',
+    prompt: 'Choose a Jira XML or CSV export',
+    hint: 'An export of a Jira issue search. Issues keep their reporter, creation date and comments.'
+  }
+};
+
+const LEVELS = ['Low', 'Medium', 'High', 'Critical'];
+
+// Preview fields shown as table columns, after the row number
+const PREVIEW_FIELDS = ['title', 'status', 'priority', 'severity', 'assignee', 'labels', 'milestone', 'sprint', 'dueDate'];
+
+// Preview columns of a GitHub or Jira import
+const EXTERNAL_PREVIEW_COLUMNS = [
+  { value: 'key', label: 'Key' },
+  { value: 'title', label: 'Title' },
+  { value: 'status', label: 'Status' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'author', label: 'Reporter' },
+  { value: 'comments', label: 'Comments' }
+];
+
+// Sections of the value mapping; choosing nothing keeps the default for the value
+const VALUE_SECTIONS = [
+  { key: 'statuses', title: 'Statuses', placeholder: 'Default status' },
+  { key: 'priorities', title: 'Priorities', placeholder: 'Default priority' },
+  { key: 'labels', title: 'Labels', placeholder: 'Keep as a label' },
+  { key: 'users', title: 'People', placeholder: 'Not a member' }
+];
+
+// What the preview says about a row
+const getRowResult = (row) => {
+  if (row.error) return { className: 'importRowError', text: row.error };
+  if (row.skipped) return { className: 'importRowSkipped', text: `Skipped: ${row.skipped}` };
+  if (row.warnings?.length) return { className: 'importRowWarning', text: row.warnings.join('; ') };
+  return { className: 'importRowOk', text: 'OK' };
+};
+
+const ImportIssues = () => {
+  const { projectId } = useParams();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+
+  const { importing, error } = useSelector((state) => state.issues);
+  const { projects } = useSelector((state) => state.projects);
+  const { workspaces, members } = useSelector((state) => state.workspaces);
+
+  // Only roles with issue:create in the project's workspace can import
+  const project = projects.find((item) => item.id === parseInt(projectId));
+  const workspace = workspaces.find((item) => item.id === project?.workspaceId);
+  const canImport = Boolean(workspace?.permissions.includes('issue:create'));
+  const workspaceId = project?.workspaceId;
+
+  const [step, setStep] = useState(0);
+  const [source, setSource] = useState('file');
+  const [file, setFile] = useState(null);
+  // { column: field } as last sent; '' means the column is not imported
+  const [mapping, setMapping] = useState({});
+  // { statuses, priorities, labels, users } of a GitHub or Jira import, as last sent
+  const [valueMapping, setValueMapping] = useState(null);
+  // Latest dry run: columns or values, rows with errors, counts
+  const [result, setResult] = useState(null);
+  const [mode, setMode] = useState('skip');
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+
+  const isExternal = source !== 'file';
+  const importAction = isExternal ? importExternalIssues : importIssues;
+
+  useEffect(() => {
+    dispatch(clearError());
+  }, [dispatch, projectId]);
+
+  // People in GitHub and Jira files are mapped to members of the project's workspace
+  useEffect(() => {
+    if (workspaceId) {
+      dispatch(fetchMembers(workspaceId));
+    }
+  }, [dispatch, workspaceId]);
+
+  // Send the file with a column or value mapping (null lets the server guess it)
+  const sendImport = (selectedFile, selectedMapping, options) => dispatch(isExternal
+    ? importExternalIssues({
+      projectId: parseInt(projectId),
+      source,
+      file: selectedFile,
+      valueMapping: selectedMapping,
+      ...options
+    })
+    : importIssues({
+      projectId: parseInt(projectId),
+      file: selectedFile,
+      mapping: selectedMapping,
+      ...options
+    }));
+
+  // Validate the file with a mapping without importing anything
+  const runDryRun = async (selectedFile, selectedMapping) => {
+    const response = await sendImport(selectedFile, selectedMapping, { dryRun: true });
+
+    if (importAction.fulfilled.match(response)) {
+      setResult(response.payload);
+      if (isExternal) {
+        setValueMapping(response.payload.valueMapping);
+      } else {
+        setMapping({
+          ...Object.fromEntries(response.payload.columns.map((column) => [column, ''])),
+          ...response.payload.mapping
+        });
+      }
+      return response.payload;
+    }
+    return null;
+  };
+
+  const handleSourceChange = (e) => {
+    setSource(e.target.value || 'file');
+    setFile(null);
+    setResult(null);
+    setValueMapping(null);
+    dispatch(clearError());
+  };
+
+  const handleFileChange = async (e) => {
+    const selectedFile = e.target.files[0];
+    e.target.value = '';
+    if (!selectedFile) return;
+
+    setFile(selectedFile);
+    setResult(null);
+
+    if (await runDryRun(selectedFile, null)) {
+      setStep(1);
+    }
+  };
+
+  const handleMappingChange = (column) => (e) => {
+    const { value } = e.target;
+
+    // A field takes one column: picking it for this column frees it elsewhere
+    setMapping((prev) => ({
+      ...Object.fromEntries(Object.entries(prev).map(([key, field]) => [key, value && field === value ? '' : field])),
+      [column]: value
+    }));
+  };
+
+  const handleValueChange = (section, from) => (e) => {
+    const { value } = e.target;
+
+    setValueMapping((prev) => ({
+      ...prev,
+      [section]: { ...prev[section], [from]: value }
+    }));
+  };
+
+  const handlePreview = async () => {
+    const payload = await runDryRun(file, isExternal ? valueMapping : mapping);
+
+    if (payload && (isExternal || payload.missingFields.length === 0)) {
+      setMode(payload.invalidCount > 0 ? 'skip' : 'atomic');
+      setShowErrorsOnly(false);
+      setStep(2);
+    }
+  };
+
+  const handleImport = async () => {
+    const response = await sendImport(file, isExternal ? valueMapping : mapping, { mode });
+
+    if (importAction.fulfilled.match(response)) {
+      localStorage.setItem('successMessage', `${response.payload.message}.`);
+      dispatch(setCurrentProject(parseInt(projectId)));
+      navigate('/dashboard');
+    }
+  };
+
+  if (project && !canImport) {
+    return (
+      <div className="importContainer">
+        <div className="errorAlert">You do not have permission to add issues to this project.</div>
+      </div>
+    );
+  }
+
+  const steps = ['Choose file', isExternal ? 'Map values' : 'Map columns', 'Preview'];
+
+  // Column mapping (our own files)
+  const fields = result?.fields || [];
+  const fieldLabels = Object.fromEntries(fields.map((field) => [field.value, field.label]));
+  const mappedFields = Object.values(mapping).filter(Boolean);
+  const missingRequired = isExternal
+    ? []
+    : fields.filter((field) => field.required && !mappedFields.includes(field.value));
+
+  // Value mapping (GitHub and Jira files)
+  const statuses = result?.statuses || [];
+  const statusNames = Object.fromEntries(statuses.map((status) => [status.key, status.name]));
+  const valueOptions = {
+    statuses: statuses.map((status) => ({ value: status.key, label: status.name })),
+    priorities: LEVELS,
+    labels: [
+      ...LEVELS.map((level) => ({ value: `priority:${level}`, label: `Set priority to ${level}` })),
+      ...LEVELS.map((level) => ({ value: `severity:${level}`, label: `Set severity to ${level}` })),
+      ...statuses.map((status) => ({ value: `status:${status.key}`, label: `Set status to ${status.name}` }))
+    ],
+    users: members.map((member) => ({
+      value: member.user.email,
+      label: member.user.name ? `${member.user.name} (${member.user.email})` : member.user.email
+    }))
+  };
+  const valueSections = VALUE_SECTIONS.filter((section) => Object.keys(valueMapping?.[section.key] || {}).length > 0);
+
+  const previewColumns = isExternal
+    ? EXTERNAL_PREVIEW_COLUMNS
+    : PREVIEW_FIELDS
+      .filter((field) => mappedFields.includes(field))
+      .map((field) => ({ value: field, label: fieldLabels[field] }));
+  const previewRows = (result?.rows || []).filter((row) => !showErrorsOnly || row.error);
+
+  const getPreviewValue = (row, field) => {
+    const value = row.values?.[field];
+    return isExternal && field === 'status' ? statusNames[value] || value : value;
+  };
+
+  return (
+    <div className="importContainer">
+      <div className="header">
+        <h1 className="title">{project ? `Import issues into ${project.name}` : 'Import issues'}</h1>
+        <Button variant="ghost" size="small" onClick={() => navigate('/dashboard')}>
+          ← Back
+        </Button>
+      </div>
+
+      {/* Steps */}
+      <ol className="importSteps">
+        {steps.map((name, index) => (
+          <li
+            key={name}
+            className={classNames('importStep', index === step && 'importStep-active', index < step && 'importStep-done')}
+          >
+            <span className="importStepNumber">{index + 1}</span>
+            {name}
+          </li>
+        ))}
+      </ol>
+
+      {error && <div className="errorAlert">{error}</div>}
+
+      {/* Step 1: choose where the file comes from, then the file */}
+      {step === 0 && (
+        <Card>
+          <div className="importSource">
+            <Select
+              label="Import from"
+              name="source"
+              value={isExternal ? source : ''}
+              onChange={handleSourceChange}
+              options={['github', 'jira'].map((value) => ({ value, label: SOURCES[value].label }))}
+              placeholder={SOURCES.file.label}
+              disabled={importing}
+            />
+          </div>
+
+          <label className={classNames('importFilePicker', importing && 'importFilePicker-disabled')}>
+            <input type="file" accept={SOURCES[source].accept} onChange={handleFileChange} disabled={importing} />
+            <strong>{importing ? 'Reading file...' : SOURCES[source].prompt}</strong>
+            <span>{SOURCES[source].hint}</span>
+            {isExternal && (
+              <span>Issues imported before are skipped, so the same file can be imported again.</span>
+            )}
+          </label>
+        </Card>
+      )}
+
+      {/* Step 2: map columns to fields */}
+      {step === 1 && result && !isExternal && (
+        <Card>
+          <p className="importFileName">
+            {file.name}: {result.totalRows} {result.totalRows === 1 ? 'row' : 'rows'}
+          </p>
+
+          <table className="importMapping">
+            <thead>
+              <tr>
+                <th>Column in file</th>
+                <th>Issue field</th>
+                <th>First value</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.columns.map((column) => (
+                <tr key={column}>
+                  <td className="importColumnName">{column}</td>
+                  <td>
+                    <Select
+                      name={`mapping-${column}`}
+                      value={mapping[column] || ''}
+                      onChange={handleMappingChange(column)}
+                      options={fields.map((field) => ({
+                        value: field.value,
+                        label: field.required ? `${field.label} (required)` : field.label
+                      }))}
+                      placeholder="Don't import"
+                    />
+                  </td>
+                  <td className="importSample">{result.samples[column]}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {missingRequired.length > 0 && (
+            <p className="importHint">
+              Map a column to {missingRequired.map((field) => field.label).join(' and ')} to continue.
+            </p>
+          )}
+
+          <div className="importButtons">
+            <Button variant="ghost" onClick={() => setStep(0)} disabled={importing}>
+              Choose another file
+            </Button>
+            <Button variant="primary" onClick={handlePreview} disabled={importing || missingRequired.length > 0}>
+              {importing ? 'Checking...' : 'Preview import'}
+            </Button>
+          </div>
+        </Card>
+      )}
+
+      {/* Step 2: map the source's statuses, priorities, labels and people */}
+      {step === 1 && result && isExternal && valueMapping && (
+        <Card>
+          <p className="importFileName">
+            {file.name}: {result.totalRows} {result.totalRows === 1 ? 'issue' : 'issues'}
+          </p>
+
+          {valueSections.length === 0 && (
+            <p className="importFileName">Nothing in this file needs mapping.</p>
+          )}
+
+          {valueSections.map((section) => (
+            <div key={section.key} className="importValueSection">
+              <h3 className="importValueTitle">{section.title}</h3>
+              <table className="importMapping">
+                <thead>
+                  <tr>
+                    <th>In {SOURCES[source].name}</th>
+                    <th>In this project</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.keys(valueMapping[section.key]).map((from) => (
+                    <tr key={from}>
+                      <td className="importColumnName">{from}</td>
+                      <td>
+                        <Select
+                          name={`${section.key}-${from}`}
+                          value={valueMapping[section.key][from]}
+                          onChange={handleValueChange(section.key, from)}
+                          options={valueOptions[section.key]}
+                          placeholder={section.placeholder}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+
+          {valueSections.some((section) => section.key === 'users') && (
+            <p className="importNote">
+              Issues and comments by people who are not members are recorded as yours, naming the original author.
+            </p>
+          )}
+
+          <div className="importButtons">
+            <Button variant="ghost" onClick={() => setStep(0)} disabled={importing}>
+              Choose another file
+            </Button>
+            <Button variant="primary" onClick={handlePreview} disabled={importing}>
+              {importing ? 'Checking...' : 'Preview import'}
+            </Button>
+          </div>
+        </Card>
+      )}
+
+      {/* Step 3: dry run results, then import */}
+      {step === 2 && result && (
+        <Card>
+          <div className="importSummary">
+            <span className="importCount importCount-valid">{result.validCount} ready to import</span>
+            {result.invalidCount > 0 && (
+              <span className="importCount importCount-invalid">{result.invalidCount} with errors</span>
+            )}
+            {result.skippedCount > 0 && (
+              <span className="importCount importCount-skipped">{result.skippedCount} skipped</span>
+            )}
+            {result.invalidCount > 0 && (
+              <label className="importErrorsOnly">
+                <input
+                  type="checkbox"
+                  checked={showErrorsOnly}
+                  onChange={(e) => setShowErrorsOnly(e.target.checked)}
+                />
+                Only rows with errors
+              </label>
+            )}
+          </div>
+
+          <div className="importPreview">
+            <table className="importTable">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  {previewColumns.map((column) => <th key={column.value}>{column.label}</th>)}
+                  <th>Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {previewRows.map((row) => {
+                  const rowResult = getRowResult(row);
+
+                  return (
+                    <tr
+                      key={row.row}
+                      className={classNames(row.error && 'importRow-invalid', row.skipped && 'importRow-skipped')}
+                    >
+                      <td>{row.row}</td>
+                      {previewColumns.map((column) => <td key={column.value}>{getPreviewValue(row, column.value)}</td>)}
+                      <td className={rowResult.className}>{rowResult.text}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {/* What to do with rows that have errors */}
+          {result.invalidCount > 0 && (
+            <div className="importModes">
+              <label>
+                <input
+                  type="radio"
+                  name="mode"
+                  value="skip"
+                  checked={mode === 'skip'}
+                  onChange={() => setMode('skip')}
+                />
+                Import the {result.validCount} valid {result.validCount === 1 ? 'row' : 'rows'} and skip the rest
+              </label>
+              <label>
+                <input
+                  type="radio"
+                  name="mode"
+                  value="atomic"
+                  checked={mode === 'atomic'}
+                  onChange={() => setMode('atomic')}
+                />
+                Import nothing until every row is valid
+              </label>
+            </div>
+          )}
+
+          <div className="importButtons">
+            <Button variant="ghost" onClick={() => setStep(1)} disabled={importing}>
+              Back to mapping
+            </Button>
+            <Button
+              variant="primary"
+              onClick={handleImport}
+              disabled={importing || result.validCount === 0 || (mode === 'atomic' && result.invalidCount > 0)}
+            >
+              {importing
+                ? 'Importing...'
+                : `Import ${result.validCount} ${result.validCount === 1 ? 'issue' : 'issues'}`}
+            </Button>
+          </div>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default ImportIssues;
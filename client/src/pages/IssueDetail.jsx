@@ -4,7 +4,7 @@
 // View and edit issue details with confirmation modals for critical actions
 
 import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import './IssueDetail.css';
 import {
@@ -13,6 +13,11 @@ import {
   deleteIssue,
   clearCurrentIssue
 } from '../redux/slices/issuesSlice';
+import { fetchMembers } from '../redux/slices/workspacesSlice';
+import { fetchLabels } from '../redux/slices/labelsSlice';
+import { fetchWorkflow } from '../redux/slices/workflowSlice';
+import { fetchMilestones } from '../redux/slices/milestonesSlice';
+import { fetchSprints } from '../redux/slices/sprintsSlice';
 import Card from '../components/common/Card';
 import Button from '../components/common/Button';
 import Input from '../components/common/Input';
@@ -20,19 +25,58 @@ import Select from '../components/common/Select';
 import Badge from '../components/common/Badge';
 import Loader from '../components/common/Loader';
 import { ConfirmModal } from '../components/common/Modal';
+import CommentsPanel from '../components/issues/CommentsPanel';
+import AttachmentsPanel from '../components/issues/AttachmentsPanel';
+import LinkedIssuesPanel from '../components/issues/LinkedIssuesPanel';
+import SubtasksPanel from '../components/issues/SubtasksPanel';
+import IssueHistory from '../components/issues/IssueHistory';
+import LabelPicker from '../components/issues/LabelPicker';
+import StatusBadge from '../components/issues/StatusBadge';
+import { formatDueDate, isOverdue, toDateInputValue } from '../utils/dueDate';
 import EditOutlinedIcon from '@mui/icons-material/EditOutlined';
 import DeleteOutlinedIcon from '@mui/icons-material/DeleteOutlined';
 
+// Editable fields of an issue, as form values
+const getFormData = (issue) => ({
+  title: issue.title,
+  description: issue.description,
+  status: issue.status,
+  priority: issue.priority,
+  severity: issue.severity,
+  assigneeId: issue.assigneeId ? issue.assigneeId.toString() : '',
+  dueDate: toDateInputValue(issue.dueDate),
+  storyPoints: issue.storyPoints !== null && issue.storyPoints !== undefined ? issue.storyPoints.toString() : '',
+  parentId: issue.parentId ? `#${issue.parentId}` : '',
+  milestoneId: issue.milestoneId ? issue.milestoneId.toString() : '',
+  sprintId: issue.sprintId ? issue.sprintId.toString() : '',
+  labelIds: (issue.labels || []).map(label => label.id)
+});
+
 const IssueDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const dispatch = useDispatch();
 
   // Get state from Redux
-  const { currentIssue, loading, actionLoading, error } = useSelector(
+  const { currentIssue, currentPermissions, loading, actionLoading, error } = useSelector(
     (state) => state.issues
   );
 
+  // Members of the issue's workspace, offered in the assignee picker
+  const { members } = useSelector((state) => state.workspaces);
+  const { labels } = useSelector((state) => state.labels);
+  const workflow = useSelector((state) => state.workflow);
+  const milestonesState = useSelector((state) => state.milestones);
+  const sprintsState = useSelector((state) => state.sprints);
+  const { links } = useSelector((state) => state.issueLinks);
+
+  // Actions available to the user's role in the issue's workspace
+  const canUpdate = currentPermissions.includes('issue:update');
+  const canDelete = currentPermissions.includes('issue:delete');
+  const canComment = currentPermissions.includes('comment:create');
+  const canCreate = currentPermissions.includes('issue:create');
+  const canAttach = currentPermissions.includes('attachment:create');
+
   // Local state
   const [isEditing, setIsEditing] = useState(false);
   const [formData, setFormData] = useState({
@@ -40,16 +84,23 @@ const IssueDetail = () => {
     description: '',
     status: '',
     priority: '',
-    severity: ''
+    severity: '',
+    assigneeId: '',
+    dueDate: '',
+    storyPoints: '',
+    parentId: '',
+    milestoneId: '',
+    sprintId: '',
+    labelIds: []
   });
   const [formErrors, setFormErrors] = useState({});
   const [successMessage, setSuccessMessage] = useState('');
   const [isNotificationClosing, setIsNotificationClosing] = useState(false);
 
-  // Modal states
-  const [showResolveModal, setShowResolveModal] = useState(false);
-  const [showCloseModal, setShowCloseModal] = useState(false);
+  // Modal states (pendingStatus = status awaiting confirmation from a "Mark as" button)
+  const [pendingStatus, setPendingStatus] = useState(null);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [showResolveWarning, setShowResolveWarning] = useState(false);
 
   // Fetch issue on mount
   useEffect(() => {
@@ -63,16 +114,69 @@ const IssueDetail = () => {
   // Update form data when issue is loaded
   useEffect(() => {
     if (currentIssue) {
-      setFormData({
-        title: currentIssue.title,
-        description: currentIssue.description,
-        status: currentIssue.status,
-        priority: currentIssue.priority,
-        severity: currentIssue.severity
-      });
+      setFormData(getFormData(currentIssue));
     }
   }, [currentIssue]);
 
+  // Load assignable members and labels once the issue's workspace is known
+  const workspaceId = currentIssue?.project?.workspaceId;
+
+  useEffect(() => {
+    if (workspaceId) {
+      dispatch(fetchMembers(workspaceId));
+      dispatch(fetchLabels(workspaceId));
+    }
+  }, [dispatch, workspaceId]);
+
+  // Load the workflow of the issue's project for status names and allowed transitions
+  const projectId = currentIssue?.projectId;
+
+  useEffect(() => {
+    if (projectId) {
+      dispatch(fetchWorkflow(projectId));
+      dispatch(fetchMilestones(projectId));
+      dispatch(fetchSprints(projectId));
+    }
+  }, [dispatch, projectId]);
+
+  const statuses = workflow.projectId === projectId ? workflow.statuses : [];
+
+  // Open milestones can be targeted; the issue's current milestone stays selectable even once closed
+  const milestoneOptions = milestonesState.projectId === projectId
+    ? milestonesState.milestones.filter(
+      (milestone) => milestone.state === 'Open' || milestone.id === currentIssue?.milestoneId
+    )
+    : [];
+
+  // Issues can be planned into sprints that are not completed (the current one stays selectable)
+  const sprintOptions = sprintsState.projectId === projectId
+    ? sprintsState.sprints.filter(
+      (sprint) => sprint.state !== 'Completed' || sprint.id === currentIssue?.sprintId
+    )
+    : [];
+
+  const currentStatus = statuses.find((status) => status.key === currentIssue?.status);
+
+  // The status select offers the current status plus the ones the workflow allows moving to
+  const statusOptions = statuses
+    .filter((status) => status.key === currentIssue?.status || currentStatus?.transitions.includes(status.key))
+    .map((status) => ({ value: status.key, label: status.name }));
+
+  const overdue = currentIssue ? isOverdue(currentIssue, statuses) : false;
+
+  // Quick actions for allowed moves into a Done-category status
+  const doneTransitions = statuses.filter((status) => (
+    status.category === 'Done' && currentStatus?.transitions.includes(status.key)
+  ));
+
+  // Issues this one blocks that are not finished yet; resolving it first asks for confirmation
+  const openBlockedIssues = links
+    .filter((link) => link.relation === 'Blocks' && !link.issue.isDone)
+    .map((link) => link.issue);
+  const blockedWarning = openBlockedIssues.length > 0
+    ? ` It still blocks ${openBlockedIssues.map((issue) => `#${issue.id}`).join(', ')}, which ${openBlockedIssues.length === 1 ? 'is' : 'are'} not done yet.`
+    : '';
+
   // Auto-hide notification after 3 seconds
   useEffect(() => {
     if (successMessage) {
@@ -135,22 +239,54 @@ const IssueDetail = () => {
       errors.description = 'Description must not exceed 5000 characters';
     }
 
+    if (formData.storyPoints !== '' && !/^\d+$/.test(formData.storyPoints)) {
+      errors.storyPoints = 'Story points must be a whole number';
+    }
+
+    if (formData.parentId.trim() && !/^#?\d+$/.test(formData.parentId.trim())) {
+      errors.parentId = 'Enter the number of the parent issue, e.g. #42';
+    }
+
     setFormErrors(errors);
     return Object.keys(errors).length === 0;
   };
 
-  // Handle save
-  const handleSave = async (e) => {
+  // Handle save, warning first when the edit resolves an issue that still blocks open ones
+  const handleSave = (e) => {
     e.preventDefault();
 
     if (!validateForm()) {
       return;
     }
 
-    const result = await dispatch(updateIssue({ id, data: formData }));
+    const newStatus = statuses.find((status) => status.key === formData.status);
+    const isResolving = formData.status !== currentIssue.status && newStatus?.category === 'Done';
+
+    if (isResolving && openBlockedIssues.length > 0) {
+      setShowResolveWarning(true);
+      return;
+    }
+
+    saveChanges();
+  };
+
+  const saveChanges = async () => {
+    const result = await dispatch(updateIssue({
+      id,
+      data: {
+        ...formData,
+        assigneeId: formData.assigneeId ? parseInt(formData.assigneeId) : null,
+        dueDate: formData.dueDate || null,
+        parentId: formData.parentId.trim() ? parseInt(formData.parentId.trim().replace(/^#/, '')) : null,
+        milestoneId: formData.milestoneId ? parseInt(formData.milestoneId) : null,
+        sprintId: formData.sprintId ? parseInt(formData.sprintId) : null,
+        storyPoints: formData.storyPoints !== '' ? parseInt(formData.storyPoints) : null
+      }
+    }));
 
     if (updateIssue.fulfilled.match(result)) {
       setSuccessMessage('Issue updated successfully!');
+      setShowResolveWarning(false);
       setIsEditing(false);
       dispatch(fetchIssueById(id));
     }
@@ -159,41 +295,29 @@ const IssueDetail = () => {
   // Handle cancel edit
   const handleCancelEdit = () => {
     if (currentIssue) {
-      setFormData({
-        title: currentIssue.title,
-        description: currentIssue.description,
-        status: currentIssue.status,
-        priority: currentIssue.priority,
-        severity: currentIssue.severity
-      });
+      setFormData(getFormData(currentIssue));
     }
     setFormErrors({});
     setIsEditing(false);
   };
 
-  // Handle mark as resolved
-  const handleMarkResolved = async () => {
+  // Handle a confirmed "Mark as" status change
+  const handleMarkStatus = async () => {
     const result = await dispatch(updateIssue({
       id,
-      data: { status: 'Resolved' }
+      data: { status: pendingStatus.key }
     }));
 
     if (updateIssue.fulfilled.match(result)) {
-      setSuccessMessage('Issue marked as resolved!');
-      setShowResolveModal(false);
+      setSuccessMessage(`Issue marked as ${pendingStatus.name.toLowerCase()}!`);
+      setPendingStatus(null);
     }
   };
 
-  // Handle mark as closed
-  const handleMarkClosed = async () => {
-    const result = await dispatch(updateIssue({
-      id,
-      data: { status: 'Closed' }
-    }));
-
-    if (updateIssue.fulfilled.match(result)) {
-      setSuccessMessage('Issue marked as closed!');
-      setShowCloseModal(false);
+  // Marking this issue as a duplicate closes it and adds a comment, so reload the issue
+  const handleLinked = (link) => {
+    if (link.relation === 'Duplicates') {
+      dispatch(fetchIssueById(id));
     }
   };
 
@@ -248,15 +372,26 @@ const IssueDetail = () => {
         <div className="header">
           <div className="headerLeft">
             <div className="badges">
-              <Badge variant={currentIssue.status} size="large">
-                Status: {currentIssue.status}
-              </Badge>
+              <StatusBadge
+                status={currentIssue.status}
+                statuses={statuses}
+                size="large"
+                prefix="Status: "
+              />
               <Badge variant={currentIssue.priority} size="large">
                 Priority: {currentIssue.priority}
               </Badge>
               <Badge variant={currentIssue.severity} size="large">
                 Severity: {currentIssue.severity}
               </Badge>
+              {overdue && (
+                <Badge variant="Critical" size="large">Overdue</Badge>
+              )}
+              {currentIssue.labels?.map((label) => (
+                <Badge key={label.id} color={label.color} size="large">
+                  {label.name}
+                </Badge>
+              ))}
             </div>
 
           </div>
@@ -306,7 +441,7 @@ const IssueDetail = () => {
                 name="status"
                 value={formData.status}
                 onChange={handleChange}
-                options={['Open', 'InProgress', 'Resolved', 'Closed']}
+                options={statusOptions}
                 required
               />
 
@@ -329,16 +464,90 @@ const IssueDetail = () => {
               />
             </div>
 
+            <Select
+              label="Assignee"
+              name="assigneeId"
+              value={formData.assigneeId}
+              onChange={handleChange}
+              options={members.map((member) => ({
+                value: member.userId.toString(),
+                label: member.user.name || member.user.email
+              }))}
+              placeholder="Unassigned"
+            />
+
+            <Input
+              label="Due Date"
+              type="date"
+              name="dueDate"
+              value={formData.dueDate}
+              onChange={handleChange}
+            />
+
+            <Input
+              label="Parent Issue"
+              name="parentId"
+              value={formData.parentId}
+              onChange={handleChange}
+              error={formErrors.parentId}
+              placeholder="None (e.g. #42 to make this a sub-task)"
+            />
+
+            <Select
+              label="Milestone"
+              name="milestoneId"
+              value={formData.milestoneId}
+              onChange={handleChange}
+              options={milestoneOptions.map((milestone) => ({
+                value: milestone.id.toString(),
+                label: milestone.state === 'Closed' ? `${milestone.name} (closed)` : milestone.name
+              }))}
+              placeholder="No milestone"
+            />
+
+            <Select
+              label="Sprint"
+              name="sprintId"
+              value={formData.sprintId}
+              onChange={handleChange}
+              options={sprintOptions.map((sprint) => ({
+                value: sprint.id.toString(),
+                label: sprint.state === 'Planned' ? sprint.name : `${sprint.name} (${sprint.state.toLowerCase()})`
+              }))}
+              placeholder="Backlog"
+            />
+
+            <Input
+              label="Story Points"
+              type="number"
+              name="storyPoints"
+              value={formData.storyPoints}
+              onChange={handleChange}
+              error={formErrors.storyPoints}
+              min={0}
+              max={100}
+              placeholder="Not estimated"
+            />
+
+            <LabelPicker
+              label="Labels"
+              labels={labels}
+              selectedIds={formData.labelIds}
+              onChange={(labelIds) => setFormData(prev => ({ ...prev, labelIds }))}
+            />
+
             <div className="issueDetailButtonGroup">
-              <Button
-                type="button"
-                variant="danger"
-                onClick={() => setShowDeleteModal(true)}
-                disabled={actionLoading}
-              >
-                <DeleteOutlinedIcon />
-                Delete Issue
-              </Button>
+              {canDelete ? (
+                <Button
+                  type="button"
+                  variant="danger"
+                  onClick={() => setShowDeleteModal(true)}
+                  disabled={actionLoading}
+                >
+                  <DeleteOutlinedIcon />
+                  Delete Issue
+                </Button>
+              ) : <div />}
 
               <div className="issueDetailLeftButtons">
                 <Button
@@ -364,7 +573,7 @@ const IssueDetail = () => {
                 <h1 className="title" style={{ margin: 0 }}>
                   #{currentIssue.id} - {currentIssue.title}
                 </h1>
-                {!isEditing && (
+                {!isEditing && canUpdate && (
                     <Button variant="outline" size="small" onClick={() => setIsEditing(true)}>
                       <EditOutlinedIcon style={{fontSize:'20px'}}/>
                     Edit
@@ -377,6 +586,63 @@ const IssueDetail = () => {
             </div>
 
             <div className="metadata">
+              <div className="metadataItem">
+                <span className="metadataLabel">Project</span>
+                <span className="metadataValue">{currentIssue.project?.name || 'Unknown'}</span>
+              </div>
+
+              {currentIssue.parent && (
+                <div className="metadataItem">
+                  <span className="metadataLabel">Sub-task Of</span>
+                  <Link to={`/issues/${currentIssue.parent.id}`} className="metadataValue metadataLink">
+                    #{currentIssue.parent.id} {currentIssue.parent.title}
+                  </Link>
+                </div>
+              )}
+
+              <div className="metadataItem">
+                <span className="metadataLabel">Assignee</span>
+                <span className="metadataValue">
+                  {currentIssue.assignee ? currentIssue.assignee.name || currentIssue.assignee.email : 'Unassigned'}
+                </span>
+              </div>
+
+              <div className="metadataItem">
+                <span className="metadataLabel">Due Date</span>
+                <span className={overdue ? 'metadataValue metadataValue-overdue' : 'metadataValue'}>
+                  {currentIssue.dueDate ? formatDueDate(currentIssue.dueDate) : 'No due date'}
+                  {overdue && ' (overdue)'}
+                </span>
+              </div>
+
+              <div className="metadataItem">
+                <span className="metadataLabel">Milestone</span>
+                <span className="metadataValue">
+                  {currentIssue.milestone ? currentIssue.milestone.name : 'No milestone'}
+                </span>
+              </div>
+
+              <div className="metadataItem">
+                <span className="metadataLabel">Sprint</span>
+                {currentIssue.sprint ? (
+                  <Link
+                    to={`/projects/${currentIssue.projectId}/sprints/${currentIssue.sprint.id}`}
+                    className="metadataValue metadataLink"
+                  >
+                    {currentIssue.sprint.name}
+                  </Link>
+                ) : (
+                  <span className="metadataValue">Backlog</span>
+                )}
+              </div>
+
+              <div className="metadataItem">
+                <span className="metadataLabel">Story Points</span>
+                <span className="metadataValue">
+                  {currentIssue.storyPoints !== null ? currentIssue.storyPoints : 'Not estimated'}
+                </span>
+              </div>
+
               <div className="metadataItem">
                 <span className="metadataLabel">Created</span>
                 <span className="metadataValue">{formatDate(currentIssue.createdAt)}</span>
@@ -395,62 +661,70 @@ const IssueDetail = () => {
 
             <div className="issueDetailButtonGroup">
               <div>
-                <Button
-                  variant="danger"
-                  onClick={() => setShowDeleteModal(true)}
-                  >
-                    <DeleteOutlinedIcon />
-                  Delete Issue
-                </Button>
+                {canDelete && (
+                  <Button
+                    variant="danger"
+                    onClick={() => setShowDeleteModal(true)}
+                    >
+                      <DeleteOutlinedIcon />
+                    Delete Issue
+                  </Button>
+                )}
               </div>
 
               <div className="issueDetailLeftButtons">
 
 
-                {currentIssue.status !== 'Closed' && (
+                {canUpdate && doneTransitions.map((status, index) => (
                   <Button
-                    variant="secondary"
-                    onClick={() => setShowCloseModal(true)}
+                    key={status.key}
+                    variant={index === doneTransitions.length - 1 ? 'primary' : 'secondary'}
+                    onClick={() => setPendingStatus(status)}
                   >
-                    Mark as Closed
+                    Mark as {status.name}
                   </Button>
-                )}
-
-                {currentIssue.status !== 'Resolved' && currentIssue.status !== 'Closed' && (
-                  <Button
-                    variant="primary"
-                    onClick={() => setShowResolveModal(true)}
-                  >
-                    Mark as Resolved
-                  </Button>
-
-                )}
+                ))}
               </div>
             </div>
           </>
         )}
       </Card>
 
+      {/* Child issues */}
+      <SubtasksPanel issue={currentIssue} statuses={statuses} canCreate={canCreate} />
+
+      {/* Relationships to other issues */}
+      <LinkedIssuesPanel issueId={currentIssue.id} canEdit={canUpdate} onLinked={handleLinked} />
+
+      {/* Files */}
+      <AttachmentsPanel issueId={currentIssue.id} canUpload={canAttach} canManage={canUpdate} />
+
+      {/* Discussion */}
+      <CommentsPanel issueId={currentIssue.id} canComment={canComment} />
+
+      {/* Activity trail */}
+      <IssueHistory issueId={currentIssue.id} updatedAt={currentIssue.updatedAt} />
+
       {/* Confirmation Modals */}
       <ConfirmModal
-        isOpen={showResolveModal}
-        onClose={() => setShowResolveModal(false)}
-        title="Mark as Resolved"
-        message="Are you sure you want to mark this issue as resolved?"
-        confirmText="Yes, Mark as Resolved"
+        isOpen={Boolean(pendingStatus)}
+        onClose={() => setPendingStatus(null)}
+        title={`Mark as ${pendingStatus?.name}`}
+        message={`Are you sure you want to mark this issue as ${pendingStatus?.name.toLowerCase()}?${blockedWarning}`}
+        confirmText={`Yes, Mark as ${pendingStatus?.name}`}
         confirmVariant="primary"
-        onConfirm={handleMarkResolved}
+        onConfirm={handleMarkStatus}
         loading={actionLoading}
       />
 
       <ConfirmModal
-        isOpen={showCloseModal}
-        onClose={() => setShowCloseModal(false)}
-        title="Close Issue"
-        message="Are you sure you want to close this issue?"
-        confirmText="Yes, Close Issue"
-        confirmVariant="secondary"
-        onConfirm={handleMarkClosed}
+        isOpen={showResolveWarning}
+        onClose={() => setShowResolveWarning(false)}
+        title="Issue Still Blocks Others"
+        message={`Save and mark this issue as done?${blockedWarning}`}
+        confirmText="Yes, Save Changes"
+        confirmVariant="primary"
+        onConfirm={saveChanges}
         loading={actionLoading}
       />
 
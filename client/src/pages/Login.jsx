@@ -4,7 +4,7 @@
 // User login form with email and password
 
 import { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import './Login.css';
 import { loginUser, clearError } from '../redux/slices/authSlice';
@@ -12,10 +12,12 @@ import Button from '../components/common/Button';
 import Input from '../components/common/Input';
 import Card from '../components/common/Card';
 import Aurora from '../components/common/Aurora';
+import getLoginRedirect from '../utils/loginRedirect';
 
 const Login = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
+  const location = useLocation();
 
   // Get auth state from Redux
   const { loading, error, isAuthenticated } = useSelector((state) => state.auth);
@@ -33,12 +35,12 @@ const Login = () => {
     dispatch(clearError());
   }, [dispatch]);
 
-  // Redirect to dashboard if already authenticated
+  // Redirect to the requested page (or dashboard) if already authenticated
   useEffect(() => {
     if (isAuthenticated) {
-      navigate('/dashboard');
+      navigate(getLoginRedirect(location));
     }
-  }, [isAuthenticated, navigate]);
+  }, [isAuthenticated, navigate, location]);
 
   // Handle input changes
   const handleChange = (e) => {
@@ -89,7 +91,7 @@ const Login = () => {
     const result = await dispatch(loginUser(formData));
 
     if (loginUser.fulfilled.match(result)) {
-      navigate('/dashboard');
+      navigate(getLoginRedirect(location));
     }
   };
 
@@ -145,7 +147,7 @@ const Login = () => {
         {/* Link to register page */}
         <div className="footer">
           Don't have an account?{' '}
-          <Link to="/register" className="link">Create one</Link>
+          <Link to="/register" state={location.state} className="link">Create one</Link>
         </div>
       </Card>
     </div>
@@ -0,0 +1,288 @@
+// ========================================
+// MILESTONES PAGE
+// ========================================
+// A project's releases with the share of their issues that are done
+
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import './Milestones.css';
+import {
+  fetchMilestones,
+  createMilestone,
+  updateMilestone,
+  deleteMilestone,
+  clearError
+} from '../redux/slices/milestonesSlice';
+import { setFilters } from '../redux/slices/issuesSlice';
+import { setCurrentProject } from '../redux/slices/projectsSlice';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import Input from '../components/common/Input';
+import Badge from '../components/common/Badge';
+import Loader from '../components/common/Loader';
+import Modal, { ConfirmModal } from '../components/common/Modal';
+import { formatDueDate, getToday, toDateInputValue } from '../utils/dueDate';
+
+const emptyForm = { name: '', description: '', targetDate: '' };
+
+const Milestones = () => {
+  const { projectId } = useParams();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+
+  // Get state from Redux
+  const { milestones, statuses, loading, actionLoading, error } = useSelector((state) => state.milestones);
+  const { projects } = useSelector((state) => state.projects);
+  const { workspaces } = useSelector((state) => state.workspaces);
+
+  // Only roles with milestone:manage in the project's workspace can change milestones
+  const project = projects.find((item) => item.id === parseInt(projectId));
+  const workspace = workspaces.find((item) => item.id === project?.workspaceId);
+  const canManage = Boolean(workspace?.permissions.includes('milestone:manage'));
+
+  // Create/edit dialog (editing = the milestone being edited, null when creating)
+  const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [milestoneToDelete, setMilestoneToDelete] = useState(null);
+
+  // Fetch milestones when the project changes
+  useEffect(() => {
+    dispatch(clearError());
+    dispatch(fetchMilestones(parseInt(projectId)));
+  }, [dispatch, projectId]);
+
+  const openCreateDialog = () => {
+    dispatch(clearError());
+    setEditing(null);
+    setForm(emptyForm);
+    setIsDialogOpen(true);
+  };
+
+  const openEditDialog = (milestone) => {
+    dispatch(clearError());
+    setEditing(milestone);
+    setForm({
+      name: milestone.name,
+      description: milestone.description || '',
+      targetDate: toDateInputValue(milestone.targetDate)
+    });
+    setIsDialogOpen(true);
+  };
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Handle create or edit
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const milestoneData = {
+      name: form.name,
+      description: form.description,
+      targetDate: form.targetDate || null
+    };
+
+    const result = editing
+      ? await dispatch(updateMilestone({ projectId: parseInt(projectId), milestoneId: editing.id, milestoneData }))
+      : await dispatch(createMilestone({ projectId: parseInt(projectId), milestoneData }));
+
+    if (updateMilestone.fulfilled.match(result) || createMilestone.fulfilled.match(result)) {
+      setIsDialogOpen(false);
+    }
+  };
+
+  // Close a shipped milestone or reopen it
+  const handleToggleState = (milestone) => {
+    dispatch(updateMilestone({
+      projectId: parseInt(projectId),
+      milestoneId: milestone.id,
+      milestoneData: { state: milestone.state === 'Open' ? 'Closed' : 'Open' }
+    }));
+  };
+
+  const handleDelete = async () => {
+    const result = await dispatch(deleteMilestone({
+      projectId: parseInt(projectId),
+      milestoneId: milestoneToDelete.id
+    }));
+
+    if (deleteMilestone.fulfilled.match(result)) {
+      setMilestoneToDelete(null);
+    }
+  };
+
+  // Show the milestone's issues on the dashboard
+  const handleViewIssues = (milestone) => {
+    dispatch(setCurrentProject(parseInt(projectId)));
+    dispatch(setFilters({ milestone: milestone.id.toString() }));
+    navigate('/dashboard');
+  };
+
+  // Open milestones whose target date has passed are late
+  const isLate = (milestone) => (
+    milestone.state === 'Open' && milestone.targetDate && toDateInputValue(milestone.targetDate) < getToday()
+  );
+
+  if (loading && milestones.length === 0) {
+    return <Loader fullScreen text="Loading milestones..." />;
+  }
+
+  return (
+    <div className="milestonesContainer">
+      <div className="header">
+        <h1 className="title">{project ? `${project.name} milestones` : 'Milestones'}</h1>
+        <div className="milestonesHeaderButtons">
+          {canManage && (
+            <Button variant="primary" size="small" onClick={openCreateDialog}>
+              + New Milestone
+            </Button>
+          )}
+          <Button variant="ghost" size="small" onClick={() => navigate('/dashboard')}>
+            ← Back
+          </Button>
+        </div>
+      </div>
+
+      {error && !isDialogOpen && <div className="errorAlert">{error}</div>}
+
+      {milestones.length === 0 ? (
+        <Card className="milestonesEmpty">
+          <h3>No milestones yet</h3>
+          <p>Create a milestone for each release and target issues at it.</p>
+        </Card>
+      ) : (
+        <div className="milestoneList">
+          {milestones.map((milestone) => (
+            <Card key={milestone.id} className="milestoneCard">
+              <div className="milestoneHeader">
+                <h2 className="milestoneName">{milestone.name}</h2>
+                <Badge color={milestone.state === 'Open' ? '#198ED2' : '#616161'}>{milestone.state}</Badge>
+                <span className={isLate(milestone) ? 'milestoneDate milestoneDate-late' : 'milestoneDate'}>
+                  {milestone.targetDate ? `Target ${formatDueDate(milestone.targetDate)}` : 'No target date'}
+                  {isLate(milestone) && ' (late)'}
+                </span>
+              </div>
+
+              {milestone.description && <p className="milestoneDescription">{milestone.description}</p>}
+
+              {/* Completion: share of the milestone's issues in a Done-category status */}
+              <div className="milestoneProgressRow">
+                <div
+                  className="milestoneProgress"
+                  role="progressbar"
+                  aria-valuenow={milestone.percent}
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                >
+                  <div className="milestoneProgressFill" style={{ width: `${milestone.percent}%` }} />
+                </div>
+                <span className="milestonePercent">{milestone.percent}%</span>
+              </div>
+
+              <div className="milestoneCounts">
+                <span>{milestone.done} of {milestone.total} issues done</span>
+                {statuses
+                  .filter((status) => milestone.counts[status.key] > 0)
+                  .map((status) => (
+                    <Badge key={status.key} color={status.color}>
+                      {status.name}: {milestone.counts[status.key]}
+                    </Badge>
+                  ))}
+              </div>
+
+              <div className="milestoneActions">
+                <Button variant="outline" size="small" onClick={() => handleViewIssues(milestone)}>
+                  View issues
+                </Button>
+                {canManage && (
+                  <>
+                    <Button variant="ghost" size="small" onClick={() => openEditDialog(milestone)}>
+                      Edit
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="small"
+                      onClick={() => handleToggleState(milestone)}
+                      disabled={actionLoading}
+                    >
+                      {milestone.state === 'Open' ? 'Close' : 'Reopen'}
+                    </Button>
+                    <Button variant="ghost" size="small" onClick={() => setMilestoneToDelete(milestone)}>
+                      Delete
+                    </Button>
+                  </>
+                )}
+              </div>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      {/* Create / edit dialog */}
+      <Modal
+        isOpen={isDialogOpen}
+        onClose={() => setIsDialogOpen(false)}
+        title={editing ? 'Edit Milestone' : 'New Milestone'}
+        size="small"
+      >
+        <form className="milestoneForm" onSubmit={handleSubmit}>
+          {error && <div className="errorAlert">{error}</div>}
+
+          <Input
+            label="Name"
+            name="name"
+            value={form.name}
+            onChange={handleFormChange}
+            placeholder="e.g. v2.4"
+            maxLength={100}
+            required
+          />
+
+          <Input
+            label="Target Date"
+            type="date"
+            name="targetDate"
+            value={form.targetDate}
+            onChange={handleFormChange}
+          />
+
+          <Input
+            label="Description"
+            name="description"
+            value={form.description}
+            onChange={handleFormChange}
+            maxLength={5000}
+            multiline
+            rows={3}
+          />
+
+          <div className="milestoneFormButtons">
+            <Button type="button" variant="ghost" onClick={() => setIsDialogOpen(false)} disabled={actionLoading}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={actionLoading || !form.name.trim()}>
+              {actionLoading ? 'Saving...' : editing ? 'Save' : 'Create'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      <ConfirmModal
+        isOpen={Boolean(milestoneToDelete)}
+        onClose={() => setMilestoneToDelete(null)}
+        title="Delete Milestone"
+        message={`Are you sure you want to delete "${milestoneToDelete?.name}"? Its issues will no longer be targeted at a milestone.`}
+        confirmText="Yes, Delete Milestone"
+        confirmVariant="danger"
+        onConfirm={handleDelete}
+        loading={actionLoading}
+      />
+    </div>
+  );
+};
+
+export default Milestones;
@@ -0,0 +1,318 @@
+// ========================================
+// PROJECT WORKFLOW PAGE
+// ========================================
+// Configure a project's statuses and which status changes are allowed
+
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import './ProjectWorkflow.css';
+import { fetchWorkflow, updateWorkflow, clearError } from '../redux/slices/workflowSlice';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import Input from '../components/common/Input';
+import Select from '../components/common/Select';
+import Badge from '../components/common/Badge';
+import Loader from '../components/common/Loader';
+
+// Status categories tell the app which statuses count as not started, underway or done
+const CATEGORY_OPTIONS = [
+  { value: 'Todo', label: 'To do' },
+  { value: 'InProgress', label: 'In progress' },
+  { value: 'Done', label: 'Done' }
+];
+
+// Derive a status key from its name, e.g. 'In Review' -> 'InReview'
+const toKey = (name) => {
+  const key = name
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+
+  return /^[A-Za-z]/.test(key) ? key.slice(0, 50) : '';
+};
+
+// Editable copy of saved statuses; transitions refer to draft ids so unsaved statuses can be linked
+const toDraft = (statuses) => statuses.map((status) => ({ ...status, id: status.key, isNew: false }));
+
+const ProjectWorkflow = () => {
+  const { projectId } = useParams();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+
+  // Get state from Redux
+  const workflow = useSelector((state) => state.workflow);
+  const { projects } = useSelector((state) => state.projects);
+  const { workspaces } = useSelector((state) => state.workspaces);
+
+  // Only roles with project:update in the project's workspace can edit
+  const project = projects.find((item) => item.id === parseInt(projectId));
+  const workspace = workspaces.find((item) => item.id === project?.workspaceId);
+  const canEdit = Boolean(workspace?.permissions.includes('project:update'));
+
+  // Editable copy of the workflow; new statuses get their key from their name until saved
+  const [draft, setDraft] = useState([]);
+  const [newCount, setNewCount] = useState(0);
+  const [formError, setFormError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  // Fetch the workflow when the project changes
+  useEffect(() => {
+    dispatch(clearError());
+    dispatch(fetchWorkflow(parseInt(projectId)));
+  }, [dispatch, projectId]);
+
+  // Reset the draft whenever the saved workflow changes
+  useEffect(() => {
+    if (workflow.projectId === parseInt(projectId)) {
+      setDraft(toDraft(workflow.statuses));
+    }
+  }, [workflow.projectId, workflow.statuses, projectId]);
+
+  // Update one field of a status
+  const handleStatusChange = (index, field, value) => {
+    setDraft(prev => prev.map((status, i) => {
+      if (i !== index) return status;
+
+      const updated = { ...status, [field]: value };
+      if (field === 'name' && status.isNew) {
+        updated.key = toKey(value);
+      }
+      return updated;
+    }));
+    setFormError('');
+    setSuccessMessage('');
+  };
+
+  // Add an empty status at the end; it may move to and from every existing status
+  const handleAddStatus = () => {
+    const id = `new-${newCount}`;
+    setNewCount(prev => prev + 1);
+
+    setDraft(prev => [
+      ...prev.map((status) => ({ ...status, transitions: [...status.transitions, id] })),
+      {
+        id,
+        key: '',
+        name: '',
+        category: 'InProgress',
+        color: '#757575',
+        transitions: prev.map((status) => status.id),
+        isNew: true
+      }
+    ]);
+  };
+
+  // Remove a status and every transition into it
+  const handleRemoveStatus = (index) => {
+    const removedId = draft[index].id;
+
+    setDraft(prev => prev
+      .filter((_, i) => i !== index)
+      .map((status) => ({
+        ...status,
+        transitions: status.transitions.filter((id) => id !== removedId)
+      }))
+    );
+  };
+
+  // Move a status up or down (the first status is where new issues start)
+  const handleMoveStatus = (index, offset) => {
+    setDraft(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  // Allow or forbid moving from one status to another
+  const handleToggleTransition = (fromIndex, toId) => {
+    setDraft(prev => prev.map((status, i) => {
+      if (i !== fromIndex) return status;
+
+      return {
+        ...status,
+        transitions: status.transitions.includes(toId)
+          ? status.transitions.filter((id) => id !== toId)
+          : [...status.transitions, toId]
+      };
+    }));
+  };
+
+  // Validate and save the whole workflow
+  const handleSave = async () => {
+    const keys = draft.map((status) => status.key);
+    const keyById = Object.fromEntries(draft.map((status) => [status.id, status.key]));
+
+    if (draft.length === 0) {
+      setFormError('A workflow needs at least one status');
+      return;
+    }
+    if (draft.some((status) => !status.name.trim() || !status.key)) {
+      setFormError('Every status needs a name that starts with a letter');
+      return;
+    }
+    if (new Set(keys).size !== keys.length) {
+      setFormError('Status names must be unique');
+      return;
+    }
+
+    const result = await dispatch(updateWorkflow({
+      projectId: parseInt(projectId),
+      statuses: draft.map(({ key, name, category, color, transitions }) => ({
+        key,
+        name: name.trim(),
+        category,
+        color,
+        transitions: transitions.map((id) => keyById[id])
+      }))
+    }));
+
+    if (updateWorkflow.fulfilled.match(result)) {
+      setSuccessMessage('Workflow saved');
+    }
+  };
+
+  if (workflow.loading && draft.length === 0) {
+    return <Loader fullScreen text="Loading workflow..." />;
+  }
+
+  return (
+    <div className="workflowContainer">
+      <div className="header">
+        <h1 className="title">{project ? `${project.name} workflow` : 'Workflow'}</h1>
+        <Button variant="ghost" size="small" onClick={() => navigate('/dashboard')}>
+          ← Back
+        </Button>
+      </div>
+
+      {(formError || workflow.error) && <div className="errorAlert">{formError || workflow.error}</div>}
+      {successMessage && <div className="successAlert">{successMessage}</div>}
+
+      {/* Statuses */}
+      <Card className="workflowSection">
+        <h2 className="sectionTitle">Statuses</h2>
+        <p className="workflowHint">New issues start in the first status. Categories decide which statuses count as done.</p>
+
+        <div className="statusList">
+          {draft.map((status, index) => (
+            <div key={status.id} className="statusRow">
+              {canEdit ? (
+                <>
+                  <input
+                    type="color"
+                    value={status.color}
+                    onChange={(e) => handleStatusChange(index, 'color', e.target.value.toUpperCase())}
+                    className="statusColorInput"
+                    aria-label="Status color"
+                  />
+                  <Input
+                    name={`name-${index}`}
+                    value={status.name}
+                    onChange={(e) => handleStatusChange(index, 'name', e.target.value)}
+                    placeholder="Status name, e.g. In Review"
+                    maxLength={50}
+                  />
+                  <Select
+                    name={`category-${index}`}
+                    value={status.category}
+                    onChange={(e) => handleStatusChange(index, 'category', e.target.value)}
+                    options={CATEGORY_OPTIONS}
+                  />
+                  <div className="statusActions">
+                    <Button variant="ghost" size="small" onClick={() => handleMoveStatus(index, -1)} disabled={index === 0}>
+                      ↑
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="small"
+                      onClick={() => handleMoveStatus(index, 1)}
+                      disabled={index === draft.length - 1}
+                    >
+                      ↓
+                    </Button>
+                    <Button variant="ghost" size="small" onClick={() => handleRemoveStatus(index)}>
+                      Remove
+                    </Button>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <Badge color={status.color}>{status.name}</Badge>
+                  <span className="statusCategory">
+                    {CATEGORY_OPTIONS.find((option) => option.value === status.category)?.label}
+                  </span>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {canEdit && (
+          <Button variant="outline" size="small" onClick={handleAddStatus}>
+            + Add status
+          </Button>
+        )}
+      </Card>
+
+      {/* Transitions */}
+      <Card className="workflowSection">
+        <h2 className="sectionTitle">Allowed transitions</h2>
+        <p className="workflowHint">Each row lists the statuses an issue may move to from that status.</p>
+
+        <div className="transitionTableWrapper">
+          <table className="transitionTable">
+            <thead>
+              <tr>
+                <th>From \ To</th>
+                {draft.map((status) => (
+                  <th key={status.id}>{status.name || 'Unnamed'}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {draft.map((from, fromIndex) => (
+                <tr key={from.id}>
+                  <th>{from.name || 'Unnamed'}</th>
+                  {draft.map((to) => (
+                    <td key={to.id}>
+                      {from.id === to.id ? (
+                        <span className="transitionSelf">—</span>
+                      ) : (
+                        <input
+                          type="checkbox"
+                          checked={from.transitions.includes(to.id)}
+                          onChange={() => handleToggleTransition(fromIndex, to.id)}
+                          disabled={!canEdit}
+                          aria-label={`Allow ${from.name} to ${to.name}`}
+                        />
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      {canEdit && (
+        <div className="workflowButtons">
+          <Button
+            variant="ghost"
+            onClick={() => setDraft(toDraft(workflow.statuses))}
+            disabled={workflow.actionLoading}
+          >
+            Discard changes
+          </Button>
+          <Button variant="primary" onClick={handleSave} disabled={workflow.actionLoading}>
+            {workflow.actionLoading ? 'Saving...' : 'Save Workflow'}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectWorkflow;
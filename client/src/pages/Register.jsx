@@ -4,7 +4,7 @@
 // User registration form with email, password, and name
 
 import { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import './Register.css';
 import { registerUser, clearError } from '../redux/slices/authSlice';
@@ -12,10 +12,12 @@ import Button from '../components/common/Button';
 import Input from '../components/common/Input';
 import Card from '../components/common/Card';
 import Aurora from '../components/common/Aurora';
+import getLoginRedirect from '../utils/loginRedirect';
 
 const Register = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
+  const location = useLocation();
 
   // Get auth state from Redux
   const { loading, error, isAuthenticated } = useSelector((state) => state.auth);
@@ -35,12 +37,12 @@ const Register = () => {
     dispatch(clearError());
   }, [dispatch]);
 
-  // Redirect to dashboard if already authenticated
+  // Redirect to the requested page (or dashboard) if already authenticated
   useEffect(() => {
     if (isAuthenticated) {
-      navigate('/dashboard');
+      navigate(getLoginRedirect(location));
     }
-  }, [isAuthenticated, navigate]);
+  }, [isAuthenticated, navigate, location]);
 
   // Handle input changes
   const handleChange = (e) => {
@@ -108,7 +110,7 @@ const Register = () => {
     const result = await dispatch(registerUser(userData));
 
     if (registerUser.fulfilled.match(result)) {
-      navigate('/dashboard');
+      navigate(getLoginRedirect(location));
     }
   };
 
@@ -188,7 +190,7 @@ const Register = () => {
         {/* Link to login page */}
         <div className="footer">
           Already have an account?{' '}
-          <Link to="/login" className="link">Sign in</Link>
+          <Link to="/login" state={location.state} className="link">Sign in</Link>
         </div>
       </Card>
     </div>
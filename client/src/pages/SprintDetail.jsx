@@ -0,0 +1,199 @@
+// ========================================
+// SPRINT DETAIL PAGE
+// ========================================
+// Plan a sprint by moving issues between it and the backlog, and follow its burndown
+
+import { useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import './SprintDetail.css';
+import {
+  fetchSprints,
+  fetchSprint,
+  fetchBurndown,
+  fetchBacklog,
+  addIssuesToSprint,
+  removeIssueFromSprint,
+  clearCurrentSprint
+} from '../redux/slices/sprintsSlice';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import Badge from '../components/common/Badge';
+import Loader from '../components/common/Loader';
+import StatusBadge from '../components/issues/StatusBadge';
+import BurndownChart from '../components/sprints/BurndownChart';
+import { formatDueDate } from '../utils/dueDate';
+import { SPRINT_STATE_COLORS, getSprintProgress } from '../utils/sprints';
+
+const SprintDetail = () => {
+  const { projectId, sprintId } = useParams();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+
+  // Get state from Redux
+  const {
+    currentSprint, sprintIssues, backlog, burndown, statuses, sprintLoading, actionLoading, error
+  } = useSelector((state) => state.sprints);
+  const { projects } = useSelector((state) => state.projects);
+  const { workspaces } = useSelector((state) => state.workspaces);
+
+  // Moving issues in and out of a sprint needs issue:update in the project's workspace
+  const project = projects.find((item) => item.id === parseInt(projectId));
+  const workspace = workspaces.find((item) => item.id === project?.workspaceId);
+  const canPlan = Boolean(workspace?.permissions.includes('issue:update')) && currentSprint?.state !== 'Completed';
+
+  // Fetch the sprint, its burndown, the backlog and the workflow statuses
+  useEffect(() => {
+    const ids = { projectId: parseInt(projectId), sprintId: parseInt(sprintId) };
+
+    dispatch(fetchSprints(ids.projectId));
+    dispatch(fetchSprint(ids));
+    dispatch(fetchBurndown(ids));
+    dispatch(fetchBacklog(ids.projectId));
+
+    return () => {
+      dispatch(clearCurrentSprint());
+    };
+  }, [dispatch, projectId, sprintId]);
+
+  // Refresh progress and burndown after the sprint's issues change
+  const refreshSprint = () => {
+    const ids = { projectId: parseInt(projectId), sprintId: parseInt(sprintId) };
+    dispatch(fetchSprint(ids));
+    dispatch(fetchBurndown(ids));
+  };
+
+  const handleAdd = async (issueIds) => {
+    const result = await dispatch(addIssuesToSprint({
+      projectId: parseInt(projectId),
+      sprintId: parseInt(sprintId),
+      issueIds
+    }));
+
+    if (addIssuesToSprint.fulfilled.match(result)) {
+      refreshSprint();
+    }
+  };
+
+  const handleRemove = async (issueId) => {
+    const result = await dispatch(removeIssueFromSprint({
+      projectId: parseInt(projectId),
+      sprintId: parseInt(sprintId),
+      issueId
+    }));
+
+    if (removeIssueFromSprint.fulfilled.match(result)) {
+      refreshSprint();
+      dispatch(fetchBacklog(parseInt(projectId)));
+    }
+  };
+
+  if (!currentSprint) {
+    return sprintLoading || !error
+      ? <Loader fullScreen text="Loading sprint..." />
+      : (
+        <div className="sprintDetailContainer">
+          <div className="errorAlert">{error}</div>
+          <Button variant="ghost" onClick={() => navigate(`/projects/${projectId}/sprints`)}>
+            ← Back to sprints
+          </Button>
+        </div>
+      );
+  }
+
+  const progress = getSprintProgress(currentSprint);
+
+  // One issue row; action is the add/remove button, if any
+  const renderIssue = (issue, action) => (
+    <li key={issue.id} className="sprintIssue">
+      <Link to={`/issues/${issue.id}`} className="sprintIssueTitle">
+        #{issue.id} {issue.title}
+      </Link>
+      <StatusBadge status={issue.status} statuses={statuses} />
+      <span className="sprintIssueMeta">
+        {issue.storyPoints !== null ? `${issue.storyPoints} pts` : 'No estimate'}
+        {issue.assignee && ` · ${issue.assignee.name || issue.assignee.email}`}
+      </span>
+      {action}
+    </li>
+  );
+
+  return (
+    <div className="sprintDetailContainer">
+      <div className="header">
+        <div>
+          <h1 className="title">{currentSprint.name}</h1>
+          <div className="sprintDetailMeta">
+            <Badge color={SPRINT_STATE_COLORS[currentSprint.state]}>{currentSprint.state}</Badge>
+            <span>{formatDueDate(currentSprint.startDate)} – {formatDueDate(currentSprint.endDate)}</span>
+            <span>{progress.done} of {progress.total} {progress.unit} done</span>
+          </div>
+        </div>
+        <Button variant="ghost" size="small" onClick={() => navigate(`/projects/${projectId}/sprints`)}>
+          ← Sprints
+        </Button>
+      </div>
+
+      {error && <div className="errorAlert">{error}</div>}
+
+      {currentSprint.goal && (
+        <Card className="sprintDetailGoal">
+          <span className="sprintDetailLabel">Goal</span>
+          <p>{currentSprint.goal}</p>
+        </Card>
+      )}
+
+      {/* Burndown, rebuilt from the issues' status changes over the sprint */}
+      <Card className="sprintDetailSection">
+        <h2 className="sectionTitle">Burndown</h2>
+        {burndown ? <BurndownChart burndown={burndown} /> : <Loader text="Loading burndown..." />}
+      </Card>
+
+      <Card className="sprintDetailSection">
+        <h2 className="sectionTitle">Sprint issues ({sprintIssues.length})</h2>
+        {sprintIssues.length === 0 ? (
+          <p className="sprintDetailEmpty">No issues in this sprint yet.</p>
+        ) : (
+          <ul className="sprintIssueList">
+            {sprintIssues.map((issue) => renderIssue(issue, canPlan && (
+              <Button variant="ghost" size="small" onClick={() => handleRemove(issue.id)} disabled={actionLoading}>
+                Remove
+              </Button>
+            )))}
+          </ul>
+        )}
+      </Card>
+
+      {canPlan && (
+        <Card className="sprintDetailSection">
+          <div className="sprintBacklogHeader">
+            <h2 className="sectionTitle">Backlog ({backlog.length})</h2>
+            {backlog.length > 0 && (
+              <Button
+                variant="outline"
+                size="small"
+                onClick={() => handleAdd(backlog.map((issue) => issue.id))}
+                disabled={actionLoading}
+              >
+                Add all
+              </Button>
+            )}
+          </div>
+          {backlog.length === 0 ? (
+            <p className="sprintDetailEmpty">The backlog is empty.</p>
+          ) : (
+            <ul className="sprintIssueList">
+              {backlog.map((issue) => renderIssue(issue, (
+                <Button variant="ghost" size="small" onClick={() => handleAdd([issue.id])} disabled={actionLoading}>
+                  Add
+                </Button>
+              )))}
+            </ul>
+          )}
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default SprintDetail;
@@ -0,0 +1,384 @@
+// ========================================
+// SPRINTS PAGE
+// ========================================
+// A project's sprints: plan new ones, start the next and complete the active one
+
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import './Sprints.css';
+import {
+  fetchSprints,
+  createSprint,
+  updateSprint,
+  deleteSprint,
+  clearError
+} from '../redux/slices/sprintsSlice';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import Input from '../components/common/Input';
+import Select from '../components/common/Select';
+import Badge from '../components/common/Badge';
+import Loader from '../components/common/Loader';
+import Modal, { ConfirmModal } from '../components/common/Modal';
+import { formatDueDate, getToday, toDateInputValue } from '../utils/dueDate';
+import { SPRINT_STATE_COLORS, getSprintProgress } from '../utils/sprints';
+
+// New sprints default to two weeks starting today
+const getDefaultForm = () => {
+  const endDate = new Date(`${getToday()}T00:00:00.000Z`);
+  endDate.setUTCDate(endDate.getUTCDate() + 13);
+
+  return { name: '', goal: '', startDate: getToday(), endDate: endDate.toISOString().slice(0, 10) };
+};
+
+const Sprints = () => {
+  const { projectId } = useParams();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+
+  // Get state from Redux
+  const { sprints, loading, actionLoading, error } = useSelector((state) => state.sprints);
+  const { projects } = useSelector((state) => state.projects);
+  const { workspaces } = useSelector((state) => state.workspaces);
+
+  // Only roles with sprint:manage in the project's workspace can plan, start and complete sprints
+  const project = projects.find((item) => item.id === parseInt(projectId));
+  const workspace = workspaces.find((item) => item.id === project?.workspaceId);
+  const canManage = Boolean(workspace?.permissions.includes('sprint:manage'));
+
+  // Create/edit dialog (editing = the sprint being edited, null when creating)
+  const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(getDefaultForm);
+  const [sprintToDelete, setSprintToDelete] = useState(null);
+
+  // Complete dialog: where the unfinished issues go ('' = backlog)
+  const [sprintToComplete, setSprintToComplete] = useState(null);
+  const [moveOpenIssuesTo, setMoveOpenIssuesTo] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  // Fetch sprints when the project changes
+  useEffect(() => {
+    dispatch(clearError());
+    dispatch(fetchSprints(parseInt(projectId)));
+  }, [dispatch, projectId]);
+
+  const activeSprint = sprints.find((sprint) => sprint.state === 'Active');
+  const plannedSprints = sprints.filter((sprint) => sprint.state === 'Planned');
+
+  const openCreateDialog = () => {
+    dispatch(clearError());
+    setEditing(null);
+    setForm(getDefaultForm());
+    setIsDialogOpen(true);
+  };
+
+  const openEditDialog = (sprint) => {
+    dispatch(clearError());
+    setEditing(sprint);
+    setForm({
+      name: sprint.name,
+      goal: sprint.goal || '',
+      startDate: toDateInputValue(sprint.startDate),
+      endDate: toDateInputValue(sprint.endDate)
+    });
+    setIsDialogOpen(true);
+  };
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Handle create or edit
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const sprintData = {
+      name: form.name,
+      goal: form.goal,
+      startDate: form.startDate,
+      endDate: form.endDate
+    };
+
+    const result = editing
+      ? await dispatch(updateSprint({ projectId: parseInt(projectId), sprintId: editing.id, sprintData }))
+      : await dispatch(createSprint({ projectId: parseInt(projectId), sprintData }));
+
+    if (updateSprint.fulfilled.match(result) || createSprint.fulfilled.match(result)) {
+      setIsDialogOpen(false);
+    }
+  };
+
+  const handleStart = async (sprint) => {
+    setSuccessMessage('');
+    const result = await dispatch(updateSprint({
+      projectId: parseInt(projectId),
+      sprintId: sprint.id,
+      sprintData: { state: 'Active' }
+    }));
+
+    if (updateSprint.fulfilled.match(result)) {
+      // Refetch so the list order puts the new active sprint first
+      dispatch(fetchSprints(parseInt(projectId)));
+    }
+  };
+
+  const openCompleteDialog = (sprint) => {
+    dispatch(clearError());
+    setMoveOpenIssuesTo('');
+    setSprintToComplete(sprint);
+  };
+
+  const handleComplete = async () => {
+    const result = await dispatch(updateSprint({
+      projectId: parseInt(projectId),
+      sprintId: sprintToComplete.id,
+      sprintData: {
+        state: 'Completed',
+        moveOpenIssuesTo: moveOpenIssuesTo ? parseInt(moveOpenIssuesTo) : null
+      }
+    }));
+
+    if (updateSprint.fulfilled.match(result)) {
+      const count = result.payload.movedIssueCount;
+      setSuccessMessage(
+        `${sprintToComplete.name} completed.` +
+        (count > 0 ? ` ${count} unfinished issue${count === 1 ? '' : 's'} moved.` : '')
+      );
+      setSprintToComplete(null);
+      dispatch(fetchSprints(parseInt(projectId)));
+    }
+  };
+
+  const handleDelete = async () => {
+    const result = await dispatch(deleteSprint({
+      projectId: parseInt(projectId),
+      sprintId: sprintToDelete.id
+    }));
+
+    if (deleteSprint.fulfilled.match(result)) {
+      setSprintToDelete(null);
+    }
+  };
+
+  if (loading && sprints.length === 0) {
+    return <Loader fullScreen text="Loading sprints..." />;
+  }
+
+  return (
+    <div className="sprintsContainer">
+      <div className="header">
+        <h1 className="title">{project ? `${project.name} sprints` : 'Sprints'}</h1>
+        <div className="sprintsHeaderButtons">
+          {canManage && (
+            <Button variant="primary" size="small" onClick={openCreateDialog}>
+              + New Sprint
+            </Button>
+          )}
+          <Button variant="ghost" size="small" onClick={() => navigate('/dashboard')}>
+            ← Back
+          </Button>
+        </div>
+      </div>
+
+      {error && !isDialogOpen && !sprintToComplete && <div className="errorAlert">{error}</div>}
+      {successMessage && <div className="successAlert">{successMessage}</div>}
+
+      {sprints.length === 0 ? (
+        <Card className="sprintsEmpty">
+          <h3>No sprints yet</h3>
+          <p>Plan a sprint, add issues from the backlog and start it when the team is ready.</p>
+        </Card>
+      ) : (
+        <div className="sprintList">
+          {sprints.map((sprint) => {
+            const progress = getSprintProgress(sprint);
+
+            return (
+              <Card key={sprint.id} className="sprintCard">
+                <div className="sprintHeader">
+                  <Link to={`/projects/${projectId}/sprints/${sprint.id}`} className="sprintName">
+                    {sprint.name}
+                  </Link>
+                  <Badge color={SPRINT_STATE_COLORS[sprint.state]}>{sprint.state}</Badge>
+                  <span className="sprintDates">
+                    {formatDueDate(sprint.startDate)} – {formatDueDate(sprint.endDate)}
+                  </span>
+                </div>
+
+                {sprint.goal && <p className="sprintGoal">{sprint.goal}</p>}
+
+                <div className="sprintProgressRow">
+                  <div
+                    className="sprintProgress"
+                    role="progressbar"
+                    aria-valuenow={progress.percent}
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                  >
+                    <div className="sprintProgressFill" style={{ width: `${progress.percent}%` }} />
+                  </div>
+                  <span className="sprintProgressText">
+                    {progress.done} of {progress.total} {progress.unit} done
+                  </span>
+                </div>
+
+                <div className="sprintActions">
+                  <Button
+                    variant="outline"
+                    size="small"
+                    onClick={() => navigate(`/projects/${projectId}/sprints/${sprint.id}`)}
+                  >
+                    {sprint.state === 'Completed' ? 'View' : 'Plan'}
+                  </Button>
+                  {canManage && sprint.state === 'Planned' && (
+                    <Button
+                      variant="primary"
+                      size="small"
+                      onClick={() => handleStart(sprint)}
+                      disabled={actionLoading || Boolean(activeSprint)}
+                      title={activeSprint ? `Complete ${activeSprint.name} first` : undefined}
+                    >
+                      Start
+                    </Button>
+                  )}
+                  {canManage && sprint.state === 'Active' && (
+                    <Button variant="primary" size="small" onClick={() => openCompleteDialog(sprint)}>
+                      Complete
+                    </Button>
+                  )}
+                  {canManage && (
+                    <>
+                      <Button variant="ghost" size="small" onClick={() => openEditDialog(sprint)}>
+                        Edit
+                      </Button>
+                      <Button variant="ghost" size="small" onClick={() => setSprintToDelete(sprint)}>
+                        Delete
+                      </Button>
+                    </>
+                  )}
+                </div>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Create / edit dialog */}
+      <Modal
+        isOpen={isDialogOpen}
+        onClose={() => setIsDialogOpen(false)}
+        title={editing ? 'Edit Sprint' : 'New Sprint'}
+        size="small"
+      >
+        <form className="sprintForm" onSubmit={handleSubmit}>
+          {error && <div className="errorAlert">{error}</div>}
+
+          <Input
+            label="Name"
+            name="name"
+            value={form.name}
+            onChange={handleFormChange}
+            placeholder="e.g. Sprint 14"
+            maxLength={100}
+            required
+          />
+
+          <div className="sprintFormDates">
+            <Input
+              label="Start Date"
+              type="date"
+              name="startDate"
+              value={form.startDate}
+              onChange={handleFormChange}
+              required
+            />
+            <Input
+              label="End Date"
+              type="date"
+              name="endDate"
+              value={form.endDate}
+              onChange={handleFormChange}
+              required
+            />
+          </div>
+
+          <Input
+            label="Goal"
+            name="goal"
+            value={form.goal}
+            onChange={handleFormChange}
+            maxLength={5000}
+            multiline
+            rows={3}
+          />
+
+          <div className="sprintFormButtons">
+            <Button type="button" variant="ghost" onClick={() => setIsDialogOpen(false)} disabled={actionLoading}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              variant="primary"
+              disabled={actionLoading || !form.name.trim() || !form.startDate || !form.endDate}
+            >
+              {actionLoading ? 'Saving...' : editing ? 'Save' : 'Create'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Complete dialog: choose where unfinished issues go */}
+      <Modal
+        isOpen={Boolean(sprintToComplete)}
+        onClose={() => setSprintToComplete(null)}
+        title="Complete Sprint"
+        size="small"
+      >
+        <div className="sprintForm">
+          {error && <div className="errorAlert">{error}</div>}
+
+          <p className="sprintCompleteText">
+            Issues of {sprintToComplete?.name} that are not done yet will be moved out of the sprint.
+          </p>
+
+          <Select
+            label="Move unfinished issues to"
+            name="moveOpenIssuesTo"
+            value={moveOpenIssuesTo}
+            onChange={(e) => setMoveOpenIssuesTo(e.target.value)}
+            options={plannedSprints.map((sprint) => ({
+              value: sprint.id.toString(),
+              label: sprint.name
+            }))}
+            placeholder="Backlog"
+          />
+
+          <div className="sprintFormButtons">
+            <Button type="button" variant="ghost" onClick={() => setSprintToComplete(null)} disabled={actionLoading}>
+              Cancel
+            </Button>
+            <Button variant="primary" onClick={handleComplete} disabled={actionLoading}>
+              {actionLoading ? 'Completing...' : 'Complete Sprint'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      <ConfirmModal
+        isOpen={Boolean(sprintToDelete)}
+        onClose={() => setSprintToDelete(null)}
+        title="Delete Sprint"
+        message={`Are you sure you want to delete "${sprintToDelete?.name}"? Its issues will return to the backlog.`}
+        confirmText="Yes, Delete Sprint"
+        confirmVariant="danger"
+        onConfirm={handleDelete}
+        loading={actionLoading}
+      />
+    </div>
+  );
+};
+
+export default Sprints;
@@ -0,0 +1,416 @@
+// ========================================
+// WORKSPACE SETTINGS PAGE
+// ========================================
+// Members of the selected workspace, email-token invitations and labels
+
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import './WorkspaceSettings.css';
+import {
+  fetchWorkspaces,
+  fetchMembers,
+  updateMemberRole,
+  removeMember,
+  fetchInvitations,
+  inviteMember,
+  revokeInvitation,
+  clearError
+} from '../redux/slices/workspacesSlice';
+import { fetchLabels, createLabel, updateLabel, deleteLabel } from '../redux/slices/labelsSlice';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import Input from '../components/common/Input';
+import Select from '../components/common/Select';
+import Badge from '../components/common/Badge';
+import { ConfirmModal } from '../components/common/Modal';
+
+// Workspace roles, from most to least privileged
+const ROLES = ['Owner', 'Admin', 'Member', 'Viewer', 'Reporter'];
+
+// Starting values of the label form
+const EMPTY_LABEL_FORM = { name: '', color: '#1E88E5', description: '' };
+
+const WorkspaceSettings = () => {
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+
+  // Get state from Redux
+  const { user } = useSelector((state) => state.auth);
+  const { workspaces, currentWorkspaceId, members, invitations, actionLoading, error } = useSelector(
+    (state) => state.workspaces
+  );
+  const currentWorkspace = workspaces.find((workspace) => workspace.id === currentWorkspaceId);
+  const isOwner = currentWorkspace?.role === 'Owner';
+  const canManageMembers = Boolean(currentWorkspace?.permissions.includes('member:manage'));
+  const canManageLabels = Boolean(currentWorkspace?.permissions.includes('label:manage'));
+  const { labels, actionLoading: labelLoading, error: labelError } = useSelector((state) => state.labels);
+
+  // Only owners can hand out (or take away) the Owner role
+  const assignableRoles = isOwner ? ROLES : ROLES.filter((role) => role !== 'Owner');
+  const canManageMember = (member) => canManageMembers && (isOwner || member.role !== 'Owner');
+
+  // Local state
+  const [inviteForm, setInviteForm] = useState({ email: '', role: 'Member' });
+  const [inviteError, setInviteError] = useState('');
+  const [copiedInvitationId, setCopiedInvitationId] = useState(null);
+  const [memberToRemove, setMemberToRemove] = useState(null);
+  const [labelForm, setLabelForm] = useState(EMPTY_LABEL_FORM);
+  const [editingLabelId, setEditingLabelId] = useState(null);
+  const [labelToDelete, setLabelToDelete] = useState(null);
+
+  // Fetch members (and invitations for members who manage them) when the workspace changes
+  useEffect(() => {
+    dispatch(clearError());
+
+    if (currentWorkspaceId) {
+      dispatch(fetchMembers(currentWorkspaceId));
+      dispatch(fetchLabels(currentWorkspaceId));
+    }
+  }, [dispatch, currentWorkspaceId]);
+
+  useEffect(() => {
+    if (currentWorkspaceId && canManageMembers) {
+      dispatch(fetchInvitations(currentWorkspaceId));
+    }
+  }, [dispatch, currentWorkspaceId, canManageMembers]);
+
+  // Handle invite form changes
+  const handleInviteChange = (e) => {
+    const { name, value } = e.target;
+    setInviteForm(prev => ({ ...prev, [name]: value }));
+    setInviteError('');
+  };
+
+  // Handle invite submission
+  const handleInvite = async (e) => {
+    e.preventDefault();
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(inviteForm.email)) {
+      setInviteError('Please enter a valid email address');
+      return;
+    }
+
+    const result = await dispatch(inviteMember({ workspaceId: currentWorkspaceId, data: inviteForm }));
+
+    if (inviteMember.fulfilled.match(result)) {
+      setInviteForm({ email: '', role: 'Member' });
+    }
+  };
+
+  // Copy an invitation link to the clipboard
+  const handleCopyLink = async (invitation) => {
+    try {
+      await navigator.clipboard.writeText(invitation.url);
+      setCopiedInvitationId(invitation.id);
+      setTimeout(() => setCopiedInvitationId(null), 2000);
+    } catch (err) {
+      console.error('Failed to copy invitation link:', err);
+    }
+  };
+
+  // Handle role change, refreshing workspaces when the user changed their own role
+  const handleRoleChange = async (member, role) => {
+    const result = await dispatch(updateMemberRole({
+      workspaceId: currentWorkspaceId,
+      userId: member.userId,
+      role
+    }));
+
+    if (updateMemberRole.fulfilled.match(result) && member.userId === user?.id) {
+      dispatch(fetchWorkspaces());
+    }
+  };
+
+  // Handle member removal (or leaving the workspace)
+  const handleRemoveMember = async () => {
+    const isSelf = memberToRemove.userId === user?.id;
+    const result = await dispatch(removeMember({
+      workspaceId: currentWorkspaceId,
+      userId: memberToRemove.userId
+    }));
+
+    if (removeMember.fulfilled.match(result)) {
+      setMemberToRemove(null);
+
+      // After leaving, refresh workspaces so the switcher moves to another one
+      if (isSelf) {
+        dispatch(fetchWorkspaces());
+        navigate('/dashboard');
+      }
+    }
+  };
+
+  // Handle label form changes
+  const handleLabelChange = (e) => {
+    const { name, value } = e.target;
+    setLabelForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Start editing a label in the label form
+  const handleEditLabel = (label) => {
+    setEditingLabelId(label.id);
+    setLabelForm({ name: label.name, color: label.color, description: label.description || '' });
+  };
+
+  // Reset the label form back to "new label"
+  const handleCancelLabel = () => {
+    setEditingLabelId(null);
+    setLabelForm(EMPTY_LABEL_FORM);
+  };
+
+  // Handle label create / update
+  const handleSaveLabel = async (e) => {
+    e.preventDefault();
+
+    const result = editingLabelId
+      ? await dispatch(updateLabel({ workspaceId: currentWorkspaceId, labelId: editingLabelId, data: labelForm }))
+      : await dispatch(createLabel({ workspaceId: currentWorkspaceId, data: labelForm }));
+
+    if (updateLabel.fulfilled.match(result) || createLabel.fulfilled.match(result)) {
+      handleCancelLabel();
+    }
+  };
+
+  // Handle label deletion
+  const handleDeleteLabel = async () => {
+    const result = await dispatch(deleteLabel({ workspaceId: currentWorkspaceId, labelId: labelToDelete.id }));
+
+    if (deleteLabel.fulfilled.match(result)) {
+      setLabelToDelete(null);
+    }
+  };
+
+  // Format date for display
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  if (!currentWorkspace) {
+    return (
+      <div className="workspaceContainer">
+        <div className="emptyState">Select a workspace from the navbar to manage its members.</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="workspaceContainer">
+      <div className="header">
+        <h1 className="title">{currentWorkspace.name}</h1>
+        <Button variant="ghost" size="small" onClick={() => navigate('/dashboard')}>
+          ← Back
+        </Button>
+      </div>
+
+      {error && <div className="errorAlert">{error}</div>}
+
+      {/* Members */}
+      <Card className="workspaceSection">
+        <h2 className="sectionTitle">Members</h2>
+
+        <div className="memberList">
+          {members.map((member) => (
+            <div key={member.id} className="memberRow">
+              <div className="memberInfo">
+                <span className="memberName">{member.user.name || member.user.email}</span>
+                <span className="memberEmail">{member.user.email}</span>
+              </div>
+
+              <div className="memberActions">
+                {canManageMember(member) ? (
+                  <Select
+                    name={`role-${member.id}`}
+                    value={member.role}
+                    onChange={(e) => handleRoleChange(member, e.target.value)}
+                    options={assignableRoles}
+                    disabled={actionLoading}
+                  />
+                ) : (
+                  <Badge>{member.role}</Badge>
+                )}
+                {(canManageMember(member) || member.userId === user?.id) && (
+                  <Button
+                    variant="ghost"
+                    size="small"
+                    onClick={() => setMemberToRemove(member)}
+                  >
+                    {member.userId === user?.id ? 'Leave' : 'Remove'}
+                  </Button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      </Card>
+
+      {/* Invitations (owners and admins) */}
+      {canManageMembers && (
+        <Card className="workspaceSection">
+          <h2 className="sectionTitle">Invite a teammate</h2>
+
+          <form className="inviteForm" onSubmit={handleInvite}>
+            <Input
+              name="email"
+              type="email"
+              value={inviteForm.email}
+              onChange={handleInviteChange}
+              placeholder="teammate@example.com"
+              error={inviteError}
+              required
+            />
+            <Select
+              name="role"
+              value={inviteForm.role}
+              onChange={handleInviteChange}
+              options={assignableRoles}
+              required
+            />
+            <Button type="submit" variant="primary" disabled={actionLoading}>
+              {actionLoading ? 'Inviting...' : 'Send Invite'}
+            </Button>
+          </form>
+
+          <p className="inviteHint">
+            Share the invitation link with your teammate. They accept it by opening the link while logged in with the invited email.
+          </p>
+
+          {invitations.length > 0 && (
+            <div className="invitationList">
+              {invitations.map((invitation) => (
+                <div key={invitation.id} className="memberRow">
+                  <div className="memberInfo">
+                    <span className="memberName">{invitation.email}</span>
+                    <span className="memberEmail">
+                      {invitation.role} · expires {formatDate(invitation.expiresAt)}
+                    </span>
+                  </div>
+
+                  <div className="memberActions">
+                    <Button variant="outline" size="small" onClick={() => handleCopyLink(invitation)}>
+                      {copiedInvitationId === invitation.id ? 'Copied!' : 'Copy link'}
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="small"
+                      onClick={() => dispatch(revokeInvitation({
+                        workspaceId: currentWorkspaceId,
+                        invitationId: invitation.id
+                      }))}
+                    >
+                      Revoke
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </Card>
+      )}
+
+      {/* Labels */}
+      <Card className="workspaceSection">
+        <h2 className="sectionTitle">Labels</h2>
+
+        {labelError && <div className="errorAlert">{labelError}</div>}
+
+        {canManageLabels && (
+          <form className="labelForm" onSubmit={handleSaveLabel}>
+            <input
+              type="color"
+              name="color"
+              value={labelForm.color}
+              onChange={handleLabelChange}
+              className="labelColorInput"
+              aria-label="Label color"
+            />
+            <Input
+              name="name"
+              value={labelForm.name}
+              onChange={handleLabelChange}
+              placeholder="Label name, e.g. regression"
+              maxLength={50}
+              required
+            />
+            <Input
+              name="description"
+              value={labelForm.description}
+              onChange={handleLabelChange}
+              placeholder="Description (optional)"
+            />
+            <div className="labelFormButtons">
+              {editingLabelId && (
+                <Button type="button" variant="ghost" onClick={handleCancelLabel} disabled={labelLoading}>
+                  Cancel
+                </Button>
+              )}
+              <Button type="submit" variant="primary" disabled={labelLoading || !labelForm.name.trim()}>
+                {editingLabelId ? 'Save' : 'Add Label'}
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {labels.length === 0 ? (
+          <p className="inviteHint">This workspace has no labels yet.</p>
+        ) : (
+          <div className="memberList">
+            {labels.map((label) => (
+              <div key={label.id} className="memberRow">
+                <div className="memberInfo">
+                  <span><Badge color={label.color}>{label.name}</Badge></span>
+                  <span className="memberEmail">
+                    {label.description || 'No description'} · {label._count?.issues ?? 0} issues
+                  </span>
+                </div>
+
+                {canManageLabels && (
+                  <div className="memberActions">
+                    <Button variant="ghost" size="small" onClick={() => handleEditLabel(label)}>
+                      Edit
+                    </Button>
+                    <Button variant="ghost" size="small" onClick={() => setLabelToDelete(label)}>
+                      Delete
+                    </Button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </Card>
+
+      <ConfirmModal
+        isOpen={Boolean(labelToDelete)}
+        onClose={() => setLabelToDelete(null)}
+        title="Delete Label"
+        message={`Are you sure you want to delete the ${labelToDelete?.name} label? It will be removed from every issue.`}
+        confirmText="Yes, Delete Label"
+        confirmVariant="danger"
+        onConfirm={handleDeleteLabel}
+        loading={labelLoading}
+      />
+
+      <ConfirmModal
+        isOpen={Boolean(memberToRemove)}
+        onClose={() => setMemberToRemove(null)}
+        title={memberToRemove?.userId === user?.id ? 'Leave Workspace' : 'Remove Member'}
+        message={
+          memberToRemove?.userId === user?.id
+            ? `Are you sure you want to leave ${currentWorkspace.name}? You will lose access to its projects and issues.`
+            : `Are you sure you want to remove ${memberToRemove?.user.email} from ${currentWorkspace.name}?`
+        }
+        confirmText={memberToRemove?.userId === user?.id ? 'Yes, Leave' : 'Yes, Remove'}
+        confirmVariant="danger"
+        onConfirm={handleRemoveMember}
+        loading={actionLoading}
+      />
+    </div>
+  );
+};
+
+export default WorkspaceSettings;
@@ -0,0 +1,139 @@
+// Attachments Slice - Manages the files attached to the issue being viewed
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { API_URL } from '../../config/api';
+import { logout } from './authSlice';
+
+// Get authorization headers with JWT token
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('token');
+  return {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  };
+};
+
+const initialState = {
+  // Ordered oldest first; each has a signed downloadUrl relative to API_URL
+  attachments: [],
+  loading: false,
+  uploading: false,
+  actionLoading: false,
+  error: null
+};
+
+// Async thunks for API calls
+
+export const fetchAttachments = createAsyncThunk(
+  'attachments/fetchAttachments',
+  async (issueId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_URL}/issues/${issueId}/attachments`, getAuthHeaders());
+      return response.data.data.attachments;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch attachments');
+    }
+  }
+);
+
+export const uploadAttachments = createAsyncThunk(
+  'attachments/uploadAttachments',
+  async ({ issueId, files }, { rejectWithValue }) => {
+    try {
+      // Files go up as multipart/form-data in the "files" field
+      const formData = new FormData();
+      files.forEach(file => formData.append('files', file, file.name));
+
+      const response = await axios.post(
+        `${API_URL}/issues/${issueId}/attachments`,
+        formData,
+        getAuthHeaders()
+      );
+      return response.data.data.attachments;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to upload files');
+    }
+  }
+);
+
+export const deleteAttachment = createAsyncThunk(
+  'attachments/deleteAttachment',
+  async ({ issueId, attachmentId }, { rejectWithValue }) => {
+    try {
+      await axios.delete(`${API_URL}/issues/${issueId}/attachments/${attachmentId}`, getAuthHeaders());
+      return attachmentId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete attachment');
+    }
+  }
+);
+
+const attachmentsSlice = createSlice({
+  name: 'attachments',
+  initialState,
+
+  reducers: {
+    clearAttachments: (state) => {
+      state.attachments = [];
+      state.error = null;
+    }
+  },
+
+  extraReducers: (builder) => {
+    // Fetch attachments
+    builder.addCase(fetchAttachments.pending, (state) => {
+      state.loading = true;
+      state.error = null;
+    });
+
+    builder.addCase(fetchAttachments.fulfilled, (state, action) => {
+      state.loading = false;
+      state.attachments = action.payload;
+    });
+
+    builder.addCase(fetchAttachments.rejected, (state, action) => {
+      state.loading = false;
+      state.error = action.payload;
+    });
+
+    // Upload attachments
+    builder.addCase(uploadAttachments.pending, (state) => {
+      state.uploading = true;
+      state.error = null;
+    });
+
+    builder.addCase(uploadAttachments.fulfilled, (state, action) => {
+      state.uploading = false;
+      state.attachments.push(...action.payload);
+    });
+
+    builder.addCase(uploadAttachments.rejected, (state, action) => {
+      state.uploading = false;
+      state.error = action.payload;
+    });
+
+    // Delete attachment
+    builder.addCase(deleteAttachment.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(deleteAttachment.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.attachments = state.attachments.filter(attachment => attachment.id !== action.payload);
+    });
+
+    builder.addCase(deleteAttachment.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Reset attachments on logout so the next user starts fresh
+    builder.addCase(logout, () => initialState);
+  }
+});
+
+export const { clearAttachments } = attachmentsSlice.actions;
+export default attachmentsSlice.reducer;
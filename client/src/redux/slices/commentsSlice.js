@@ -0,0 +1,173 @@
+// Comments Slice - Manages the comment thread of the issue being viewed
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { API_URL } from '../../config/api';
+import { logout } from './authSlice';
+
+// Get authorization headers with JWT token
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('token');
+  return {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  };
+};
+
+const initialState = {
+  // Flat list ordered oldest first; replies reference their parent through parentId
+  comments: [],
+  loading: false,
+  actionLoading: false,
+  error: null
+};
+
+// Async thunks for API calls
+
+export const fetchComments = createAsyncThunk(
+  'comments/fetchComments',
+  async (issueId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_URL}/issues/${issueId}/comments`, getAuthHeaders());
+      return response.data.data.comments;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch comments');
+    }
+  }
+);
+
+export const addComment = createAsyncThunk(
+  'comments/addComment',
+  async ({ issueId, body, parentId = null }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(
+        `${API_URL}/issues/${issueId}/comments`,
+        { body, parentId },
+        getAuthHeaders()
+      );
+      return response.data.data.comment;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to add comment');
+    }
+  }
+);
+
+export const updateComment = createAsyncThunk(
+  'comments/updateComment',
+  async ({ issueId, commentId, body }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(
+        `${API_URL}/issues/${issueId}/comments/${commentId}`,
+        { body },
+        getAuthHeaders()
+      );
+      return response.data.data.comment;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update comment');
+    }
+  }
+);
+
+// Resolves with { comment, removedIds }: comment is the deleted comment kept for its replies (or null),
+// removedIds the comments removed (it and any deleted parents left without replies)
+export const deleteComment = createAsyncThunk(
+  'comments/deleteComment',
+  async ({ issueId, commentId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.delete(`${API_URL}/issues/${issueId}/comments/${commentId}`, getAuthHeaders());
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete comment');
+    }
+  }
+);
+
+const commentsSlice = createSlice({
+  name: 'comments',
+  initialState,
+
+  reducers: {
+    clearComments: (state) => {
+      state.comments = [];
+      state.error = null;
+    }
+  },
+
+  extraReducers: (builder) => {
+    // Fetch comments
+    builder.addCase(fetchComments.pending, (state) => {
+      state.loading = true;
+      state.error = null;
+    });
+
+    builder.addCase(fetchComments.fulfilled, (state, action) => {
+      state.loading = false;
+      state.comments = action.payload;
+    });
+
+    builder.addCase(fetchComments.rejected, (state, action) => {
+      state.loading = false;
+      state.error = action.payload;
+    });
+
+    // Add comment
+    builder.addCase(addComment.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(addComment.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.comments.push(action.payload);
+    });
+
+    builder.addCase(addComment.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Update comment
+    builder.addCase(updateComment.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(updateComment.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.comments = state.comments.map(comment =>
+        comment.id === action.payload.id ? action.payload : comment
+      );
+    });
+
+    builder.addCase(updateComment.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Delete comment
+    builder.addCase(deleteComment.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(deleteComment.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      const { comment: deleted, removedIds } = action.payload;
+      state.comments = state.comments
+        .filter(comment => !removedIds.includes(comment.id))
+        .map(comment => (deleted && comment.id === deleted.id ? deleted : comment));
+    });
+
+    builder.addCase(deleteComment.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Reset comments on logout so the next user starts fresh
+    builder.addCase(logout, () => initialState);
+  }
+});
+
+export const { clearComments } = commentsSlice.actions;
+export default commentsSlice.reducer;
@@ -0,0 +1,139 @@
+// Issue Links Slice - Manages the links between the issue being viewed and other issues
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { API_URL } from '../../config/api';
+import { logout } from './authSlice';
+
+// Get authorization headers with JWT token
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('token');
+  return {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  };
+};
+
+const initialState = {
+  // Each link is { id, relation, issue, createdAt } seen from the current issue,
+  // where relation is Blocks, BlockedBy, Duplicates, DuplicatedBy or RelatesTo
+  links: [],
+  loading: false,
+  actionLoading: false,
+  error: null
+};
+
+// Async thunks for API calls
+
+export const fetchIssueLinks = createAsyncThunk(
+  'issueLinks/fetchIssueLinks',
+  async (issueId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_URL}/issues/${issueId}/links`, getAuthHeaders());
+      return response.data.data.links;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch linked issues');
+    }
+  }
+);
+
+export const addIssueLink = createAsyncThunk(
+  'issueLinks/addIssueLink',
+  async ({ issueId, relation, targetIssueId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(
+        `${API_URL}/issues/${issueId}/links`,
+        { relation, issueId: targetIssueId },
+        getAuthHeaders()
+      );
+      return response.data.data.link;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to link issues');
+    }
+  }
+);
+
+export const removeIssueLink = createAsyncThunk(
+  'issueLinks/removeIssueLink',
+  async ({ issueId, linkId }, { rejectWithValue }) => {
+    try {
+      await axios.delete(`${API_URL}/issues/${issueId}/links/${linkId}`, getAuthHeaders());
+      return linkId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to remove link');
+    }
+  }
+);
+
+const issueLinksSlice = createSlice({
+  name: 'issueLinks',
+  initialState,
+
+  reducers: {
+    clearIssueLinks: (state) => {
+      state.links = [];
+      state.error = null;
+    },
+
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+
+  extraReducers: (builder) => {
+    // Fetch links
+    builder.addCase(fetchIssueLinks.pending, (state) => {
+      state.loading = true;
+      state.error = null;
+    });
+
+    builder.addCase(fetchIssueLinks.fulfilled, (state, action) => {
+      state.loading = false;
+      state.links = action.payload;
+    });
+
+    builder.addCase(fetchIssueLinks.rejected, (state, action) => {
+      state.loading = false;
+      state.error = action.payload;
+    });
+
+    // Add link
+    builder.addCase(addIssueLink.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(addIssueLink.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.links.push(action.payload);
+    });
+
+    builder.addCase(addIssueLink.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Remove link
+    builder.addCase(removeIssueLink.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(removeIssueLink.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.links = state.links.filter(link => link.id !== action.payload);
+    });
+
+    builder.addCase(removeIssueLink.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Reset links on logout so the next user starts fresh
+    builder.addCase(logout, () => initialState);
+  }
+});
+
+export const { clearIssueLinks, clearError } = issueLinksSlice.actions;
+export default issueLinksSlice.reducer;
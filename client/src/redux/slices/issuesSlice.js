@@ -3,6 +3,10 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import axios from 'axios';
 import { API_URL } from '../../config/api';
+import { setCurrentProject } from './projectsSlice';
+import { setCurrentWorkspace } from './workspacesSlice';
+import { DEFAULT_SORT, withoutRelevance } from '../../utils/issueSort';
+import { DEFAULT_COLUMNS } from '../../utils/savedViews';
 
 // Get authorization headers with JWT token
 const getAuthHeaders = () => {
@@ -14,10 +18,110 @@ const getAuthHeaders = () => {
   };
 };
 
+// Issue collection URL, scoped to a project when one is selected
+const getIssuesUrl = (projectId) => (
+  projectId ? `${API_URL}/projects/${projectId}/issues` : `${API_URL}/issues`
+);
+
+// Without a project, narrow workspace-wide requests to the selected workspace
+const getScopeParams = (projectId, workspaceId) => (
+  !projectId && workspaceId ? { workspaceId: workspaceId.toString() } : {}
+);
+
+// Query parameters for the list filters and sort (shared by the list and exports)
+const getListParams = ({ search = '', status = '', priority = '', severity = '', assignee = '', labels = [], labelMatch = 'any', overdue = false, milestone = '', subtasks = 'include', sort = '' }) => ({
+  ...(search && { search }),
+  ...(status && { status }),
+  ...(priority && { priority }),
+  ...(severity && { severity }),
+  ...(assignee && { assignee }),
+  ...(labels.length > 0 && { labels: labels.join(','), labelMatch }),
+  ...(overdue && { overdue: 'true' }),
+  ...(milestone && { milestone }),
+  ...(subtasks === 'exclude' && { subtasks }),
+  ...(sort && { sort })
+});
+
+// Put an issue into the board list right before beforeId or after afterId,
+// or at the top of its status column when no neighbour is given
+const placeBoardIssue = (issues, issue, { beforeId, afterId } = {}) => {
+  const others = issues.filter(item => item.id !== issue.id);
+  const neighbourIndex = others.findIndex(item => item.id === (beforeId ?? afterId));
+
+  let index = neighbourIndex === -1
+    ? others.findIndex(item => item.status === issue.status)
+    : neighbourIndex + (afterId !== undefined ? 1 : 0);
+
+  if (index === -1) {
+    index = others.length;
+  }
+
+  others.splice(index, 0, issue);
+  return others;
+};
+
+// Remember where a board issue was before an optimistic move, so a failed request can undo it
+const saveBoardMove = (state, issueId, requestId) => {
+  const index = state.board.issues.findIndex(issue => issue.id === issueId);
+
+  if (index !== -1) {
+    state.board.pendingMoves[requestId] = { issue: state.board.issues[index], index };
+  }
+  return index !== -1;
+};
+
+// Undo an optimistic board move after its request failed
+const undoBoardMove = (state, requestId) => {
+  const move = state.board.pendingMoves[requestId];
+
+  if (move) {
+    const issues = state.board.issues.filter(issue => issue.id !== move.issue.id);
+    issues.splice(Math.min(move.index, issues.length), 0, move.issue);
+    state.board.issues = issues;
+    delete state.board.pendingMoves[requestId];
+  }
+};
+
+// Replace a board issue with the version the server returned
+const replaceBoardIssue = (state, updatedIssue) => {
+  const index = state.board.issues.findIndex(issue => issue.id === updatedIssue.id);
+
+  if (index !== -1) {
+    state.board.issues[index] = updatedIssue;
+  }
+};
+
+// How the list is paged: 'pages' (numbered pages) or 'scroll' (infinite scroll over cursors)
+// Kept in localStorage so the choice survives page refreshes
+const loadListMode = () => (localStorage.getItem('issueListMode') === 'scroll' ? 'scroll' : 'pages');
+
 const initialState = {
   issues: [],
+  listMode: loadListMode(),
+
+  // Issues on the board (fetched with view: 'board'), kept apart from the paginated list
+  board: {
+    issues: [],
+    totalCount: 0,
+    // Board moves still waiting for the server, by request ID: { issue, index } before the move
+    pendingMoves: {}
+  },
+
   currentIssue: null,
+  // Permission names the user's workspace role grants on currentIssue (e.g. 'issue:update')
+  currentPermissions: [],
+
+  // Activity trail of currentIssue, plus the users, milestones and sprints referenced by changes
+  history: {
+    activities: [],
+    users: [],
+    milestones: [],
+    sprints: []
+  },
+  historyLoading: false,
 
+  // In scroll mode the API returns cursors instead of page numbers and counts:
+  // { limit, nextCursor, prevCursor, hasNextPage, hasPreviousPage }
   pagination: {
     currentPage: 1,
     totalPages: 1,
@@ -31,39 +135,59 @@ const initialState = {
     search: '',
     status: '',
     priority: '',
-    severity: ''
+    severity: '',
+    assignee: '',
+    labels: [],        // Selected label IDs
+    labelMatch: 'any', // 'any' = issues with any selected label, 'all' = with every one
+    overdue: false,    // Only issues past their due date that are not done
+    milestone: '',     // Milestone ID, or 'none' for issues without a milestone
+    subtasks: 'include' // 'include' lists sub-tasks with other issues, 'exclude' shows top-level issues only
   },
 
+  // Sort keys for the list, most significant first: [{ field, order: 'asc' | 'desc' }]
+  sort: DEFAULT_SORT,
+
+  // Optional issue details shown in the list (see VIEW_COLUMNS)
+  columns: DEFAULT_COLUMNS,
+
+  // IDs of list issues ticked for a bulk action
+  selectedIds: [],
+
+  // Issue counts by status key, plus the statuses (workflow order) they are shown in
   stats: {
-    Open: 0,
-    InProgress: 0,
-    Resolved: 0,
-    Closed: 0,
-    total: 0
+    counts: {},
+    total: 0,
+    statuses: [],
+    overdue: 0
   },
 
   loading: false,
+  loadingMore: false, // Loading the next chunk in scroll mode
   statsLoading: false,
   actionLoading: false,
+  bulkLoading: false,
+  exporting: false,
+  importing: false,
   error: null
 };
 
 // Async thunks for API calls
 
+// Pass after (or before) to page by cursor instead of page number; '' starts from the first (or last) issue
+// view picks where results go: 'list' (default) or 'board'
+// append: true adds the results to the list instead of replacing it (infinite scroll)
 export const fetchIssues = createAsyncThunk(
   'issues/fetchIssues',
-  async ({ page = 1, limit = 10, search = '', status = '', priority = '', severity = '' }, { rejectWithValue }) => {
+  async ({ projectId = null, workspaceId = null, page = 1, limit = 10, after, before, ...listOptions }, { rejectWithValue }) => {
     try {
       const params = new URLSearchParams({
-        page: page.toString(),
+        ...getScopeParams(projectId, workspaceId),
+        ...(after !== undefined ? { after } : before !== undefined ? { before } : { page: page.toString() }),
         limit: limit.toString(),
-        ...(search && { search }),
-        ...(status && { status }),
-        ...(priority && { priority }),
-        ...(severity && { severity })
+        ...getListParams(listOptions)
       });
 
-      const response = await axios.get(`${API_URL}/issues?${params}`, getAuthHeaders());
+      const response = await axios.get(`${getIssuesUrl(projectId)}?${params}`, getAuthHeaders());
       return response.data.data;
     } catch (error) {
       return rejectWithValue(error.response?.data?.message || 'Failed to fetch issues');
@@ -71,12 +195,97 @@ export const fetchIssues = createAsyncThunk(
   }
 );
 
+// Download every issue matching the filters as a file: format is 'csv', 'json', 'ndjson' or 'xlsx',
+// columns the export column keys. The server streams the file; resolves with the file name
+export const exportIssues = createAsyncThunk(
+  'issues/exportIssues',
+  async ({ projectId = null, workspaceId = null, format, columns, ...listOptions }, { rejectWithValue }) => {
+    try {
+      const params = new URLSearchParams({
+        ...getScopeParams(projectId, workspaceId),
+        format,
+        columns: columns.join(','),
+        ...getListParams(listOptions)
+      });
+
+      const response = await axios.get(`${getIssuesUrl(projectId)}/export?${params}`, {
+        ...getAuthHeaders(),
+        responseType: 'blob'
+      });
+
+      const filename = `issues-${new Date().toISOString().split('T')[0]}.${format}`;
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      window.URL.revokeObjectURL(url);
+
+      return filename;
+    } catch (error) {
+      // Error responses arrive as a blob too, holding the usual JSON body
+      const body = error.response?.data instanceof Blob
+        ? await error.response.data.text().then(JSON.parse).catch(() => null)
+        : null;
+      return rejectWithValue(body?.message || 'Failed to export issues');
+    }
+  }
+);
+
+// Create issues from a CSV, JSON or NDJSON file in a project
+// mapping: { column: field } (null lets the server guess it from the column names); dryRun only
+// validates the rows; mode 'atomic' imports nothing unless every row is valid, 'skip' skips bad rows
+// Resolves with { message, columns, mapping, fields, missingFields, rows, validCount, invalidCount, createdCount }
+export const importIssues = createAsyncThunk(
+  'issues/importIssues',
+  async ({ projectId, file, mapping = null, dryRun = false, mode = 'atomic' }, { rejectWithValue }) => {
+    try {
+      const formData = new FormData();
+      formData.append('file', file, file.name);
+      formData.append('dryRun', dryRun.toString());
+      formData.append('mode', mode);
+      if (mapping) {
+        formData.append('mapping', JSON.stringify(mapping));
+      }
+
+      const response = await axios.post(`${getIssuesUrl(projectId)}/import`, formData, getAuthHeaders());
+      return { message: response.data.message, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to import issues');
+    }
+  }
+);
+
+// Create issues from a GitHub issue dump or a Jira export (source: 'github' or 'jira')
+// valueMapping: { statuses, priorities, labels, users } (null lets the server guess every value);
+// dryRun and mode as for importIssues. Issues imported before are skipped
+// Resolves with { message, valueMapping, statuses, rows, validCount, invalidCount, skippedCount, createdCount }
+export const importExternalIssues = createAsyncThunk(
+  'issues/importExternalIssues',
+  async ({ projectId, source, file, valueMapping = null, dryRun = false, mode = 'atomic' }, { rejectWithValue }) => {
+    try {
+      const formData = new FormData();
+      formData.append('file', file, file.name);
+      formData.append('dryRun', dryRun.toString());
+      formData.append('mode', mode);
+      if (valueMapping) {
+        formData.append('valueMapping', JSON.stringify(valueMapping));
+      }
+
+      const response = await axios.post(`${getIssuesUrl(projectId)}/import/${source}`, formData, getAuthHeaders());
+      return { message: response.data.message, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to import issues');
+    }
+  }
+);
+
 export const fetchIssueById = createAsyncThunk(
   'issues/fetchIssueById',
   async (issueId, { rejectWithValue }) => {
     try {
       const response = await axios.get(`${API_URL}/issues/${issueId}`, getAuthHeaders());
-      return response.data.data.issue;
+      return response.data.data;
     } catch (error) {
       return rejectWithValue(error.response?.data?.message || 'Failed to fetch issue');
     }
@@ -85,9 +294,10 @@ export const fetchIssueById = createAsyncThunk(
 
 export const fetchIssueStats = createAsyncThunk(
   'issues/fetchStats',
-  async (_, { rejectWithValue }) => {
+  async ({ projectId = null, workspaceId = null } = {}, { rejectWithValue }) => {
     try {
-      const response = await axios.get(`${API_URL}/issues/stats`, getAuthHeaders());
+      const params = new URLSearchParams(getScopeParams(projectId, workspaceId));
+      const response = await axios.get(`${getIssuesUrl(projectId)}/stats?${params}`, getAuthHeaders());
       return response.data.data;
     } catch (error) {
       return rejectWithValue(error.response?.data?.message || 'Failed to fetch stats');
@@ -95,6 +305,18 @@ export const fetchIssueStats = createAsyncThunk(
   }
 );
 
+export const fetchIssueHistory = createAsyncThunk(
+  'issues/fetchHistory',
+  async (issueId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_URL}/issues/${issueId}/history`, getAuthHeaders());
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch issue history');
+    }
+  }
+);
+
 export const createIssue = createAsyncThunk(
   'issues/createIssue',
   async (issueData, { rejectWithValue }) => {
@@ -107,6 +329,8 @@ export const createIssue = createAsyncThunk(
   }
 );
 
+// Pass optimistic: true to show the change on the board before the server confirms it
+// (placement: { beforeId } or { afterId } says where the issue lands in its new column)
 export const updateIssue = createAsyncThunk(
   'issues/updateIssue',
   async ({ id, data }, { rejectWithValue }) => {
@@ -119,6 +343,23 @@ export const updateIssue = createAsyncThunk(
   }
 );
 
+// Reorder an issue within its board column, next to beforeId or afterId
+export const moveIssue = createAsyncThunk(
+  'issues/moveIssue',
+  async ({ id, beforeId, afterId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(
+        `${API_URL}/issues/${id}/position`,
+        beforeId !== undefined ? { beforeId } : { afterId },
+        getAuthHeaders()
+      );
+      return response.data.data.issue;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to move issue');
+    }
+  }
+);
+
 export const deleteIssue = createAsyncThunk(
   'issues/deleteIssue',
   async (issueId, { rejectWithValue }) => {
@@ -131,6 +372,25 @@ export const deleteIssue = createAsyncThunk(
   }
 );
 
+// Update or delete many issues at once: action 'update' with changes
+// ({ status, priority, severity, assigneeId, labelIds, addLabelIds, removeLabelIds }), or 'delete'
+// Resolves with { message, results, changedCount, failedCount }; results say how each issue fared
+export const bulkUpdateIssues = createAsyncThunk(
+  'issues/bulkUpdateIssues',
+  async ({ issueIds, action, changes }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(
+        `${API_URL}/issues/bulk`,
+        { issueIds, action, changes },
+        getAuthHeaders()
+      );
+      return { message: response.data.message, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update issues');
+    }
+  }
+);
+
 const issuesSlice = createSlice({
   name: 'issues',
   initialState,
@@ -146,17 +406,81 @@ const issuesSlice = createSlice({
         search: '',
         status: '',
         priority: '',
-        severity: ''
+        severity: '',
+        assignee: '',
+        labels: [],
+        labelMatch: 'any',
+        overdue: false,
+        milestone: '',
+        // Showing or hiding sub-tasks is a view preference, not a filter, so it is kept
+        subtasks: state.filters.subtasks
       };
       state.pagination.currentPage = 1;
     },
 
+    setSort: (state, action) => {
+      state.sort = action.payload;
+      state.pagination.currentPage = 1;
+    },
+
+    setColumns: (state, action) => {
+      state.columns = action.payload;
+    },
+
+    // Set up the list from a saved view: { filters, sort, columns }
+    // Filters the view does not mention are cleared
+    applyView: (state, action) => {
+      const { filters, sort, columns } = action.payload;
+
+      state.filters = { ...initialState.filters, ...filters };
+      state.sort = sort.length > 0 ? sort : DEFAULT_SORT;
+      state.columns = columns;
+      state.pagination.currentPage = 1;
+
+      if (state.listMode === 'scroll') {
+        state.sort = withoutRelevance(state.sort);
+      }
+    },
+
+    // Set up the list from the dashboard URL: { filters, sort, page }
+    // Unlike a view it keeps the shown columns, which are not part of the URL
+    setListState: (state, action) => {
+      const { filters, sort, page } = action.payload;
+
+      state.filters = { ...initialState.filters, ...filters };
+      state.sort = state.listMode === 'scroll' ? withoutRelevance(sort) : sort;
+      state.pagination.currentPage = state.listMode === 'scroll' ? 1 : page;
+    },
+
+    setListMode: (state, action) => {
+      state.listMode = action.payload;
+      // The two modes page differently, so start over from the first page
+      state.pagination = initialState.pagination;
+      if (action.payload === 'scroll') {
+        state.sort = withoutRelevance(state.sort);
+      }
+      localStorage.setItem('issueListMode', action.payload);
+    },
+
     setPage: (state, action) => {
       state.pagination.currentPage = action.payload;
     },
 
+    toggleIssueSelected: (state, action) => {
+      const id = action.payload;
+      state.selectedIds = state.selectedIds.includes(id)
+        ? state.selectedIds.filter(selectedId => selectedId !== id)
+        : [...state.selectedIds, id];
+    },
+
+    setSelectedIssues: (state, action) => {
+      state.selectedIds = action.payload;
+    },
+
     clearCurrentIssue: (state) => {
       state.currentIssue = null;
+      state.currentPermissions = [];
+      state.history = initialState.history;
     },
 
     clearError: (state) => {
@@ -165,20 +489,65 @@ const issuesSlice = createSlice({
   },
 
   extraReducers: (builder) => {
+    // Switching projects or workspaces starts the list from the first page
+    // Milestones belong to a project, so switching projects clears the milestone filter
+    builder.addCase(setCurrentProject, (state) => {
+      state.pagination.currentPage = 1;
+      state.filters.milestone = '';
+    });
+
+    // Labels belong to a workspace, so switching workspaces also clears the label and milestone filters
+    builder.addCase(setCurrentWorkspace, (state) => {
+      state.pagination.currentPage = 1;
+      state.filters.labels = [];
+      state.filters.milestone = '';
+    });
+
     // Fetch issues
-    builder.addCase(fetchIssues.pending, (state) => {
-      state.loading = true;
+    builder.addCase(fetchIssues.pending, (state, action) => {
+      if (action.meta.arg.append) {
+        state.loadingMore = true;
+      } else {
+        state.loading = true;
+      }
       state.error = null;
     });
 
     builder.addCase(fetchIssues.fulfilled, (state, action) => {
+      const { view, append, after } = action.meta.arg;
+
+      if (append) {
+        state.loadingMore = false;
+
+        // Drop a chunk that no longer continues the list (e.g. filters changed meanwhile)
+        if (after === state.pagination.nextCursor) {
+          state.issues = [...state.issues, ...action.payload.issues];
+          state.pagination = action.payload.pagination;
+        }
+        return;
+      }
+
       state.loading = false;
+
+      if (view === 'board') {
+        state.board.issues = action.payload.issues;
+        state.board.totalCount = action.payload.pagination.totalCount;
+        return;
+      }
+
       state.issues = action.payload.issues;
       state.pagination = action.payload.pagination;
+
+      // Only issues still listed stay selected
+      state.selectedIds = state.selectedIds.filter(id => state.issues.some(issue => issue.id === id));
     });
 
     builder.addCase(fetchIssues.rejected, (state, action) => {
-      state.loading = false;
+      if (action.meta.arg.append) {
+        state.loadingMore = false;
+      } else {
+        state.loading = false;
+      }
       state.error = action.payload;
     });
 
@@ -190,7 +559,8 @@ const issuesSlice = createSlice({
 
     builder.addCase(fetchIssueById.fulfilled, (state, action) => {
       state.loading = false;
-      state.currentIssue = action.payload;
+      state.currentIssue = action.payload.issue;
+      state.currentPermissions = action.payload.permissions;
     });
 
     builder.addCase(fetchIssueById.rejected, (state, action) => {
@@ -213,6 +583,21 @@ const issuesSlice = createSlice({
       state.error = action.payload;
     });
 
+    // Fetch history
+    builder.addCase(fetchIssueHistory.pending, (state) => {
+      state.historyLoading = true;
+    });
+
+    builder.addCase(fetchIssueHistory.fulfilled, (state, action) => {
+      state.historyLoading = false;
+      state.history = action.payload;
+    });
+
+    builder.addCase(fetchIssueHistory.rejected, (state, action) => {
+      state.historyLoading = false;
+      state.error = action.payload;
+    });
+
     // Create issue
     builder.addCase(createIssue.pending, (state) => {
       state.actionLoading = true;
@@ -231,17 +616,26 @@ const issuesSlice = createSlice({
     });
 
     // Update issue
-    builder.addCase(updateIssue.pending, (state) => {
+    builder.addCase(updateIssue.pending, (state, action) => {
       state.actionLoading = true;
       state.error = null;
+
+      // Optimistic board update: move the card now, undo it if the request fails
+      const { id, data, optimistic, placement } = action.meta.arg;
+      if (optimistic && saveBoardMove(state, id, action.meta.requestId)) {
+        const issue = { ...state.board.issues.find(item => item.id === id), ...data };
+        state.board.issues = placeBoardIssue(state.board.issues, issue, placement);
+      }
     });
 
     builder.addCase(updateIssue.fulfilled, (state, action) => {
       state.actionLoading = false;
+      delete state.board.pendingMoves[action.meta.requestId];
       const index = state.issues.findIndex(issue => issue.id === action.payload.id);
       if (index !== -1) {
         state.issues[index] = action.payload;
       }
+      replaceBoardIssue(state, action.payload);
       if (state.currentIssue?.id === action.payload.id) {
         state.currentIssue = action.payload;
       }
@@ -250,6 +644,28 @@ const issuesSlice = createSlice({
     builder.addCase(updateIssue.rejected, (state, action) => {
       state.actionLoading = false;
       state.error = action.payload;
+      undoBoardMove(state, action.meta.requestId);
+    });
+
+    // Move issue within its board column (always optimistic)
+    builder.addCase(moveIssue.pending, (state, action) => {
+      state.error = null;
+
+      const { id, beforeId, afterId } = action.meta.arg;
+      if (saveBoardMove(state, id, action.meta.requestId)) {
+        const issue = state.board.issues.find(item => item.id === id);
+        state.board.issues = placeBoardIssue(state.board.issues, issue, { beforeId, afterId });
+      }
+    });
+
+    builder.addCase(moveIssue.fulfilled, (state, action) => {
+      delete state.board.pendingMoves[action.meta.requestId];
+      replaceBoardIssue(state, action.payload);
+    });
+
+    builder.addCase(moveIssue.rejected, (state, action) => {
+      state.error = action.payload;
+      undoBoardMove(state, action.meta.requestId);
     });
 
     // Delete issue
@@ -261,6 +677,7 @@ const issuesSlice = createSlice({
     builder.addCase(deleteIssue.fulfilled, (state, action) => {
       state.actionLoading = false;
       state.issues = state.issues.filter(issue => issue.id !== action.payload);
+      state.board.issues = state.board.issues.filter(issue => issue.id !== action.payload);
       state.pagination.totalCount -= 1;
       if (state.currentIssue?.id === action.payload) {
         state.currentIssue = null;
@@ -271,13 +688,81 @@ const issuesSlice = createSlice({
       state.actionLoading = false;
       state.error = action.payload;
     });
+
+    // Export
+    builder.addCase(exportIssues.pending, (state) => {
+      state.exporting = true;
+      state.error = null;
+    });
+
+    builder.addCase(exportIssues.fulfilled, (state) => {
+      state.exporting = false;
+    });
+
+    builder.addCase(exportIssues.rejected, (state, action) => {
+      state.exporting = false;
+      state.error = action.payload;
+    });
+
+    // Import (dry runs included)
+    builder.addCase(importIssues.pending, (state) => {
+      state.importing = true;
+      state.error = null;
+    });
+
+    builder.addCase(importIssues.fulfilled, (state) => {
+      state.importing = false;
+    });
+
+    builder.addCase(importIssues.rejected, (state, action) => {
+      state.importing = false;
+      state.error = action.payload;
+    });
+
+    builder.addCase(importExternalIssues.pending, (state) => {
+      state.importing = true;
+      state.error = null;
+    });
+
+    builder.addCase(importExternalIssues.fulfilled, (state) => {
+      state.importing = false;
+    });
+
+    builder.addCase(importExternalIssues.rejected, (state, action) => {
+      state.importing = false;
+      state.error = action.payload;
+    });
+
+    // Bulk update / delete: issues that failed stay selected so they can be retried
+    builder.addCase(bulkUpdateIssues.pending, (state) => {
+      state.bulkLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(bulkUpdateIssues.fulfilled, (state, action) => {
+      state.bulkLoading = false;
+      const changedIds = action.payload.results.filter(result => result.success).map(result => result.id);
+      state.selectedIds = state.selectedIds.filter(id => !changedIds.includes(id));
+    });
+
+    builder.addCase(bulkUpdateIssues.rejected, (state, action) => {
+      state.bulkLoading = false;
+      state.error = action.payload;
+    });
   }
 });
 
 export const {
   setFilters,
   clearFilters,
+  setSort,
+  setColumns,
+  applyView,
+  setListState,
+  setListMode,
   setPage,
+  toggleIssueSelected,
+  setSelectedIssues,
   clearCurrentIssue,
   clearError
 } = issuesSlice.actions;
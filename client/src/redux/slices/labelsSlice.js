@@ -0,0 +1,168 @@
+// Labels Slice - Manages the labels of the selected workspace
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { API_URL } from '../../config/api';
+import { logout } from './authSlice';
+
+// Get authorization headers with JWT token
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('token');
+  return {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  };
+};
+
+const initialState = {
+  labels: [],
+  loading: false,
+  actionLoading: false,
+  error: null
+};
+
+// Async thunks for API calls
+
+export const fetchLabels = createAsyncThunk(
+  'labels/fetchLabels',
+  async (workspaceId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_URL}/workspaces/${workspaceId}/labels`, getAuthHeaders());
+      return response.data.data.labels;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch labels');
+    }
+  }
+);
+
+export const createLabel = createAsyncThunk(
+  'labels/createLabel',
+  async ({ workspaceId, data }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_URL}/workspaces/${workspaceId}/labels`, data, getAuthHeaders());
+      return response.data.data.label;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to create label');
+    }
+  }
+);
+
+export const updateLabel = createAsyncThunk(
+  'labels/updateLabel',
+  async ({ workspaceId, labelId, data }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(
+        `${API_URL}/workspaces/${workspaceId}/labels/${labelId}`,
+        data,
+        getAuthHeaders()
+      );
+      return response.data.data.label;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update label');
+    }
+  }
+);
+
+export const deleteLabel = createAsyncThunk(
+  'labels/deleteLabel',
+  async ({ workspaceId, labelId }, { rejectWithValue }) => {
+    try {
+      await axios.delete(`${API_URL}/workspaces/${workspaceId}/labels/${labelId}`, getAuthHeaders());
+      return labelId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete label');
+    }
+  }
+);
+
+// Keep labels sorted by name like the API returns them
+const sortByName = (labels) => labels.sort((a, b) => a.name.localeCompare(b.name));
+
+const labelsSlice = createSlice({
+  name: 'labels',
+  initialState,
+
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+
+  extraReducers: (builder) => {
+    // Fetch labels
+    builder.addCase(fetchLabels.pending, (state) => {
+      state.loading = true;
+      state.error = null;
+    });
+
+    builder.addCase(fetchLabels.fulfilled, (state, action) => {
+      state.loading = false;
+      state.labels = action.payload;
+    });
+
+    builder.addCase(fetchLabels.rejected, (state, action) => {
+      state.loading = false;
+      state.error = action.payload;
+    });
+
+    // Create label
+    builder.addCase(createLabel.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(createLabel.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.labels.push(action.payload);
+      sortByName(state.labels);
+    });
+
+    builder.addCase(createLabel.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Update label
+    builder.addCase(updateLabel.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(updateLabel.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      const index = state.labels.findIndex(label => label.id === action.payload.id);
+      if (index !== -1) {
+        state.labels[index] = action.payload;
+      }
+      sortByName(state.labels);
+    });
+
+    builder.addCase(updateLabel.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Delete label
+    builder.addCase(deleteLabel.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(deleteLabel.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.labels = state.labels.filter(label => label.id !== action.payload);
+    });
+
+    builder.addCase(deleteLabel.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Reset labels on logout so the next user starts fresh
+    builder.addCase(logout, () => initialState);
+  }
+});
+
+export const { clearError } = labelsSlice.actions;
+export default labelsSlice.reducer;
@@ -0,0 +1,178 @@
+// Milestones Slice - Manages the milestones (releases) of one project and their progress
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { API_URL } from '../../config/api';
+import { logout } from './authSlice';
+
+// Get authorization headers with JWT token
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('token');
+  return {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  };
+};
+
+const initialState = {
+  projectId: null, // Project the loaded milestones belong to
+  // Each milestone has counts per status key, total, done and percent complete
+  milestones: [],
+  statuses: [],    // The project's workflow statuses, to show the counts in
+  loading: false,
+  actionLoading: false,
+  error: null
+};
+
+// Async thunks for API calls
+
+export const fetchMilestones = createAsyncThunk(
+  'milestones/fetchMilestones',
+  async (projectId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_URL}/projects/${projectId}/milestones`, getAuthHeaders());
+      return { projectId, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch milestones');
+    }
+  }
+);
+
+export const createMilestone = createAsyncThunk(
+  'milestones/createMilestone',
+  async ({ projectId, milestoneData }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(
+        `${API_URL}/projects/${projectId}/milestones`,
+        milestoneData,
+        getAuthHeaders()
+      );
+      return response.data.data.milestone;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to create milestone');
+    }
+  }
+);
+
+export const updateMilestone = createAsyncThunk(
+  'milestones/updateMilestone',
+  async ({ projectId, milestoneId, milestoneData }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(
+        `${API_URL}/projects/${projectId}/milestones/${milestoneId}`,
+        milestoneData,
+        getAuthHeaders()
+      );
+      return response.data.data.milestone;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update milestone');
+    }
+  }
+);
+
+export const deleteMilestone = createAsyncThunk(
+  'milestones/deleteMilestone',
+  async ({ projectId, milestoneId }, { rejectWithValue }) => {
+    try {
+      await axios.delete(`${API_URL}/projects/${projectId}/milestones/${milestoneId}`, getAuthHeaders());
+      return milestoneId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete milestone');
+    }
+  }
+);
+
+const milestonesSlice = createSlice({
+  name: 'milestones',
+  initialState,
+
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+
+  extraReducers: (builder) => {
+    // Fetch milestones
+    builder.addCase(fetchMilestones.pending, (state, action) => {
+      state.loading = true;
+      state.error = null;
+      // Drop another project's milestones so they are never offered for this one
+      if (state.projectId !== action.meta.arg) {
+        state.projectId = action.meta.arg;
+        state.milestones = [];
+        state.statuses = [];
+      }
+    });
+
+    builder.addCase(fetchMilestones.fulfilled, (state, action) => {
+      state.loading = false;
+      state.projectId = action.payload.projectId;
+      state.milestones = action.payload.milestones;
+      state.statuses = action.payload.statuses;
+    });
+
+    builder.addCase(fetchMilestones.rejected, (state, action) => {
+      state.loading = false;
+      state.error = action.payload;
+    });
+
+    // Create milestone
+    builder.addCase(createMilestone.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(createMilestone.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.milestones.push(action.payload);
+    });
+
+    builder.addCase(createMilestone.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Update milestone
+    builder.addCase(updateMilestone.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(updateMilestone.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      const index = state.milestones.findIndex(milestone => milestone.id === action.payload.id);
+      if (index !== -1) {
+        state.milestones[index] = action.payload;
+      }
+    });
+
+    builder.addCase(updateMilestone.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Delete milestone
+    builder.addCase(deleteMilestone.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(deleteMilestone.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.milestones = state.milestones.filter(milestone => milestone.id !== action.payload);
+    });
+
+    builder.addCase(deleteMilestone.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Reset milestones on logout so the next user starts fresh
+    builder.addCase(logout, () => initialState);
+  }
+});
+
+export const { clearError } = milestonesSlice.actions;
+export default milestonesSlice.reducer;
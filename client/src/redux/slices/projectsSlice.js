@@ -0,0 +1,204 @@
+// Projects Slice - Manages the project list and the currently selected project
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { API_URL } from '../../config/api';
+import { logout } from './authSlice';
+import { setCurrentWorkspace, acceptInvitation } from './workspacesSlice';
+
+// Get authorization headers with JWT token
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('token');
+  return {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  };
+};
+
+// Load selected project from localStorage (persists the switcher across page refreshes)
+// null means "All projects"
+const loadCurrentProjectId = () => {
+  const stored = localStorage.getItem('currentProjectId');
+  const projectId = stored ? parseInt(stored) : NaN;
+  return isNaN(projectId) ? null : projectId;
+};
+
+const initialState = {
+  projects: [],
+  currentProjectId: loadCurrentProjectId(),
+  loading: false,
+  actionLoading: false,
+  error: null
+};
+
+// Async thunks for API calls
+
+export const fetchProjects = createAsyncThunk(
+  'projects/fetchProjects',
+  async (workspaceId, { rejectWithValue }) => {
+    try {
+      const params = workspaceId ? `?workspaceId=${workspaceId}` : '';
+      const response = await axios.get(`${API_URL}/projects${params}`, getAuthHeaders());
+      return response.data.data.projects;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch projects');
+    }
+  }
+);
+
+export const createProject = createAsyncThunk(
+  'projects/createProject',
+  async (projectData, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_URL}/projects`, projectData, getAuthHeaders());
+      return response.data.data.project;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to create project');
+    }
+  }
+);
+
+export const updateProject = createAsyncThunk(
+  'projects/updateProject',
+  async ({ id, data }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(`${API_URL}/projects/${id}`, data, getAuthHeaders());
+      return response.data.data.project;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update project');
+    }
+  }
+);
+
+export const deleteProject = createAsyncThunk(
+  'projects/deleteProject',
+  async (projectId, { rejectWithValue }) => {
+    try {
+      await axios.delete(`${API_URL}/projects/${projectId}`, getAuthHeaders());
+      return projectId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete project');
+    }
+  }
+);
+
+const projectsSlice = createSlice({
+  name: 'projects',
+  initialState,
+
+  reducers: {
+    setCurrentProject: (state, action) => {
+      state.currentProjectId = action.payload;
+
+      if (action.payload) {
+        localStorage.setItem('currentProjectId', action.payload.toString());
+      } else {
+        localStorage.removeItem('currentProjectId');
+      }
+    },
+
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+
+  extraReducers: (builder) => {
+    // Fetch projects
+    builder.addCase(fetchProjects.pending, (state) => {
+      state.loading = true;
+      state.error = null;
+    });
+
+    builder.addCase(fetchProjects.fulfilled, (state, action) => {
+      state.loading = false;
+      state.projects = action.payload;
+
+      // Fall back to "All projects" if the stored project no longer exists
+      if (state.currentProjectId && !action.payload.some(project => project.id === state.currentProjectId)) {
+        state.currentProjectId = null;
+        localStorage.removeItem('currentProjectId');
+      }
+    });
+
+    builder.addCase(fetchProjects.rejected, (state, action) => {
+      state.loading = false;
+      state.error = action.payload;
+    });
+
+    // Create project
+    builder.addCase(createProject.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(createProject.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.projects.push(action.payload);
+    });
+
+    builder.addCase(createProject.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Update project
+    builder.addCase(updateProject.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(updateProject.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      const index = state.projects.findIndex(project => project.id === action.payload.id);
+      if (index !== -1) {
+        state.projects[index] = action.payload;
+      }
+    });
+
+    builder.addCase(updateProject.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Delete project
+    builder.addCase(deleteProject.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(deleteProject.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.projects = state.projects.filter(project => project.id !== action.payload);
+      if (state.currentProjectId === action.payload) {
+        state.currentProjectId = null;
+        localStorage.removeItem('currentProjectId');
+      }
+    });
+
+    builder.addCase(deleteProject.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Switching or joining a workspace shows all of its projects
+    builder.addCase(setCurrentWorkspace, (state) => {
+      state.currentProjectId = null;
+      localStorage.removeItem('currentProjectId');
+    });
+
+    builder.addCase(acceptInvitation.fulfilled, (state) => {
+      state.currentProjectId = null;
+      localStorage.removeItem('currentProjectId');
+    });
+
+    // Reset projects on logout so the next user starts fresh
+    builder.addCase(logout, () => {
+      localStorage.removeItem('currentProjectId');
+      return { ...initialState, currentProjectId: null };
+    });
+  }
+});
+
+export const { setCurrentProject, clearError } = projectsSlice.actions;
+export default projectsSlice.reducer;
@@ -0,0 +1,267 @@
+// Saved Views Slice - Manages the saved issue list views of the selected workspace,
+// the counts of the views pinned to the dashboard, and which view is applied
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { API_URL } from '../../config/api';
+import { logout } from './authSlice';
+
+// Get authorization headers with JWT token
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('token');
+  return {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  };
+};
+
+const initialState = {
+  views: [],
+  // Workspace the loaded views belong to
+  viewsWorkspaceId: null,
+  // The user's default view in the workspace (applied when the dashboard first opens it)
+  defaultViewId: null,
+  // Workspaces whose default view has been applied this session, so it does not override later changes
+  defaultAppliedFor: [],
+  // Issue counts of pinned views: [{ viewId, name, count }]
+  counts: [],
+  // View the issue list was last set up from (null = none)
+  activeViewId: null,
+  loading: false,
+  actionLoading: false,
+  error: null
+};
+
+// Async thunks for API calls
+
+export const fetchViews = createAsyncThunk(
+  'savedViews/fetchViews',
+  async (workspaceId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_URL}/workspaces/${workspaceId}/views`, getAuthHeaders());
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch views');
+    }
+  }
+);
+
+export const fetchViewCounts = createAsyncThunk(
+  'savedViews/fetchViewCounts',
+  async (workspaceId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_URL}/workspaces/${workspaceId}/views/counts`, getAuthHeaders());
+      return response.data.data.counts;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch view counts');
+    }
+  }
+);
+
+export const createView = createAsyncThunk(
+  'savedViews/createView',
+  async ({ workspaceId, data }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_URL}/workspaces/${workspaceId}/views`, data, getAuthHeaders());
+      return response.data.data.view;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to save view');
+    }
+  }
+);
+
+export const updateView = createAsyncThunk(
+  'savedViews/updateView',
+  async ({ workspaceId, viewId, data }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(
+        `${API_URL}/workspaces/${workspaceId}/views/${viewId}`,
+        data,
+        getAuthHeaders()
+      );
+      return response.data.data.view;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update view');
+    }
+  }
+);
+
+export const deleteView = createAsyncThunk(
+  'savedViews/deleteView',
+  async ({ workspaceId, viewId }, { rejectWithValue }) => {
+    try {
+      await axios.delete(`${API_URL}/workspaces/${workspaceId}/views/${viewId}`, getAuthHeaders());
+      return viewId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete view');
+    }
+  }
+);
+
+// Pin (pinned: true) or unpin a view's count on the dashboard
+export const pinView = createAsyncThunk(
+  'savedViews/pinView',
+  async ({ workspaceId, viewId, pinned }, { rejectWithValue }) => {
+    try {
+      const url = `${API_URL}/workspaces/${workspaceId}/views/${viewId}/pin`;
+      await (pinned ? axios.put(url, {}, getAuthHeaders()) : axios.delete(url, getAuthHeaders()));
+      return { viewId, pinned };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to pin view');
+    }
+  }
+);
+
+// Make a view the default (isDefault: true), or stop using it as the default
+export const setDefaultView = createAsyncThunk(
+  'savedViews/setDefaultView',
+  async ({ workspaceId, viewId, isDefault }, { rejectWithValue }) => {
+    try {
+      const url = `${API_URL}/workspaces/${workspaceId}/views/${viewId}/default`;
+      const response = await (isDefault ? axios.put(url, {}, getAuthHeaders()) : axios.delete(url, getAuthHeaders()));
+      return response.data.data.defaultViewId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to set default view');
+    }
+  }
+);
+
+// Keep views sorted by name like the API returns them
+const sortByName = (views) => views.sort((a, b) => a.name.localeCompare(b.name));
+
+const savedViewsSlice = createSlice({
+  name: 'savedViews',
+  initialState,
+
+  reducers: {
+    setActiveView: (state, action) => {
+      state.activeViewId = action.payload;
+    },
+
+    markDefaultApplied: (state, action) => {
+      state.defaultAppliedFor.push(action.payload);
+    },
+
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+
+  extraReducers: (builder) => {
+    // Fetch views
+    builder.addCase(fetchViews.pending, (state) => {
+      state.loading = true;
+      state.error = null;
+    });
+
+    builder.addCase(fetchViews.fulfilled, (state, action) => {
+      state.loading = false;
+      state.views = action.payload.views;
+      state.viewsWorkspaceId = action.meta.arg;
+      state.defaultViewId = action.payload.defaultViewId;
+
+      if (!state.views.some(view => view.id === state.activeViewId)) {
+        state.activeViewId = null;
+      }
+    });
+
+    builder.addCase(fetchViews.rejected, (state, action) => {
+      state.loading = false;
+      state.error = action.payload;
+    });
+
+    // Fetch pinned view counts (failures only leave the previous counts)
+    builder.addCase(fetchViewCounts.fulfilled, (state, action) => {
+      state.counts = action.payload;
+    });
+
+    // Create view: the new view becomes the active one
+    builder.addCase(createView.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(createView.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.views.push(action.payload);
+      sortByName(state.views);
+      state.activeViewId = action.payload.id;
+    });
+
+    builder.addCase(createView.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Update view
+    builder.addCase(updateView.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(updateView.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      const index = state.views.findIndex(view => view.id === action.payload.id);
+      if (index !== -1) {
+        state.views[index] = action.payload;
+      }
+      sortByName(state.views);
+    });
+
+    builder.addCase(updateView.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Delete view
+    builder.addCase(deleteView.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(deleteView.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.views = state.views.filter(view => view.id !== action.payload);
+      state.counts = state.counts.filter(count => count.viewId !== action.payload);
+      if (state.activeViewId === action.payload) state.activeViewId = null;
+      if (state.defaultViewId === action.payload) state.defaultViewId = null;
+    });
+
+    builder.addCase(deleteView.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Pin / unpin
+    builder.addCase(pinView.fulfilled, (state, action) => {
+      const view = state.views.find(item => item.id === action.payload.viewId);
+      if (view) view.pinned = action.payload.pinned;
+      if (!action.payload.pinned) {
+        state.counts = state.counts.filter(count => count.viewId !== action.payload.viewId);
+      }
+    });
+
+    builder.addCase(pinView.rejected, (state, action) => {
+      state.error = action.payload;
+    });
+
+    // Default view
+    builder.addCase(setDefaultView.fulfilled, (state, action) => {
+      state.defaultViewId = action.payload;
+      state.views.forEach((view) => {
+        view.isDefault = view.id === action.payload;
+      });
+    });
+
+    builder.addCase(setDefaultView.rejected, (state, action) => {
+      state.error = action.payload;
+    });
+
+    // Reset views on logout so the next user starts fresh
+    builder.addCase(logout, () => initialState);
+  }
+});
+
+export const { setActiveView, markDefaultApplied, clearError } = savedViewsSlice.actions;
+export default savedViewsSlice.reducer;
@@ -0,0 +1,337 @@
+// Sprints Slice - Manages the sprints of one project, sprint planning and the burndown
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { API_URL } from '../../config/api';
+import { logout } from './authSlice';
+
+// Get authorization headers with JWT token
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('token');
+  return {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  };
+};
+
+const initialState = {
+  projectId: null, // Project the loaded sprints belong to
+  // Each sprint has total/done issue counts and points/donePoints story point sums
+  sprints: [],
+  statuses: [],    // The project's workflow statuses
+  currentSprint: null, // Sprint being planned
+  sprintIssues: [],    // Issues in the current sprint
+  backlog: [],         // Unfinished issues not planned into any sprint
+  burndown: null,      // { unit, committed, days: [{ date, scope, remaining, ideal }] }
+  loading: false,
+  sprintLoading: false,
+  actionLoading: false,
+  error: null
+};
+
+// Async thunks for API calls
+
+export const fetchSprints = createAsyncThunk(
+  'sprints/fetchSprints',
+  async (projectId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_URL}/projects/${projectId}/sprints`, getAuthHeaders());
+      return { projectId, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch sprints');
+    }
+  }
+);
+
+export const fetchSprint = createAsyncThunk(
+  'sprints/fetchSprint',
+  async ({ projectId, sprintId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_URL}/projects/${projectId}/sprints/${sprintId}`, getAuthHeaders());
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch sprint');
+    }
+  }
+);
+
+export const fetchBurndown = createAsyncThunk(
+  'sprints/fetchBurndown',
+  async ({ projectId, sprintId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(
+        `${API_URL}/projects/${projectId}/sprints/${sprintId}/burndown`,
+        getAuthHeaders()
+      );
+      return response.data.data.burndown;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch burndown');
+    }
+  }
+);
+
+export const fetchBacklog = createAsyncThunk(
+  'sprints/fetchBacklog',
+  async (projectId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_URL}/projects/${projectId}/sprints/backlog`, getAuthHeaders());
+      return response.data.data.issues;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch backlog');
+    }
+  }
+);
+
+export const createSprint = createAsyncThunk(
+  'sprints/createSprint',
+  async ({ projectId, sprintData }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_URL}/projects/${projectId}/sprints`, sprintData, getAuthHeaders());
+      return response.data.data.sprint;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to create sprint');
+    }
+  }
+);
+
+// Also starts (state: 'Active') and completes (state: 'Completed', moveOpenIssuesTo) sprints
+export const updateSprint = createAsyncThunk(
+  'sprints/updateSprint',
+  async ({ projectId, sprintId, sprintData }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(
+        `${API_URL}/projects/${projectId}/sprints/${sprintId}`,
+        sprintData,
+        getAuthHeaders()
+      );
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update sprint');
+    }
+  }
+);
+
+export const deleteSprint = createAsyncThunk(
+  'sprints/deleteSprint',
+  async ({ projectId, sprintId }, { rejectWithValue }) => {
+    try {
+      await axios.delete(`${API_URL}/projects/${projectId}/sprints/${sprintId}`, getAuthHeaders());
+      return sprintId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete sprint');
+    }
+  }
+);
+
+export const addIssuesToSprint = createAsyncThunk(
+  'sprints/addIssuesToSprint',
+  async ({ projectId, sprintId, issueIds }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(
+        `${API_URL}/projects/${projectId}/sprints/${sprintId}/issues`,
+        { issueIds },
+        getAuthHeaders()
+      );
+      return response.data.data.issueIds;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to add issues to sprint');
+    }
+  }
+);
+
+export const removeIssueFromSprint = createAsyncThunk(
+  'sprints/removeIssueFromSprint',
+  async ({ projectId, sprintId, issueId }, { rejectWithValue }) => {
+    try {
+      await axios.delete(
+        `${API_URL}/projects/${projectId}/sprints/${sprintId}/issues/${issueId}`,
+        getAuthHeaders()
+      );
+      return issueId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to remove issue from sprint');
+    }
+  }
+);
+
+// Replace a sprint in the list with its updated version
+const replaceSprint = (state, sprint) => {
+  const index = state.sprints.findIndex(item => item.id === sprint.id);
+  if (index !== -1) {
+    state.sprints[index] = sprint;
+  }
+  if (state.currentSprint?.id === sprint.id) {
+    state.currentSprint = sprint;
+  }
+};
+
+const sprintsSlice = createSlice({
+  name: 'sprints',
+  initialState,
+
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+    clearCurrentSprint: (state) => {
+      state.currentSprint = null;
+      state.sprintIssues = [];
+      state.burndown = null;
+    }
+  },
+
+  extraReducers: (builder) => {
+    // Fetch sprints
+    builder.addCase(fetchSprints.pending, (state, action) => {
+      state.loading = true;
+      state.error = null;
+      // Drop another project's sprints so they are never offered for this one
+      if (state.projectId !== action.meta.arg) {
+        state.projectId = action.meta.arg;
+        state.sprints = [];
+        state.statuses = [];
+      }
+    });
+
+    builder.addCase(fetchSprints.fulfilled, (state, action) => {
+      state.loading = false;
+      state.projectId = action.payload.projectId;
+      state.sprints = action.payload.sprints;
+      state.statuses = action.payload.statuses;
+    });
+
+    builder.addCase(fetchSprints.rejected, (state, action) => {
+      state.loading = false;
+      state.error = action.payload;
+    });
+
+    // Fetch one sprint with its issues
+    builder.addCase(fetchSprint.pending, (state) => {
+      state.sprintLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(fetchSprint.fulfilled, (state, action) => {
+      state.sprintLoading = false;
+      state.currentSprint = action.payload.sprint;
+      state.sprintIssues = action.payload.issues;
+      replaceSprint(state, action.payload.sprint);
+    });
+
+    builder.addCase(fetchSprint.rejected, (state, action) => {
+      state.sprintLoading = false;
+      state.error = action.payload;
+    });
+
+    // Burndown (failures keep the previous chart)
+    builder.addCase(fetchBurndown.fulfilled, (state, action) => {
+      state.burndown = action.payload;
+    });
+
+    builder.addCase(fetchBurndown.rejected, (state, action) => {
+      state.error = action.payload;
+    });
+
+    // Backlog
+    builder.addCase(fetchBacklog.fulfilled, (state, action) => {
+      state.backlog = action.payload;
+    });
+
+    builder.addCase(fetchBacklog.rejected, (state, action) => {
+      state.error = action.payload;
+    });
+
+    // Create sprint
+    builder.addCase(createSprint.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(createSprint.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.sprints.push(action.payload);
+    });
+
+    builder.addCase(createSprint.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Update, start or complete sprint
+    builder.addCase(updateSprint.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(updateSprint.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      replaceSprint(state, action.payload.sprint);
+    });
+
+    builder.addCase(updateSprint.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Delete sprint
+    builder.addCase(deleteSprint.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(deleteSprint.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.sprints = state.sprints.filter(sprint => sprint.id !== action.payload);
+    });
+
+    builder.addCase(deleteSprint.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Move backlog issues into the current sprint
+    builder.addCase(addIssuesToSprint.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(addIssuesToSprint.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      const moved = state.backlog.filter(issue => action.payload.includes(issue.id));
+      state.backlog = state.backlog.filter(issue => !action.payload.includes(issue.id));
+      state.sprintIssues.push(...moved);
+    });
+
+    builder.addCase(addIssuesToSprint.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Move a sprint issue back to the backlog
+    builder.addCase(removeIssueFromSprint.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(removeIssueFromSprint.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      const issue = state.sprintIssues.find(item => item.id === action.payload);
+      state.sprintIssues = state.sprintIssues.filter(item => item.id !== action.payload);
+      if (issue) {
+        state.backlog.unshift(issue);
+      }
+    });
+
+    builder.addCase(removeIssueFromSprint.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Reset sprints on logout so the next user starts fresh
+    builder.addCase(logout, () => initialState);
+  }
+});
+
+export const { clearError, clearCurrentSprint } = sprintsSlice.actions;
+export default sprintsSlice.reducer;
@@ -0,0 +1,104 @@
+// Sub-tasks Slice - Manages the sub-tasks of the issue being viewed and their progress
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { API_URL } from '../../config/api';
+import { logout } from './authSlice';
+
+// Get authorization headers with JWT token
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('token');
+  return {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  };
+};
+
+const initialState = {
+  children: [],
+  progress: null, // { done, total } once the issue has sub-tasks
+  loading: false,
+  actionLoading: false,
+  error: null
+};
+
+// Async thunks for API calls
+
+export const fetchSubtasks = createAsyncThunk(
+  'subtasks/fetchSubtasks',
+  async (issueId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_URL}/issues/${issueId}/children`, getAuthHeaders());
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch sub-tasks');
+    }
+  }
+);
+
+// Sub-tasks are regular issues created in the parent's project with parentId set
+export const createSubtask = createAsyncThunk(
+  'subtasks/createSubtask',
+  async ({ parentId, projectId, title, description }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(
+        `${API_URL}/issues`,
+        { parentId, projectId, title, description },
+        getAuthHeaders()
+      );
+      return response.data.data.issue;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to create sub-task');
+    }
+  }
+);
+
+const subtasksSlice = createSlice({
+  name: 'subtasks',
+  initialState,
+
+  reducers: {
+    clearSubtasks: () => initialState
+  },
+
+  extraReducers: (builder) => {
+    // Fetch sub-tasks
+    builder.addCase(fetchSubtasks.pending, (state) => {
+      state.loading = true;
+      state.error = null;
+    });
+
+    builder.addCase(fetchSubtasks.fulfilled, (state, action) => {
+      state.loading = false;
+      state.children = action.payload.children;
+      state.progress = action.payload.progress;
+    });
+
+    builder.addCase(fetchSubtasks.rejected, (state, action) => {
+      state.loading = false;
+      state.error = action.payload;
+    });
+
+    // Create sub-task (the list and progress are refetched afterwards)
+    builder.addCase(createSubtask.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(createSubtask.fulfilled, (state) => {
+      state.actionLoading = false;
+    });
+
+    builder.addCase(createSubtask.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Reset sub-tasks on logout so the next user starts fresh
+    builder.addCase(logout, () => initialState);
+  }
+});
+
+export const { clearSubtasks } = subtasksSlice.actions;
+export default subtasksSlice.reducer;
@@ -0,0 +1,112 @@
+// Workflow Slice - Manages the statuses and allowed transitions of one project
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { API_URL } from '../../config/api';
+import { logout } from './authSlice';
+
+// Get authorization headers with JWT token
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('token');
+  return {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  };
+};
+
+const initialState = {
+  projectId: null, // Project the loaded statuses belong to
+  statuses: [],    // [{ key, name, category, color, position, transitions: ['OtherKey', ...] }]
+  loading: false,
+  actionLoading: false,
+  error: null
+};
+
+// Async thunks for API calls
+
+export const fetchWorkflow = createAsyncThunk(
+  'workflow/fetchWorkflow',
+  async (projectId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_URL}/projects/${projectId}/workflow`, getAuthHeaders());
+      return { projectId, statuses: response.data.data.statuses };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch workflow');
+    }
+  }
+);
+
+export const updateWorkflow = createAsyncThunk(
+  'workflow/updateWorkflow',
+  async ({ projectId, statuses }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(
+        `${API_URL}/projects/${projectId}/workflow`,
+        { statuses },
+        getAuthHeaders()
+      );
+      return { projectId, statuses: response.data.data.statuses };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update workflow');
+    }
+  }
+);
+
+const workflowSlice = createSlice({
+  name: 'workflow',
+  initialState,
+
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+
+  extraReducers: (builder) => {
+    // Fetch workflow
+    builder.addCase(fetchWorkflow.pending, (state, action) => {
+      state.loading = true;
+      state.error = null;
+      // Drop another project's statuses so they are never shown for this one
+      if (state.projectId !== action.meta.arg) {
+        state.projectId = action.meta.arg;
+        state.statuses = [];
+      }
+    });
+
+    builder.addCase(fetchWorkflow.fulfilled, (state, action) => {
+      state.loading = false;
+      state.projectId = action.payload.projectId;
+      state.statuses = action.payload.statuses;
+    });
+
+    builder.addCase(fetchWorkflow.rejected, (state, action) => {
+      state.loading = false;
+      state.error = action.payload;
+    });
+
+    // Update workflow
+    builder.addCase(updateWorkflow.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(updateWorkflow.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.projectId = action.payload.projectId;
+      state.statuses = action.payload.statuses;
+    });
+
+    builder.addCase(updateWorkflow.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Reset workflow on logout so the next user starts fresh
+    builder.addCase(logout, () => initialState);
+  }
+});
+
+export const { clearError } = workflowSlice.actions;
+export default workflowSlice.reducer;
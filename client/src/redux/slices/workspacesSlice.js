@@ -0,0 +1,347 @@
+// Workspaces Slice - Manages workspaces, the selected workspace, members, and invitations
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { API_URL } from '../../config/api';
+import { logout } from './authSlice';
+
+// Get authorization headers with JWT token
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('token');
+  return {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  };
+};
+
+// Load selected workspace from localStorage (persists the switcher across page refreshes)
+const loadCurrentWorkspaceId = () => {
+  const stored = localStorage.getItem('currentWorkspaceId');
+  const workspaceId = stored ? parseInt(stored) : NaN;
+  return isNaN(workspaceId) ? null : workspaceId;
+};
+
+const initialState = {
+  workspaces: [],
+  currentWorkspaceId: loadCurrentWorkspaceId(),
+  members: [],
+  invitations: [],
+  invitationPreview: null,
+  loading: false,
+  actionLoading: false,
+  error: null
+};
+
+// Async thunks for API calls
+
+export const fetchWorkspaces = createAsyncThunk(
+  'workspaces/fetchWorkspaces',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_URL}/workspaces`, getAuthHeaders());
+      return response.data.data.workspaces;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch workspaces');
+    }
+  }
+);
+
+export const createWorkspace = createAsyncThunk(
+  'workspaces/createWorkspace',
+  async (workspaceData, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_URL}/workspaces`, workspaceData, getAuthHeaders());
+      return response.data.data.workspace;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to create workspace');
+    }
+  }
+);
+
+export const fetchMembers = createAsyncThunk(
+  'workspaces/fetchMembers',
+  async (workspaceId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_URL}/workspaces/${workspaceId}/members`, getAuthHeaders());
+      return response.data.data.members;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch members');
+    }
+  }
+);
+
+export const updateMemberRole = createAsyncThunk(
+  'workspaces/updateMemberRole',
+  async ({ workspaceId, userId, role }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(
+        `${API_URL}/workspaces/${workspaceId}/members/${userId}`,
+        { role },
+        getAuthHeaders()
+      );
+      return response.data.data.member;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update member role');
+    }
+  }
+);
+
+export const removeMember = createAsyncThunk(
+  'workspaces/removeMember',
+  async ({ workspaceId, userId }, { rejectWithValue }) => {
+    try {
+      await axios.delete(`${API_URL}/workspaces/${workspaceId}/members/${userId}`, getAuthHeaders());
+      return userId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to remove member');
+    }
+  }
+);
+
+export const fetchInvitations = createAsyncThunk(
+  'workspaces/fetchInvitations',
+  async (workspaceId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_URL}/workspaces/${workspaceId}/invitations`, getAuthHeaders());
+      return response.data.data.invitations;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch invitations');
+    }
+  }
+);
+
+export const inviteMember = createAsyncThunk(
+  'workspaces/inviteMember',
+  async ({ workspaceId, data }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_URL}/workspaces/${workspaceId}/invitations`, data, getAuthHeaders());
+      return response.data.data.invitation;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to send invitation');
+    }
+  }
+);
+
+export const revokeInvitation = createAsyncThunk(
+  'workspaces/revokeInvitation',
+  async ({ workspaceId, invitationId }, { rejectWithValue }) => {
+    try {
+      await axios.delete(`${API_URL}/workspaces/${workspaceId}/invitations/${invitationId}`, getAuthHeaders());
+      return invitationId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to revoke invitation');
+    }
+  }
+);
+
+export const fetchInvitationPreview = createAsyncThunk(
+  'workspaces/fetchInvitationPreview',
+  async (token, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_URL}/invitations/${token}`, getAuthHeaders());
+      return response.data.data.invitation;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch invitation');
+    }
+  }
+);
+
+export const acceptInvitation = createAsyncThunk(
+  'workspaces/acceptInvitation',
+  async (token, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_URL}/invitations/${token}/accept`, {}, getAuthHeaders());
+      return response.data.data.workspace;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to accept invitation');
+    }
+  }
+);
+
+// Persist and apply the selected workspace
+const selectWorkspace = (state, workspaceId) => {
+  state.currentWorkspaceId = workspaceId;
+
+  if (workspaceId) {
+    localStorage.setItem('currentWorkspaceId', workspaceId.toString());
+  } else {
+    localStorage.removeItem('currentWorkspaceId');
+  }
+};
+
+const workspacesSlice = createSlice({
+  name: 'workspaces',
+  initialState,
+
+  reducers: {
+    setCurrentWorkspace: (state, action) => {
+      selectWorkspace(state, action.payload);
+      state.members = [];
+      state.invitations = [];
+    },
+
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+
+  extraReducers: (builder) => {
+    // Fetch workspaces
+    builder.addCase(fetchWorkspaces.pending, (state) => {
+      state.loading = true;
+      state.error = null;
+    });
+
+    builder.addCase(fetchWorkspaces.fulfilled, (state, action) => {
+      state.loading = false;
+      state.workspaces = action.payload;
+
+      // Default to the first workspace if none is selected or it is no longer available
+      const isAvailable = action.payload.some(workspace => workspace.id === state.currentWorkspaceId);
+      if (!isAvailable) {
+        selectWorkspace(state, action.payload[0]?.id || null);
+      }
+    });
+
+    builder.addCase(fetchWorkspaces.rejected, (state, action) => {
+      state.loading = false;
+      state.error = action.payload;
+    });
+
+    // Create workspace
+    builder.addCase(createWorkspace.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(createWorkspace.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.workspaces.push(action.payload);
+    });
+
+    builder.addCase(createWorkspace.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Fetch members
+    builder.addCase(fetchMembers.fulfilled, (state, action) => {
+      state.members = action.payload;
+    });
+
+    builder.addCase(fetchMembers.rejected, (state, action) => {
+      state.error = action.payload;
+    });
+
+    // Update member role
+    builder.addCase(updateMemberRole.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(updateMemberRole.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.members = state.members.map(member =>
+        member.id === action.payload.id ? action.payload : member
+      );
+    });
+
+    builder.addCase(updateMemberRole.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Remove member
+    builder.addCase(removeMember.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(removeMember.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.members = state.members.filter(member => member.userId !== action.payload);
+    });
+
+    builder.addCase(removeMember.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Fetch invitations
+    builder.addCase(fetchInvitations.fulfilled, (state, action) => {
+      state.invitations = action.payload;
+    });
+
+    builder.addCase(fetchInvitations.rejected, (state, action) => {
+      state.error = action.payload;
+    });
+
+    // Invite member
+    builder.addCase(inviteMember.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(inviteMember.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      state.invitations.unshift(action.payload);
+    });
+
+    builder.addCase(inviteMember.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Revoke invitation
+    builder.addCase(revokeInvitation.fulfilled, (state, action) => {
+      state.invitations = state.invitations.filter(invitation => invitation.id !== action.payload);
+    });
+
+    builder.addCase(revokeInvitation.rejected, (state, action) => {
+      state.error = action.payload;
+    });
+
+    // Fetch invitation preview
+    builder.addCase(fetchInvitationPreview.pending, (state) => {
+      state.loading = true;
+      state.error = null;
+      state.invitationPreview = null;
+    });
+
+    builder.addCase(fetchInvitationPreview.fulfilled, (state, action) => {
+      state.loading = false;
+      state.invitationPreview = action.payload;
+    });
+
+    builder.addCase(fetchInvitationPreview.rejected, (state, action) => {
+      state.loading = false;
+      state.error = action.payload;
+    });
+
+    // Accept invitation: switch to the workspace that was just joined
+    builder.addCase(acceptInvitation.pending, (state) => {
+      state.actionLoading = true;
+      state.error = null;
+    });
+
+    builder.addCase(acceptInvitation.fulfilled, (state, action) => {
+      state.actionLoading = false;
+      selectWorkspace(state, action.payload.id);
+    });
+
+    builder.addCase(acceptInvitation.rejected, (state, action) => {
+      state.actionLoading = false;
+      state.error = action.payload;
+    });
+
+    // Reset workspaces on logout so the next user starts fresh
+    builder.addCase(logout, () => {
+      localStorage.removeItem('currentWorkspaceId');
+      return { ...initialState, currentWorkspaceId: null };
+    });
+  }
+});
+
+export const { setCurrentWorkspace, clearError } = workspacesSlice.actions;
+export default workspacesSlice.reducer;
@@ -7,6 +7,17 @@
 import { configureStore } from '@reduxjs/toolkit';
 import authReducer from './slices/authSlice';
 import issuesReducer from './slices/issuesSlice';
+import projectsReducer from './slices/projectsSlice';
+import workspacesReducer from './slices/workspacesSlice';
+import commentsReducer from './slices/commentsSlice';
+import labelsReducer from './slices/labelsSlice';
+import workflowReducer from './slices/workflowSlice';
+import attachmentsReducer from './slices/attachmentsSlice';
+import issueLinksReducer from './slices/issueLinksSlice';
+import subtasksReducer from './slices/subtasksSlice';
+import milestonesReducer from './slices/milestonesSlice';
+import sprintsReducer from './slices/sprintsSlice';
+import savedViewsReducer from './slices/savedViewsSlice';
 
 // ========================================
 // CONFIGURE STORE
@@ -24,7 +35,18 @@ const store = configureStore({
   // Each slice manages its own part of the state
   reducer: {
     auth: authReducer,     // Manages authentication state (user, token, login status)
-    issues: issuesReducer  // Manages issues state (issues list, filters, pagination)
+    issues: issuesReducer,     // Manages issues state (issues list, filters, pagination)
+    projects: projectsReducer,     // Manages projects state (project list, selected project)
+    workspaces: workspacesReducer,  // Manages workspaces state (workspace list, members, invitations)
+    comments: commentsReducer,  // Manages the comment thread of the issue being viewed
+    labels: labelsReducer,  // Manages the labels of the selected workspace
+    workflow: workflowReducer,  // Manages the statuses and transitions of one project
+    attachments: attachmentsReducer,  // Manages the files attached to the issue being viewed
+    issueLinks: issueLinksReducer,  // Manages links between the viewed issue and other issues
+    subtasks: subtasksReducer,  // Manages the sub-tasks of the viewed issue
+    milestones: milestonesReducer,  // Manages the milestones (releases) of one project
+    sprints: sprintsReducer,  // Manages the sprints of one project and sprint planning
+    savedViews: savedViewsReducer  // Manages the saved issue list views of the selected workspace
   },
 
   // Middleware: Functions that intercept actions before they reach reducers
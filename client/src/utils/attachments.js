@@ -0,0 +1,83 @@
+// ========================================
+// ATTACHMENT UTILITIES
+// ========================================
+// Client-side checks mirroring the server's upload limits, and display helpers
+
+import { API_URL } from '../config/api';
+
+// Same limits the API enforces (server/routes/attachments.js)
+export const MAX_FILE_SIZE_MB = 10;
+export const MAX_FILES_PER_UPLOAD = 5;
+// The API goes by the file extension, not the type the browser reports
+export const ALLOWED_EXTENSIONS = [
+  '.png',
+  '.jpg',
+  '.jpeg',
+  '.gif',
+  '.webp',
+  '.pdf',
+  '.txt',
+  '.log',
+  '.csv',
+  '.json',
+  '.zip',
+  '.gz',
+  '.tgz'
+];
+
+/**
+ * Splits files into those the API will accept and readable errors for the rest
+ *
+ * @param {File[]} files - Files picked, dropped or pasted by the user
+ * @returns {{ valid: File[], errors: string[] }} Accepted files and one message per rejected file
+ */
+export const validateFiles = (files) => {
+  const valid = [];
+  const errors = [];
+
+  files.forEach((file) => {
+    const dot = file.name.lastIndexOf('.');
+    const extension = dot === -1 ? '' : file.name.slice(dot).toLowerCase();
+
+    if (!ALLOWED_EXTENSIONS.includes(extension)) {
+      errors.push(`${file.name}: this file type cannot be attached`);
+    } else if (file.size > MAX_FILE_SIZE_MB * 1024 * 1024) {
+      errors.push(`${file.name}: files must not exceed ${MAX_FILE_SIZE_MB} MB`);
+    } else {
+      valid.push(file);
+    }
+  });
+
+  return { valid, errors };
+};
+
+/**
+ * Formats a byte count for display
+ *
+ * @param {number} bytes - File size in bytes
+ * @returns {string} Size such as '512 B', '1.4 KB' or '2.3 MB'
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Builds the full URL of an attachment's signed download link
+ *
+ * @param {Object} attachment - Attachment from the API
+ * @param {boolean} download - Force a download instead of opening images inline
+ * @returns {string} URL usable in <img src> and <a href>
+ */
+export const getAttachmentUrl = (attachment, download = false) => {
+  return `${API_URL}${attachment.downloadUrl}${download ? '&download=1' : ''}`;
+};
+
+/**
+ * Checks whether an attachment (or a File) is an image that can be previewed
+ *
+ * @param {Object|File} file - Attachment with mimeType, or a File with type
+ * @returns {boolean} True for images
+ */
+export const isImage = (file) => (file.mimeType || file.type || '').startsWith('image/');
@@ -0,0 +1,62 @@
+// ========================================
+// LINE DIFF UTILITY
+// ========================================
+// Line-by-line diff of two texts, used to show description edits
+
+/**
+ * Compares two texts line by line using the longest common subsequence
+ *
+ * @param {string} oldText - Previous text
+ * @param {string} newText - New text
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>} Diff lines in order
+ *
+ * @example
+ * diffLines('a\nb', 'a\nc')
+ * // Returns: [{ type: 'same', text: 'a' }, { type: 'removed', text: 'b' }, { type: 'added', text: 'c' }]
+ */
+export const diffLines = (oldText = '', newText = '') => {
+  const oldLines = (oldText || '').split('\n');
+  const newLines = (newText || '').split('\n');
+
+  // lcs[i][j] = length of the longest common subsequence of oldLines[i..] and newLines[j..]
+  const lcs = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  // Walk the table to emit unchanged, removed and added lines
+  const result = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      result.push({ type: 'same', text: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'removed', text: oldLines[i] });
+      i++;
+    } else {
+      result.push({ type: 'added', text: newLines[j] });
+      j++;
+    }
+  }
+
+  while (i < oldLines.length) {
+    result.push({ type: 'removed', text: oldLines[i++] });
+  }
+
+  while (j < newLines.length) {
+    result.push({ type: 'added', text: newLines[j++] });
+  }
+
+  return result;
+};
+
+export default diffLines;
@@ -0,0 +1,54 @@
+// ========================================
+// DUE DATE UTILITIES
+// ========================================
+// Due dates are calendar dates; the API returns them as UTC midnight ISO strings
+
+/**
+ * Today's date as YYYY-MM-DD (UTC, matching how the API decides what is overdue)
+ *
+ * @returns {string} Today's date
+ */
+export const getToday = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Converts an API due date to the YYYY-MM-DD value used by date inputs
+ *
+ * @param {string|null} dueDate - ISO date string from the API
+ * @returns {string} Date input value, or '' when there is no due date
+ */
+export const toDateInputValue = (dueDate) => (dueDate ? dueDate.slice(0, 10) : '');
+
+/**
+ * Formats a due date for display without shifting it into the local time zone
+ *
+ * @param {string} dueDate - ISO date string from the API
+ * @returns {string} Formatted date, e.g. 'Oct 20, 2026'
+ */
+export const formatDueDate = (dueDate) => {
+  return new Date(dueDate).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+};
+
+/**
+ * Checks whether an issue is past its due date and not in a Done-category status
+ *
+ * @param {Object} issue - Issue with dueDate and status
+ * @param {Array} statuses - Workflow statuses ({ key, category }) to look the status up in
+ * @returns {boolean} True when the issue is overdue
+ *
+ * @example
+ * isOverdue({ dueDate: '2020-01-01T00:00:00.000Z', status: 'Open' }, [{ key: 'Open', category: 'Todo' }])
+ * // Returns: true
+ */
+export const isOverdue = (issue, statuses = []) => {
+  if (!issue.dueDate || toDateInputValue(issue.dueDate) >= getToday()) {
+    return false;
+  }
+
+  const status = statuses.find((item) => item.key === issue.status);
+  return status?.category !== 'Done';
+};
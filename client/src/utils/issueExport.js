@@ -0,0 +1,34 @@
+// ========================================
+// ISSUE EXPORT UTILITIES
+// ========================================
+// Exports are streamed by the server (GET /api/issues/export) with the list's filters and sort,
+// and hold the issue details shown in the list
+
+import { VIEW_COLUMNS } from './savedViews';
+
+export const EXPORT_FORMATS = [
+  { value: 'csv', label: 'Export as CSV' },
+  { value: 'xlsx', label: 'Export as Excel (XLSX)' },
+  { value: 'json', label: 'Export as JSON' },
+  { value: 'ndjson', label: 'Export as NDJSON' }
+];
+
+// List details the server can export, under the same names
+const EXPORTABLE_COLUMNS = ['description', 'labels', 'priority', 'severity', 'dueDate', 'milestone', 'storyPoints', 'assignee', 'project'];
+
+/**
+ * Export columns for the details shown in the list
+ * ID, title and status are always exported, and the creation time comes last
+ *
+ * @param {array} columns - Shown list details (see VIEW_COLUMNS)
+ * @returns {array} Export column keys in list order
+ */
+export const getExportColumns = (columns) => [
+  'id',
+  'title',
+  'status',
+  ...VIEW_COLUMNS
+    .map((column) => column.value)
+    .filter((column) => columns.includes(column) && EXPORTABLE_COLUMNS.includes(column)),
+  'createdAt'
+];
@@ -0,0 +1,123 @@
+// ========================================
+// ISSUE LIST URL UTILITIES
+// ========================================
+// The dashboard keeps its list setup in the query string, e.g.
+// /dashboard?workspace=2&project=5&q=login&status=Open&priority=High&sort=priority:desc&page=3
+// so a refresh, back/forward or a copied link shows the same issues
+
+import { SORT_FIELDS, DEFAULT_SORT, toSortParam } from './issueSort';
+
+const LEVELS = ['Low', 'Medium', 'High', 'Critical'];
+
+// Query parameter for each filter; values are strings unless noted
+const FILTER_PARAMS = {
+  search: 'q',
+  status: 'status',
+  priority: 'priority',
+  severity: 'severity',
+  assignee: 'assignee',
+  labels: 'labels',         // Comma-separated label IDs
+  labelMatch: 'labelMatch', // Only written when 'all'
+  overdue: 'overdue',       // '1' when on
+  milestone: 'milestone',
+  subtasks: 'subtasks'      // Only written when 'exclude'
+};
+
+// Every parameter the list reads, to tell whether a URL describes a list at all
+const LIST_PARAMS = [...Object.values(FILTER_PARAMS), 'sort', 'page', 'workspace', 'project'];
+
+// Parse "priority:desc,createdAt:asc", falling back to the default sort if any key is not understood
+const parseSort = (value) => {
+  if (!value) {
+    return DEFAULT_SORT;
+  }
+
+  const keys = value.split(',').map((part) => {
+    const [field, order] = part.split(':');
+    return { field, order };
+  });
+
+  const isValid = keys.every(({ field, order }) => (
+    SORT_FIELDS.some((item) => item.value === field) && ['asc', 'desc'].includes(order)
+  ));
+
+  return isValid ? keys : DEFAULT_SORT;
+};
+
+const parseId = (value) => {
+  const id = parseInt(value);
+  return Number.isNaN(id) ? null : id;
+};
+
+/**
+ * Whether the query string holds any list setup
+ *
+ * @param {URLSearchParams} searchParams
+ * @returns {boolean}
+ */
+export const hasListParams = (searchParams) => LIST_PARAMS.some((param) => searchParams.has(param));
+
+/**
+ * Read the list setup from the query string; unknown or invalid values are ignored
+ *
+ * @param {URLSearchParams} searchParams
+ * @returns {Object} { filters, sort, page, workspaceId, projectId } (ids are null when absent)
+ */
+export const readListParams = (searchParams) => {
+  const get = (key) => searchParams.get(FILTER_PARAMS[key]) || '';
+  const level = (value) => (LEVELS.includes(value) ? value : '');
+
+  return {
+    filters: {
+      search: get('search'),
+      status: get('status'),
+      priority: level(get('priority')),
+      severity: level(get('severity')),
+      assignee: get('assignee'),
+      labels: get('labels').split(',').map(parseId).filter((id) => id !== null),
+      labelMatch: get('labelMatch') === 'all' ? 'all' : 'any',
+      overdue: get('overdue') === '1',
+      milestone: get('milestone'),
+      subtasks: get('subtasks') === 'exclude' ? 'exclude' : 'include'
+    },
+    sort: parseSort(searchParams.get('sort')),
+    page: Math.max(parseId(searchParams.get('page')) || 1, 1),
+    workspaceId: parseId(searchParams.get('workspace')),
+    projectId: parseId(searchParams.get('project'))
+  };
+};
+
+/**
+ * Write the list setup as a query string, leaving out empty and default values
+ *
+ * @param {Object} list - { filters, sort, page, workspaceId, projectId }
+ * @returns {URLSearchParams}
+ */
+export const toListParams = ({ filters, sort, page, workspaceId, projectId }) => {
+  const params = new URLSearchParams();
+
+  if (workspaceId) params.set('workspace', workspaceId);
+  if (projectId) params.set('project', projectId);
+
+  Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+    const value = filters[key];
+
+    if (key === 'labels') {
+      if (value.length > 0) params.set(param, value.join(','));
+    } else if (key === 'overdue') {
+      if (value) params.set(param, '1');
+    } else if (key === 'labelMatch') {
+      if (value === 'all') params.set(param, value);
+    } else if (key === 'subtasks') {
+      if (value === 'exclude') params.set(param, value);
+    } else if (value) {
+      params.set(param, value);
+    }
+  });
+
+  const sortParam = toSortParam(sort);
+  if (sortParam !== toSortParam(DEFAULT_SORT)) params.set('sort', sortParam);
+  if (page > 1) params.set('page', page);
+
+  return params;
+};
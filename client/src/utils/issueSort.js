@@ -0,0 +1,40 @@
+// ========================================
+// ISSUE SORT UTILITIES
+// ========================================
+// Sort keys for the issue list, sent to the API as ?sort=priority:desc,updatedAt:asc
+
+// Fields the list can be sorted by, with the direction each starts in when picked
+// Relevance ranks by how well the search words match; without search words the server skips it
+export const SORT_FIELDS = [
+  { value: 'relevance', label: 'Relevance', defaultOrder: 'desc' },
+  { value: 'createdAt', label: 'Created', defaultOrder: 'desc' },
+  { value: 'updatedAt', label: 'Updated', defaultOrder: 'desc' },
+  { value: 'priority', label: 'Priority', defaultOrder: 'desc' },
+  { value: 'severity', label: 'Severity', defaultOrder: 'desc' },
+  { value: 'dueDate', label: 'Due date', defaultOrder: 'asc' },
+  { value: 'storyPoints', label: 'Story points', defaultOrder: 'desc' },
+  { value: 'title', label: 'Title', defaultOrder: 'asc' }
+];
+
+// Newest issues first
+export const DEFAULT_SORT = [{ field: 'createdAt', order: 'desc' }];
+
+/**
+ * Sort keys as the API's sort query parameter
+ *
+ * @param {Array} sort - Sort keys in priority order: [{ field, order }]
+ * @returns {string} e.g. 'priority:desc,updatedAt:asc'
+ */
+export const toSortParam = (sort) => sort.map(({ field, order }) => `${field}:${order}`).join(',');
+
+/**
+ * Sort keys without relevance, for cursor pages (infinite scroll, exports):
+ * the server cannot continue after a relevance score, only after stored values
+ *
+ * @param {Array} sort - Sort keys: [{ field, order }]
+ * @returns {Array} The other keys, or the default sort if none are left
+ */
+export const withoutRelevance = (sort) => {
+  const keys = sort.filter((key) => key.field !== 'relevance');
+  return keys.length > 0 ? keys : DEFAULT_SORT;
+};
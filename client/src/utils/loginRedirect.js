@@ -0,0 +1,18 @@
+// ========================================
+// LOGIN REDIRECT UTILITY
+// ========================================
+// Where to go after logging in or registering: the protected page that sent the user
+// to the login screen (e.g. a shared dashboard link), or the dashboard
+
+/**
+ * Path to continue to once authenticated
+ *
+ * @param {Object} location - Location of the login or register page
+ * @returns {string} Path with its query string
+ */
+const getLoginRedirect = (location) => {
+  const from = location.state?.from;
+  return from ? `${from.pathname}${from.search}` : '/dashboard';
+};
+
+export default getLoginRedirect;
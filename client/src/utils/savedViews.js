@@ -0,0 +1,60 @@
+// ========================================
+// SAVED VIEW UTILITIES
+// ========================================
+// A saved view stores the issue list's filters, sort and shown columns (details on each issue card)
+
+import { toSortParam } from './issueSort';
+
+// Optional issue details on the dashboard list, in card order
+export const VIEW_COLUMNS = [
+  { value: 'description', label: 'Description' },
+  { value: 'labels', label: 'Labels' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'severity', label: 'Severity' },
+  { value: 'dueDate', label: 'Due date' },
+  { value: 'milestone', label: 'Milestone' },
+  { value: 'storyPoints', label: 'Story points' },
+  { value: 'assignee', label: 'Assignee' },
+  { value: 'comments', label: 'Comments' },
+  { value: 'subtasks', label: 'Sub-task progress' },
+  { value: 'attachments', label: 'Files' },
+  { value: 'project', label: 'Project' }
+];
+
+// Everything is shown until a view or the user hides something
+export const DEFAULT_COLUMNS = VIEW_COLUMNS.map((column) => column.value);
+
+// Filter values that mean "not filtering"
+const DEFAULT_FILTER_VALUES = { labelMatch: 'any', subtasks: 'include' };
+
+/**
+ * The filters worth saving: empty and default values are left out
+ *
+ * @param {Object} filters - Filters from the issues slice
+ * @returns {Object} Filters with a value, e.g. { status: 'Open', labels: [3] }
+ */
+export const getViewFilters = (filters) => Object.fromEntries(
+  Object.entries(filters).filter(([key, value]) => (
+    value !== '' && value !== false && value !== null &&
+      !(Array.isArray(value) && value.length === 0) &&
+      DEFAULT_FILTER_VALUES[key] !== value
+  ))
+);
+
+// Filters as a string that does not depend on key order (the database may reorder keys)
+const toComparable = (filters) => JSON.stringify(
+  Object.entries(getViewFilters(filters)).sort(([a], [b]) => a.localeCompare(b))
+);
+
+/**
+ * Whether the list has been changed since the view was applied
+ *
+ * @param {Object} view - Saved view
+ * @param {Object} current - { filters, sort, columns } from the issues slice
+ * @returns {boolean}
+ */
+export const isViewModified = (view, { filters, sort, columns }) => (
+  toComparable(view.filters) !== toComparable(filters) ||
+    toSortParam(view.sort) !== toSortParam(sort) ||
+    [...view.columns].sort().join() !== [...columns].sort().join()
+);
@@ -0,0 +1,98 @@
+// ========================================
+// SEARCH QUERY UTILITIES
+// ========================================
+// Autocomplete for the issue search language, e.g.
+// status:Open priority:>=High label:backend assignee:me created:>2026-01-01 "exact phrase" -wontfix
+// The server parses the query; these helpers only suggest field names and values
+
+// Fields the server understands, with a short hint on their values
+export const SEARCH_FIELDS = [
+  { name: 'status', hint: 'Workflow status' },
+  { name: 'priority', hint: 'Low to Critical, e.g. >=High' },
+  { name: 'severity', hint: 'Low to Critical, e.g. <Medium' },
+  { name: 'label', hint: 'Label name' },
+  { name: 'assignee', hint: 'me, none or an email' },
+  { name: 'author', hint: 'me or an email' },
+  { name: 'created', hint: 'YYYY-MM-DD, e.g. >2026-01-01' },
+  { name: 'updated', hint: 'YYYY-MM-DD, e.g. <2026-01-01' },
+  { name: 'due', hint: 'YYYY-MM-DD or none' },
+  { name: 'points', hint: 'Story points, e.g. >=5, or none' },
+  { name: 'milestone', hint: 'Milestone name or none' },
+  { name: 'sprint', hint: 'Sprint name or none' }
+];
+
+// Fields that take comma-separated values
+const LIST_FIELDS = ['status', 'priority', 'severity', 'label'];
+
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Find the term the caret is in, keeping "quoted text" together
+ *
+ * @param {string} text - Full query
+ * @param {number} caret - Caret position
+ * @returns {Object} { start, end, text } of the term (text is '' between terms)
+ */
+export const getTermAt = (text, caret) => {
+  let start = 0;
+  let inQuote = false;
+
+  for (let i = 0; i < caret; i++) {
+    if (text[i] === '"') inQuote = !inQuote;
+    if (!inQuote && /\s/.test(text[i])) start = i + 1;
+  }
+
+  let end = caret;
+  while (end < text.length && (inQuote || !/\s/.test(text[end]))) {
+    if (text[end] === '"') inQuote = !inQuote;
+    end++;
+  }
+
+  return { start, end, text: text.slice(start, caret) };
+};
+
+// Quote values with spaces so they stay one term
+const quoteValue = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+/**
+ * Suggestions for the term being typed: field names, or values once "field:" is typed
+ *
+ * @param {string} term - Term text up to the caret (from getTermAt)
+ * @param {Object} values - Known values per field name, e.g. { status: ['Open', ...], label: [...] }
+ * @returns {Array} [{ label, hint, replacement }] where replacement is the completed term
+ */
+export const getSuggestions = (term, values) => {
+  const negation = term.startsWith('-') ? '-' : '';
+  const body = term.slice(negation.length);
+
+  // Field names
+  if (/^[a-zA-Z]+$/.test(body)) {
+    return SEARCH_FIELDS
+      .filter((field) => field.name.startsWith(body.toLowerCase()) && field.name !== body)
+      .map((field) => ({
+        label: `${field.name}:`,
+        hint: field.hint,
+        replacement: `${negation}${field.name}:`
+      }));
+  }
+
+  // Values of a field: keep the operator and any earlier comma-separated values
+  const match = body.match(/^([a-zA-Z]+):(>=|<=|>|<)?(.*)$/);
+  if (!match) {
+    return [];
+  }
+
+  const [, fieldName, operator = '', valueText] = match;
+  const field = fieldName.toLowerCase();
+  const commaIndex = LIST_FIELDS.includes(field) && !operator ? valueText.lastIndexOf(',') : -1;
+  const earlier = valueText.slice(0, commaIndex + 1);
+  const prefix = valueText.slice(commaIndex + 1).replace(/"/g, '').toLowerCase();
+
+  return (values[field] || [])
+    .filter((value) => value.toLowerCase().includes(prefix) && value.toLowerCase() !== prefix)
+    .slice(0, MAX_SUGGESTIONS)
+    .map((value) => ({
+      label: value,
+      replacement: `${negation}${fieldName}:${operator}${earlier}${quoteValue(value)} `
+    }));
+};
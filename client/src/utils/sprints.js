@@ -0,0 +1,28 @@
+// ========================================
+// SPRINT UTILITIES
+// ========================================
+// Shared by the sprints list and the sprint planning page
+
+// Badge colors per sprint state
+export const SPRINT_STATE_COLORS = {
+  Planned: '#616161',
+  Active: '#198ED2',
+  Completed: '#00C853'
+};
+
+/**
+ * Progress of a sprint in story points, or in issues while none of its issues are estimated
+ *
+ * @param {Object} sprint - Sprint from the API with total, done, points and donePoints
+ * @returns {Object} { done, total, unit, percent } where unit is 'points' or 'issues'
+ */
+export const getSprintProgress = (sprint) => {
+  const progress = sprint.points > 0
+    ? { done: sprint.donePoints, total: sprint.points, unit: 'points' }
+    : { done: sprint.done, total: sprint.total, unit: 'issues' };
+
+  return {
+    ...progress,
+    percent: progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 0
+  };
+};
@@ -0,0 +1,59 @@
+// Permission Middleware - Role-based access control for workspace resources
+//
+// Roles are per workspace: the JWT identifies the user, and their role is resolved from
+// the WorkspaceMember record of the workspace being accessed (loaded into req.membership
+// by the workspace, project and issue routers). Resolving on each request means role
+// changes take effect immediately instead of waiting for a new token.
+
+// Permission matrix: which roles may perform each action
+const PERMISSIONS = {
+  'workspace:update': ['Owner'],
+  'workspace:delete': ['Owner'],
+  'member:manage': ['Owner', 'Admin'],
+  'project:create': ['Owner', 'Admin', 'Member'],
+  'project:update': ['Owner', 'Admin', 'Member'],
+  'project:delete': ['Owner', 'Admin'],
+  'label:manage': ['Owner', 'Admin', 'Member'],
+  'milestone:manage': ['Owner', 'Admin', 'Member'],
+  'sprint:manage': ['Owner', 'Admin', 'Member'],
+  'view:share': ['Owner', 'Admin', 'Member'],
+  'view:manage': ['Owner', 'Admin'],
+  'issue:view': ['Owner', 'Admin', 'Member', 'Viewer', 'Reporter'],
+  'issue:create': ['Owner', 'Admin', 'Member', 'Reporter'],
+  'issue:update': ['Owner', 'Admin', 'Member'],
+  'issue:delete': ['Owner', 'Admin', 'Member'],
+  'comment:create': ['Owner', 'Admin', 'Member', 'Reporter'],
+  'attachment:create': ['Owner', 'Admin', 'Member', 'Reporter']
+};
+
+const ROLES = ['Owner', 'Admin', 'Member', 'Viewer', 'Reporter'];
+
+// Check whether a role grants a permission
+const can = (role, permission) => {
+  const allowedRoles = PERMISSIONS[permission];
+  return Boolean(allowedRoles && allowedRoles.includes(role));
+};
+
+// List every permission a role grants (sent to the client to show/hide actions)
+const getPermissions = (role) => {
+  return Object.keys(PERMISSIONS).filter(permission => can(role, permission));
+};
+
+// Middleware factory: reject the request unless req.membership grants the permission
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.membership || !can(req.membership.role, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Your role does not allow this action'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  can,
+  getPermissions,
+  requirePermission
+};
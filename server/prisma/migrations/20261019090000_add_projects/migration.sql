@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE `Project` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(191) NOT NULL,
+    `description` TEXT NULL,
+    `userId` INTEGER NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `Project_userId_idx`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Backfill: every existing user gets a default "General" project
+INSERT INTO `Project` (`name`, `userId`, `updatedAt`)
+SELECT 'General', `id`, CURRENT_TIMESTAMP(3) FROM `User`;
+
+-- AlterTable
+ALTER TABLE `Issue` ADD COLUMN `projectId` INTEGER NULL;
+
+-- Backfill: move existing issues into their creator's default project
+UPDATE `Issue` i JOIN `Project` p ON p.`userId` = i.`userId` SET i.`projectId` = p.`id`;
+
+-- AlterTable
+ALTER TABLE `Issue` MODIFY `projectId` INTEGER NOT NULL;
+
+-- CreateIndex
+CREATE INDEX `Issue_projectId_idx` ON `Issue`(`projectId`);
+
+-- CreateIndex
+CREATE INDEX `Issue_projectId_status_idx` ON `Issue`(`projectId`, `status`);
+
+-- AddForeignKey
+ALTER TABLE `Project` ADD CONSTRAINT `Project_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Issue` ADD CONSTRAINT `Issue_projectId_fkey` FOREIGN KEY (`projectId`) REFERENCES `Project`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,80 @@
+-- CreateTable
+CREATE TABLE `Workspace` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(191) NOT NULL,
+    `createdById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `Workspace_createdById_idx`(`createdById`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `WorkspaceMember` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `role` ENUM('Owner', 'Member') NOT NULL DEFAULT 'Member',
+    `workspaceId` INTEGER NOT NULL,
+    `userId` INTEGER NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `WorkspaceMember_userId_idx`(`userId`),
+    UNIQUE INDEX `WorkspaceMember_workspaceId_userId_key`(`workspaceId`, `userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `WorkspaceInvitation` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `email` VARCHAR(191) NOT NULL,
+    `token` VARCHAR(191) NOT NULL,
+    `role` ENUM('Owner', 'Member') NOT NULL DEFAULT 'Member',
+    `workspaceId` INTEGER NOT NULL,
+    `invitedById` INTEGER NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `acceptedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `WorkspaceInvitation_token_key`(`token`),
+    INDEX `WorkspaceInvitation_workspaceId_idx`(`workspaceId`),
+    INDEX `WorkspaceInvitation_email_idx`(`email`),
+    INDEX `WorkspaceInvitation_invitedById_idx`(`invitedById`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Backfill: every existing user gets a personal workspace they own
+INSERT INTO `Workspace` (`name`, `createdById`, `updatedAt`)
+SELECT CONCAT(COALESCE(`name`, `email`), '''s Workspace'), `id`, CURRENT_TIMESTAMP(3) FROM `User`;
+
+INSERT INTO `WorkspaceMember` (`role`, `workspaceId`, `userId`)
+SELECT 'Owner', `id`, `createdById` FROM `Workspace`;
+
+-- AlterTable
+ALTER TABLE `Project` ADD COLUMN `workspaceId` INTEGER NULL;
+
+-- Backfill: move existing projects into their owner's personal workspace
+UPDATE `Project` p JOIN `Workspace` w ON w.`createdById` = p.`userId` SET p.`workspaceId` = w.`id`;
+
+-- AlterTable
+ALTER TABLE `Project` MODIFY `workspaceId` INTEGER NOT NULL;
+
+-- CreateIndex
+CREATE INDEX `Project_workspaceId_idx` ON `Project`(`workspaceId`);
+
+-- AddForeignKey
+ALTER TABLE `Workspace` ADD CONSTRAINT `Workspace_createdById_fkey` FOREIGN KEY (`createdById`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `WorkspaceMember` ADD CONSTRAINT `WorkspaceMember_workspaceId_fkey` FOREIGN KEY (`workspaceId`) REFERENCES `Workspace`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `WorkspaceMember` ADD CONSTRAINT `WorkspaceMember_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `WorkspaceInvitation` ADD CONSTRAINT `WorkspaceInvitation_workspaceId_fkey` FOREIGN KEY (`workspaceId`) REFERENCES `Workspace`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `WorkspaceInvitation` ADD CONSTRAINT `WorkspaceInvitation_invitedById_fkey` FOREIGN KEY (`invitedById`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Project` ADD CONSTRAINT `Project_workspaceId_fkey` FOREIGN KEY (`workspaceId`) REFERENCES `Workspace`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
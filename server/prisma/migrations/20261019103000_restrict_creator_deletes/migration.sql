@@ -0,0 +1,11 @@
+-- DropForeignKey
+ALTER TABLE `Project` DROP FOREIGN KEY `Project_userId_fkey`;
+
+-- DropForeignKey
+ALTER TABLE `Issue` DROP FOREIGN KEY `Issue_userId_fkey`;
+
+-- AddForeignKey
+ALTER TABLE `Project` ADD CONSTRAINT `Project_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Issue` ADD CONSTRAINT `Issue_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
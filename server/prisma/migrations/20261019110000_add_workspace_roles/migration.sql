@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `WorkspaceMember` MODIFY `role` ENUM('Owner', 'Admin', 'Member', 'Viewer', 'Reporter') NOT NULL DEFAULT 'Member';
+
+-- AlterTable
+ALTER TABLE `WorkspaceInvitation` MODIFY `role` ENUM('Owner', 'Admin', 'Member', 'Viewer', 'Reporter') NOT NULL DEFAULT 'Member';
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `Issue` ADD COLUMN `assigneeId` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `Issue_assigneeId_idx` ON `Issue`(`assigneeId`);
+
+-- AddForeignKey
+ALTER TABLE `Issue` ADD CONSTRAINT `Issue_assigneeId_fkey` FOREIGN KEY (`assigneeId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
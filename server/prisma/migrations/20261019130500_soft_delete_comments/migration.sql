@@ -0,0 +1,8 @@
+-- DropForeignKey
+ALTER TABLE `Comment` DROP FOREIGN KEY `Comment_parentId_fkey`;
+
+-- AlterTable
+ALTER TABLE `Comment` ADD COLUMN `deletedAt` DATETIME(3) NULL;
+
+-- AddForeignKey
+ALTER TABLE `Comment` ADD CONSTRAINT `Comment_parentId_fkey` FOREIGN KEY (`parentId`) REFERENCES `Comment`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE `IssueActivity` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `issueId` INTEGER NOT NULL,
+    `action` ENUM('Created', 'Updated', 'Deleted') NOT NULL,
+    `field` VARCHAR(191) NULL,
+    `oldValue` TEXT NULL,
+    `newValue` TEXT NULL,
+    `userId` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `IssueActivity_issueId_createdAt_idx`(`issueId`, `createdAt`),
+    INDEX `IssueActivity_userId_idx`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `IssueActivity` ADD CONSTRAINT `IssueActivity_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: start the trail of existing issues with their creation
+INSERT INTO `IssueActivity` (`issueId`, `action`, `userId`, `createdAt`)
+SELECT `id`, 'Created', `userId`, `createdAt` FROM `Issue`;
@@ -0,0 +1,56 @@
+-- CreateTable
+CREATE TABLE `WorkflowStatus` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `key` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `category` ENUM('Todo', 'InProgress', 'Done') NOT NULL DEFAULT 'Todo',
+    `color` VARCHAR(191) NOT NULL,
+    `position` INTEGER NOT NULL DEFAULT 0,
+    `projectId` INTEGER NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `WorkflowStatus_projectId_position_idx`(`projectId`, `position`),
+    UNIQUE INDEX `WorkflowStatus_projectId_key_key`(`projectId`, `key`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `WorkflowTransition` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `fromStatusId` INTEGER NOT NULL,
+    `toStatusId` INTEGER NOT NULL,
+
+    INDEX `WorkflowTransition_toStatusId_idx`(`toStatusId`),
+    UNIQUE INDEX `WorkflowTransition_fromStatusId_toStatusId_key`(`fromStatusId`, `toStatusId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Backfill: every existing project gets the default workflow (the former Status enum)
+INSERT INTO `WorkflowStatus` (`key`, `name`, `category`, `color`, `position`, `projectId`, `updatedAt`)
+SELECT s.`key`, s.`name`, s.`category`, s.`color`, s.`position`, p.`id`, CURRENT_TIMESTAMP(3)
+FROM `Project` p
+CROSS JOIN (
+    SELECT 'Open' AS `key`, 'Open' AS `name`, 'Todo' AS `category`, '#198ED2' AS `color`, 0 AS `position`
+    UNION ALL SELECT 'InProgress', 'In Progress', 'InProgress', '#F57F17', 1
+    UNION ALL SELECT 'Resolved', 'Resolved', 'Done', '#00C853', 2
+    UNION ALL SELECT 'Closed', 'Closed', 'Done', '#616161', 3
+) s;
+
+-- Backfill: the default workflow allows moving between any two statuses
+INSERT INTO `WorkflowTransition` (`fromStatusId`, `toStatusId`)
+SELECT a.`id`, b.`id`
+FROM `WorkflowStatus` a
+JOIN `WorkflowStatus` b ON b.`projectId` = a.`projectId` AND b.`id` <> a.`id`;
+
+-- AlterTable: issue status becomes the key of a workflow status
+ALTER TABLE `Issue` MODIFY `status` VARCHAR(191) NOT NULL DEFAULT 'Open';
+
+-- AddForeignKey
+ALTER TABLE `WorkflowStatus` ADD CONSTRAINT `WorkflowStatus_projectId_fkey` FOREIGN KEY (`projectId`) REFERENCES `Project`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `WorkflowTransition` ADD CONSTRAINT `WorkflowTransition_fromStatusId_fkey` FOREIGN KEY (`fromStatusId`) REFERENCES `WorkflowStatus`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `WorkflowTransition` ADD CONSTRAINT `WorkflowTransition_toStatusId_fkey` FOREIGN KEY (`toStatusId`) REFERENCES `WorkflowStatus`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `Issue` ADD COLUMN `dueDate` DATE NULL;
+
+-- CreateIndex
+CREATE INDEX `Issue_dueDate_idx` ON `Issue`(`dueDate`);
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE `IssueLink` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `type` ENUM('Blocks', 'Duplicates', 'RelatesTo') NOT NULL,
+    `sourceIssueId` INTEGER NOT NULL,
+    `targetIssueId` INTEGER NOT NULL,
+    `userId` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `IssueLink_sourceIssueId_targetIssueId_type_key`(`sourceIssueId`, `targetIssueId`, `type`),
+    INDEX `IssueLink_targetIssueId_idx`(`targetIssueId`),
+    INDEX `IssueLink_userId_idx`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `IssueLink` ADD CONSTRAINT `IssueLink_sourceIssueId_fkey` FOREIGN KEY (`sourceIssueId`) REFERENCES `Issue`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `IssueLink` ADD CONSTRAINT `IssueLink_targetIssueId_fkey` FOREIGN KEY (`targetIssueId`) REFERENCES `Issue`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `IssueLink` ADD CONSTRAINT `IssueLink_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
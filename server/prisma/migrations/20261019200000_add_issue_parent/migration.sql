@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `Issue` ADD COLUMN `parentId` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `Issue_parentId_idx` ON `Issue`(`parentId`);
+
+-- AddForeignKey
+ALTER TABLE `Issue` ADD CONSTRAINT `Issue_parentId_fkey` FOREIGN KEY (`parentId`) REFERENCES `Issue`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE `Issue` ADD COLUMN `milestoneId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `Milestone` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(191) NOT NULL,
+    `description` TEXT NULL,
+    `targetDate` DATE NULL,
+    `state` ENUM('Open', 'Closed') NOT NULL DEFAULT 'Open',
+    `closedAt` DATETIME(3) NULL,
+    `projectId` INTEGER NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `Milestone_projectId_name_key`(`projectId`, `name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `Issue_milestoneId_status_idx` ON `Issue`(`milestoneId`, `status`);
+
+-- AddForeignKey
+ALTER TABLE `Issue` ADD CONSTRAINT `Issue_milestoneId_fkey` FOREIGN KEY (`milestoneId`) REFERENCES `Milestone`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Milestone` ADD CONSTRAINT `Milestone_projectId_fkey` FOREIGN KEY (`projectId`) REFERENCES `Project`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
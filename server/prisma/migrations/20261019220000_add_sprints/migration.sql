@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE `Issue` ADD COLUMN `sprintId` INTEGER NULL,
+    ADD COLUMN `storyPoints` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `Sprint` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(191) NOT NULL,
+    `goal` TEXT NULL,
+    `startDate` DATE NOT NULL,
+    `endDate` DATE NOT NULL,
+    `state` ENUM('Planned', 'Active', 'Completed') NOT NULL DEFAULT 'Planned',
+    `startedAt` DATETIME(3) NULL,
+    `completedAt` DATETIME(3) NULL,
+    `projectId` INTEGER NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `Sprint_projectId_state_idx`(`projectId`, `state`),
+    UNIQUE INDEX `Sprint_projectId_name_key`(`projectId`, `name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `Issue_sprintId_status_idx` ON `Issue`(`sprintId`, `status`);
+
+-- AddForeignKey
+ALTER TABLE `Issue` ADD CONSTRAINT `Issue_sprintId_fkey` FOREIGN KEY (`sprintId`) REFERENCES `Sprint`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Sprint` ADD CONSTRAINT `Sprint_projectId_fkey` FOREIGN KEY (`projectId`) REFERENCES `Project`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `Issue` ADD COLUMN `boardPosition` INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX `Issue_projectId_status_boardPosition_idx` ON `Issue`(`projectId`, `status`, `boardPosition`);
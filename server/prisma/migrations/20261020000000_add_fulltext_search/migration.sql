@@ -0,0 +1,11 @@
+-- CreateIndex
+CREATE FULLTEXT INDEX `Issue_title_idx` ON `Issue`(`title`);
+
+-- CreateIndex
+CREATE FULLTEXT INDEX `Issue_description_idx` ON `Issue`(`description`);
+
+-- CreateIndex
+CREATE FULLTEXT INDEX `Issue_title_description_idx` ON `Issue`(`title`, `description`);
+
+-- CreateIndex
+CREATE FULLTEXT INDEX `Comment_body_idx` ON `Comment`(`body`);
@@ -0,0 +1,49 @@
+-- AlterTable
+ALTER TABLE `WorkspaceMember` ADD COLUMN `defaultViewId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `SavedView` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(191) NOT NULL,
+    `filters` JSON NOT NULL,
+    `sort` JSON NOT NULL,
+    `columns` JSON NOT NULL,
+    `shared` BOOLEAN NOT NULL DEFAULT false,
+    `workspaceId` INTEGER NOT NULL,
+    `projectId` INTEGER NULL,
+    `userId` INTEGER NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `SavedView_workspaceId_shared_idx`(`workspaceId`, `shared`),
+    INDEX `SavedView_userId_idx`(`userId`),
+    INDEX `SavedView_projectId_idx`(`projectId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `_PinnedViews` (
+    `A` INTEGER NOT NULL,
+    `B` INTEGER NOT NULL,
+
+    UNIQUE INDEX `_PinnedViews_AB_unique`(`A`, `B`),
+    INDEX `_PinnedViews_B_index`(`B`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `WorkspaceMember` ADD CONSTRAINT `WorkspaceMember_defaultViewId_fkey` FOREIGN KEY (`defaultViewId`) REFERENCES `SavedView`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SavedView` ADD CONSTRAINT `SavedView_workspaceId_fkey` FOREIGN KEY (`workspaceId`) REFERENCES `Workspace`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SavedView` ADD CONSTRAINT `SavedView_projectId_fkey` FOREIGN KEY (`projectId`) REFERENCES `Project`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SavedView` ADD CONSTRAINT `SavedView_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `_PinnedViews` ADD CONSTRAINT `_PinnedViews_A_fkey` FOREIGN KEY (`A`) REFERENCES `SavedView`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `_PinnedViews` ADD CONSTRAINT `_PinnedViews_B_fkey` FOREIGN KEY (`B`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `Issue` ADD COLUMN `externalId` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `Issue_projectId_externalId_key` ON `Issue`(`projectId`, `externalId`);
@@ -0,0 +1,233 @@
+// Attachment Routes - Upload, list and delete files (screenshots, logs) on an issue
+// Mounted at /api/issues/:id/attachments; the issues router loads req.issue and req.membership
+// Files are downloaded through signed links served by routes/downloads.js
+
+const express = require('express');
+// mergeParams exposes :id (the issue) from the parent router
+const router = express.Router({ mergeParams: true });
+const crypto = require('crypto');
+const path = require('path');
+const multer = require('multer');
+const { PrismaClient } = require('@prisma/client');
+const { can, requirePermission } = require('../middleware/permissions');
+const { getStorage, removeFiles } = require('../storage');
+const { createDownloadToken } = require('../utils/downloadTokens');
+const { ATTACHMENT_TYPES, getAttachmentType, matchesContent } = require('../utils/attachmentTypes');
+
+const prisma = new PrismaClient();
+
+// Upload limits (ATTACHMENT_MAX_SIZE_MB overrides the per-file size limit)
+const MAX_FILE_SIZE_MB = parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 10;
+const MAX_FILES_PER_UPLOAD = 5;
+
+// Keep uploads in memory until they are written to the storage backend
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE_MB * 1024 * 1024,
+    files: MAX_FILES_PER_UPLOAD
+  },
+  // Browsers send UTF-8 file names; the multipart default (latin1) would garble them
+  defParamCharset: 'utf8',
+  fileFilter: (req, file, cb) => {
+    // The type the browser sends is ignored; the extension decides (see utils/attachmentTypes.js)
+    if (!getAttachmentType(file.originalname)) {
+      const error = new Error(
+        `${path.basename(file.originalname)} cannot be attached. Use one of: ${Object.keys(ATTACHMENT_TYPES).join(', ')}`
+      );
+      error.status = 415;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Parse the multipart "files" field, turning upload errors into JSON responses
+const parseUpload = (req, res, next) => {
+  upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `Files must not exceed ${MAX_FILE_SIZE_MB} MB`,
+        LIMIT_FILE_COUNT: `You can upload at most ${MAX_FILES_PER_UPLOAD} files at once`,
+        LIMIT_UNEXPECTED_FILE: 'Upload files in the "files" field'
+      };
+
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        message: messages[error.code] || error.message
+      });
+    }
+
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message
+    });
+  });
+};
+
+// Uploader fields returned with every attachment
+const attachmentInclude = {
+  user: {
+    select: {
+      id: true,
+      email: true,
+      name: true
+    }
+  }
+};
+
+// Add a signed download link (relative to the API root) to an attachment
+const withDownloadUrl = ({ storageKey, ...attachment }) => ({
+  ...attachment,
+  downloadUrl: `/downloads/attachments/${attachment.id}?token=${createDownloadToken(attachment.id)}`
+});
+
+// GET /api/issues/:id/attachments - Get the issue's attachments (oldest first) with download links
+router.get('/', requirePermission('issue:view'), async (req, res) => {
+  try {
+    const attachments = await prisma.attachment.findMany({
+      where: { issueId: req.issue.id },
+      orderBy: { createdAt: 'asc' },
+      include: attachmentInclude
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { attachments: attachments.map(withDownloadUrl) }
+    });
+
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching attachments',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/issues/:id/attachments - Upload files (multipart/form-data, field "files")
+router.post('/', requirePermission('attachment:create'), parseUpload, async (req, res) => {
+  const storedKeys = [];
+
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select at least one file to upload'
+      });
+    }
+
+    // A file whose content does not match its extension (e.g. a page renamed to .png) is refused
+    const mismatched = req.files.find(file => !matchesContent(getAttachmentType(file.originalname), file.buffer));
+
+    if (mismatched) {
+      return res.status(415).json({
+        success: false,
+        message: `The content of ${path.basename(mismatched.originalname)} does not match its file type`
+      });
+    }
+
+    // Store each file under a random key; the original name is only kept in the database
+    const storage = getStorage();
+    const records = [];
+
+    for (const file of req.files) {
+      const mimeType = getAttachmentType(file.originalname);
+      const extension = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+      const storageKey = `issues/${req.issue.id}/${crypto.randomUUID()}${extension}`;
+
+      await storage.save(storageKey, file.buffer, mimeType);
+      storedKeys.push(storageKey);
+
+      records.push({
+        fileName: path.basename(file.originalname).slice(0, 191),
+        mimeType,
+        size: file.size,
+        storageKey,
+        issueId: req.issue.id,
+        userId: req.user.userId
+      });
+    }
+
+    const attachments = await prisma.$transaction(
+      records.map(data => prisma.attachment.create({ data, include: attachmentInclude }))
+    );
+
+    res.status(201).json({
+      success: true,
+      message: attachments.length === 1 ? 'File attached successfully' : 'Files attached successfully',
+      data: { attachments: attachments.map(withDownloadUrl) }
+    });
+
+  } catch (error) {
+    // Don't leave files behind that no attachment record points to
+    await removeFiles(storedKeys);
+
+    console.error('Upload attachments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading attachments',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/issues/:id/attachments/:attachmentId - Delete an attachment
+// Uploaders can delete their own files; roles that can edit the issue can delete any
+router.delete('/:attachmentId', requirePermission('issue:view'), async (req, res) => {
+  try {
+    const attachmentId = parseInt(req.params.attachmentId);
+
+    if (isNaN(attachmentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid attachment ID'
+      });
+    }
+
+    const attachment = await prisma.attachment.findUnique({
+      where: { id: attachmentId }
+    });
+
+    if (!attachment || attachment.issueId !== req.issue.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const isUploader = attachment.userId === req.user.userId;
+    if (!isUploader && !can(req.membership.role, 'issue:update')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete files you uploaded'
+      });
+    }
+
+    await prisma.attachment.delete({
+      where: { id: attachment.id }
+    });
+
+    await removeFiles([attachment.storageKey]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting attachment',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const router = express.Router();
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const { createDefaultWorkflow } = require('../utils/workflow');
 
 const prisma = new PrismaClient();
 
@@ -52,19 +53,40 @@ router.post('/register', async (req, res) => {
     const saltRounds = 10;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    // Create user in database
-    const newUser = await prisma.user.create({
-      data: {
-        email,
-        password: hashedPassword,
-        name: name || null
-      },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        createdAt: true
-      }
+    // Create user in database along with a personal workspace and a default project
+    // so new users can start filing issues right away
+    const newUser = await prisma.$transaction(async (tx) => {
+      const user = await tx.user.create({
+        data: {
+          email,
+          password: hashedPassword,
+          name: name || null
+        },
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          createdAt: true
+        }
+      });
+
+      const workspace = await tx.workspace.create({
+        data: {
+          name: `${name || email}'s Workspace`,
+          createdById: user.id,
+          members: {
+            create: { userId: user.id, role: 'Owner' }
+          }
+        }
+      });
+
+      const project = await tx.project.create({
+        data: { name: 'General', userId: user.id, workspaceId: workspace.id }
+      });
+
+      await createDefaultWorkflow(tx, project.id);
+
+      return user;
     });
 
     // Generate JWT token (expires in 7 days)
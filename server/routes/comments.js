@@ -0,0 +1,259 @@
+// Comment Routes - Threaded markdown comments on an issue
+// Mounted at /api/issues/:id/comments; the issues router loads req.issue and req.membership
+
+const express = require('express');
+// mergeParams exposes :id (the issue) from the parent router
+const router = express.Router({ mergeParams: true });
+const { PrismaClient } = require('@prisma/client');
+const { requirePermission } = require('../middleware/permissions');
+
+const prisma = new PrismaClient();
+
+// Author fields returned with every comment
+const commentInclude = {
+  user: {
+    select: {
+      id: true,
+      email: true,
+      name: true
+    }
+  }
+};
+
+// Deleted comments kept for their replies show no body or author
+const toCommentResponse = (comment) => (
+  comment.deletedAt ? { ...comment, body: '', userId: null, user: null } : comment
+);
+
+// Validate a comment body, returning an error message or null
+const validateBody = (body) => {
+  if (!body || !body.trim()) {
+    return 'Comment body is required';
+  }
+
+  if (body.trim().length > 5000) {
+    return 'Comment must not exceed 5000 characters';
+  }
+
+  return null;
+};
+
+// Load the comment from :commentId and verify the current user wrote it
+// Only authors may edit or delete their comments
+const loadOwnComment = async (req, res, next) => {
+  try {
+    const commentId = parseInt(req.params.commentId);
+
+    if (isNaN(commentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid comment ID'
+      });
+    }
+
+    const comment = await prisma.comment.findUnique({
+      where: { id: commentId }
+    });
+
+    if (!comment || comment.issueId !== req.issue.id || comment.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.userId !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit or delete your own comments'
+      });
+    }
+
+    req.comment = comment;
+    next();
+
+  } catch (error) {
+    console.error('Load comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comment',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/issues/:id/comments - Get all comments on the issue (oldest first)
+// Comments are returned flat; replies reference their parent through parentId
+router.get('/', requirePermission('issue:view'), async (req, res) => {
+  try {
+    const comments = await prisma.comment.findMany({
+      where: { issueId: req.issue.id },
+      orderBy: { createdAt: 'asc' },
+      include: commentInclude
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { comments: comments.map(toCommentResponse) }
+    });
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comments',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/issues/:id/comments - Add a comment, optionally as a reply to parentId
+router.post('/', requirePermission('comment:create'), async (req, res) => {
+  try {
+    const { body, parentId } = req.body;
+
+    const bodyError = validateBody(body);
+    if (bodyError) {
+      return res.status(400).json({
+        success: false,
+        message: bodyError
+      });
+    }
+
+    let parentCommentId = null;
+
+    if (parentId !== undefined && parentId !== null) {
+      parentCommentId = parseInt(parentId);
+
+      // Replies must stay on the same issue as their parent, and deleted comments take no new replies
+      const parent = isNaN(parentCommentId)
+        ? null
+        : await prisma.comment.findUnique({ where: { id: parentCommentId } });
+
+      if (!parent || parent.issueId !== req.issue.id || parent.deletedAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent comment not found on this issue'
+        });
+      }
+    }
+
+    const newComment = await prisma.comment.create({
+      data: {
+        body: body.trim(),
+        issueId: req.issue.id,
+        userId: req.user.userId,
+        parentId: parentCommentId
+      },
+      include: commentInclude
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: { comment: newComment }
+    });
+
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding comment',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/issues/:id/comments/:commentId - Edit a comment (author only)
+router.put('/:commentId', loadOwnComment, async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    const bodyError = validateBody(body);
+    if (bodyError) {
+      return res.status(400).json({
+        success: false,
+        message: bodyError
+      });
+    }
+
+    const updatedComment = await prisma.comment.update({
+      where: { id: req.comment.id },
+      data: { body: body.trim() },
+      include: commentInclude
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: { comment: updatedComment }
+    });
+
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating comment',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/issues/:id/comments/:commentId - Delete a comment (author only)
+// A comment with replies is only marked deleted, so other people's replies stay in the thread;
+// a deleted comment whose last reply goes is removed with it
+router.delete('/:commentId', loadOwnComment, async (req, res) => {
+  try {
+    const result = await prisma.$transaction(async (tx) => {
+      const replyCount = await tx.comment.count({ where: { parentId: req.comment.id } });
+
+      if (replyCount > 0) {
+        const comment = await tx.comment.update({
+          where: { id: req.comment.id },
+          data: { body: '', deletedAt: new Date() },
+          include: commentInclude
+        });
+        return { comment: toCommentResponse(comment), removedIds: [] };
+      }
+
+      await tx.comment.delete({ where: { id: req.comment.id } });
+      const removedIds = [req.comment.id];
+
+      // Walk up through deleted parents that no longer have any replies
+      let parentId = req.comment.parentId;
+
+      while (parentId) {
+        const parent = await tx.comment.findUnique({
+          where: { id: parentId },
+          include: { _count: { select: { replies: true } } }
+        });
+
+        if (!parent || !parent.deletedAt || parent._count.replies > 0) {
+          break;
+        }
+
+        await tx.comment.delete({ where: { id: parent.id } });
+        removedIds.push(parent.id);
+        parentId = parent.parentId;
+      }
+
+      return { comment: null, removedIds };
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting comment',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
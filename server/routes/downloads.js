@@ -0,0 +1,80 @@
+// Download Routes - Serve attachment files through signed, short-lived links
+// These routes do not use the Authorization header: the token in the link (issued by the
+// attachment routes to members who can view the issue) is the proof of access
+
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const { getStorage } = require('../storage');
+const { verifyDownloadToken } = require('../utils/downloadTokens');
+const { isAllowedType } = require('../utils/attachmentTypes');
+
+const prisma = new PrismaClient();
+
+// GET /api/downloads/attachments/:attachmentId?token= - Stream an attachment
+// Images open inline (for thumbnails and previews); other files, or ?download=1, download
+router.get('/attachments/:attachmentId', async (req, res) => {
+  try {
+    const attachmentId = parseInt(req.params.attachmentId);
+
+    if (isNaN(attachmentId) || !verifyDownloadToken(req.query.token, attachmentId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This download link is invalid or has expired'
+      });
+    }
+
+    const attachment = await prisma.attachment.findUnique({
+      where: { id: attachmentId }
+    });
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const stream = await getStorage().getStream(attachment.storageKey);
+
+    // A stored type outside the allowed list is never served as is, only as a plain download
+    const contentType = isAllowedType(attachment.mimeType) ? attachment.mimeType : 'application/octet-stream';
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Length': attachment.size,
+      // Never let the browser guess a different type or run anything from an upload
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'; sandbox",
+      // Links expire, so caches must not outlive them
+      'Cache-Control': 'private, max-age=600'
+    });
+
+    if (!contentType.startsWith('image/') || req.query.download === '1') {
+      res.attachment(attachment.fileName);
+    }
+
+    stream.on('error', (error) => {
+      console.error('Stream attachment error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({
+        success: false,
+        message: 'The file for this attachment is missing'
+      });
+    }
+
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading attachment',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+// Invitation Routes - Preview and accept workspace invitations by token
+
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const authenticateToken = require('../middleware/auth');
+
+const prisma = new PrismaClient();
+
+// Look up a usable invitation by token, returns { invitation } or { status, message }
+const findInvitation = async (token) => {
+  const invitation = await prisma.workspaceInvitation.findUnique({
+    where: { token },
+    include: {
+      workspace: { select: { id: true, name: true } },
+      invitedBy: { select: { id: true, email: true, name: true } }
+    }
+  });
+
+  if (!invitation) {
+    return { status: 404, message: 'Invitation not found' };
+  }
+
+  if (invitation.acceptedAt) {
+    return { status: 410, message: 'This invitation has already been used' };
+  }
+
+  if (invitation.expiresAt < new Date()) {
+    return { status: 410, message: 'This invitation has expired' };
+  }
+
+  return { invitation };
+};
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// GET /api/invitations/:token - Preview an invitation before accepting it
+router.get('/:token', async (req, res) => {
+  try {
+    const { invitation, status, message } = await findInvitation(req.params.token);
+
+    if (!invitation) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const { token: _, ...invitationWithoutToken } = invitation;
+
+    res.status(200).json({
+      success: true,
+      data: { invitation: invitationWithoutToken }
+    });
+
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invitation',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/invitations/:token/accept - Join the workspace as the invited user
+router.post('/:token/accept', async (req, res) => {
+  try {
+    const { invitation, status, message } = await findInvitation(req.params.token);
+
+    if (!invitation) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    // The invitation is bound to an email address, not to whoever holds the link
+    if (invitation.email.toLowerCase() !== req.user.email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        message: `This invitation was sent to ${invitation.email}. Log in with that account to accept it.`
+      });
+    }
+
+    // Add membership and mark invitation used in one transaction
+    await prisma.$transaction([
+      prisma.workspaceMember.upsert({
+        where: {
+          workspaceId_userId: {
+            workspaceId: invitation.workspaceId,
+            userId: req.user.userId
+          }
+        },
+        update: {},
+        create: {
+          workspaceId: invitation.workspaceId,
+          userId: req.user.userId,
+          role: invitation.role
+        }
+      }),
+      prisma.workspaceInvitation.update({
+        where: { id: invitation.id },
+        data: { acceptedAt: new Date() }
+      })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: `You have joined ${invitation.workspace.name}`,
+      data: { workspace: invitation.workspace }
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting invitation',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
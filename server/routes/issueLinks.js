@@ -0,0 +1,313 @@
+// Issue Link Routes - Link an issue to others (blocks, duplicates, relates to)
+// Mounted at /api/issues/:id/links; the issues router loads req.issue and req.membership
+// Links are stored once and listed on both issues (see utils/issueLinks.js)
+
+const express = require('express');
+// mergeParams exposes :id (the issue) from the parent router
+const router = express.Router({ mergeParams: true });
+const { PrismaClient } = require('@prisma/client');
+const { requirePermission } = require('../middleware/permissions');
+const { RELATIONS, toLinkData, getRelation, findLinkPath } = require('../utils/issueLinks');
+const { getWorkflow, getCloseStatus } = require('../utils/workflow');
+const { getTopPosition } = require('../utils/board');
+const { recordIssueChanges } = require('../utils/activity');
+
+const prisma = new PrismaClient();
+
+// Fields of the issues on either end of a link
+const linkedIssueSelect = {
+  select: {
+    id: true,
+    title: true,
+    status: true,
+    projectId: true,
+    project: {
+      select: {
+        id: true,
+        name: true
+      }
+    }
+  }
+};
+
+const linkInclude = {
+  sourceIssue: linkedIssueSelect,
+  targetIssue: linkedIssueSelect
+};
+
+// Describe links from the point of view of issueId: { id, relation, issue, createdAt }
+// The other issue carries its status name and color, and isDone for Done-category statuses
+const formatLinks = async (links, issueId) => {
+  const others = links.map(link => (link.sourceIssueId === issueId ? link.targetIssue : link.sourceIssue));
+  const projectIds = [...new Set(others.map(issue => issue.projectId))];
+
+  const statuses = await prisma.workflowStatus.findMany({
+    where: { projectId: { in: projectIds } },
+    select: { projectId: true, key: true, name: true, color: true, category: true }
+  });
+
+  return links.map((link, index) => {
+    const { project, ...other } = others[index];
+    const status = statuses.find(item => item.projectId === other.projectId && item.key === other.status);
+
+    return {
+      id: link.id,
+      relation: getRelation(link, issueId),
+      createdAt: link.createdAt,
+      issue: {
+        ...other,
+        project,
+        statusName: status ? status.name : other.status,
+        statusColor: status ? status.color : null,
+        isDone: Boolean(status && status.category === 'Done')
+      }
+    };
+  });
+};
+
+// GET /api/issues/:id/links - Get every link to or from the issue (oldest first)
+router.get('/', requirePermission('issue:view'), async (req, res) => {
+  try {
+    const links = await prisma.issueLink.findMany({
+      where: {
+        OR: [
+          { sourceIssueId: req.issue.id },
+          { targetIssueId: req.issue.id }
+        ]
+      },
+      orderBy: { createdAt: 'asc' },
+      include: linkInclude
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { links: await formatLinks(links, req.issue.id) }
+    });
+
+  } catch (error) {
+    console.error('Get issue links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching issue links',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/issues/:id/links - Link the issue to another one
+// Body: { relation: 'Blocks' | 'BlockedBy' | 'Duplicates' | 'DuplicatedBy' | 'RelatesTo', issueId }
+// Marking an issue as a duplicate closes it and comments with a reference to the original
+router.post('/', requirePermission('issue:update'), async (req, res) => {
+  try {
+    const { relation } = req.body;
+    const otherIssueId = parseInt(req.body.issueId);
+
+    if (!RELATIONS[relation]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid relation. Must be one of: ' + Object.keys(RELATIONS).join(', ')
+      });
+    }
+
+    if (isNaN(otherIssueId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid issue ID to link to is required'
+      });
+    }
+
+    if (otherIssueId === req.issue.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'An issue cannot be linked to itself'
+      });
+    }
+
+    // Links stay within a workspace, where everyone who sees one issue can see the other
+    const otherIssue = await prisma.issue.findUnique({
+      where: { id: otherIssueId },
+      include: { project: { select: { workspaceId: true } } }
+    });
+
+    if (!otherIssue || otherIssue.project.workspaceId !== req.issue.project.workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: `Issue #${otherIssueId} was not found in this workspace`
+      });
+    }
+
+    const data = toLinkData(relation, req.issue.id, otherIssueId);
+
+    // RelatesTo has no direction, so either way round counts as the same link
+    const existing = await prisma.issueLink.findFirst({
+      where: {
+        type: data.type,
+        OR: data.type === 'RelatesTo'
+          ? [
+            { sourceIssueId: data.sourceIssueId, targetIssueId: data.targetIssueId },
+            { sourceIssueId: data.targetIssueId, targetIssueId: data.sourceIssueId }
+          ]
+          : [{ sourceIssueId: data.sourceIssueId, targetIssueId: data.targetIssueId }]
+      }
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'These issues are already linked this way'
+      });
+    }
+
+    if (data.type === 'Duplicates') {
+      // An issue is a duplicate of at most one original
+      const original = await prisma.issueLink.findFirst({
+        where: { type: 'Duplicates', sourceIssueId: data.sourceIssueId }
+      });
+
+      if (original) {
+        return res.status(409).json({
+          success: false,
+          message: `#${data.sourceIssueId} is already marked as a duplicate of #${original.targetIssueId}`
+        });
+      }
+    }
+
+    // Blocking and duplicate chains must not loop back on themselves
+    if (data.type !== 'RelatesTo') {
+      const path = await findLinkPath(prisma, data.type, data.targetIssueId, data.sourceIssueId);
+
+      if (path) {
+        const chain = [...path, data.targetIssueId].map(id => `#${id}`).join(' → ');
+        return res.status(409).json({
+          success: false,
+          message: data.type === 'Blocks'
+            ? `This link would create a blocking cycle: ${chain}`
+            : `This link would create a duplicate cycle: ${chain}`
+        });
+      }
+    }
+
+    // A duplicate is closed with the last Done status its workflow allows moving to
+    let duplicate = null;
+    let closeStatus = null;
+
+    if (data.type === 'Duplicates') {
+      duplicate = await prisma.issue.findUnique({
+        where: { id: data.sourceIssueId },
+        include: { labels: true }
+      });
+
+      const workflow = await getWorkflow(prisma, duplicate.projectId);
+      const currentStatus = workflow.find(status => status.key === duplicate.status);
+
+      if (!currentStatus || currentStatus.category !== 'Done') {
+        closeStatus = getCloseStatus(workflow, duplicate.status);
+
+        if (!closeStatus) {
+          return res.status(409).json({
+            success: false,
+            message: `The workflow does not allow closing #${duplicate.id} from ${duplicate.status}`
+          });
+        }
+      }
+    }
+
+    const link = await prisma.$transaction(async (tx) => {
+      const created = await tx.issueLink.create({
+        data: { ...data, userId: req.user.userId },
+        include: linkInclude
+      });
+
+      if (closeStatus) {
+        const closed = await tx.issue.update({
+          where: { id: duplicate.id },
+          // Like any status change, the issue goes to the top of its new board column
+          data: {
+            status: closeStatus.key,
+            boardPosition: await getTopPosition(tx, duplicate.projectId, closeStatus.key)
+          },
+          include: { labels: true }
+        });
+
+        await recordIssueChanges(tx, duplicate, closed, req.user.userId);
+      }
+
+      if (duplicate) {
+        await tx.comment.create({
+          data: {
+            body: closeStatus
+              ? `Closed as a duplicate of #${data.targetIssueId}.`
+              : `Marked as a duplicate of #${data.targetIssueId}.`,
+            issueId: duplicate.id,
+            userId: req.user.userId
+          }
+        });
+      }
+
+      return created;
+    });
+
+    const [formatted] = await formatLinks([link], req.issue.id);
+
+    res.status(201).json({
+      success: true,
+      message: closeStatus
+        ? `Issue #${duplicate.id} marked as a duplicate and moved to ${closeStatus.name}`
+        : 'Issues linked successfully',
+      data: { link: formatted }
+    });
+
+  } catch (error) {
+    console.error('Create issue link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error linking issues',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/issues/:id/links/:linkId - Remove a link (from either of its issues)
+// Removing a duplicate link does not reopen the duplicate
+router.delete('/:linkId', requirePermission('issue:update'), async (req, res) => {
+  try {
+    const linkId = parseInt(req.params.linkId);
+
+    if (isNaN(linkId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid link ID'
+      });
+    }
+
+    const link = await prisma.issueLink.findUnique({
+      where: { id: linkId }
+    });
+
+    if (!link || (link.sourceIssueId !== req.issue.id && link.targetIssueId !== req.issue.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Link not found'
+      });
+    }
+
+    await prisma.issueLink.delete({
+      where: { id: link.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Link removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete issue link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing link',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,30 +1,795 @@
 // Issue Routes - CRUD operations with search, filtering, and pagination
+// Mounted at /api/issues and at /api/projects/:projectId/issues (project-scoped)
 
 const express = require('express');
-const router = express.Router();
+// mergeParams exposes :projectId from the parent router when mounted under a project
+const router = express.Router({ mergeParams: true });
+const multer = require('multer');
 const { PrismaClient } = require('@prisma/client');
 const authenticateToken = require('../middleware/auth');
+const commentRoutes = require('./comments');
+const attachmentRoutes = require('./attachments');
+const issueLinkRoutes = require('./issueLinks');
+const { getMembership, getRequestWorkspaceIds } = require('../utils/workspaceAccess');
+const { can, getPermissions, requirePermission } = require('../middleware/permissions');
+const { recordIssueCreated, recordIssueChanges, recordIssueDeleted } = require('../utils/activity');
+const { getWorkflow, canTransition } = require('../utils/workflow');
+const { removeFiles } = require('../storage');
+const { parseDate } = require('../utils/dates');
+const { getTopPosition, placeIssue } = require('../utils/board');
+const { parseSort } = require('../utils/issueSort');
+const { getOverdueWhere, buildIssueFilters } = require('../utils/issueFilters');
+const { getRelevanceOrder, addSearchMatches } = require('../utils/fullText');
+const { EXPORT_FORMATS, parseExportColumns, createExportWriter } = require('../utils/issueExport');
+const {
+  IMPORT_FIELDS, getImportFormat, parseImportFile, suggestMapping, parseMapping, getMissingFields, getPreviewValues,
+  getColumnSamples, toIssueBody
+} = require('../utils/issueImport');
+const {
+  EXTERNAL_SOURCES, getExternalSource, getExternalFormat, readExternalIssues, parseValueMapping, getMappedValue,
+  buildValueMapping, toExternalIssue
+} = require('../utils/externalImport');
+const {
+  toKeys, toOrderBy, reverseKeys, encodeCursor, decodeCursor, getCursorWhere
+} = require('../utils/cursor');
 
 const prisma = new PrismaClient();
 
+// Bulk changes: most issues per request, the fields that can be changed, and how long the
+// transaction applying them may run (Prisma's 5 second default is too short for many issues)
+const MAX_BULK_ISSUES = 200;
+const BULK_FIELDS = ['status', 'priority', 'severity', 'assigneeId', 'labelIds', 'milestoneId', 'sprintId'];
+const BULK_TRANSACTION_TIMEOUT = 60000;
+
+// Issues read per query while streaming an export
+const EXPORT_BATCH_SIZE = 500;
+
+// Imports: largest file, most rows per file, and how long the transaction creating them may run
+const IMPORT_MAX_SIZE_MB = 5;
+const MAX_IMPORT_ROWS = 2000;
+const IMPORT_TRANSACTION_TIMEOUT = 120000;
+
+// Keep import files in memory; they are parsed and dropped within the request
+// GitHub and Jira imports (:source) take the formats those tools export
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: IMPORT_MAX_SIZE_MB * 1024 * 1024,
+    files: 1
+  },
+  defParamCharset: 'utf8',
+  fileFilter: (req, file, cb) => {
+    const source = getExternalSource(req.params.source);
+
+    if (req.params.source && !source) {
+      return cb(new Error(`Invalid import source. Must be one of: ${Object.keys(EXTERNAL_SOURCES).join(', ')}`));
+    }
+
+    if (source ? !getExternalFormat(req.params.source, file) : !getImportFormat(file)) {
+      const error = new Error(source
+        ? `Import a ${source.name} export (${Object.keys(source.formats).join(', ')})`
+        : 'Import a CSV, JSON or NDJSON file');
+      error.status = 415;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Parse the multipart "file" field of an import, turning upload errors into JSON responses
+const parseImportUpload = (req, res, next) => {
+  importUpload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `Import files must not exceed ${IMPORT_MAX_SIZE_MB} MB`,
+        LIMIT_FILE_COUNT: 'Import one file at a time',
+        LIMIT_UNEXPECTED_FILE: 'Upload the file in the "file" field'
+      };
+
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        message: messages[error.code] || error.message
+      });
+    }
+
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message
+    });
+  });
+};
+
+// Related records returned with every issue
+const issueInclude = {
+  user: {
+    select: {
+      id: true,
+      email: true,
+      name: true
+    }
+  },
+  assignee: {
+    select: {
+      id: true,
+      email: true,
+      name: true
+    }
+  },
+  project: {
+    select: {
+      id: true,
+      name: true,
+      workspaceId: true
+    }
+  },
+  labels: {
+    select: {
+      id: true,
+      name: true,
+      color: true
+    },
+    orderBy: { name: 'asc' }
+  },
+  parent: {
+    select: {
+      id: true,
+      title: true
+    }
+  },
+  milestone: {
+    select: {
+      id: true,
+      name: true,
+      state: true,
+      targetDate: true
+    }
+  },
+  sprint: {
+    select: {
+      id: true,
+      name: true,
+      state: true
+    }
+  },
+  _count: {
+    // Deleted comments kept only to hold their replies are not counted
+    select: { comments: { where: { deletedAt: null } }, attachments: true, children: true }
+  }
+};
+
+// Base filter for the issues visible on this route
+// Project-scoped routes only see that project's issues (req.project is set by the projects router)
+// Otherwise every issue in the user's workspaces is visible (optionally narrowed by ?workspaceId=)
+const getScopeWhere = async (req) => {
+  if (req.project) {
+    return { projectId: req.project.id };
+  }
+
+  const workspaceIds = await getRequestWorkspaceIds(req);
+  return { project: { workspaceId: { in: workspaceIds } } };
+};
+
+// Get the statuses shown for the current scope, in workflow order
+// Project-scoped routes use that project's workflow; otherwise statuses of every project in
+// scope are merged by key (the first project to define a key decides its name and color)
+const getScopeStatuses = async (req) => {
+  if (req.project) {
+    return getWorkflow(prisma, req.project.id);
+  }
+
+  const workspaceIds = await getRequestWorkspaceIds(req);
+  const statuses = await prisma.workflowStatus.findMany({
+    where: { project: { workspaceId: { in: workspaceIds } } },
+    orderBy: [{ position: 'asc' }, { projectId: 'asc' }],
+    select: { key: true, name: true, category: true, color: true }
+  });
+
+  const byKey = new Map();
+  statuses.forEach(status => {
+    if (!byKey.has(status.key)) byKey.set(status.key, status);
+  });
+
+  return [...byKey.values()];
+};
+
+// Issues outside the current project scope are treated as not found
+const isOutOfScope = (req, issue) => req.project && issue.projectId !== req.project.id;
+
+// Validate an assigneeId from the request body against the issue's workspace
+// Returns { assigneeId } (null = unassigned) or { error } with a message for a 400 response
+const resolveAssignee = async (value, workspaceId) => {
+  if (value === null || value === '') {
+    return { assigneeId: null };
+  }
+
+  const assigneeId = parseInt(value);
+
+  if (isNaN(assigneeId)) {
+    return { error: 'Invalid assignee ID' };
+  }
+
+  // Only members of the issue's workspace can be assigned
+  const membership = await getMembership(assigneeId, workspaceId);
+
+  if (!membership) {
+    return { error: 'Assignee must be a member of the workspace' };
+  }
+
+  return { assigneeId };
+};
+
+// Validate labelIds from the request body against the issue's workspace
+// Returns { labelIds } or { error } with a message for a 400 response
+const resolveLabels = async (value, workspaceId) => {
+  if (!Array.isArray(value)) {
+    return { error: 'labelIds must be an array of label IDs' };
+  }
+
+  const labelIds = [...new Set(value.map(id => parseInt(id)))];
+
+  if (labelIds.some(id => isNaN(id))) {
+    return { error: 'Invalid label ID' };
+  }
+
+  // Only labels of the issue's workspace can be applied
+  const count = await prisma.label.count({
+    where: { id: { in: labelIds }, workspaceId }
+  });
+
+  if (count !== labelIds.length) {
+    return { error: 'Labels must belong to the issue\'s workspace' };
+  }
+
+  return { labelIds };
+};
+
+// Validate a milestoneId from the request body: the milestone must belong to the issue's
+// project and be open (issues already targeted at a closed milestone may stay there)
+// Returns { milestoneId } (null = no milestone) or { error } with a message for a 400 response
+const resolveMilestone = async (value, projectId, currentMilestoneId = null) => {
+  if (value === null || value === '') {
+    return { milestoneId: null };
+  }
+
+  const milestoneId = parseInt(value);
+
+  if (isNaN(milestoneId)) {
+    return { error: 'Invalid milestone ID' };
+  }
+
+  const milestone = await prisma.milestone.findUnique({
+    where: { id: milestoneId }
+  });
+
+  if (!milestone || milestone.projectId !== projectId) {
+    return { error: 'Milestone must belong to the issue\'s project' };
+  }
+
+  if (milestone.state === 'Closed' && milestone.id !== currentMilestoneId) {
+    return { error: `Milestone "${milestone.name}" is closed` };
+  }
+
+  return { milestoneId };
+};
+
+// Validate a sprintId from the request body: the sprint must belong to the issue's
+// project and not be completed (issues already in a completed sprint may stay there)
+// Returns { sprintId } (null = backlog) or { error } with a message for a 400 response
+const resolveSprint = async (value, projectId, currentSprintId = null) => {
+  if (value === null || value === '') {
+    return { sprintId: null };
+  }
+
+  const sprintId = parseInt(value);
+
+  if (isNaN(sprintId)) {
+    return { error: 'Invalid sprint ID' };
+  }
+
+  const sprint = await prisma.sprint.findUnique({
+    where: { id: sprintId }
+  });
+
+  if (!sprint || sprint.projectId !== projectId) {
+    return { error: 'Sprint must belong to the issue\'s project' };
+  }
+
+  if (sprint.state === 'Completed' && sprint.id !== currentSprintId) {
+    return { error: `Sprint "${sprint.name}" is completed` };
+  }
+
+  return { sprintId };
+};
+
+// Validate a story point estimate: a whole number from 0 to 100, or null for none
+const resolveStoryPoints = (value) => {
+  if (value === null || value === '') {
+    return { storyPoints: null };
+  }
+
+  const storyPoints = Number(value);
+
+  if (!Number.isInteger(storyPoints) || storyPoints < 0 || storyPoints > 100) {
+    return { error: 'Story points must be a whole number from 0 to 100' };
+  }
+
+  return { storyPoints };
+};
+
+// Validate a parentId from the request body: the parent must be in the same project,
+// and an issue cannot move under itself or one of its own sub-tasks
+// Returns { parentId } (null = top-level issue) or { error } with a message for a 400 response
+const resolveParent = async (value, projectId, issueId = null) => {
+  if (value === null || value === '') {
+    return { parentId: null };
+  }
+
+  const parentId = parseInt(value);
+
+  if (isNaN(parentId)) {
+    return { error: 'Invalid parent issue ID' };
+  }
+
+  const parent = await prisma.issue.findUnique({
+    where: { id: parentId },
+    select: { id: true, projectId: true, parentId: true }
+  });
+
+  if (!parent || parent.projectId !== projectId) {
+    return { error: 'Parent issue must be in the same project' };
+  }
+
+  // Walk up from the new parent; reaching the issue itself would create a loop
+  let ancestor = parent;
+
+  while (ancestor) {
+    if (ancestor.id === issueId) {
+      return { error: 'An issue cannot be a sub-task of itself or of its own sub-tasks' };
+    }
+
+    ancestor = ancestor.parentId
+      ? await prisma.issue.findUnique({
+        where: { id: ancestor.parentId },
+        select: { id: true, parentId: true }
+      })
+      : null;
+  }
+
+  return { parentId };
+};
+
+// Add sub-task progress to issues: progress = { done, total } counting direct sub-tasks
+// in a Done-category status, or null for issues without sub-tasks
+const withProgress = async (issues) => {
+  const parentIds = issues.filter(issue => issue._count.children > 0).map(issue => issue.id);
+
+  if (parentIds.length === 0) {
+    return issues.map(issue => ({ ...issue, progress: null }));
+  }
+
+  const children = await prisma.issue.findMany({
+    where: { parentId: { in: parentIds } },
+    select: { parentId: true, projectId: true, status: true }
+  });
+
+  const doneStatuses = await prisma.workflowStatus.findMany({
+    where: {
+      category: 'Done',
+      projectId: { in: [...new Set(children.map(child => child.projectId))] }
+    },
+    select: { projectId: true, key: true }
+  });
+
+  const isDone = (child) => doneStatuses.some(status => (
+    status.projectId === child.projectId && status.key === child.status
+  ));
+
+  return issues.map(issue => {
+    const ownChildren = children.filter(child => child.parentId === issue.id);
+
+    return {
+      ...issue,
+      progress: ownChildren.length > 0
+        ? { done: ownChildren.filter(isDone).length, total: ownChildren.length }
+        : null
+    };
+  });
+};
+
+// Validate a dueDate from the request body
+// Returns { dueDate } (null = no due date) or { error } with a message for a 400 response
+const resolveDueDate = (value) => {
+  if (value === null || value === '') {
+    return { dueDate: null };
+  }
+
+  const dueDate = parseDate(value);
+  return dueDate ? { dueDate } : { error: 'Due date must be a valid date in YYYY-MM-DD format' };
+};
+
+// Get the issues an issue blocks that are not yet in a Done-category status
+const getOpenBlockedIssues = async (issueId) => {
+  const links = await prisma.issueLink.findMany({
+    where: { type: 'Blocks', sourceIssueId: issueId },
+    include: {
+      targetIssue: {
+        select: { id: true, title: true, status: true, projectId: true }
+      }
+    }
+  });
+
+  const blocked = links.map(link => link.targetIssue);
+  if (blocked.length === 0) {
+    return [];
+  }
+
+  const doneStatuses = await prisma.workflowStatus.findMany({
+    where: {
+      category: 'Done',
+      projectId: { in: [...new Set(blocked.map(issue => issue.projectId))] }
+    },
+    select: { projectId: true, key: true }
+  });
+
+  return blocked.filter(issue => !doneStatuses.some(status => (
+    status.projectId === issue.projectId && status.key === issue.status
+  )));
+};
+
+// Resolve the project new issues go to and check the user may add issues to it
+// Project-scoped routes use req.project and req.membership (loaded by the projects router);
+// otherwise the project comes from projectIdValue (the request body's projectId)
+// Returns { project } or { statusCode, error } with the HTTP status and message to respond with
+const getTargetProject = async (req, projectIdValue) => {
+  let project = req.project;
+  let membership = req.membership;
+
+  if (!project) {
+    const projectId = parseInt(projectIdValue);
+
+    if (isNaN(projectId)) {
+      return { statusCode: 400, error: 'A valid project ID is required' };
+    }
+
+    project = await prisma.project.findUnique({
+      where: { id: projectId }
+    });
+
+    if (!project) {
+      return { statusCode: 404, error: 'Project not found' };
+    }
+
+    membership = await getMembership(req.user.userId, project.workspaceId);
+  }
+
+  if (!membership || !can(membership.role, 'issue:create')) {
+    return { statusCode: 403, error: 'You do not have permission to add issues to this project' };
+  }
+
+  return { project };
+};
+
+// Validate the fields of a new issue (a POST body) for a project and its workflow
+// Returns { data } with the Prisma create data (without the reporter's userId),
+// or { statusCode, error } with the HTTP status and message to respond with
+const buildIssueCreate = async (project, workflow, body) => {
+  const {
+    title, description, status, priority, severity, assigneeId, labelIds, dueDate, parentId, milestoneId,
+    sprintId, storyPoints
+  } = body;
+
+  if (!title || !description) {
+    return { statusCode: 400, error: 'Title and description are required' };
+  }
+
+  if (title.trim().length < 3) {
+    return { statusCode: 400, error: 'Title must be at least 3 characters long' };
+  }
+
+  if (title.trim().length > 255) {
+    return { statusCode: 400, error: 'Title must not exceed 255 characters' };
+  }
+
+  if (description.trim().length < 10) {
+    return { statusCode: 400, error: 'Description must be at least 10 characters long' };
+  }
+
+  if (description.trim().length > 5000) {
+    return { statusCode: 400, error: 'Description must not exceed 5000 characters' };
+  }
+
+  const validPriorities = ['Low', 'Medium', 'High', 'Critical'];
+  if (priority && !validPriorities.includes(priority)) {
+    return { statusCode: 400, error: 'Invalid priority. Must be one of: ' + validPriorities.join(', ') };
+  }
+
+  const validSeverities = ['Low', 'Medium', 'High', 'Critical'];
+  if (severity && !validSeverities.includes(severity)) {
+    return { statusCode: 400, error: 'Invalid severity. Must be one of: ' + validSeverities.join(', ') };
+  }
+
+  const due = resolveDueDate(dueDate ?? null);
+
+  if (due.error) {
+    return { statusCode: 400, error: due.error };
+  }
+
+  const points = resolveStoryPoints(storyPoints ?? null);
+
+  if (points.error) {
+    return { statusCode: 400, error: points.error };
+  }
+
+  if (status && !workflow.some(item => item.key === status)) {
+    return { statusCode: 400, error: 'Invalid status. Must be one of: ' + workflow.map(item => item.key).join(', ') };
+  }
+
+  const assignee = await resolveAssignee(assigneeId ?? null, project.workspaceId);
+
+  if (assignee.error) {
+    return { statusCode: 400, error: assignee.error };
+  }
+
+  // No labels needs no lookup
+  const labelResult = labelIds && labelIds.length !== 0
+    ? await resolveLabels(labelIds, project.workspaceId)
+    : { labelIds: [] };
+
+  if (labelResult.error) {
+    return { statusCode: 400, error: labelResult.error };
+  }
+
+  const parent = await resolveParent(parentId ?? null, project.id);
+
+  if (parent.error) {
+    return { statusCode: 400, error: parent.error };
+  }
+
+  const milestone = await resolveMilestone(milestoneId ?? null, project.id);
+
+  if (milestone.error) {
+    return { statusCode: 400, error: milestone.error };
+  }
+
+  const sprint = await resolveSprint(sprintId ?? null, project.id);
+
+  if (sprint.error) {
+    return { statusCode: 400, error: sprint.error };
+  }
+
+  return {
+    data: {
+      title: title.trim(),
+      description: description.trim(),
+      status: status || workflow[0].key,
+      priority: priority || 'Medium',
+      severity: severity || 'Medium',
+      assigneeId: assignee.assigneeId,
+      dueDate: due.dueDate,
+      storyPoints: points.storyPoints,
+      parentId: parent.parentId,
+      milestoneId: milestone.milestoneId,
+      sprintId: sprint.sprintId,
+      projectId: project.id,
+      labels: {
+        connect: labelResult.labelIds.map(id => ({ id }))
+      }
+    }
+  };
+};
+
+// Validate the fields of an issue update (a PUT body) against the issue
+// Returns { data, resolving } with the Prisma update data and whether the issue moves to a
+// Done-category status, or { statusCode, error } with the HTTP status and message to respond with
+const buildIssueUpdate = async (issue, body) => {
+  const {
+    title, description, status, priority, severity, assigneeId, labelIds, dueDate, parentId, milestoneId,
+    sprintId, storyPoints
+  } = body;
+
+  const data = {};
+
+  if (title !== undefined) {
+    if (title.trim().length < 3) {
+      return { statusCode: 400, error: 'Title must be at least 3 characters long' };
+    }
+    if (title.trim().length > 255) {
+      return { statusCode: 400, error: 'Title must not exceed 255 characters' };
+    }
+    data.title = title.trim();
+  }
+
+  if (description !== undefined) {
+    if (description.trim().length < 10) {
+      return { statusCode: 400, error: 'Description must be at least 10 characters long' };
+    }
+    if (description.trim().length > 5000) {
+      return { statusCode: 400, error: 'Description must not exceed 5000 characters' };
+    }
+    data.description = description.trim();
+  }
+
+  // Status changes must follow a transition allowed by the project's workflow
+  let resolving = false;
+
+  if (status !== undefined && status !== issue.status) {
+    const workflow = await getWorkflow(prisma, issue.projectId);
+
+    if (!workflow.some(item => item.key === status)) {
+      return { statusCode: 400, error: 'Invalid status. Must be one of: ' + workflow.map(item => item.key).join(', ') };
+    }
+
+    if (!canTransition(workflow, issue.status, status)) {
+      return { statusCode: 409, error: `The workflow does not allow moving from ${issue.status} to ${status}` };
+    }
+    data.status = status;
+    resolving = workflow.find(item => item.key === status).category === 'Done';
+  }
+
+  if (priority !== undefined) {
+    const validPriorities = ['Low', 'Medium', 'High', 'Critical'];
+    if (!validPriorities.includes(priority)) {
+      return { statusCode: 400, error: 'Invalid priority. Must be one of: ' + validPriorities.join(', ') };
+    }
+    data.priority = priority;
+  }
+
+  if (severity !== undefined) {
+    const validSeverities = ['Low', 'Medium', 'High', 'Critical'];
+    if (!validSeverities.includes(severity)) {
+      return { statusCode: 400, error: 'Invalid severity. Must be one of: ' + validSeverities.join(', ') };
+    }
+    data.severity = severity;
+  }
+
+  if (assigneeId !== undefined) {
+    const assignee = await resolveAssignee(assigneeId, issue.project.workspaceId);
+
+    if (assignee.error) {
+      return { statusCode: 400, error: assignee.error };
+    }
+    data.assigneeId = assignee.assigneeId;
+  }
+
+  if (dueDate !== undefined) {
+    const due = resolveDueDate(dueDate);
+
+    if (due.error) {
+      return { statusCode: 400, error: due.error };
+    }
+    data.dueDate = due.dueDate;
+  }
+
+  if (milestoneId !== undefined) {
+    const milestone = await resolveMilestone(milestoneId, issue.projectId, issue.milestoneId);
+
+    if (milestone.error) {
+      return { statusCode: 400, error: milestone.error };
+    }
+    data.milestoneId = milestone.milestoneId;
+  }
+
+  if (sprintId !== undefined) {
+    const sprint = await resolveSprint(sprintId, issue.projectId, issue.sprintId);
+
+    if (sprint.error) {
+      return { statusCode: 400, error: sprint.error };
+    }
+    data.sprintId = sprint.sprintId;
+  }
+
+  if (storyPoints !== undefined) {
+    const points = resolveStoryPoints(storyPoints);
+
+    if (points.error) {
+      return { statusCode: 400, error: points.error };
+    }
+    data.storyPoints = points.storyPoints;
+  }
+
+  if (parentId !== undefined) {
+    const parent = await resolveParent(parentId, issue.projectId, issue.id);
+
+    if (parent.error) {
+      return { statusCode: 400, error: parent.error };
+    }
+    data.parentId = parent.parentId;
+  }
+
+  // labelIds replaces the issue's full label set
+  if (labelIds !== undefined) {
+    const labelResult = await resolveLabels(labelIds, issue.project.workspaceId);
+
+    if (labelResult.error) {
+      return { statusCode: 400, error: labelResult.error };
+    }
+    data.labels = {
+      set: labelResult.labelIds.map(id => ({ id }))
+    };
+  }
+
+  return { data, resolving };
+};
+
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+// Load the issue from :id and the user's membership in its workspace
+// Sets req.issue and req.membership so handlers can check role permissions
+router.param('id', async (req, res, next, value) => {
+  try {
+    const issueId = parseInt(value);
+
+    if (isNaN(issueId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid issue ID'
+      });
+    }
+
+    const issue = await prisma.issue.findUnique({
+      where: { id: issueId },
+      include: issueInclude
+    });
+
+    if (!issue || isOutOfScope(req, issue)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found'
+      });
+    }
+
+    // Verify user is a member of the issue's workspace
+    const membership = await getMembership(req.user.userId, issue.project.workspaceId);
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to access this issue'
+      });
+    }
+
+    req.issue = issue;
+    req.membership = membership;
+    next();
+
+  } catch (error) {
+    console.error('Load issue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching issue',
+      error: error.message
+    });
+  }
+});
+
+// Comments on an issue (the :id param loader above runs first)
+router.use('/:id/comments', commentRoutes);
+
+// Files attached to an issue
+router.use('/:id/attachments', attachmentRoutes);
+
+// Links to other issues (blocks, duplicates, relates to)
+router.use('/:id/links', issueLinkRoutes);
+
 // GET /api/issues/stats - Get issue counts by status
 router.get('/stats', async (req, res) => {
   try {
+    const scopeWhere = await getScopeWhere(req);
+
     const statusCounts = await prisma.issue.groupBy({
       by: ['status'],
       _count: { status: true },
-      where: { userId: req.user.userId }
+      where: scopeWhere
     });
 
-    const counts = {
-      Open: 0,
-      InProgress: 0,
-      Resolved: 0,
-      Closed: 0
-    };
+    // Every configured status is listed, even with no issues
+    const statuses = await getScopeStatuses(req);
+    const counts = Object.fromEntries(statuses.map(status => [status.key, 0]));
 
     statusCounts.forEach(item => {
       counts[item.status] = item._count.status;
@@ -32,16 +797,131 @@ router.get('/stats', async (req, res) => {
 
     const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
 
-    res.status(200).json({
-      success: true,
-      data: { counts, total }
-    });
+    const overdue = await prisma.issue.count({
+      where: { AND: [scopeWhere, await getOverdueWhere(prisma, scopeWhere)] }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { counts, total, statuses, overdue }
+    });
+
+  } catch (error) {
+    console.error('Get stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching issue statistics',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/issues/export - Download every issue matching the list filters as a file
+// Query: format=csv|json|ndjson|xlsx (default csv), columns=id,title,... (see EXPORT_COLUMNS),
+// plus the filters and sort of GET /api/issues. Issues are read in keyset batches
+// (like cursor pages) and streamed as they arrive
+router.get('/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid format. Must be one of: ' + Object.keys(EXPORT_FORMATS).join(', ')
+      });
+    }
+
+    const columnResult = parseExportColumns(req.query.columns);
+
+    if (columnResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: columnResult.error
+      });
+    }
+
+    const sortResult = parseSort(req.query.sort, req.query.order);
+
+    if (sortResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: sortResult.error
+      });
+    }
+
+    const scopeWhere = await getScopeWhere(req);
+    const filterResult = await buildIssueFilters(prisma, req.query, { scopeWhere, userId: req.user.userId });
+
+    if (filterResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: filterResult.error
+      });
+    }
+
+    const { where, textTerms } = filterResult;
+    const orderBy = getRelevanceOrder(sortResult.orderBy, textTerms);
+
+    // Relevance scores are computed per query, so batches could not continue after one
+    if (orderBy.some(entry => entry._relevance)) {
+      return res.status(400).json({
+        success: false,
+        message: 'sort=relevance cannot be used for exports'
+      });
+    }
+
+    const keys = toKeys(orderBy);
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.status(200).set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="issues-${date}.${extension}"`
+    });
+
+    // Stop reading when the client goes away mid-download
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+    });
+
+    const writer = createExportWriter(format, res, columnResult.columns);
+    let values = null;
+
+    while (!closed) {
+      const issues = await prisma.issue.findMany({
+        where: values ? { ...where, AND: [...where.AND, getCursorWhere(keys, values)] } : where,
+        take: EXPORT_BATCH_SIZE,
+        orderBy: toOrderBy(keys),
+        include: issueInclude
+      });
+
+      await writer.writeRows(issues);
+
+      if (issues.length < EXPORT_BATCH_SIZE) {
+        break;
+      }
+
+      const last = issues[issues.length - 1];
+      values = keys.map(key => last[key.field]);
+    }
+
+    if (!closed) {
+      await writer.end();
+    }
 
   } catch (error) {
-    console.error('Get stats error:', error);
+    console.error('Export issues error:', error);
+
+    // Once the file has started, cut the download off so a partial file is not taken for a complete one
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.removeHeader('Content-Disposition');
     res.status(500).json({
       success: false,
-      message: 'Error fetching issue statistics',
+      message: 'Error exporting issues',
       error: error.message
     });
   }
@@ -53,30 +933,191 @@ router.get('/', async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
-    const { search, status, priority, severity } = req.query;
+    const { sort, order, after, before } = req.query;
+
+    // Sort: comma-separated field[:asc|desc] keys, e.g. priority:desc,updatedAt:asc
+    const sortResult = parseSort(sort, order);
+
+    if (sortResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: sortResult.error
+      });
+    }
 
     // Build filter conditions
-    const where = {
-      userId: req.user.userId
-    };
+    const scopeWhere = await getScopeWhere(req);
+    const filterResult = await buildIssueFilters(prisma, req.query, { scopeWhere, userId: req.user.userId });
 
-    // Search in title or description
-    if (search) {
-      where.OR = [
-        { title: { contains: search } },
-        { description: { contains: search } }
-      ];
+    if (filterResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: filterResult.error
+      });
     }
 
-    if (status) where.status = status;
-    if (priority) where.priority = priority;
-    if (severity) where.severity = severity;
+    const { where, textTerms } = filterResult;
+
+    // sort=relevance ranks by the search words; without any it falls back to the other keys
+    const orderBy = getRelevanceOrder(sortResult.orderBy, textTerms);
+
+    // Cursor mode: ?after= or ?before= (empty for the first or last page) instead of ?page=
+    if (after !== undefined || before !== undefined) {
+      if (after !== undefined && before !== undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Use either after or before, not both'
+        });
+      }
+
+      // Relevance scores are computed per query, so there is no stored value to continue after
+      if (orderBy.some(entry => entry._relevance)) {
+        return res.status(400).json({
+          success: false,
+          message: 'sort=relevance cannot be used with cursors. Use page instead'
+        });
+      }
+
+      // Walking backwards reads the reversed order and flips the page afterwards
+      const keys = toKeys(orderBy);
+      const cursor = after ?? before;
+      const pageKeys = before !== undefined ? reverseKeys(keys) : keys;
+
+      if (cursor) {
+        const values = decodeCursor(cursor, keys);
+
+        if (!values) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid cursor. Cursors only work with the sort they were returned for'
+          });
+        }
+
+        where.AND.push(getCursorWhere(pageKeys, values));
+      }
+
+      // One extra row tells whether there is more beyond this page, without counting
+      const rows = await prisma.issue.findMany({
+        where,
+        take: limit + 1,
+        orderBy: toOrderBy(pageKeys),
+        include: issueInclude
+      });
+
+      const hasMore = rows.length > limit;
+      const issues = before !== undefined ? rows.slice(0, limit).reverse() : rows.slice(0, limit);
+      const hasNextPage = before !== undefined ? Boolean(before) : hasMore;
+      const hasPreviousPage = before !== undefined ? hasMore : Boolean(after);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          issues: await addSearchMatches(prisma, await withProgress(issues), textTerms),
+          pagination: {
+            limit,
+            nextCursor: hasNextPage && issues.length > 0 ? encodeCursor(keys, issues[issues.length - 1]) : null,
+            prevCursor: hasPreviousPage && issues.length > 0 ? encodeCursor(keys, issues[0]) : null,
+            hasNextPage,
+            hasPreviousPage
+          }
+        }
+      });
+    }
 
     const issues = await prisma.issue.findMany({
       where,
       skip,
       take: limit,
-      orderBy: { createdAt: 'desc' },
+      orderBy,
+      include: issueInclude
+    });
+
+    const totalCount = await prisma.issue.count({ where });
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        issues: await addSearchMatches(prisma, await withProgress(issues), textTerms),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          limit,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get issues error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching issues',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/issues/:id - Get single issue (with sub-task progress) and the current user's permissions on it
+router.get('/:id', requirePermission('issue:view'), async (req, res) => {
+  try {
+    const [issue] = await withProgress([req.issue]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        issue,
+        permissions: getPermissions(req.membership.role)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get issue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching issue',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/issues/:id/children - Get the issue's direct sub-tasks (oldest first) and their progress
+router.get('/:id/children', requirePermission('issue:view'), async (req, res) => {
+  try {
+    const children = await prisma.issue.findMany({
+      where: { parentId: req.issue.id },
+      orderBy: { createdAt: 'asc' },
+      include: issueInclude
+    });
+
+    const [{ progress }] = await withProgress([req.issue]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        children: await withProgress(children),
+        progress
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sub-tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sub-tasks',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/issues/:id/history - Get the issue's activity trail, oldest first
+router.get('/:id/history', requirePermission('issue:view'), async (req, res) => {
+  try {
+    const activities = await prisma.issueActivity.findMany({
+      where: { issueId: req.issue.id },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
       include: {
         user: {
           select: {
@@ -88,306 +1129,885 @@ router.get('/', async (req, res) => {
       }
     });
 
-    const totalCount = await prisma.issue.count({ where });
-    const totalPages = Math.ceil(totalCount / limit);
+    // Assignee changes store user IDs; include those users so the client can show names
+    const assigneeIds = new Set();
+    activities
+      .filter(activity => activity.field === 'assigneeId')
+      .forEach(activity => {
+        if (activity.oldValue) assigneeIds.add(parseInt(activity.oldValue));
+        if (activity.newValue) assigneeIds.add(parseInt(activity.newValue));
+      });
+
+    const users = await prisma.user.findMany({
+      where: { id: { in: [...assigneeIds] } },
+      select: {
+        id: true,
+        email: true,
+        name: true
+      }
+    });
+
+    // Milestone changes store milestone IDs; include their names (deleted ones are left out)
+    const milestoneIds = new Set();
+    activities
+      .filter(activity => activity.field === 'milestoneId')
+      .forEach(activity => {
+        if (activity.oldValue) milestoneIds.add(parseInt(activity.oldValue));
+        if (activity.newValue) milestoneIds.add(parseInt(activity.newValue));
+      });
+
+    const milestones = await prisma.milestone.findMany({
+      where: { id: { in: [...milestoneIds] } },
+      select: {
+        id: true,
+        name: true
+      }
+    });
+
+    // Sprint changes store sprint IDs; include their names the same way
+    const sprintIds = new Set();
+    activities
+      .filter(activity => activity.field === 'sprintId')
+      .forEach(activity => {
+        if (activity.oldValue) sprintIds.add(parseInt(activity.oldValue));
+        if (activity.newValue) sprintIds.add(parseInt(activity.newValue));
+      });
+
+    const sprints = await prisma.sprint.findMany({
+      where: { id: { in: [...sprintIds] } },
+      select: {
+        id: true,
+        name: true
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { activities, users, milestones, sprints }
+    });
+
+  } catch (error) {
+    console.error('Get issue history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching issue history',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/issues - Create new issue
+router.post('/', async (req, res) => {
+  try {
+    const target = await getTargetProject(req, req.body.projectId);
+
+    if (target.error) {
+      return res.status(target.statusCode).json({
+        success: false,
+        message: target.error
+      });
+    }
+
+    const { project } = target;
+
+    // New issues start in the project's first status unless another one is given
+    const workflow = await getWorkflow(prisma, project.id);
+
+    if (workflow.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This project has no workflow statuses configured'
+      });
+    }
+
+    const create = await buildIssueCreate(project, workflow, req.body);
+
+    if (create.error) {
+      return res.status(create.statusCode).json({
+        success: false,
+        message: create.error
+      });
+    }
+
+    const newIssue = await prisma.$transaction(async (tx) => {
+      const issue = await tx.issue.create({
+        data: { ...create.data, userId: req.user.userId },
+        include: issueInclude
+      });
+
+      await recordIssueCreated(tx, issue, req.user.userId);
+      return issue;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Issue created successfully',
+      data: { issue: newIssue }
+    });
+
+  } catch (error) {
+    console.error('Create issue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating issue',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/issues/import - Create issues from a CSV, JSON or NDJSON file (as the export writes them)
+// Multipart fields: file, projectId (unless project-scoped), mapping (JSON { column: field }; guessed
+// from the column names when left out), dryRun ('true' to only validate) and mode: 'atomic' imports
+// nothing unless every row is valid, 'skip' imports the valid rows and skips the others.
+// Each row is validated with the rules of POST /api/issues and reported in data.rows; the valid
+// rows are created in one transaction.
+router.post('/import', parseImportUpload, async (req, res) => {
+  try {
+    const target = await getTargetProject(req, req.body.projectId);
+
+    if (target.error) {
+      return res.status(target.statusCode).json({
+        success: false,
+        message: target.error
+      });
+    }
+
+    const { project } = target;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select a file to import'
+      });
+    }
+
+    const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
+    const mode = req.body.mode || 'atomic';
+
+    if (!['atomic', 'skip'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid mode. Must be one of: atomic, skip'
+      });
+    }
+
+    const format = getImportFormat(req.file);
+    const parsed = parseImportFile(req.file.buffer, format);
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const { columns, rows } = parsed;
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file has no issues to import'
+      });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Import at most ${MAX_IMPORT_ROWS} issues per file (this file has ${rows.length})`
+      });
+    }
+
+    const mappingResult = req.body.mapping
+      ? parseMapping(req.body.mapping, columns)
+      : { mapping: suggestMapping(columns) };
+
+    if (mappingResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: mappingResult.error
+      });
+    }
+
+    const { mapping } = mappingResult;
+
+    const workflow = await getWorkflow(prisma, project.id);
+
+    if (workflow.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This project has no workflow statuses configured'
+      });
+    }
+
+    const missingFields = getMissingFields(mapping);
+    const summary = {
+      format,
+      columns,
+      samples: getColumnSamples(columns, rows),
+      mapping,
+      fields: Object.entries(IMPORT_FIELDS).map(([value, field]) => ({ value, ...field })),
+      missingFields,
+      totalRows: rows.length,
+      dryRun,
+      mode
+    };
+
+    // Rows cannot be checked until title and description are mapped; a dry run still
+    // returns the columns so they can be mapped
+    if (missingFields.length > 0) {
+      const message = 'Map a column to ' + missingFields.map(field => IMPORT_FIELDS[field].label).join(' and ');
+
+      return res.status(dryRun ? 200 : 400).json({
+        success: dryRun,
+        message,
+        data: { ...summary, rows: [], validCount: 0, invalidCount: 0, createdCount: 0 }
+      });
+    }
+
+    // Records rows refer to by name
+    const [members, labels, milestones, sprints] = await Promise.all([
+      prisma.workspaceMember.findMany({
+        where: { workspaceId: project.workspaceId },
+        select: { user: { select: { id: true, name: true, email: true } } }
+      }),
+      prisma.label.findMany({
+        where: { workspaceId: project.workspaceId },
+        select: { id: true, name: true }
+      }),
+      prisma.milestone.findMany({
+        where: { projectId: project.id },
+        select: { id: true, name: true }
+      }),
+      prisma.sprint.findMany({
+        where: { projectId: project.id },
+        select: { id: true, name: true }
+      })
+    ]);
+    const lookups = { workflow, members: members.map(member => member.user), labels, milestones, sprints };
+
+    // Validate every row; row numbers count from the first issue in the file
+    const results = [];
+    const accepted = [];
+
+    for (let index = 0; index < rows.length; index++) {
+      const result = { row: index + 1, values: getPreviewValues(rows[index], mapping) };
+      const converted = toIssueBody(rows[index], mapping, lookups);
+      const create = converted.error ? converted : await buildIssueCreate(project, workflow, converted.body);
+
+      if (create.error) {
+        result.error = create.error;
+      } else {
+        accepted.push({ result, data: create.data });
+      }
+      results.push(result);
+    }
+
+    const data = {
+      ...summary,
+      rows: results,
+      validCount: accepted.length,
+      invalidCount: results.length - accepted.length,
+      createdCount: 0
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: `${accepted.length} of ${results.length} rows can be imported`,
+        data
+      });
+    }
+
+    if (mode === 'atomic' && data.invalidCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${data.invalidCount} ${data.invalidCount === 1 ? 'row has' : 'rows have'} errors; nothing was imported`,
+        data
+      });
+    }
+
+    if (accepted.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'None of the rows can be imported',
+        data
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      for (const item of accepted) {
+        const issue = await tx.issue.create({
+          data: { ...item.data, userId: req.user.userId }
+        });
+
+        await recordIssueCreated(tx, issue, req.user.userId);
+        item.result.issueId = issue.id;
+      }
+    }, { timeout: IMPORT_TRANSACTION_TIMEOUT });
+
+    data.createdCount = accepted.length;
 
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      data: {
-        issues,
-        pagination: {
-          currentPage: page,
-          totalPages,
-          totalCount,
-          limit,
-          hasNextPage: page < totalPages,
-          hasPreviousPage: page > 1
-        }
-      }
+      message: `Imported ${accepted.length} ${accepted.length === 1 ? 'issue' : 'issues'}` +
+        (data.invalidCount > 0 ? `, skipped ${data.invalidCount}` : ''),
+      data
     });
 
   } catch (error) {
-    console.error('Get issues error:', error);
+    console.error('Import issues error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching issues',
+      message: 'Error importing issues',
       error: error.message
     });
   }
 });
 
-// GET /api/issues/:id - Get single issue
-router.get('/:id', async (req, res) => {
+// POST /api/issues/import/:source - Create issues from a GitHub issue dump or a Jira export
+// :source is github (JSON or NDJSON issue list) or jira (XML or CSV export)
+// Multipart fields: file, projectId (unless project-scoped), valueMapping (JSON { statuses, priorities,
+// labels, users }, see utils/externalImport.js; values left out are guessed), dryRun and mode as for
+// POST /api/issues/import. Issues keep their creation time, reporter (members matched by email)
+// and comments, and record their external ID: issues the project already has are skipped, so
+// importing the same file again creates nothing twice.
+router.post('/import/:source', parseImportUpload, async (req, res) => {
   try {
-    const issueId = parseInt(req.params.id);
+    const { source } = req.params;
 
-    if (isNaN(issueId)) {
+    if (!getExternalSource(source)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid issue ID'
+        message: `Invalid import source. Must be one of: ${Object.keys(EXTERNAL_SOURCES).join(', ')}`
       });
     }
 
-    const issue = await prisma.issue.findUnique({
-      where: { id: issueId },
-      include: {
-        user: {
-          select: {
-            id: true,
-            email: true,
-            name: true
-          }
-        }
-      }
-    });
+    const target = await getTargetProject(req, req.body.projectId);
 
-    if (!issue) {
-      return res.status(404).json({
+    if (target.error) {
+      return res.status(target.statusCode).json({
         success: false,
-        message: 'Issue not found'
+        message: target.error
       });
     }
 
-    // Verify user owns this issue
-    if (issue.userId !== req.user.userId) {
-      return res.status(403).json({
+    const { project } = target;
+
+    if (!req.file) {
+      return res.status(400).json({
         success: false,
-        message: 'You do not have permission to view this issue'
+        message: 'Select a file to import'
       });
     }
 
-    res.status(200).json({
-      success: true,
-      data: { issue }
-    });
-
-  } catch (error) {
-    console.error('Get issue error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching issue',
-      error: error.message
-    });
-  }
-});
-
-// POST /api/issues - Create new issue
-router.post('/', async (req, res) => {
-  try {
-    const { title, description, status, priority, severity } = req.body;
+    const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
+    const mode = req.body.mode || 'atomic';
 
-    if (!title || !description) {
+    if (!['atomic', 'skip'].includes(mode)) {
       return res.status(400).json({
         success: false,
-        message: 'Title and description are required'
+        message: 'Invalid mode. Must be one of: atomic, skip'
       });
     }
 
-    if (title.trim().length < 3) {
+    const format = getExternalFormat(source, req.file);
+
+    if (!format) {
       return res.status(400).json({
         success: false,
-        message: 'Title must be at least 3 characters long'
+        message: `Import a ${EXTERNAL_SOURCES[source].name} export (${Object.keys(EXTERNAL_SOURCES[source].formats).join(', ')})`
       });
     }
 
-    if (title.trim().length > 255) {
+    const parsed = readExternalIssues(source, format, req.file.buffer);
+
+    if (parsed.error) {
       return res.status(400).json({
         success: false,
-        message: 'Title must not exceed 255 characters'
+        message: parsed.error
       });
     }
 
-    if (description.trim().length < 10) {
+    const { records } = parsed;
+
+    if (records.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Description must be at least 10 characters long'
+        message: 'The file has no issues to import'
       });
     }
 
-    if (description.trim().length > 5000) {
+    if (records.length > MAX_IMPORT_ROWS) {
       return res.status(400).json({
         success: false,
-        message: 'Description must not exceed 5000 characters'
+        message: `Import at most ${MAX_IMPORT_ROWS} issues per file (this file has ${records.length})`
       });
     }
 
-    const validStatuses = ['Open', 'InProgress', 'Resolved', 'Closed'];
-    if (status && !validStatuses.includes(status)) {
-      return res.status(400).json({
+    const workflow = await getWorkflow(prisma, project.id);
+
+    if (workflow.length === 0) {
+      return res.status(409).json({
         success: false,
-        message: 'Invalid status. Must be one of: ' + validStatuses.join(', ')
+        message: 'This project has no workflow statuses configured'
       });
     }
 
-    const validPriorities = ['Low', 'Medium', 'High', 'Critical'];
-    if (priority && !validPriorities.includes(priority)) {
+    const supplied = parseValueMapping(req.body.valueMapping, workflow);
+
+    if (supplied.error) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid priority. Must be one of: ' + validPriorities.join(', ')
+        message: supplied.error
       });
     }
 
-    const validSeverities = ['Low', 'Medium', 'High', 'Critical'];
-    if (severity && !validSeverities.includes(severity)) {
+    const [members, labels] = await Promise.all([
+      prisma.workspaceMember.findMany({
+        where: { workspaceId: project.workspaceId },
+        select: { user: { select: { id: true, name: true, email: true } } }
+      }),
+      prisma.label.findMany({
+        where: { workspaceId: project.workspaceId },
+        select: { id: true, name: true }
+      })
+    ]);
+    const lookups = { workflow, members: members.map(member => member.user), labels };
+    const valueMapping = buildValueMapping(records, supplied.valueMapping, lookups);
+
+    // Issues this project already imported, by external ID
+    const imported = await prisma.issue.findMany({
+      where: {
+        projectId: project.id,
+        externalId: { in: records.filter(record => !record.error).map(record => record.externalId) }
+      },
+      select: { id: true, externalId: true }
+    });
+    const importedIds = new Map(imported.map(issue => [issue.externalId, issue.id]));
+
+    // Validate every record with the create rules; rows count from the first issue in the file
+    const results = [];
+    const accepted = [];
+    const rowsById = new Map();
+
+    for (let index = 0; index < records.length; index++) {
+      const record = records[index];
+      const result = { row: index + 1 };
+      results.push(result);
+
+      if (record.error) {
+        result.error = record.error;
+        continue;
+      }
+
+      result.externalId = record.externalId;
+      result.values = {
+        key: record.key,
+        title: record.title,
+        status: getMappedValue(valueMapping.statuses, record.status) || '',
+        priority: getMappedValue(valueMapping.priorities, record.priority) || '',
+        author: record.author ? record.author.name : '',
+        comments: record.comments.length
+      };
+
+      if (record.skip) {
+        result.skipped = record.skip;
+      } else if (importedIds.has(record.externalId)) {
+        result.skipped = `Already imported as #${importedIds.get(record.externalId)}`;
+        result.issueId = importedIds.get(record.externalId);
+      } else if (rowsById.has(record.externalId)) {
+        result.error = `${record.key} already appears in row ${rowsById.get(record.externalId)}`;
+      } else {
+        rowsById.set(record.externalId, result.row);
+
+        const issue = toExternalIssue(record, source, valueMapping, lookups);
+        const create = await buildIssueCreate(project, workflow, issue.body);
+
+        if (create.error) {
+          result.error = create.error;
+        } else {
+          result.values.status = create.data.status;
+          result.values.priority = create.data.priority;
+          if (issue.warnings.length > 0) {
+            result.warnings = issue.warnings;
+          }
+          accepted.push({ result, data: create.data, issue, externalId: record.externalId });
+        }
+      }
+    }
+
+    const invalidCount = results.filter(result => result.error).length;
+    const data = {
+      source,
+      format,
+      valueMapping,
+      statuses: workflow.map(({ key, name, category }) => ({ key, name, category })),
+      totalRows: records.length,
+      dryRun,
+      mode,
+      rows: results,
+      validCount: accepted.length,
+      invalidCount,
+      skippedCount: results.filter(result => result.skipped).length,
+      createdCount: 0
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: `${accepted.length} of ${results.length} issues can be imported`,
+        data
+      });
+    }
+
+    if (mode === 'atomic' && invalidCount > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid severity. Must be one of: ' + validSeverities.join(', ')
+        message: `${invalidCount} ${invalidCount === 1 ? 'issue has' : 'issues have'} errors; nothing was imported`,
+        data
       });
     }
 
-    const newIssue = await prisma.issue.create({
-      data: {
-        title: title.trim(),
-        description: description.trim(),
-        status: status || 'Open',
-        priority: priority || 'Medium',
-        severity: severity || 'Medium',
-        userId: req.user.userId
-      },
-      include: {
-        user: {
-          select: {
-            id: true,
-            email: true,
-            name: true
+    if (accepted.length === 0) {
+      // Importing a file again is not an error
+      return res.status(invalidCount > 0 ? 400 : 200).json({
+        success: invalidCount === 0,
+        message: invalidCount > 0 ? 'None of the issues can be imported' : 'Every issue in the file was imported before',
+        data
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      for (const item of accepted) {
+        const reporterId = item.issue.userId || req.user.userId;
+        const issue = await tx.issue.create({
+          data: {
+            ...item.data,
+            userId: reporterId,
+            externalId: item.externalId,
+            ...(item.issue.createdAt && { createdAt: item.issue.createdAt })
           }
+        });
+
+        await recordIssueCreated(tx, issue, reporterId);
+
+        if (item.issue.comments.length > 0) {
+          await tx.comment.createMany({
+            data: item.issue.comments.map(comment => ({
+              issueId: issue.id,
+              userId: comment.userId || req.user.userId,
+              body: comment.body,
+              ...(comment.createdAt && { createdAt: comment.createdAt })
+            }))
+          });
         }
+
+        item.result.issueId = issue.id;
       }
-    });
+    }, { timeout: IMPORT_TRANSACTION_TIMEOUT });
+
+    data.createdCount = accepted.length;
+
+    const skipped = invalidCount + data.skippedCount;
 
     res.status(201).json({
       success: true,
-      message: 'Issue created successfully',
-      data: { issue: newIssue }
+      message: `Imported ${accepted.length} ${accepted.length === 1 ? 'issue' : 'issues'}` +
+        (skipped > 0 ? `, skipped ${skipped}` : ''),
+      data
     });
 
   } catch (error) {
-    console.error('Create issue error:', error);
+    // Another import of the same issues finished first
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'Some of these issues were imported at the same time; import the file again to add the rest'
+      });
+    }
+
+    console.error('Import external issues error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error creating issue',
+      message: 'Error importing issues',
       error: error.message
     });
   }
 });
 
-// PUT /api/issues/:id - Update issue
-router.put('/:id', async (req, res) => {
+// POST /api/issues/bulk - Update or delete many issues at once
+// Body: { issueIds, action: 'update' | 'delete', changes, atomic }
+// changes takes the fields of PUT /api/issues/:id listed in BULK_FIELDS, validated the same way,
+// plus addLabelIds / removeLabelIds to add or remove labels without replacing the others.
+// Each issue is checked on its own (scope, membership, role, validation) and reported in
+// data.results; the issues that pass are changed in one transaction. With atomic: true
+// nothing is changed unless every issue passes.
+router.post('/bulk', async (req, res) => {
   try {
-    const issueId = parseInt(req.params.id);
-    const { title, description, status, priority, severity } = req.body;
+    const { issueIds, action, atomic = false } = req.body;
+    const changes = req.body.changes && typeof req.body.changes === 'object' ? req.body.changes : {};
 
-    if (isNaN(issueId)) {
+    if (!Array.isArray(issueIds) || issueIds.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid issue ID'
+        message: 'issueIds must be a non-empty array of issue IDs'
       });
     }
 
-    const existingIssue = await prisma.issue.findUnique({
-      where: { id: issueId }
-    });
+    const ids = [...new Set(issueIds.map(id => parseInt(id)))];
 
-    if (!existingIssue) {
-      return res.status(404).json({
+    if (ids.some(id => isNaN(id))) {
+      return res.status(400).json({
         success: false,
-        message: 'Issue not found'
+        message: 'Invalid issue ID'
       });
     }
 
-    // Verify user owns this issue
-    if (existingIssue.userId !== req.user.userId) {
-      return res.status(403).json({
+    if (ids.length > MAX_BULK_ISSUES) {
+      return res.status(400).json({
         success: false,
-        message: 'You do not have permission to update this issue'
+        message: `At most ${MAX_BULK_ISSUES} issues can be changed at once`
       });
     }
 
-    const updateData = {};
+    if (!['update', 'delete'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid action. Must be one of: update, delete'
+      });
+    }
 
-    if (title !== undefined) {
-      if (title.trim().length < 3) {
-        return res.status(400).json({
-          success: false,
-          message: 'Title must be at least 3 characters long'
-        });
-      }
-      if (title.trim().length > 255) {
+    const { addLabelIds, removeLabelIds, ...fields } = changes;
+
+    if (action === 'update') {
+      const unknownFields = Object.keys(fields).filter(field => !BULK_FIELDS.includes(field));
+
+      if (unknownFields.length > 0) {
         return res.status(400).json({
           success: false,
-          message: 'Title must not exceed 255 characters'
+          message: `Cannot change ${unknownFields.join(', ')} in bulk. Allowed: ${[...BULK_FIELDS, 'addLabelIds', 'removeLabelIds'].join(', ')}`
         });
       }
-      updateData.title = title.trim();
-    }
 
-    if (description !== undefined) {
-      if (description.trim().length < 10) {
+      if (Object.keys(changes).length === 0) {
         return res.status(400).json({
           success: false,
-          message: 'Description must be at least 10 characters long'
+          message: 'No changes given'
         });
       }
-      if (description.trim().length > 5000) {
+
+      if (fields.labelIds !== undefined && (addLabelIds !== undefined || removeLabelIds !== undefined)) {
         return res.status(400).json({
           success: false,
-          message: 'Description must not exceed 5000 characters'
+          message: 'Use either labelIds or addLabelIds / removeLabelIds'
         });
       }
-      updateData.description = description.trim();
     }
 
-    if (status !== undefined) {
-      const validStatuses = ['Open', 'InProgress', 'Resolved', 'Closed'];
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid status. Must be one of: ' + validStatuses.join(', ')
-        });
+    const permission = action === 'update' ? 'issue:update' : 'issue:delete';
+
+    const issues = await prisma.issue.findMany({
+      where: { id: { in: ids } },
+      include: issueInclude
+    });
+
+    // Memberships by workspace, so each workspace is looked up once
+    const memberships = new Map();
+
+    const getWorkspaceMembership = async (workspaceId) => {
+      if (!memberships.has(workspaceId)) {
+        memberships.set(workspaceId, await getMembership(req.user.userId, workspaceId));
       }
-      updateData.status = status;
-    }
+      return memberships.get(workspaceId);
+    };
 
-    if (priority !== undefined) {
-      const validPriorities = ['Low', 'Medium', 'High', 'Critical'];
-      if (!validPriorities.includes(priority)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid priority. Must be one of: ' + validPriorities.join(', ')
-        });
+    // Check every issue the same way the single-issue routes do, in the order given
+    const results = [];
+    const accepted = [];
+
+    for (const id of ids) {
+      const issue = issues.find(item => item.id === id);
+
+      if (!issue || isOutOfScope(req, issue)) {
+        results.push({ id, success: false, message: 'Issue not found' });
+        continue;
       }
-      updateData.priority = priority;
-    }
 
-    if (severity !== undefined) {
-      const validSeverities = ['Low', 'Medium', 'High', 'Critical'];
-      if (!validSeverities.includes(severity)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid severity. Must be one of: ' + validSeverities.join(', ')
-        });
+      const membership = await getWorkspaceMembership(issue.project.workspaceId);
+
+      if (!membership) {
+        results.push({ id, success: false, message: 'You do not have permission to access this issue' });
+        continue;
+      }
+
+      if (!can(membership.role, permission)) {
+        results.push({ id, success: false, message: 'Your role does not allow this action' });
+        continue;
+      }
+
+      if (action === 'delete') {
+        accepted.push({ issue });
+        results.push({ id, success: true });
+        continue;
+      }
+
+      const update = await buildIssueUpdate(issue, fields);
+
+      if (!update.error && (addLabelIds !== undefined || removeLabelIds !== undefined)) {
+        const added = await resolveLabels(addLabelIds ?? [], issue.project.workspaceId);
+        const removed = await resolveLabels(removeLabelIds ?? [], issue.project.workspaceId);
+        const labelError = added.error || removed.error;
+
+        if (labelError) {
+          update.error = labelError;
+        } else {
+          update.data.labels = {
+            connect: added.labelIds.map(labelId => ({ id: labelId })),
+            disconnect: removed.labelIds.map(labelId => ({ id: labelId }))
+          };
+        }
+      }
+
+      if (update.error) {
+        results.push({ id, success: false, message: update.error });
+        continue;
       }
-      updateData.severity = severity;
+
+      accepted.push({ issue, ...update });
+      results.push({ id, success: true });
     }
 
-    const updatedIssue = await prisma.issue.update({
-      where: { id: issueId },
-      data: updateData,
-      include: {
-        user: {
-          select: {
-            id: true,
-            email: true,
-            name: true
-          }
+    const failedCount = results.filter(result => !result.success).length;
+
+    if (atomic && failedCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No issues were changed: ${failedCount} of ${ids.length} failed`,
+        data: {
+          results: results.map(result => (
+            result.success ? { ...result, success: false, message: 'Not changed because other issues failed' } : result
+          ))
+        }
+      });
+    }
+
+    // Attachment records are deleted with their issues; the files are removed afterwards
+    const attachments = action === 'delete' && accepted.length > 0
+      ? await prisma.attachment.findMany({
+        where: { issueId: { in: accepted.map(({ issue }) => issue.id) } },
+        select: { storageKey: true }
+      })
+      : [];
+
+    // Apply every accepted change, recording it in the activity trail like the single-issue routes
+    const updatedIssues = await prisma.$transaction(async (tx) => {
+      const updated = [];
+
+      for (const { issue, data } of accepted) {
+        if (action === 'delete') {
+          await tx.issue.delete({
+            where: { id: issue.id }
+          });
+
+          await recordIssueDeleted(tx, issue, req.user.userId);
+          continue;
+        }
+
+        // Moved issues land at the top of their new board column, in the order given
+        if (data.status !== undefined) {
+          data.boardPosition = await getTopPosition(tx, issue.projectId, data.status);
         }
+
+        const updatedIssue = await tx.issue.update({
+          where: { id: issue.id },
+          data,
+          include: issueInclude
+        });
+
+        await recordIssueChanges(tx, issue, updatedIssue, req.user.userId);
+        updated.push(updatedIssue);
+      }
+
+      return updated;
+    }, { timeout: BULK_TRANSACTION_TIMEOUT });
+
+    await removeFiles(attachments.map(attachment => attachment.storageKey));
+
+    // Resolving is allowed, but warn about issues still blocked by a resolved one
+    for (const { issue, resolving } of accepted) {
+      const result = results.find(item => item.id === issue.id);
+      const openBlockedIssues = resolving ? await getOpenBlockedIssues(issue.id) : [];
+
+      if (openBlockedIssues.length > 0) {
+        result.warning = 'This issue still blocks open issues: ' + openBlockedIssues.map(blocked => `#${blocked.id}`).join(', ');
       }
+
+      if (action === 'update') {
+        result.issue = updatedIssues.find(item => item.id === issue.id);
+      }
+    }
+
+    const changedCount = accepted.length;
+    const verb = action === 'update' ? 'Updated' : 'Deleted';
+
+    res.status(200).json({
+      success: true,
+      message: `${verb} ${changedCount} of ${ids.length} ${ids.length === 1 ? 'issue' : 'issues'}`,
+      data: { results, changedCount, failedCount }
+    });
+
+  } catch (error) {
+    console.error('Bulk issue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing issues',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/issues/:id - Update issue
+router.put('/:id', requirePermission('issue:update'), async (req, res) => {
+  try {
+    const issueId = req.issue.id;
+    const update = await buildIssueUpdate(req.issue, req.body);
+
+    if (update.error) {
+      return res.status(update.statusCode).json({
+        success: false,
+        message: update.error
+      });
+    }
+
+    const { data: updateData, resolving } = update;
+
+    // Moved issues land at the top of their new board column
+    if (updateData.status !== undefined) {
+      updateData.boardPosition = await getTopPosition(prisma, req.issue.projectId, updateData.status);
+    }
+
+    // Apply the update and record every changed field in the activity trail
+    const updatedIssue = await prisma.$transaction(async (tx) => {
+      const issue = await tx.issue.update({
+        where: { id: issueId },
+        data: updateData,
+        include: issueInclude
+      });
+
+      await recordIssueChanges(tx, req.issue, issue, req.user.userId);
+      return issue;
     });
 
+    // Resolving is allowed, but warn when issues blocked by this one are still open
+    const openBlockedIssues = resolving ? await getOpenBlockedIssues(issueId) : [];
+
     res.status(200).json({
       success: true,
       message: 'Issue updated successfully',
-      data: { issue: updatedIssue }
+      ...(openBlockedIssues.length > 0 && {
+        warning: 'This issue still blocks open issues: ' + openBlockedIssues.map(issue => `#${issue.id}`).join(', ')
+      }),
+      data: { issue: updatedIssue, openBlockedIssues }
     });
 
   } catch (error) {
@@ -400,41 +2020,80 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// DELETE /api/issues/:id - Delete issue
-router.delete('/:id', async (req, res) => {
+// PUT /api/issues/:id/position - Reorder an issue within its board column
+// Body: { beforeId } or { afterId } - another issue in the same project and status
+router.put('/:id/position', requirePermission('issue:update'), async (req, res) => {
   try {
-    const issueId = parseInt(req.params.id);
+    const { beforeId, afterId } = req.body;
 
-    if (isNaN(issueId)) {
+    if ((beforeId === undefined) === (afterId === undefined)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid issue ID'
+        message: 'Provide either beforeId or afterId'
       });
     }
 
-    const existingIssue = await prisma.issue.findUnique({
-      where: { id: issueId }
-    });
+    const neighbourId = parseInt(beforeId ?? afterId);
 
-    if (!existingIssue) {
-      return res.status(404).json({
+    if (isNaN(neighbourId) || neighbourId === req.issue.id) {
+      return res.status(400).json({
         success: false,
-        message: 'Issue not found'
+        message: 'Invalid neighbour issue ID'
       });
     }
 
-    // Verify user owns this issue
-    if (existingIssue.userId !== req.user.userId) {
-      return res.status(403).json({
+    const placement = beforeId !== undefined ? { beforeId: neighbourId } : { afterId: neighbourId };
+    const placed = await prisma.$transaction(tx => placeIssue(tx, req.issue, placement));
+
+    if (!placed) {
+      return res.status(400).json({
         success: false,
-        message: 'You do not have permission to delete this issue'
+        message: 'Issues can only be reordered next to an issue in the same project and status'
       });
     }
 
-    await prisma.issue.delete({
-      where: { id: issueId }
+    const issue = await prisma.issue.findUnique({
+      where: { id: req.issue.id },
+      include: issueInclude
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Issue moved successfully',
+      data: { issue }
+    });
+
+  } catch (error) {
+    console.error('Move issue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error moving issue',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/issues/:id - Delete issue
+router.delete('/:id', requirePermission('issue:delete'), async (req, res) => {
+  try {
+    const issueId = req.issue.id;
+
+    // Attachment records are deleted with the issue; their files are removed afterwards
+    const attachments = await prisma.attachment.findMany({
+      where: { issueId },
+      select: { storageKey: true }
+    });
+
+    await prisma.$transaction(async (tx) => {
+      await tx.issue.delete({
+        where: { id: issueId }
+      });
+
+      await recordIssueDeleted(tx, req.issue, req.user.userId);
     });
 
+    await removeFiles(attachments.map(attachment => attachment.storageKey));
+
     res.status(200).json({
       success: true,
       message: 'Issue deleted successfully'
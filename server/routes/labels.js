@@ -0,0 +1,232 @@
+// Label Routes - CRUD operations for a workspace's labels
+// Mounted at /api/workspaces/:workspaceId/labels; the workspaces router loads req.workspace and req.membership
+
+const express = require('express');
+// mergeParams exposes :workspaceId from the parent router
+const router = express.Router({ mergeParams: true });
+const { PrismaClient } = require('@prisma/client');
+const { requirePermission } = require('../middleware/permissions');
+
+const prisma = new PrismaClient();
+
+// Labels use 6-digit hex colors, e.g. #E53935
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+// Validate label fields, returns an error message or null
+const validateLabel = ({ name, color, description }, isUpdate = false) => {
+  if (!isUpdate || name !== undefined) {
+    if (!name || !name.trim()) {
+      return 'Label name is required';
+    }
+    if (name.trim().length > 50) {
+      return 'Label name must not exceed 50 characters';
+    }
+  }
+
+  if (!isUpdate || color !== undefined) {
+    if (!color || !COLOR_PATTERN.test(color)) {
+      return 'Label color must be a hex color like #E53935';
+    }
+  }
+
+  if (description && description.trim().length > 191) {
+    return 'Label description must not exceed 191 characters';
+  }
+
+  return null;
+};
+
+// Check whether another label in the workspace already uses this name
+const isNameTaken = async (workspaceId, name, excludeId = null) => {
+  const existing = await prisma.label.findUnique({
+    where: { workspaceId_name: { workspaceId, name } }
+  });
+
+  return Boolean(existing && existing.id !== excludeId);
+};
+
+// GET /api/workspaces/:workspaceId/labels - Get the workspace's labels with issue counts
+router.get('/', async (req, res) => {
+  try {
+    const labels = await prisma.label.findMany({
+      where: { workspaceId: req.workspace.id },
+      orderBy: { name: 'asc' },
+      include: {
+        _count: { select: { issues: true } }
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { labels }
+    });
+
+  } catch (error) {
+    console.error('Get labels error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching labels',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/workspaces/:workspaceId/labels - Create new label
+router.post('/', requirePermission('label:manage'), async (req, res) => {
+  try {
+    const { name, color, description } = req.body;
+
+    const validationError = validateLabel({ name, color, description });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (await isNameTaken(req.workspace.id, name.trim())) {
+      return res.status(409).json({
+        success: false,
+        message: 'A label with this name already exists in the workspace'
+      });
+    }
+
+    const newLabel = await prisma.label.create({
+      data: {
+        name: name.trim(),
+        color: color.toUpperCase(),
+        description: description ? description.trim() : null,
+        workspaceId: req.workspace.id
+      },
+      include: {
+        _count: { select: { issues: true } }
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Label created successfully',
+      data: { label: newLabel }
+    });
+
+  } catch (error) {
+    console.error('Create label error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating label',
+      error: error.message
+    });
+  }
+});
+
+// Load the label from :labelId and verify it belongs to the workspace
+router.param('labelId', async (req, res, next, value) => {
+  try {
+    const labelId = parseInt(value);
+
+    if (isNaN(labelId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid label ID'
+      });
+    }
+
+    const label = await prisma.label.findUnique({
+      where: { id: labelId }
+    });
+
+    if (!label || label.workspaceId !== req.workspace.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Label not found'
+      });
+    }
+
+    req.label = label;
+    next();
+
+  } catch (error) {
+    console.error('Load label error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching label',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/workspaces/:workspaceId/labels/:labelId - Update label
+router.put('/:labelId', requirePermission('label:manage'), async (req, res) => {
+  try {
+    const { name, color, description } = req.body;
+
+    const validationError = validateLabel({ name, color, description }, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const updateData = {};
+
+    if (name !== undefined) {
+      if (await isNameTaken(req.workspace.id, name.trim(), req.label.id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A label with this name already exists in the workspace'
+        });
+      }
+      updateData.name = name.trim();
+    }
+
+    if (color !== undefined) updateData.color = color.toUpperCase();
+    if (description !== undefined) updateData.description = description ? description.trim() : null;
+
+    const updatedLabel = await prisma.label.update({
+      where: { id: req.label.id },
+      data: updateData,
+      include: {
+        _count: { select: { issues: true } }
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Label updated successfully',
+      data: { label: updatedLabel }
+    });
+
+  } catch (error) {
+    console.error('Update label error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating label',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/workspaces/:workspaceId/labels/:labelId - Delete label (removes it from all issues)
+router.delete('/:labelId', requirePermission('label:manage'), async (req, res) => {
+  try {
+    await prisma.label.delete({
+      where: { id: req.label.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Label deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete label error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting label',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
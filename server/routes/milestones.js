@@ -0,0 +1,310 @@
+// Milestone Routes - CRUD operations for a project's milestones (releases) with progress
+// Mounted at /api/projects/:projectId/milestones; the projects router loads req.project and req.membership
+
+const express = require('express');
+// mergeParams exposes :projectId from the parent router
+const router = express.Router({ mergeParams: true });
+const { PrismaClient } = require('@prisma/client');
+const { requirePermission } = require('../middleware/permissions');
+const { getWorkflow } = require('../utils/workflow');
+const { parseDate } = require('../utils/dates');
+
+const prisma = new PrismaClient();
+
+const MILESTONE_STATES = ['Open', 'Closed'];
+
+// Validate milestone fields, returns an error message or null
+const validateMilestone = ({ name, description, targetDate, state }, isUpdate = false) => {
+  if (!isUpdate || name !== undefined) {
+    if (!name || !name.trim()) {
+      return 'Milestone name is required';
+    }
+    if (name.trim().length > 100) {
+      return 'Milestone name must not exceed 100 characters';
+    }
+  }
+
+  if (description && description.trim().length > 5000) {
+    return 'Milestone description must not exceed 5000 characters';
+  }
+
+  if (targetDate !== undefined && targetDate !== null && targetDate !== '' && !parseDate(targetDate)) {
+    return 'Target date must be a valid date in YYYY-MM-DD format';
+  }
+
+  if (state !== undefined && !MILESTONE_STATES.includes(state)) {
+    return 'Invalid state. Must be one of: ' + MILESTONE_STATES.join(', ');
+  }
+
+  return null;
+};
+
+// Check whether another milestone in the project already uses this name
+const isNameTaken = async (projectId, name, excludeId = null) => {
+  const existing = await prisma.milestone.findUnique({
+    where: { projectId_name: { projectId, name } }
+  });
+
+  return Boolean(existing && existing.id !== excludeId);
+};
+
+// Add progress to milestones, counted like /api/issues/stats: issue counts per status key,
+// plus total, done (issues in Done-category statuses) and percent complete
+const withProgress = async (projectId, milestones) => {
+  const statuses = await getWorkflow(prisma, projectId);
+
+  const statusCounts = await prisma.issue.groupBy({
+    by: ['milestoneId', 'status'],
+    _count: { status: true },
+    where: { milestoneId: { in: milestones.map(milestone => milestone.id) } }
+  });
+
+  const doneKeys = statuses.filter(status => status.category === 'Done').map(status => status.key);
+
+  return milestones.map(milestone => {
+    const counts = Object.fromEntries(statuses.map(status => [status.key, 0]));
+
+    statusCounts
+      .filter(item => item.milestoneId === milestone.id)
+      .forEach(item => {
+        counts[item.status] = item._count.status;
+      });
+
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const done = doneKeys.reduce((sum, key) => sum + counts[key], 0);
+
+    return {
+      ...milestone,
+      counts,
+      total,
+      done,
+      percent: total > 0 ? Math.round((done / total) * 100) : 0
+    };
+  });
+};
+
+// GET /api/projects/:projectId/milestones - Get the project's milestones with progress
+// Open milestones come first, soonest target date first; ?state=Open|Closed narrows the list
+router.get('/', async (req, res) => {
+  try {
+    const { state } = req.query;
+
+    if (state && !MILESTONE_STATES.includes(state)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid state. Must be one of: ' + MILESTONE_STATES.join(', ')
+      });
+    }
+
+    const milestones = await prisma.milestone.findMany({
+      where: {
+        projectId: req.project.id,
+        ...(state && { state })
+      },
+      orderBy: [
+        { state: 'asc' },
+        { targetDate: { sort: 'asc', nulls: 'last' } },
+        { createdAt: 'asc' }
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        milestones: await withProgress(req.project.id, milestones),
+        statuses: await getWorkflow(prisma, req.project.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get milestones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching milestones',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/projects/:projectId/milestones - Create new milestone
+router.post('/', requirePermission('milestone:manage'), async (req, res) => {
+  try {
+    const { name, description, targetDate } = req.body;
+
+    const validationError = validateMilestone({ name, description, targetDate });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (await isNameTaken(req.project.id, name.trim())) {
+      return res.status(409).json({
+        success: false,
+        message: 'A milestone with this name already exists in the project'
+      });
+    }
+
+    const newMilestone = await prisma.milestone.create({
+      data: {
+        name: name.trim(),
+        description: description ? description.trim() : null,
+        targetDate: targetDate ? parseDate(targetDate) : null,
+        projectId: req.project.id
+      }
+    });
+
+    const [milestone] = await withProgress(req.project.id, [newMilestone]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Milestone created successfully',
+      data: { milestone }
+    });
+
+  } catch (error) {
+    console.error('Create milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating milestone',
+      error: error.message
+    });
+  }
+});
+
+// Load the milestone from :milestoneId and verify it belongs to the project
+router.param('milestoneId', async (req, res, next, value) => {
+  try {
+    const milestoneId = parseInt(value);
+
+    if (isNaN(milestoneId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid milestone ID'
+      });
+    }
+
+    const milestone = await prisma.milestone.findUnique({
+      where: { id: milestoneId }
+    });
+
+    if (!milestone || milestone.projectId !== req.project.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    req.milestone = milestone;
+    next();
+
+  } catch (error) {
+    console.error('Load milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching milestone',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/projects/:projectId/milestones/:milestoneId - Get single milestone with progress
+router.get('/:milestoneId', async (req, res) => {
+  try {
+    const [milestone] = await withProgress(req.project.id, [req.milestone]);
+
+    res.status(200).json({
+      success: true,
+      data: { milestone }
+    });
+
+  } catch (error) {
+    console.error('Get milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching milestone',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/projects/:projectId/milestones/:milestoneId - Update milestone, or close/reopen it with state
+router.put('/:milestoneId', requirePermission('milestone:manage'), async (req, res) => {
+  try {
+    const { name, description, targetDate, state } = req.body;
+
+    const validationError = validateMilestone({ name, description, targetDate, state }, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const updateData = {};
+
+    if (name !== undefined) {
+      if (await isNameTaken(req.project.id, name.trim(), req.milestone.id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A milestone with this name already exists in the project'
+        });
+      }
+      updateData.name = name.trim();
+    }
+
+    if (description !== undefined) updateData.description = description ? description.trim() : null;
+    if (targetDate !== undefined) updateData.targetDate = targetDate ? parseDate(targetDate) : null;
+
+    if (state !== undefined && state !== req.milestone.state) {
+      updateData.state = state;
+      updateData.closedAt = state === 'Closed' ? new Date() : null;
+    }
+
+    const updatedMilestone = await prisma.milestone.update({
+      where: { id: req.milestone.id },
+      data: updateData
+    });
+
+    const [milestone] = await withProgress(req.project.id, [updatedMilestone]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Milestone updated successfully',
+      data: { milestone }
+    });
+
+  } catch (error) {
+    console.error('Update milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating milestone',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/projects/:projectId/milestones/:milestoneId - Delete milestone (its issues become untargeted)
+router.delete('/:milestoneId', requirePermission('milestone:manage'), async (req, res) => {
+  try {
+    await prisma.milestone.delete({
+      where: { id: req.milestone.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Milestone deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting milestone',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
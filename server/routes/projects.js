@@ -0,0 +1,297 @@
+// Project Routes - CRUD operations for projects and project-scoped issue routes
+
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const authenticateToken = require('../middleware/auth');
+const issueRoutes = require('./issues');
+const workflowRoutes = require('./workflows');
+const milestoneRoutes = require('./milestones');
+const sprintRoutes = require('./sprints');
+const { getMembership, getRequestWorkspaceIds } = require('../utils/workspaceAccess');
+const { can, requirePermission } = require('../middleware/permissions');
+const { removeFiles } = require('../storage');
+const { createDefaultWorkflow } = require('../utils/workflow');
+
+const prisma = new PrismaClient();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Validate project name and description, returns an error message or null
+const validateProject = ({ name, description }, isUpdate = false) => {
+  if (!isUpdate || name !== undefined) {
+    if (!name || name.trim().length < 2) {
+      return 'Project name must be at least 2 characters long';
+    }
+    if (name.trim().length > 100) {
+      return 'Project name must not exceed 100 characters';
+    }
+  }
+
+  if (description && description.trim().length > 1000) {
+    return 'Project description must not exceed 1000 characters';
+  }
+
+  return null;
+};
+
+// GET /api/projects - Get all projects in the current user's workspaces
+// Optional ?workspaceId= narrows the list to one workspace
+router.get('/', async (req, res) => {
+  try {
+    const workspaceIds = await getRequestWorkspaceIds(req);
+
+    const projects = await prisma.project.findMany({
+      where: { workspaceId: { in: workspaceIds } },
+      orderBy: { createdAt: 'asc' },
+      include: {
+        _count: { select: { issues: true } }
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { projects }
+    });
+
+  } catch (error) {
+    console.error('Get projects error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching projects',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/projects - Create new project
+router.post('/', async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const workspaceId = parseInt(req.body.workspaceId);
+
+    if (isNaN(workspaceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid workspace ID is required'
+      });
+    }
+
+    const validationError = validateProject({ name, description });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    // Verify user is a member of the target workspace
+    const membership = await getMembership(req.user.userId, workspaceId);
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this workspace'
+      });
+    }
+
+    if (!can(membership.role, 'project:create')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your role does not allow this action'
+      });
+    }
+
+    // Create the project together with its default workflow
+    const newProject = await prisma.$transaction(async (tx) => {
+      const project = await tx.project.create({
+        data: {
+          name: name.trim(),
+          description: description ? description.trim() : null,
+          userId: req.user.userId,
+          workspaceId
+        },
+        include: {
+          _count: { select: { issues: true } }
+        }
+      });
+
+      await createDefaultWorkflow(tx, project.id);
+      return project;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created successfully',
+      data: { project: newProject }
+    });
+
+  } catch (error) {
+    console.error('Create project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating project',
+      error: error.message
+    });
+  }
+});
+
+// Load the project from :projectId and verify the current user is a member of its workspace
+// Sets req.project and req.membership for the route handlers (including nested issue routes)
+router.param('projectId', async (req, res, next, value) => {
+  try {
+    const projectId = parseInt(value);
+
+    if (isNaN(projectId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid project ID'
+      });
+    }
+
+    const project = await prisma.project.findUnique({
+      where: { id: projectId }
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    // Verify user is a member of the project's workspace
+    const membership = await getMembership(req.user.userId, project.workspaceId);
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to access this project'
+      });
+    }
+
+    req.project = project;
+    req.membership = membership;
+    next();
+
+  } catch (error) {
+    console.error('Load project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching project',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/projects/:projectId - Get single project
+router.get('/:projectId', async (req, res) => {
+  try {
+    const project = await prisma.project.findUnique({
+      where: { id: req.project.id },
+      include: {
+        _count: { select: { issues: true } }
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { project }
+    });
+
+  } catch (error) {
+    console.error('Get project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching project',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/projects/:projectId - Update project
+router.put('/:projectId', requirePermission('project:update'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const validationError = validateProject({ name, description }, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name.trim();
+    if (description !== undefined) updateData.description = description ? description.trim() : null;
+
+    const updatedProject = await prisma.project.update({
+      where: { id: req.project.id },
+      data: updateData,
+      include: {
+        _count: { select: { issues: true } }
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Project updated successfully',
+      data: { project: updatedProject }
+    });
+
+  } catch (error) {
+    console.error('Update project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating project',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/projects/:projectId - Delete project and all of its issues
+router.delete('/:projectId', requirePermission('project:delete'), async (req, res) => {
+  try {
+    // Attachment records are deleted with the project's issues; their files are removed afterwards
+    const attachments = await prisma.attachment.findMany({
+      where: { issue: { projectId: req.project.id } },
+      select: { storageKey: true }
+    });
+
+    await prisma.project.delete({
+      where: { id: req.project.id }
+    });
+
+    await removeFiles(attachments.map(attachment => attachment.storageKey));
+
+    res.status(200).json({
+      success: true,
+      message: 'Project deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting project',
+      error: error.message
+    });
+  }
+});
+
+// Project-scoped issue routes: /api/projects/:projectId/issues
+// The issue router reads req.project to scope every query to this project
+router.use('/:projectId/issues', issueRoutes);
+
+// Project workflow routes: /api/projects/:projectId/workflow
+router.use('/:projectId/workflow', workflowRoutes);
+
+// Project milestone routes: /api/projects/:projectId/milestones
+router.use('/:projectId/milestones', milestoneRoutes);
+
+// Project sprint routes: /api/projects/:projectId/sprints
+router.use('/:projectId/sprints', sprintRoutes);
+
+module.exports = router;
@@ -0,0 +1,486 @@
+// Saved View Routes - Named issue list setups (filters, sort, shown columns) of a workspace
+// Mounted at /api/workspaces/:workspaceId/views; the workspaces router loads req.workspace and req.membership
+// Private views are only visible to their creator, shared views to every member. Members can also
+// pin views (their issue counts show on the dashboard) and pick one as their default view
+
+const express = require('express');
+// mergeParams exposes :workspaceId from the parent router
+const router = express.Router({ mergeParams: true });
+const { PrismaClient } = require('@prisma/client');
+const { can } = require('../middleware/permissions');
+const { parseSort } = require('../utils/issueSort');
+const { buildIssueFilters } = require('../utils/issueFilters');
+
+const prisma = new PrismaClient();
+
+// Filters a view can store (the issue list's query parameters)
+const FILTER_KEYS = [
+  'search', 'status', 'priority', 'severity', 'assignee', 'labels', 'labelMatch',
+  'dueBefore', 'dueAfter', 'overdue', 'milestone', 'sprint', 'subtasks'
+];
+
+// Optional issue details the dashboard list can show
+const VIEW_COLUMNS = [
+  'description', 'labels', 'priority', 'severity', 'dueDate', 'milestone', 'storyPoints',
+  'assignee', 'comments', 'subtasks', 'attachments', 'project'
+];
+
+// Visible to the current user: shared views and their own private ones
+const getVisibleWhere = (req) => ({
+  workspaceId: req.workspace.id,
+  OR: [{ shared: true }, { userId: req.user.userId }]
+});
+
+// Related records returned with every view; pinnedBy only tells whether the current user pinned it
+const getViewInclude = (req) => ({
+  user: {
+    select: {
+      id: true,
+      email: true,
+      name: true
+    }
+  },
+  project: {
+    select: {
+      id: true,
+      name: true
+    }
+  },
+  pinnedBy: {
+    where: { id: req.user.userId },
+    select: { id: true }
+  }
+});
+
+// The creator can change their view; owners and admins can also change (or delete) shared views
+const canEditView = (req, view) => (
+  view.userId === req.user.userId || (view.shared && can(req.membership.role, 'view:manage'))
+);
+
+// Add the current user's pinned, default and edit flags to a view
+const formatView = (req, view, defaultViewId) => {
+  const { pinnedBy, ...rest } = view;
+
+  return {
+    ...rest,
+    pinned: pinnedBy.length > 0,
+    isDefault: view.id === defaultViewId,
+    canEdit: canEditView(req, view)
+  };
+};
+
+// Issues a view lists: its project, or every project in the workspace
+const getViewScope = (view) => (
+  view.projectId ? { projectId: view.projectId } : { project: { workspaceId: { in: [view.workspaceId] } } }
+);
+
+// Stored filters as issue list query parameters (label ID arrays become comma-separated)
+const toFilterQuery = (filters) => Object.fromEntries(
+  Object.entries(filters).map(([key, value]) => [key, Array.isArray(value) ? value.join(',') : String(value)])
+);
+
+// Validate and normalize view fields, returns { data } or { error }
+// Filters and sort are checked the same way the issue list checks its query parameters
+const validateView = async (req, { name, filters, sort, columns, shared, projectId }, isUpdate = false) => {
+  const data = {};
+
+  if (!isUpdate || name !== undefined) {
+    if (!name || !name.trim()) {
+      return { error: 'View name is required' };
+    }
+    if (name.trim().length > 100) {
+      return { error: 'View name must not exceed 100 characters' };
+    }
+    data.name = name.trim();
+  }
+
+  if (!isUpdate || projectId !== undefined) {
+    if (projectId === null || projectId === undefined || projectId === '') {
+      data.projectId = null;
+    } else {
+      const project = await prisma.project.findUnique({ where: { id: parseInt(projectId) || 0 } });
+
+      if (!project || project.workspaceId !== req.workspace.id) {
+        return { error: 'Project must belong to the workspace' };
+      }
+      data.projectId = project.id;
+    }
+  }
+
+  if (!isUpdate || filters !== undefined) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      return { error: 'Filters must be an object' };
+    }
+
+    // Keep the known, non-empty filters only
+    data.filters = Object.fromEntries(Object.entries(filters).filter(([key, value]) => (
+      FILTER_KEYS.includes(key) && value !== '' && value !== null && value !== false &&
+        !(Array.isArray(value) && value.length === 0)
+    )));
+
+    const projectScope = 'projectId' in data ? data.projectId : req.view.projectId;
+    const scopeWhere = getViewScope({ workspaceId: req.workspace.id, projectId: projectScope });
+    const filterResult = await buildIssueFilters(prisma, toFilterQuery(data.filters), {
+      scopeWhere,
+      userId: req.user.userId
+    });
+
+    if (filterResult.error) {
+      return { error: filterResult.error };
+    }
+  }
+
+  if (!isUpdate || sort !== undefined) {
+    const keys = sort || [];
+
+    if (!Array.isArray(keys) || keys.some(key => !key || typeof key.field !== 'string')) {
+      return { error: 'Sort must be a list of { field, order } keys' };
+    }
+
+    const sortResult = parseSort(keys.map(key => `${key.field}:${key.order}`).join(','));
+
+    if (sortResult.error) {
+      return { error: sortResult.error };
+    }
+    data.sort = keys.map(key => ({ field: key.field, order: key.order }));
+  }
+
+  if (!isUpdate || columns !== undefined) {
+    if (!Array.isArray(columns) || columns.some(column => !VIEW_COLUMNS.includes(column))) {
+      return { error: `Columns must be a list of: ${VIEW_COLUMNS.join(', ')}` };
+    }
+    data.columns = [...new Set(columns)];
+  }
+
+  if (shared !== undefined) {
+    if (shared && !can(req.membership.role, 'view:share')) {
+      return { error: 'Your role does not allow sharing views', status: 403 };
+    }
+    data.shared = Boolean(shared);
+  }
+
+  return { data };
+};
+
+// GET /api/workspaces/:workspaceId/views - Get the views visible to the current user
+router.get('/', async (req, res) => {
+  try {
+    const views = await prisma.savedView.findMany({
+      where: getVisibleWhere(req),
+      orderBy: [{ name: 'asc' }, { id: 'asc' }],
+      include: getViewInclude(req)
+    });
+
+    const { defaultViewId } = req.membership;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        views: views.map(view => formatView(req, view, defaultViewId)),
+        defaultViewId: views.some(view => view.id === defaultViewId) ? defaultViewId : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get views error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching views',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/workspaces/:workspaceId/views/counts - Issue counts of the current user's pinned views
+// Filters like assignee:me are evaluated for the user asking
+router.get('/counts', async (req, res) => {
+  try {
+    const views = await prisma.savedView.findMany({
+      where: {
+        ...getVisibleWhere(req),
+        pinnedBy: { some: { id: req.user.userId } }
+      },
+      orderBy: [{ name: 'asc' }, { id: 'asc' }]
+    });
+
+    const counts = [];
+
+    for (const view of views) {
+      const filterResult = await buildIssueFilters(prisma, toFilterQuery(view.filters), {
+        scopeWhere: getViewScope(view),
+        userId: req.user.userId
+      });
+
+      // A filter can stop working later (e.g. a label in its search was renamed)
+      const count = filterResult.error ? null : await prisma.issue.count({ where: filterResult.where });
+
+      counts.push({ viewId: view.id, name: view.name, count });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { counts }
+    });
+
+  } catch (error) {
+    console.error('Get view counts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching view counts',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/workspaces/:workspaceId/views - Save a new view (private unless shared: true)
+router.post('/', async (req, res) => {
+  try {
+    const validation = await validateView(req, req.body);
+
+    if (validation.error) {
+      return res.status(validation.status || 400).json({
+        success: false,
+        message: validation.error
+      });
+    }
+
+    const newView = await prisma.savedView.create({
+      data: {
+        ...validation.data,
+        workspaceId: req.workspace.id,
+        userId: req.user.userId
+      },
+      include: getViewInclude(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'View saved successfully',
+      data: { view: formatView(req, newView, req.membership.defaultViewId) }
+    });
+
+  } catch (error) {
+    console.error('Create view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving view',
+      error: error.message
+    });
+  }
+});
+
+// Load the view from :viewId and verify the current user can see it
+router.param('viewId', async (req, res, next, value) => {
+  try {
+    const viewId = parseInt(value);
+
+    if (isNaN(viewId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid view ID'
+      });
+    }
+
+    const view = await prisma.savedView.findFirst({
+      where: { id: viewId, ...getVisibleWhere(req) }
+    });
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    req.view = view;
+    next();
+
+  } catch (error) {
+    console.error('Load view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching view',
+      error: error.message
+    });
+  }
+});
+
+// Reject changes to a view the current user cannot edit
+const requireEditableView = (req, res, next) => {
+  if (!canEditView(req, req.view)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the creator of this view can change it'
+    });
+  }
+  next();
+};
+
+// PUT /api/workspaces/:workspaceId/views/:viewId - Update a view
+router.put('/:viewId', requireEditableView, async (req, res) => {
+  try {
+    const validation = await validateView(req, req.body, true);
+
+    if (validation.error) {
+      return res.status(validation.status || 400).json({
+        success: false,
+        message: validation.error
+      });
+    }
+
+    const updatedView = await prisma.$transaction(async (tx) => {
+      // Unsharing hides the view from everyone else, so drop their pins and defaults
+      if (req.view.shared && validation.data.shared === false) {
+        const others = await tx.user.findMany({
+          where: { pinnedViews: { some: { id: req.view.id } }, id: { not: req.view.userId } },
+          select: { id: true }
+        });
+
+        await tx.workspaceMember.updateMany({
+          where: { defaultViewId: req.view.id, userId: { not: req.view.userId } },
+          data: { defaultViewId: null }
+        });
+
+        validation.data.pinnedBy = { disconnect: others };
+      }
+
+      return tx.savedView.update({
+        where: { id: req.view.id },
+        data: validation.data,
+        include: getViewInclude(req)
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'View updated successfully',
+      data: { view: formatView(req, updatedView, req.membership.defaultViewId) }
+    });
+
+  } catch (error) {
+    console.error('Update view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating view',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/workspaces/:workspaceId/views/:viewId - Delete a view (pins and defaults go with it)
+router.delete('/:viewId', requireEditableView, async (req, res) => {
+  try {
+    await prisma.savedView.delete({
+      where: { id: req.view.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'View deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting view',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/workspaces/:workspaceId/views/:viewId/pin - Pin the view's count to the current user's dashboard
+// DELETE unpins it
+router.put('/:viewId/pin', async (req, res) => {
+  try {
+    await prisma.savedView.update({
+      where: { id: req.view.id },
+      data: { pinnedBy: { connect: { id: req.user.userId } } }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'View pinned'
+    });
+
+  } catch (error) {
+    console.error('Pin view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error pinning view',
+      error: error.message
+    });
+  }
+});
+
+router.delete('/:viewId/pin', async (req, res) => {
+  try {
+    await prisma.savedView.update({
+      where: { id: req.view.id },
+      data: { pinnedBy: { disconnect: { id: req.user.userId } } }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'View unpinned'
+    });
+
+  } catch (error) {
+    console.error('Unpin view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unpinning view',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/workspaces/:workspaceId/views/:viewId/default - Open the dashboard with this view
+// DELETE goes back to no default view
+router.put('/:viewId/default', async (req, res) => {
+  try {
+    await prisma.workspaceMember.update({
+      where: { id: req.membership.id },
+      data: { defaultViewId: req.view.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Default view set',
+      data: { defaultViewId: req.view.id }
+    });
+
+  } catch (error) {
+    console.error('Set default view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error setting default view',
+      error: error.message
+    });
+  }
+});
+
+router.delete('/:viewId/default', async (req, res) => {
+  try {
+    await prisma.workspaceMember.updateMany({
+      where: { id: req.membership.id, defaultViewId: req.view.id },
+      data: { defaultViewId: null }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Default view cleared',
+      data: { defaultViewId: null }
+    });
+
+  } catch (error) {
+    console.error('Clear default view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing default view',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,571 @@
+// Sprint Routes - Plan, start and complete a project's sprints and follow their burndown
+// Mounted at /api/projects/:projectId/sprints; the projects router loads req.project and req.membership
+
+const express = require('express');
+// mergeParams exposes :projectId from the parent router
+const router = express.Router({ mergeParams: true });
+const { PrismaClient } = require('@prisma/client');
+const { requirePermission } = require('../middleware/permissions');
+const { recordIssueChanges } = require('../utils/activity');
+const { getWorkflow } = require('../utils/workflow');
+const { parseDate } = require('../utils/dates');
+const { MAX_SPRINT_DAYS, getSprintDayCount, buildBurndown } = require('../utils/burndown');
+
+const prisma = new PrismaClient();
+
+// Sprints only move forward: Planned -> Active -> Completed
+const SPRINT_STATES = ['Planned', 'Active', 'Completed'];
+const NEXT_STATE = { Planned: 'Active', Active: 'Completed' };
+
+// Issue fields shown in sprint planning
+const sprintIssueSelect = {
+  id: true,
+  title: true,
+  status: true,
+  priority: true,
+  storyPoints: true,
+  sprintId: true,
+  assignee: {
+    select: {
+      id: true,
+      email: true,
+      name: true
+    }
+  }
+};
+
+// Validate sprint fields, returns an error message or null
+const validateSprint = ({ name, goal, startDate, endDate }, isUpdate = false) => {
+  if (!isUpdate || name !== undefined) {
+    if (!name || !name.trim()) {
+      return 'Sprint name is required';
+    }
+    if (name.trim().length > 100) {
+      return 'Sprint name must not exceed 100 characters';
+    }
+  }
+
+  if (goal && goal.trim().length > 5000) {
+    return 'Sprint goal must not exceed 5000 characters';
+  }
+
+  if ((!isUpdate || startDate !== undefined) && !parseDate(startDate)) {
+    return 'Start date must be a valid date in YYYY-MM-DD format';
+  }
+
+  if ((!isUpdate || endDate !== undefined) && !parseDate(endDate)) {
+    return 'End date must be a valid date in YYYY-MM-DD format';
+  }
+
+  return null;
+};
+
+// Check a sprint's date range (Dates), returns an error message or null
+const validateSprintDates = (startDate, endDate) => {
+  if (endDate < startDate) {
+    return 'End date must be on or after the start date';
+  }
+
+  if (getSprintDayCount(startDate, endDate) > MAX_SPRINT_DAYS) {
+    return `A sprint cannot last more than ${MAX_SPRINT_DAYS} days`;
+  }
+
+  return null;
+};
+
+// Check whether another sprint in the project already uses this name
+const isNameTaken = async (projectId, name, excludeId = null) => {
+  const existing = await prisma.sprint.findUnique({
+    where: { projectId_name: { projectId, name } }
+  });
+
+  return Boolean(existing && existing.id !== excludeId);
+};
+
+// Status keys of the project's Done-category statuses
+const getDoneKeys = async (projectId) => {
+  const statuses = await getWorkflow(prisma, projectId);
+  return statuses.filter(status => status.category === 'Done').map(status => status.key);
+};
+
+// Add progress to sprints: issue and story point totals, and how much of each is done
+const withProgress = async (projectId, sprints) => {
+  const doneKeys = await getDoneKeys(projectId);
+
+  const statusTotals = await prisma.issue.groupBy({
+    by: ['sprintId', 'status'],
+    _count: { status: true },
+    _sum: { storyPoints: true },
+    where: { sprintId: { in: sprints.map(sprint => sprint.id) } }
+  });
+
+  return sprints.map(sprint => {
+    const progress = { total: 0, done: 0, points: 0, donePoints: 0 };
+
+    statusTotals
+      .filter(item => item.sprintId === sprint.id)
+      .forEach(item => {
+        const points = item._sum.storyPoints || 0;
+
+        progress.total += item._count.status;
+        progress.points += points;
+
+        if (doneKeys.includes(item.status)) {
+          progress.done += item._count.status;
+          progress.donePoints += points;
+        }
+      });
+
+    return { ...sprint, ...progress };
+  });
+};
+
+// Move issues into a sprint (or back to the backlog with null) and record each move
+const moveIssues = async (tx, issues, sprintId, userId) => {
+  for (const issue of issues) {
+    await tx.issue.update({
+      where: { id: issue.id },
+      data: { sprintId }
+    });
+
+    await recordIssueChanges(tx, issue, { ...issue, sprintId }, userId);
+  }
+};
+
+// GET /api/projects/:projectId/sprints - Get the project's sprints with progress
+// The active sprint comes first, then planned sprints, then completed ones, each by start date
+router.get('/', async (req, res) => {
+  try {
+    const sprints = await prisma.sprint.findMany({
+      where: { projectId: req.project.id },
+      orderBy: [{ startDate: 'asc' }, { createdAt: 'asc' }]
+    });
+
+    const stateOrder = ['Active', 'Planned', 'Completed'];
+    sprints.sort((a, b) => stateOrder.indexOf(a.state) - stateOrder.indexOf(b.state));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sprints: await withProgress(req.project.id, sprints),
+        statuses: await getWorkflow(prisma, req.project.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sprints error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sprints',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/projects/:projectId/sprints/backlog - Get unfinished issues not planned into a sprint
+router.get('/backlog', async (req, res) => {
+  try {
+    const doneKeys = await getDoneKeys(req.project.id);
+
+    const issues = await prisma.issue.findMany({
+      where: {
+        projectId: req.project.id,
+        sprintId: null,
+        status: { notIn: doneKeys }
+      },
+      orderBy: { createdAt: 'desc' },
+      select: sprintIssueSelect
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { issues }
+    });
+
+  } catch (error) {
+    console.error('Get backlog error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching backlog',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/projects/:projectId/sprints - Create new sprint (starts out Planned)
+router.post('/', requirePermission('sprint:manage'), async (req, res) => {
+  try {
+    const { name, goal, startDate, endDate } = req.body;
+
+    const validationError = validateSprint({ name, goal, startDate, endDate });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const datesError = validateSprintDates(parseDate(startDate), parseDate(endDate));
+    if (datesError) {
+      return res.status(400).json({
+        success: false,
+        message: datesError
+      });
+    }
+
+    if (await isNameTaken(req.project.id, name.trim())) {
+      return res.status(409).json({
+        success: false,
+        message: 'A sprint with this name already exists in the project'
+      });
+    }
+
+    const newSprint = await prisma.sprint.create({
+      data: {
+        name: name.trim(),
+        goal: goal ? goal.trim() : null,
+        startDate: parseDate(startDate),
+        endDate: parseDate(endDate),
+        projectId: req.project.id
+      }
+    });
+
+    const [sprint] = await withProgress(req.project.id, [newSprint]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Sprint created successfully',
+      data: { sprint }
+    });
+
+  } catch (error) {
+    console.error('Create sprint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating sprint',
+      error: error.message
+    });
+  }
+});
+
+// Load the sprint from :sprintId and verify it belongs to the project
+router.param('sprintId', async (req, res, next, value) => {
+  try {
+    const sprintId = parseInt(value);
+
+    if (isNaN(sprintId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid sprint ID'
+      });
+    }
+
+    const sprint = await prisma.sprint.findUnique({
+      where: { id: sprintId }
+    });
+
+    if (!sprint || sprint.projectId !== req.project.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sprint not found'
+      });
+    }
+
+    req.sprint = sprint;
+    next();
+
+  } catch (error) {
+    console.error('Load sprint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sprint',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/projects/:projectId/sprints/:sprintId - Get single sprint with progress and its issues
+router.get('/:sprintId', async (req, res) => {
+  try {
+    const [sprint] = await withProgress(req.project.id, [req.sprint]);
+
+    const issues = await prisma.issue.findMany({
+      where: { sprintId: req.sprint.id },
+      orderBy: { createdAt: 'asc' },
+      select: sprintIssueSelect
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { sprint, issues }
+    });
+
+  } catch (error) {
+    console.error('Get sprint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sprint',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/projects/:projectId/sprints/:sprintId/burndown - Get remaining work per sprint day
+router.get('/:sprintId/burndown', async (req, res) => {
+  try {
+    const burndown = await buildBurndown(prisma, req.sprint, await getDoneKeys(req.project.id));
+
+    res.status(200).json({
+      success: true,
+      data: { burndown }
+    });
+
+  } catch (error) {
+    console.error('Get burndown error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching burndown',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/projects/:projectId/sprints/:sprintId - Update sprint, or start/complete it with state
+// Completing moves unfinished issues to the planned sprint in moveOpenIssuesTo, or to the backlog
+router.put('/:sprintId', requirePermission('sprint:manage'), async (req, res) => {
+  try {
+    const { name, goal, startDate, endDate, state, moveOpenIssuesTo } = req.body;
+
+    const validationError = validateSprint({ name, goal, startDate, endDate }, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const updateData = {};
+
+    if (name !== undefined) {
+      if (await isNameTaken(req.project.id, name.trim(), req.sprint.id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A sprint with this name already exists in the project'
+        });
+      }
+      updateData.name = name.trim();
+    }
+
+    if (goal !== undefined) updateData.goal = goal ? goal.trim() : null;
+    if (startDate !== undefined) updateData.startDate = parseDate(startDate);
+    if (endDate !== undefined) updateData.endDate = parseDate(endDate);
+
+    const datesError = validateSprintDates(
+      updateData.startDate || req.sprint.startDate,
+      updateData.endDate || req.sprint.endDate
+    );
+    if (datesError) {
+      return res.status(400).json({
+        success: false,
+        message: datesError
+      });
+    }
+
+    let target = null;
+
+    if (state !== undefined && state !== req.sprint.state) {
+      if (!SPRINT_STATES.includes(state)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid state. Must be one of: ' + SPRINT_STATES.join(', ')
+        });
+      }
+
+      if (NEXT_STATE[req.sprint.state] !== state) {
+        return res.status(409).json({
+          success: false,
+          message: `A ${req.sprint.state.toLowerCase()} sprint cannot be moved to ${state}`
+        });
+      }
+
+      if (state === 'Active') {
+        const activeSprint = await prisma.sprint.findFirst({
+          where: { projectId: req.project.id, state: 'Active' }
+        });
+
+        if (activeSprint) {
+          return res.status(409).json({
+            success: false,
+            message: `Complete "${activeSprint.name}" before starting another sprint`
+          });
+        }
+        updateData.startedAt = new Date();
+      }
+
+      if (state === 'Completed') {
+        if (moveOpenIssuesTo !== undefined && moveOpenIssuesTo !== null && moveOpenIssuesTo !== '') {
+          target = await prisma.sprint.findUnique({
+            where: { id: parseInt(moveOpenIssuesTo) || 0 }
+          });
+
+          if (!target || target.projectId !== req.project.id || target.state !== 'Planned') {
+            return res.status(400).json({
+              success: false,
+              message: 'Unfinished issues can only be moved to a planned sprint of the project'
+            });
+          }
+        }
+        updateData.completedAt = new Date();
+      }
+
+      updateData.state = state;
+    }
+
+    const doneKeys = await getDoneKeys(req.project.id);
+
+    const { updatedSprint, movedIssueCount } = await prisma.$transaction(async (tx) => {
+      const sprint = await tx.sprint.update({
+        where: { id: req.sprint.id },
+        data: updateData
+      });
+
+      if (updateData.state !== 'Completed') {
+        return { updatedSprint: sprint, movedIssueCount: 0 };
+      }
+
+      // Carry unfinished issues over so the next sprint (or the backlog) picks them up
+      const openIssues = await tx.issue.findMany({
+        where: { sprintId: sprint.id, status: { notIn: doneKeys } }
+      });
+
+      await moveIssues(tx, openIssues, target ? target.id : null, req.user.userId);
+      return { updatedSprint: sprint, movedIssueCount: openIssues.length };
+    });
+
+    const [sprint] = await withProgress(req.project.id, [updatedSprint]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sprint updated successfully',
+      data: { sprint, movedIssueCount }
+    });
+
+  } catch (error) {
+    console.error('Update sprint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating sprint',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/projects/:projectId/sprints/:sprintId - Delete sprint (its issues return to the backlog)
+router.delete('/:sprintId', requirePermission('sprint:manage'), async (req, res) => {
+  try {
+    await prisma.sprint.delete({
+      where: { id: req.sprint.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Sprint deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete sprint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting sprint',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/projects/:projectId/sprints/:sprintId/issues - Move issues into the sprint
+// Body: { issueIds } - issues of the project, taken from the backlog or another sprint
+router.post('/:sprintId/issues', requirePermission('issue:update'), async (req, res) => {
+  try {
+    const { issueIds } = req.body;
+
+    if (!Array.isArray(issueIds) || issueIds.length === 0 || issueIds.some(id => !Number.isInteger(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'issueIds must be a non-empty array of issue IDs'
+      });
+    }
+
+    if (req.sprint.state === 'Completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Issues cannot be added to a completed sprint'
+      });
+    }
+
+    const issues = await prisma.issue.findMany({
+      where: { id: { in: issueIds }, projectId: req.project.id }
+    });
+
+    if (issues.length !== new Set(issueIds).size) {
+      return res.status(400).json({
+        success: false,
+        message: 'Issues must belong to the sprint\'s project'
+      });
+    }
+
+    const toMove = issues.filter(issue => issue.sprintId !== req.sprint.id);
+
+    await prisma.$transaction(async (tx) => {
+      await moveIssues(tx, toMove, req.sprint.id, req.user.userId);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${toMove.length} issue${toMove.length === 1 ? '' : 's'} added to the sprint`,
+      data: { issueIds: toMove.map(issue => issue.id) }
+    });
+
+  } catch (error) {
+    console.error('Add sprint issues error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding issues to sprint',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/projects/:projectId/sprints/:sprintId/issues/:issueId - Move an issue back to the backlog
+router.delete('/:sprintId/issues/:issueId', requirePermission('issue:update'), async (req, res) => {
+  try {
+    const issue = await prisma.issue.findUnique({
+      where: { id: parseInt(req.params.issueId) || 0 }
+    });
+
+    if (!issue || issue.sprintId !== req.sprint.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found in this sprint'
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await moveIssues(tx, [issue], null, req.user.userId);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Issue moved to the backlog'
+    });
+
+  } catch (error) {
+    console.error('Remove sprint issue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing issue from sprint',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
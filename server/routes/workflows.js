@@ -0,0 +1,161 @@
+// Workflow Routes - View and configure a project's statuses and allowed transitions
+// Mounted at /api/projects/:projectId/workflow; the projects router loads req.project and req.membership
+
+const express = require('express');
+// mergeParams exposes :projectId from the parent router
+const router = express.Router({ mergeParams: true });
+const { PrismaClient } = require('@prisma/client');
+const { requirePermission } = require('../middleware/permissions');
+const { STATUS_CATEGORIES, getWorkflow, createWorkflow } = require('../utils/workflow');
+
+const prisma = new PrismaClient();
+
+// Status keys are stored on issues and used in URLs, so keep them simple, e.g. InReview
+const KEY_PATTERN = /^[A-Za-z][A-Za-z0-9]{0,49}$/;
+
+// Statuses use 6-digit hex colors, e.g. #198ED2
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+const MAX_STATUSES = 20;
+
+// Validate a full workflow definition, returns an error message or null
+// statuses: [{ key, name, category, color, transitions: ['OtherKey', ...] }]
+const validateWorkflow = (statuses) => {
+  if (!Array.isArray(statuses) || statuses.length === 0) {
+    return 'A workflow needs at least one status';
+  }
+
+  if (statuses.length > MAX_STATUSES) {
+    return `A workflow can have at most ${MAX_STATUSES} statuses`;
+  }
+
+  const keys = statuses.map(status => status && status.key);
+
+  for (const status of statuses) {
+    if (!status || !KEY_PATTERN.test(status.key || '')) {
+      return 'Status keys must start with a letter and contain only letters and digits (max 50)';
+    }
+    if (keys.filter(key => key === status.key).length > 1) {
+      return `Status key "${status.key}" is used more than once`;
+    }
+    if (!status.name || !status.name.trim()) {
+      return `Status "${status.key}" needs a name`;
+    }
+    if (status.name.trim().length > 50) {
+      return 'Status names must not exceed 50 characters';
+    }
+    if (!STATUS_CATEGORIES.includes(status.category)) {
+      return `Status category must be one of: ${STATUS_CATEGORIES.join(', ')}`;
+    }
+    if (!status.color || !COLOR_PATTERN.test(status.color)) {
+      return 'Status color must be a hex color like #198ED2';
+    }
+
+    const transitions = status.transitions || [];
+    if (!Array.isArray(transitions)) {
+      return `Transitions of "${status.key}" must be a list of status keys`;
+    }
+    for (const target of transitions) {
+      if (!keys.includes(target) || target === status.key) {
+        return `"${status.key}" has a transition to an unknown status "${target}"`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// GET /api/projects/:projectId/workflow - Get the project's statuses with their allowed transitions
+router.get('/', async (req, res) => {
+  try {
+    const statuses = await getWorkflow(prisma, req.project.id);
+
+    res.status(200).json({
+      success: true,
+      data: { statuses }
+    });
+
+  } catch (error) {
+    console.error('Get workflow error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching workflow',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/projects/:projectId/workflow - Replace the project's workflow
+// Statuses are ordered as sent; the first one is where new issues start
+router.put('/', requirePermission('project:update'), async (req, res) => {
+  try {
+    const { statuses } = req.body;
+
+    const validationError = validateWorkflow(statuses);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    // Statuses that issues are still in cannot be removed
+    const keys = statuses.map(status => status.key);
+    const inUse = await prisma.issue.groupBy({
+      by: ['status'],
+      where: {
+        projectId: req.project.id,
+        status: { notIn: keys }
+      },
+      _count: { _all: true }
+    });
+
+    if (inUse.length > 0) {
+      const details = inUse.map(group => `${group.status} (${group._count._all})`).join(', ');
+      return res.status(409).json({
+        success: false,
+        message: `Move issues out of these statuses before removing them: ${details}`
+      });
+    }
+
+    const transitions = statuses.flatMap(status =>
+      [...new Set(status.transitions || [])].map(to => ({ from: status.key, to }))
+    );
+
+    const updatedStatuses = await prisma.$transaction(async (tx) => {
+      await tx.workflowStatus.deleteMany({
+        where: { projectId: req.project.id }
+      });
+
+      await createWorkflow(
+        tx,
+        req.project.id,
+        statuses.map(status => ({
+          key: status.key,
+          name: status.name.trim(),
+          category: status.category,
+          color: status.color.toUpperCase()
+        })),
+        transitions
+      );
+
+      return getWorkflow(tx, req.project.id);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Workflow updated successfully',
+      data: { statuses: updatedStatuses }
+    });
+
+  } catch (error) {
+    console.error('Update workflow error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating workflow',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,615 @@
+// Workspace Routes - Workspaces, their members, and email-token invitations
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const authenticateToken = require('../middleware/auth');
+const labelRoutes = require('./labels');
+const savedViewRoutes = require('./savedViews');
+const { getMembership } = require('../utils/workspaceAccess');
+const { ROLES, can, getPermissions, requirePermission } = require('../middleware/permissions');
+const { removeFiles } = require('../storage');
+
+const prisma = new PrismaClient();
+
+// Invitation links stay valid for 7 days
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Member fields returned by the API (never expose password hashes)
+const memberInclude = {
+  user: {
+    select: {
+      id: true,
+      email: true,
+      name: true
+    }
+  }
+};
+
+// Build the client URL a user opens to accept an invitation
+const getInvitationUrl = (token) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  return `${clientUrl}/invitations/${token}`;
+};
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// GET /api/workspaces - Get all workspaces the current user belongs to
+router.get('/', async (req, res) => {
+  try {
+    const memberships = await prisma.workspaceMember.findMany({
+      where: { userId: req.user.userId },
+      orderBy: { createdAt: 'asc' },
+      include: {
+        workspace: {
+          include: {
+            _count: { select: { members: true, projects: true } }
+          }
+        }
+      }
+    });
+
+    // Flatten memberships into workspaces annotated with the user's role and permissions
+    const workspaces = memberships.map(membership => ({
+      ...membership.workspace,
+      role: membership.role,
+      permissions: getPermissions(membership.role)
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: { workspaces }
+    });
+
+  } catch (error) {
+    console.error('Get workspaces error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching workspaces',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/workspaces - Create new workspace (creator becomes its owner)
+router.post('/', async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || name.trim().length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace name must be at least 2 characters long'
+      });
+    }
+
+    if (name.trim().length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace name must not exceed 100 characters'
+      });
+    }
+
+    const newWorkspace = await prisma.workspace.create({
+      data: {
+        name: name.trim(),
+        createdById: req.user.userId,
+        members: {
+          create: { userId: req.user.userId, role: 'Owner' }
+        }
+      },
+      include: {
+        _count: { select: { members: true, projects: true } }
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Workspace created successfully',
+      data: { workspace: { ...newWorkspace, role: 'Owner', permissions: getPermissions('Owner') } }
+    });
+
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating workspace',
+      error: error.message
+    });
+  }
+});
+
+// Load the workspace from :workspaceId and verify the current user is a member
+// Sets req.workspace and req.membership for the route handlers
+router.param('workspaceId', async (req, res, next, value) => {
+  try {
+    const workspaceId = parseInt(value);
+
+    if (isNaN(workspaceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid workspace ID'
+      });
+    }
+
+    const workspace = await prisma.workspace.findUnique({
+      where: { id: workspaceId }
+    });
+
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found'
+      });
+    }
+
+    const membership = await getMembership(req.user.userId, workspaceId);
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this workspace'
+      });
+    }
+
+    req.workspace = workspace;
+    req.membership = membership;
+    next();
+
+  } catch (error) {
+    console.error('Load workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching workspace',
+      error: error.message
+    });
+  }
+});
+
+// Labels of the workspace (the :workspaceId param loader above runs first)
+router.use('/:workspaceId/labels', labelRoutes);
+
+// Saved issue list views of the workspace
+router.use('/:workspaceId/views', savedViewRoutes);
+
+// GET /api/workspaces/:workspaceId - Get single workspace
+router.get('/:workspaceId', async (req, res) => {
+  try {
+    const workspace = await prisma.workspace.findUnique({
+      where: { id: req.workspace.id },
+      include: {
+        _count: { select: { members: true, projects: true } }
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        workspace: {
+          ...workspace,
+          role: req.membership.role,
+          permissions: getPermissions(req.membership.role)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching workspace',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/workspaces/:workspaceId - Rename workspace (owners only)
+router.put('/:workspaceId', requirePermission('workspace:update'), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || name.trim().length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace name must be at least 2 characters long'
+      });
+    }
+
+    if (name.trim().length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace name must not exceed 100 characters'
+      });
+    }
+
+    const updatedWorkspace = await prisma.workspace.update({
+      where: { id: req.workspace.id },
+      data: { name: name.trim() },
+      include: {
+        _count: { select: { members: true, projects: true } }
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Workspace updated successfully',
+      data: {
+        workspace: {
+          ...updatedWorkspace,
+          role: req.membership.role,
+          permissions: getPermissions(req.membership.role)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Update workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating workspace',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/workspaces/:workspaceId - Delete workspace with all projects and issues (owners only)
+router.delete('/:workspaceId', requirePermission('workspace:delete'), async (req, res) => {
+  try {
+    // Attachment records are deleted with the workspace's issues; their files are removed afterwards
+    const attachments = await prisma.attachment.findMany({
+      where: { issue: { project: { workspaceId: req.workspace.id } } },
+      select: { storageKey: true }
+    });
+
+    await prisma.workspace.delete({
+      where: { id: req.workspace.id }
+    });
+
+    await removeFiles(attachments.map(attachment => attachment.storageKey));
+
+    res.status(200).json({
+      success: true,
+      message: 'Workspace deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting workspace',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/workspaces/:workspaceId/members - Get workspace members
+router.get('/:workspaceId/members', async (req, res) => {
+  try {
+    const members = await prisma.workspaceMember.findMany({
+      where: { workspaceId: req.workspace.id },
+      orderBy: { createdAt: 'asc' },
+      include: memberInclude
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { members }
+    });
+
+  } catch (error) {
+    console.error('Get members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching workspace members',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/workspaces/:workspaceId/members/:userId - Change a member's role (owners and admins)
+router.put('/:workspaceId/members/:userId', requirePermission('member:manage'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const { role } = req.body;
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role. Must be one of: ' + ROLES.join(', ')
+      });
+    }
+
+    const member = await getMembership(userId, req.workspace.id);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    // Only owners can grant or take away ownership
+    if ((role === 'Owner' || member.role === 'Owner') && req.membership.role !== 'Owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace owners can change ownership'
+      });
+    }
+
+    // A workspace must always keep at least one owner
+    if (member.role === 'Owner' && role !== 'Owner') {
+      const ownerCount = await prisma.workspaceMember.count({
+        where: { workspaceId: req.workspace.id, role: 'Owner' }
+      });
+
+      if (ownerCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'The workspace must keep at least one owner'
+        });
+      }
+    }
+
+    const updatedMember = await prisma.workspaceMember.update({
+      where: { id: member.id },
+      data: { role },
+      include: memberInclude
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: { member: updatedMember }
+    });
+
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating member',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/workspaces/:workspaceId/members/:userId - Remove a member (owners) or leave (self)
+router.delete('/:workspaceId/members/:userId', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const isSelf = userId === req.user.userId;
+
+    if (!isSelf && !can(req.membership.role, 'member:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your role does not allow removing other members'
+      });
+    }
+
+    const member = await getMembership(userId, req.workspace.id);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    // Only owners can remove other owners
+    if (!isSelf && member.role === 'Owner' && req.membership.role !== 'Owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace owners can remove other owners'
+      });
+    }
+
+    // A workspace must always keep at least one owner
+    if (member.role === 'Owner') {
+      const ownerCount = await prisma.workspaceMember.count({
+        where: { workspaceId: req.workspace.id, role: 'Owner' }
+      });
+
+      if (ownerCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'The last owner cannot leave or be removed from the workspace'
+        });
+      }
+    }
+
+    // Removing the membership also unassigns the user from the workspace's issues
+    await prisma.$transaction([
+      prisma.issue.updateMany({
+        where: { assigneeId: userId, project: { workspaceId: req.workspace.id } },
+        data: { assigneeId: null }
+      }),
+      prisma.workspaceMember.delete({
+        where: { id: member.id }
+      })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: isSelf ? 'You have left the workspace' : 'Member removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing member',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/workspaces/:workspaceId/invitations - Get pending invitations (owners and admins)
+router.get('/:workspaceId/invitations', requirePermission('member:manage'), async (req, res) => {
+  try {
+    const invitations = await prisma.workspaceInvitation.findMany({
+      where: {
+        workspaceId: req.workspace.id,
+        acceptedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invitations: invitations.map(invitation => ({
+          ...invitation,
+          url: getInvitationUrl(invitation.token)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invitations',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/workspaces/:workspaceId/invitations - Invite a user by email (owners and admins)
+router.post('/:workspaceId/invitations', requirePermission('member:manage'), async (req, res) => {
+  try {
+    const email = req.body.email ? req.body.email.trim().toLowerCase() : '';
+    const role = req.body.role || 'Member';
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email address'
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role. Must be one of: ' + ROLES.join(', ')
+      });
+    }
+
+    // Only owners can hand out ownership
+    if (role === 'Owner' && req.membership.role !== 'Owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace owners can invite other owners'
+      });
+    }
+
+    // Don't invite people who are already members
+    const existingMember = await prisma.workspaceMember.findFirst({
+      where: {
+        workspaceId: req.workspace.id,
+        user: { email }
+      }
+    });
+
+    if (existingMember) {
+      return res.status(409).json({
+        success: false,
+        message: 'This user is already a member of the workspace'
+      });
+    }
+
+    const invitation = await prisma.workspaceInvitation.create({
+      data: {
+        email,
+        role,
+        token: crypto.randomBytes(32).toString('hex'),
+        expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+        workspaceId: req.workspace.id,
+        invitedById: req.user.userId
+      }
+    });
+
+    const url = getInvitationUrl(invitation.token);
+
+    // No mail transport is configured, so the link is returned for sharing. The token in it is a
+    // credential: it is only logged in development, never in production logs
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`📧 Invitation for ${email} to workspace "${req.workspace.name}": ${url}`);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation created successfully',
+      data: { invitation: { ...invitation, url } }
+    });
+
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating invitation',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/workspaces/:workspaceId/invitations/:invitationId - Revoke invitation (owners and admins)
+router.delete('/:workspaceId/invitations/:invitationId', requirePermission('member:manage'), async (req, res) => {
+  try {
+    const invitationId = parseInt(req.params.invitationId);
+
+    if (isNaN(invitationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invitation ID'
+      });
+    }
+
+    const invitation = await prisma.workspaceInvitation.findUnique({
+      where: { id: invitationId }
+    });
+
+    if (!invitation || invitation.workspaceId !== req.workspace.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    await prisma.workspaceInvitation.delete({
+      where: { id: invitationId }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking invitation',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -57,6 +57,10 @@ app.use((req, res, next) => {
 // Import route handlers
 const authRoutes = require('./routes/auth');
 const issueRoutes = require('./routes/issues');
+const projectRoutes = require('./routes/projects');
+const workspaceRoutes = require('./routes/workspaces');
+const invitationRoutes = require('./routes/invitations');
+const downloadRoutes = require('./routes/downloads');
 
 // ========================================
 // ROUTE REGISTRATION
@@ -78,6 +82,18 @@ app.use('/api/auth', authRoutes);
 // All issue routes will be prefixed with /api/issues
 app.use('/api/issues', issueRoutes);
 
+// All project routes (including project-scoped issues) will be prefixed with /api/projects
+app.use('/api/projects', projectRoutes);
+
+// All workspace routes (members and invitations) will be prefixed with /api/workspaces
+app.use('/api/workspaces', workspaceRoutes);
+
+// Invitation acceptance routes will be prefixed with /api/invitations
+app.use('/api/invitations', invitationRoutes);
+
+// Signed attachment download links will be prefixed with /api/downloads
+app.use('/api/downloads', downloadRoutes);
+
 // ========================================
 // ERROR HANDLING MIDDLEWARE
 // ========================================
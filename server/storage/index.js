@@ -0,0 +1,50 @@
+// Storage - Pluggable backend for uploaded files (issue attachments)
+//
+// Every backend implements the same interface, with keys generated by the server:
+//   save(key, buffer, mimeType) - store a file
+//   getStream(key)              - resolve to a readable stream (rejects with err.status = 404 if missing)
+//   remove(key)                 - delete a file (missing files are ignored)
+//
+// STORAGE_DRIVER selects the backend: 'local' (default) or 's3' for any S3-compatible
+// service such as AWS S3 or a local MinIO container
+
+const createLocalStorage = require('./localStorage');
+
+let storage = null;
+
+// Get the configured storage backend (created on first use)
+const getStorage = () => {
+  if (storage) {
+    return storage;
+  }
+
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  if (driver === 'local') {
+    storage = createLocalStorage({ root: process.env.UPLOAD_DIR });
+  } else if (driver === 's3') {
+    // Loaded lazily so the AWS SDK is only required when S3 is used
+    const createS3Storage = require('./s3Storage');
+    storage = createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    });
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use "local" or "s3"`);
+  }
+
+  return storage;
+};
+
+// Remove stored files, logging instead of failing when one cannot be removed
+// Used after database records are deleted, when the files are no longer reachable anyway
+const removeFiles = (keys) => {
+  return Promise.all(keys.map(key => (
+    getStorage().remove(key).catch(error => console.error('Remove stored file error:', error))
+  )));
+};
+
+module.exports = { getStorage, removeFiles };
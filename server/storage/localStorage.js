@@ -0,0 +1,51 @@
+// Local Storage - Keeps uploaded files on the server's disk (default backend)
+
+const fs = require('fs');
+const path = require('path');
+
+// Error for files that are not in storage, handled as 404 by the routes
+const notFound = (key) => {
+  const error = new Error(`File not found in storage: ${key}`);
+  error.status = 404;
+  return error;
+};
+
+// Create a storage backend that writes under root (defaults to server/uploads)
+const createLocalStorage = ({ root } = {}) => {
+  const baseDir = path.resolve(root || path.join(__dirname, '..', 'uploads'));
+
+  // Resolve a key to a path, refusing anything that escapes the base directory
+  const resolvePath = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolvePath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async getStream(key) {
+      const filePath = resolvePath(key);
+
+      try {
+        await fs.promises.access(filePath, fs.constants.R_OK);
+      } catch (error) {
+        throw notFound(key);
+      }
+
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolvePath(key), { force: true });
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,53 @@
+// S3 Storage - Keeps uploaded files in an S3-compatible bucket
+// Works with AWS S3 and with self-hosted services such as MinIO (set S3_ENDPOINT)
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+// Create a storage backend for a bucket
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when STORAGE_DRIVER is "s3"');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    // Custom endpoints (MinIO etc.) usually need path-style URLs: http://host:9000/bucket/key
+    ...(endpoint && { endpoint, forcePathStyle: true }),
+    // Without explicit keys the SDK falls back to its default credential chain
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } })
+  });
+
+  return {
+    async save(key, buffer, mimeType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: mimeType
+      }));
+    },
+
+    async getStream(key) {
+      try {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return response.Body;
+      } catch (error) {
+        if (error.name === 'NoSuchKey') {
+          error.status = 404;
+        }
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,77 @@
+// Issue Activity Helpers - Record the audit trail of issue changes
+// Each helper takes the Prisma client or a transaction client (tx) so activity is
+// written atomically with the change it describes
+
+// Issue fields whose changes are recorded
+const TRACKED_FIELDS = ['title', 'description', 'status', 'priority', 'severity', 'assigneeId', 'dueDate', 'storyPoints', 'milestoneId', 'sprintId', 'parentId', 'labels'];
+
+// Store values as text (null stays null)
+const toText = (value) => (value === null || value === undefined ? null : String(value));
+
+// Read a tracked field as text; labels are recorded as a sorted, comma-separated list of names
+// (issues must be loaded with their labels for label changes to be detected)
+const getFieldText = (issue, field) => {
+  if (field === 'labels') {
+    return issue.labels ? issue.labels.map(label => label.name).sort().join(', ') : null;
+  }
+
+  // Due dates are calendar dates, recorded as YYYY-MM-DD
+  if (field === 'dueDate') {
+    return issue.dueDate ? issue.dueDate.toISOString().slice(0, 10) : null;
+  }
+
+  return toText(issue[field]);
+};
+
+// Record the creation of an issue, dated like the issue (imported issues keep their original date)
+const recordIssueCreated = (db, issue, userId) => {
+  return db.issueActivity.create({
+    data: {
+      issueId: issue.id,
+      action: 'Created',
+      userId,
+      createdAt: issue.createdAt
+    }
+  });
+};
+
+// Record one Updated row per tracked field that differs between before and after
+// Returns the number of rows written (0 when nothing changed)
+const recordIssueChanges = async (db, before, after, userId) => {
+  const changes = TRACKED_FIELDS
+    .filter(field => getFieldText(before, field) !== getFieldText(after, field))
+    .map(field => ({
+      issueId: after.id,
+      action: 'Updated',
+      field,
+      oldValue: getFieldText(before, field),
+      newValue: getFieldText(after, field),
+      userId
+    }));
+
+  if (changes.length === 0) {
+    return 0;
+  }
+
+  const result = await db.issueActivity.createMany({ data: changes });
+  return result.count;
+};
+
+// Record the deletion of an issue, keeping its title for the trail
+const recordIssueDeleted = (db, issue, userId) => {
+  return db.issueActivity.create({
+    data: {
+      issueId: issue.id,
+      action: 'Deleted',
+      oldValue: issue.title,
+      userId
+    }
+  });
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  recordIssueCreated,
+  recordIssueChanges,
+  recordIssueDeleted
+};
@@ -0,0 +1,72 @@
+// Attachment Type Helpers - Which files can be attached and the type each one is stored and served as
+// The type comes from the file's extension (checked against its content), never from the type
+// the browser sends with the upload, so a client cannot choose how a file is served back
+
+// File types that can be attached, by extension: images, documents, logs and archives
+// SVG and HTML are left out because browsers can run scripts inside them
+const ATTACHMENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tgz': 'application/gzip'
+};
+
+const ALLOWED_MIME_TYPES = [...new Set(Object.values(ATTACHMENT_TYPES))];
+
+// Leading bytes every file of a binary type starts with (null bytes are wildcards)
+// Text types have no signature and are always served as text
+const SIGNATURES = {
+  'image/png': [[0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]],
+  'image/jpeg': [[0xFF, 0xD8, 0xFF]],
+  'image/gif': [[0x47, 0x49, 0x46, 0x38]],
+  // RIFF....WEBP
+  'image/webp': [[0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]],
+  // %PDF-
+  'application/pdf': [[0x25, 0x50, 0x44, 0x46, 0x2D]],
+  // A zip starts with a file entry, or with the end-of-archive record when it is empty
+  'application/zip': [[0x50, 0x4B, 0x03, 0x04], [0x50, 0x4B, 0x05, 0x06]],
+  'application/gzip': [[0x1F, 0x8B]]
+};
+
+// Type to store for an uploaded file name, e.g. 'screenshot.PNG' -> 'image/png'
+// Returns null for extensions that cannot be attached
+const getAttachmentType = (fileName) => {
+  const dot = fileName.lastIndexOf('.');
+  const extension = dot === -1 ? '' : fileName.slice(dot).toLowerCase();
+  return Object.hasOwn(ATTACHMENT_TYPES, extension) ? ATTACHMENT_TYPES[extension] : null;
+};
+
+// Whether a file's content starts the way files of its type do
+const matchesContent = (type, buffer) => {
+  const signatures = SIGNATURES[type];
+
+  if (!signatures) {
+    return true;
+  }
+
+  return signatures.some(signature => (
+    buffer.length >= signature.length &&
+    signature.every((byte, index) => byte === null || buffer[index] === byte)
+  ));
+};
+
+// Whether a stored type may be served as it is (attachments saved before types were
+// derived from extensions may carry whatever the browser sent)
+const isAllowedType = (type) => ALLOWED_MIME_TYPES.includes(type);
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  ALLOWED_MIME_TYPES,
+  getAttachmentType,
+  matchesContent,
+  isAllowedType
+};
@@ -0,0 +1,76 @@
+// Board Helpers - Manual order of issues within a status column on the board
+// Positions are spaced POSITION_GAP apart, so moving a card usually only writes the
+// moved issue; the column is renumbered when two neighbours leave no room between them
+
+const POSITION_GAP = 1024;
+
+// Column order: manual position first, then newest first for issues never moved
+// (every issue starts at position 0)
+const BOARD_ORDER = [{ boardPosition: 'asc' }, { createdAt: 'desc' }, { id: 'desc' }];
+
+// Write positions with raw SQL: a Prisma update would also bump updatedAt, and
+// reordering a column should not mark every issue in it as recently updated
+const setBoardPosition = (db, issueId, boardPosition) =>
+  db.$executeRaw`UPDATE \`Issue\` SET \`boardPosition\` = ${boardPosition} WHERE \`id\` = ${issueId}`;
+
+// Position that puts an issue above every other issue in a project's status column
+const getTopPosition = async (db, projectId, status) => {
+  const first = await db.issue.findFirst({
+    where: { projectId, status },
+    orderBy: BOARD_ORDER,
+    select: { boardPosition: true }
+  });
+
+  return first ? first.boardPosition - POSITION_GAP : 0;
+};
+
+// Move an issue within its status column, directly before beforeId or after afterId
+// Returns false when the neighbour is not another issue in the same column
+const placeIssue = async (db, issue, { beforeId, afterId }) => {
+  const column = await db.issue.findMany({
+    where: { projectId: issue.projectId, status: issue.status, id: { not: issue.id } },
+    orderBy: BOARD_ORDER,
+    select: { id: true, boardPosition: true }
+  });
+
+  const neighbourIndex = column.findIndex(item => item.id === (beforeId ?? afterId));
+
+  if (neighbourIndex === -1) {
+    return false;
+  }
+
+  const insertAt = beforeId !== undefined ? neighbourIndex : neighbourIndex + 1;
+  const previous = column[insertAt - 1];
+  const next = column[insertAt];
+
+  // Room between the neighbours: only the moved issue changes
+  if (!previous || !next || next.boardPosition - previous.boardPosition > 1) {
+    const boardPosition = !previous
+      ? next.boardPosition - POSITION_GAP
+      : !next
+        ? previous.boardPosition + POSITION_GAP
+        : Math.floor((previous.boardPosition + next.boardPosition) / 2);
+
+    await setBoardPosition(db, issue.id, boardPosition);
+    return true;
+  }
+
+  // No room: renumber the whole column in its new order
+  const ordered = [...column.slice(0, insertAt), issue, ...column.slice(insertAt)];
+
+  for (const [index, item] of ordered.entries()) {
+    const boardPosition = index * POSITION_GAP;
+
+    if (item.boardPosition !== boardPosition) {
+      await setBoardPosition(db, item.id, boardPosition);
+    }
+  }
+
+  return true;
+};
+
+module.exports = {
+  BOARD_ORDER,
+  getTopPosition,
+  placeIssue
+};
@@ -0,0 +1,137 @@
+// Burndown Helpers - Rebuild a sprint's remaining work per day from the issue activity trail
+// An issue's value at a past moment is the oldValue of its first recorded change after that
+// moment, or its current value when the field has not changed since
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest sprint allowed, in days: the burndown replays every issue's history once per day
+const MAX_SPRINT_DAYS = 365;
+
+// Number of calendar days from startDate to endDate, both included
+const getSprintDayCount = (startDate, endDate) => Math.round((endDate - startDate) / DAY_MS) + 1;
+
+// Fields whose history decides whether and how much an issue counts on a given day
+const BURNDOWN_FIELDS = ['status', 'storyPoints', 'sprintId'];
+
+// Store values as text, like the activity trail (null stays null)
+const toText = (value) => (value === null || value === undefined ? null : String(value));
+
+// Value of a field at a moment, given its changes in time order and its current value
+const getValueAt = (changes, currentValue, moment) => {
+  const nextChange = changes.find(change => change.createdAt > moment);
+  return nextChange ? nextChange.oldValue : toText(currentValue);
+};
+
+// Build the burndown of a sprint: one entry per sprint day with the work in the sprint (scope)
+// and the work not yet in a Done-category status (remaining) at the end of that day.
+// Work is counted in story points when any issue is estimated, otherwise in issues.
+// Days after today (or after the sprint was completed) have null values.
+// doneKeys are the status keys of the project's Done-category statuses.
+const buildBurndown = async (db, sprint, doneKeys) => {
+  // Issues in the sprint now and issues that were moved in or out of it at some point
+  const moves = await db.issueActivity.findMany({
+    where: {
+      field: 'sprintId',
+      OR: [{ oldValue: String(sprint.id) }, { newValue: String(sprint.id) }]
+    },
+    select: { issueId: true },
+    distinct: ['issueId']
+  });
+
+  const issues = await db.issue.findMany({
+    where: {
+      OR: [
+        { sprintId: sprint.id },
+        { id: { in: moves.map(move => move.issueId) } }
+      ]
+    },
+    select: { id: true, status: true, storyPoints: true, sprintId: true, createdAt: true }
+  });
+
+  const activities = await db.issueActivity.findMany({
+    where: {
+      issueId: { in: issues.map(issue => issue.id) },
+      field: { in: BURNDOWN_FIELDS }
+    },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+  });
+
+  // Changes of each issue, grouped by field
+  const history = new Map(issues.map(issue => [
+    issue.id,
+    Object.fromEntries(BURNDOWN_FIELDS.map(field => [
+      field,
+      activities.filter(activity => activity.issueId === issue.id && activity.field === field)
+    ]))
+  ]));
+
+  const unit = issues.some(issue => issue.storyPoints !== null) ? 'points' : 'issues';
+
+  // Scope and remaining work at one moment
+  const measure = (moment) => {
+    let scope = 0;
+    let remaining = 0;
+
+    issues.forEach(issue => {
+      if (issue.createdAt > moment) {
+        return;
+      }
+
+      const changes = history.get(issue.id);
+
+      if (getValueAt(changes.sprintId, issue.sprintId, moment) !== String(sprint.id)) {
+        return;
+      }
+
+      const weight = unit === 'points'
+        ? parseInt(getValueAt(changes.storyPoints, issue.storyPoints, moment)) || 0
+        : 1;
+
+      scope += weight;
+
+      if (!doneKeys.includes(getValueAt(changes.status, issue.status, moment))) {
+        remaining += weight;
+      }
+    });
+
+    return { scope, remaining };
+  };
+
+  // Completing a sprint moves its unfinished issues out, so stop measuring at completion
+  const now = new Date();
+  const cutoff = sprint.completedAt && sprint.completedAt < now ? sprint.completedAt : now;
+  // Sprints are validated against MAX_SPRINT_DAYS; clamp anyway so older rows cannot stall the server
+  const dayCount = Math.min(getSprintDayCount(sprint.startDate, sprint.endDate), MAX_SPRINT_DAYS);
+
+  const days = Array.from({ length: dayCount }, (_, index) => {
+    const dayStart = new Date(sprint.startDate.getTime() + index * DAY_MS);
+    const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+    const date = dayStart.toISOString().slice(0, 10);
+
+    if (dayStart > cutoff) {
+      return { date, scope: null, remaining: null };
+    }
+
+    return { date, ...measure(dayEnd < cutoff ? dayEnd : cutoff) };
+  });
+
+  // The ideal line runs from the work committed on the first day down to zero on the last
+  const committed = days[0].scope ?? measure(cutoff).scope;
+
+  return {
+    unit,
+    committed,
+    days: days.map((day, index) => ({
+      ...day,
+      ideal: dayCount > 1
+        ? Math.round(committed * (1 - index / (dayCount - 1)) * 100) / 100
+        : 0
+    }))
+  };
+};
+
+module.exports = {
+  MAX_SPRINT_DAYS,
+  getSprintDayCount,
+  buildBurndown
+};
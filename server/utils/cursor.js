@@ -0,0 +1,143 @@
+// Cursor Helpers - Keyset pagination over a sorted issue list
+// A cursor holds the sort values of the last issue on a page, so the next page starts
+// right after it: new or deleted issues never shift pages the way skip/take does.
+// Every sort ends with a unique id key, so no two issues share a position
+
+// Value type of each field issues can be sorted by (cursors carry dates as ISO strings)
+const FIELD_TYPES = {
+  id: 'int',
+  storyPoints: 'int',
+  boardPosition: 'int',
+  title: 'string',
+  createdAt: 'date',
+  updatedAt: 'date',
+  dueDate: 'date',
+  priority: 'enum',
+  severity: 'enum'
+};
+
+// Enum columns, in their sort order; Prisma cannot compare enums with gt/lt
+const ENUM_LEVELS = {
+  priority: ['Low', 'Medium', 'High', 'Critical'],
+  severity: ['Low', 'Medium', 'High', 'Critical']
+};
+
+// Largest value of a MySQL INT column
+const MAX_INT = 2147483647;
+
+// Turn a Prisma orderBy array into [{ field, direction, nulls }]
+// nulls is 'first' or 'last' for optional fields, null otherwise
+const toKeys = (orderBy) => orderBy.map((entry) => {
+  const [field, value] = Object.entries(entry)[0];
+
+  return typeof value === 'string'
+    ? { field, direction: value, nulls: null }
+    : { field, direction: value.sort, nulls: value.nulls };
+});
+
+const toOrderBy = (keys) => keys.map(({ field, direction, nulls }) => ({
+  [field]: nulls ? { sort: direction, nulls } : direction
+}));
+
+// The same order walked backwards (for ?before=)
+const reverseKeys = (keys) => keys.map(key => ({
+  ...key,
+  direction: key.direction === 'asc' ? 'desc' : 'asc',
+  nulls: key.nulls && (key.nulls === 'last' ? 'first' : 'last')
+}));
+
+// Identifies the sort a cursor was made for, so it cannot be reused with another one
+const getSignature = (keys) => keys.map(key => `${key.field}:${key.direction}`).join(',');
+
+const encodeCursor = (keys, issue) => Buffer.from(JSON.stringify({
+  s: getSignature(keys),
+  v: keys.map(key => issue[key.field])
+})).toString('base64url');
+
+// Check one cursor value against its key: a scalar of the field's type, or null for optional fields.
+// Anything else (e.g. an object, which Prisma would read as a filter) makes the cursor invalid
+const isValidValue = (key, value) => {
+  if (value === null) {
+    return key.nulls !== null;
+  }
+
+  switch (FIELD_TYPES[key.field]) {
+    case 'int':
+      return Number.isInteger(value) && Math.abs(value) <= MAX_INT;
+    case 'string':
+      return typeof value === 'string';
+    case 'date':
+      return typeof value === 'string' && !isNaN(Date.parse(value)) && new Date(value).toISOString() === value;
+    case 'enum':
+      return ENUM_LEVELS[key.field].includes(value);
+    default:
+      return false;
+  }
+};
+
+// Read a cursor back into sort values; returns null when it is malformed, holds a value of the
+// wrong type or was made for another sort
+const decodeCursor = (cursor, keys) => {
+  try {
+    const { s, v } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+
+    if (s !== getSignature(keys) || !Array.isArray(v) || v.length !== keys.length) {
+      return null;
+    }
+
+    if (keys.some((key, index) => !isValidValue(key, v[index]))) {
+      return null;
+    }
+
+    return keys.map((key, index) => (
+      FIELD_TYPES[key.field] === 'date' && v[index] !== null ? new Date(v[index]) : v[index]
+    ));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Condition for "field comes strictly after value" in the key's order
+// Returns null when nothing can (e.g. value is null and nulls sort last)
+const getAfterCondition = ({ field, direction, nulls }, value) => {
+  if (value === null) {
+    return nulls === 'first' ? { [field]: { not: null } } : null;
+  }
+
+  let condition;
+
+  if (ENUM_LEVELS[field]) {
+    const levels = ENUM_LEVELS[field];
+    const index = levels.indexOf(value);
+    condition = { [field]: { in: direction === 'asc' ? levels.slice(index + 1) : levels.slice(0, index) } };
+  } else {
+    condition = { [field]: { [direction === 'asc' ? 'gt' : 'lt']: value } };
+  }
+
+  return nulls === 'last' ? { OR: [condition, { [field]: null }] } : condition;
+};
+
+// Where clause for the issues after a cursor: (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ...
+const getCursorWhere = (keys, values) => {
+  const branches = [];
+
+  keys.forEach((key, index) => {
+    const after = getAfterCondition(key, values[index]);
+
+    if (after) {
+      const equalKeys = keys.slice(0, index).map((previous, i) => ({ [previous.field]: values[i] }));
+      branches.push({ AND: [...equalKeys, after] });
+    }
+  });
+
+  return { OR: branches };
+};
+
+module.exports = {
+  toKeys,
+  toOrderBy,
+  reverseKeys,
+  encodeCursor,
+  decodeCursor,
+  getCursorWhere
+};
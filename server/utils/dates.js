@@ -0,0 +1,23 @@
+// Date Helpers - Calendar dates (due dates, milestone target dates) sent as YYYY-MM-DD
+
+// Calendar dates are sent and returned in YYYY-MM-DD form
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse a YYYY-MM-DD string into a Date at UTC midnight, returns null if invalid
+const parseDate = (value) => {
+  if (!DATE_PATTERN.test(String(value))) {
+    return null;
+  }
+
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+};
+
+// Today's date at UTC midnight, for comparisons with calendar dates
+const getToday = () => parseDate(new Date().toISOString().slice(0, 10));
+
+module.exports = {
+  DATE_PATTERN,
+  parseDate,
+  getToday
+};
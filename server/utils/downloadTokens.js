@@ -0,0 +1,35 @@
+// Download Tokens - Short-lived signed links for attachment downloads
+// Browsers load images and file links without our Authorization header, so the API hands
+// out URLs carrying a token that only grants access to one attachment for a few minutes
+
+const jwt = require('jsonwebtoken');
+
+// How long a download link stays valid (jsonwebtoken duration, e.g. '15m', '1h')
+const DOWNLOAD_LINK_TTL = process.env.DOWNLOAD_LINK_TTL || '15m';
+
+// Download tokens are signed with their own key derived from JWT_SECRET, so they can never
+// pass as login tokens (and login tokens can never pass as download tokens)
+const PURPOSE = 'attachment-download';
+const getSecret = () => `${process.env.JWT_SECRET}:${PURPOSE}`;
+
+// Create a token granting access to one attachment
+const createDownloadToken = (attachmentId) => {
+  return jwt.sign({ attachmentId, purpose: PURPOSE }, getSecret(), {
+    expiresIn: DOWNLOAD_LINK_TTL
+  });
+};
+
+// Verify a token for an attachment, returns true only if it is valid and matches
+const verifyDownloadToken = (token, attachmentId) => {
+  try {
+    const payload = jwt.verify(token, getSecret());
+    return payload.purpose === PURPOSE && payload.attachmentId === attachmentId;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  createDownloadToken,
+  verifyDownloadToken
+};
@@ -0,0 +1,565 @@
+// External Import Helpers - Read GitHub issue dumps and Jira exports for POST /api/issues/import/:source
+// Each reader turns a file into plain records; the value mapping then decides the status, priority,
+// severity, labels and people of the issue created from each record
+
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const { parseCsv, parseImportFile } = require('./issueImport');
+const { parseDate } = require('./dates');
+
+const LEVELS = ['Low', 'Medium', 'High', 'Critical'];
+
+// Comments longer than the comment limit are cut to it
+const MAX_COMMENT_LENGTH = 5000;
+
+// Supported sources and the file formats each one exports, by extension
+const EXTERNAL_SOURCES = {
+  github: { name: 'GitHub', formats: { '.json': 'json', '.ndjson': 'ndjson', '.jsonl': 'ndjson' } },
+  jira: { name: 'Jira', formats: { '.xml': 'xml', '.csv': 'csv' } }
+};
+
+// Get a supported source by its name in the URL, or null
+const getExternalSource = source => (Object.hasOwn(EXTERNAL_SOURCES, source) ? EXTERNAL_SOURCES[source] : null);
+
+// Get the format of a file exported from a source, or null when the source does not export it
+const getExternalFormat = (source, file) => {
+  const formats = getExternalSource(source)?.formats;
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  return formats && Object.hasOwn(formats, extension) ? formats[extension] : null;
+};
+
+// Compare names without case, spaces or punctuation ("In Progress" = "InProgress")
+const normalizeName = name => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Status categories of the source, as workflow categories
+const STATUS_CATEGORIES = {
+  new: 'Todo',
+  todo: 'Todo',
+  indeterminate: 'InProgress',
+  inprogress: 'InProgress',
+  done: 'Done'
+};
+
+// Source priorities matched without a mapping (Jira's defaults, GitHub-style P0-P4)
+const DEFAULT_PRIORITIES = {
+  highest: 'Critical',
+  blocker: 'Critical',
+  critical: 'Critical',
+  urgent: 'Critical',
+  p0: 'Critical',
+  high: 'High',
+  major: 'High',
+  p1: 'High',
+  medium: 'Medium',
+  normal: 'Medium',
+  p2: 'Medium',
+  low: 'Low',
+  minor: 'Low',
+  lowest: 'Low',
+  trivial: 'Low',
+  p3: 'Low',
+  p4: 'Low'
+};
+
+// Parse a source date: ISO 8601 (GitHub), RFC 2822 (Jira XML) or Jira CSV's "01/Feb/24 3:45 PM"
+// Jira CSV dates have no time zone and are read as UTC. Returns a Date or null
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const parseExternalDate = (value) => {
+  if (!value) return null;
+
+  const text = String(value).trim();
+  const match = text.match(/^(\d{1,2})\/([a-z]{3})\/(\d{2}|\d{4}) (\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?$/i);
+
+  if (match) {
+    const [, day, month, year, hour, minute, second = '0', meridiem] = match;
+    const monthIndex = MONTHS.indexOf(month.toLowerCase());
+    const hours = meridiem
+      ? (parseInt(hour) % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0)
+      : parseInt(hour);
+
+    if (monthIndex === -1) return null;
+
+    return new Date(Date.UTC(
+      year.length === 2 ? 2000 + parseInt(year) : parseInt(year),
+      monthIndex,
+      parseInt(day),
+      hours,
+      parseInt(minute),
+      parseInt(second)
+    ));
+  }
+
+  const time = Date.parse(text);
+  return isNaN(time) ? null : new Date(time);
+};
+
+// Parse a source due date into YYYY-MM-DD, taking the day as written: Jira writes due dates as
+// midnight in its server's time zone, which converting to UTC would move to the day before
+// Accepts ISO 8601, RFC 2822 and Jira CSV's "01/Mar/24" (with or without a time). Returns null if invalid
+const parseExternalDay = (value) => {
+  if (!value) return null;
+
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  let day = match && `${match[1]}-${match[2]}-${match[3]}`;
+
+  if (!day) {
+    match = text.match(/^(?:[a-z]{3},\s*)?(\d{1,2})[\s/]([a-z]{3})[\s/](\d{2}|\d{4})\b/i);
+    const monthIndex = match ? MONTHS.indexOf(match[2].toLowerCase()) : -1;
+
+    if (monthIndex !== -1) {
+      const year = match[3].length === 2 ? 2000 + parseInt(match[3]) : parseInt(match[3]);
+      day = `${year}-${String(monthIndex + 1).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+    }
+  }
+
+  return day && parseDate(day) ? day : null;
+};
+
+// Turn Jira's HTML (descriptions and comments in XML exports) into plain text
+const htmlToText = html => String(html || '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|li|h[1-6]|tr|pre|blockquote)>/gi, '\n')
+  .replace(/<li[^>]*>/gi, '- ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, '\'')
+  .replace(/&amp;/g, '&')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// ========================================
+// GITHUB
+// ========================================
+// Issue lists from the REST API (GET /repos/:owner/:repo/issues) or `gh issue list --json ...`,
+// as a JSON array or NDJSON. Comments are imported when each issue embeds them as an array
+
+const readGithubPerson = (user) => {
+  if (!user || typeof user !== 'object') return null;
+
+  const id = user.login || user.email || user.name;
+  return id ? { id: String(id), name: user.name || String(id), email: user.email || null } : null;
+};
+
+// "octo/app" from the issue's html_url, url or repository_url
+const getGithubRepository = (issue) => {
+  const url = [issue.html_url, issue.url, issue.repository_url].find(value => typeof value === 'string') || '';
+  const match = url.match(/github\.com\/(?:repos\/)?([^/]+\/[^/]+)/);
+  return match ? match[1] : null;
+};
+
+const readGithubIssue = (issue) => {
+  if (issue.number === undefined || issue.number === null) {
+    return { error: 'The issue has no number' };
+  }
+
+  const repository = getGithubRepository(issue);
+  const key = `${repository || ''}#${issue.number}`;
+  const state = String(issue.state || 'open').toLowerCase();
+  const reason = String(issue.state_reason || issue.stateReason || '').toLowerCase();
+
+  return {
+    externalId: `github:${key}`,
+    key,
+    url: issue.html_url || (typeof issue.url === 'string' && issue.url.includes('//github.com') ? issue.url : null),
+    title: String(issue.title || '').trim(),
+    description: String(issue.body || '').trim(),
+    status: state === 'closed' && reason === 'not_planned' ? 'closed (not planned)' : state,
+    statusCategory: state === 'closed' ? 'Done' : 'Todo',
+    priority: null,
+    labels: (Array.isArray(issue.labels) ? issue.labels : [])
+      .map(label => (typeof label === 'string' ? label : label?.name))
+      .filter(label => typeof label === 'string' && label),
+    author: readGithubPerson(issue.user || issue.author),
+    assignee: readGithubPerson(issue.assignee || (Array.isArray(issue.assignees) ? issue.assignees[0] : null)),
+    createdAt: parseExternalDate(issue.created_at || issue.createdAt),
+    dueDate: null,
+    comments: (Array.isArray(issue.comments) ? issue.comments : []).map(comment => ({
+      author: readGithubPerson(comment.user || comment.author),
+      body: String(comment.body || '').trim(),
+      createdAt: parseExternalDate(comment.created_at || comment.createdAt)
+    })),
+    skip: issue.pull_request || issue.isPullRequest ? 'Pull requests are not imported' : null
+  };
+};
+
+// ========================================
+// JIRA
+// ========================================
+// "Export XML" (an RSS feed of <item>s) or "Export CSV (all fields)" from an issue search
+
+// Text of an XML node that may carry attributes ({ text, ...attributes }) or be plain text
+const nodeText = (node) => {
+  if (node === null || node === undefined) return '';
+  if (typeof node === 'object') return String(node.text ?? '').trim();
+  return String(node).trim();
+};
+
+const readJiraXmlPerson = (node) => {
+  const name = nodeText(node);
+  const username = typeof node === 'object' ? node.username || node.accountid : null;
+
+  // Unassigned issues name "Unassigned" with username -1
+  if (!name || username === '-1') return null;
+
+  const id = String(username || name);
+  return { id, name, email: id.includes('@') ? id : null };
+};
+
+const readJiraXml = (text) => {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    textNodeName: 'text',
+    parseTagValue: false,
+    parseAttributeValue: false,
+    htmlEntities: true,
+    isArray: name => ['item', 'label', 'comment'].includes(name)
+  });
+
+  let feed;
+
+  try {
+    feed = parser.parse(text);
+  } catch (error) {
+    return { error: `The file is not valid XML: ${error.message}` };
+  }
+
+  const items = feed?.rss?.channel?.item;
+
+  if (!Array.isArray(items)) {
+    return { error: 'This does not look like a Jira XML export: it has no <item> elements' };
+  }
+
+  const records = items.map((item) => {
+    const key = nodeText(item.key);
+
+    if (!key) {
+      return { error: 'The issue has no key' };
+    }
+
+    const resolution = nodeText(item.resolution);
+    const category = STATUS_CATEGORIES[normalizeName(item.statusCategory?.key || '')] ||
+      (resolution && resolution !== 'Unresolved' ? 'Done' : null);
+    return {
+      externalId: `jira:${key}`,
+      key,
+      url: nodeText(item.link) || null,
+      title: nodeText(item.summary) || nodeText(item.title).replace(/^\[[^\]]+\]\s*/, ''),
+      description: htmlToText(nodeText(item.description)),
+      status: nodeText(item.status) || null,
+      statusCategory: category,
+      priority: nodeText(item.priority) || null,
+      labels: (item.labels?.label || []).map(nodeText).filter(Boolean),
+      author: readJiraXmlPerson(item.reporter),
+      assignee: readJiraXmlPerson(item.assignee),
+      createdAt: parseExternalDate(nodeText(item.created)),
+      dueDate: parseExternalDay(nodeText(item.due)),
+      comments: (item.comments?.comment || []).map(comment => ({
+        author: comment.author ? { id: String(comment.author), name: String(comment.author), email: null } : null,
+        body: htmlToText(nodeText(comment)),
+        createdAt: parseExternalDate(comment.created)
+      })),
+      skip: null
+    };
+  });
+
+  return { records };
+};
+
+const readJiraCsvPerson = (name) => (
+  name ? { id: name, name, email: name.includes('@') ? name : null } : null
+);
+
+const readJiraCsv = (text) => {
+  const { records: csvRecords, error } = parseCsv(text);
+
+  if (error) {
+    return { error };
+  }
+
+  // Jira repeats some headers (Labels, Comment) once per value
+  const header = (csvRecords[0] || []).map(normalizeName);
+  const indexes = name => header.reduce((found, column, index) => (column === name ? [...found, index] : found), []);
+  const columns = {};
+  ['summary', 'issuekey', 'status', 'statuscategory', 'resolution', 'priority', 'assignee', 'reporter', 'created',
+    'duedate', 'description', 'labels', 'comment'].forEach((name) => {
+    columns[name] = indexes(name);
+  });
+
+  if (columns.summary.length === 0 || columns.issuekey.length === 0) {
+    return { error: 'This does not look like a Jira CSV export: the Summary and Issue key columns are missing' };
+  }
+
+  const values = (record, name) => columns[name].map(index => (record[index] || '').trim()).filter(Boolean);
+  const value = (record, name) => values(record, name)[0] || '';
+
+  const records = csvRecords.slice(1).map((record) => {
+    const key = value(record, 'issuekey');
+
+    if (!key) {
+      return { error: 'The issue has no key' };
+    }
+
+    const resolution = value(record, 'resolution');
+    return {
+      externalId: `jira:${key}`,
+      key,
+      url: null,
+      title: value(record, 'summary'),
+      description: value(record, 'description'),
+      status: value(record, 'status') || null,
+      statusCategory: STATUS_CATEGORIES[normalizeName(value(record, 'statuscategory'))] ||
+        (resolution && resolution !== 'Unresolved' ? 'Done' : null),
+      priority: value(record, 'priority') || null,
+      labels: values(record, 'labels'),
+      author: readJiraCsvPerson(value(record, 'reporter')),
+      assignee: readJiraCsvPerson(value(record, 'assignee')),
+      createdAt: parseExternalDate(value(record, 'created')),
+      dueDate: parseExternalDay(value(record, 'duedate')),
+      // Comments read "date;author;body"
+      comments: values(record, 'comment').map((comment) => {
+        const [date, author, ...body] = comment.split(';');
+        return body.length > 0
+          ? { author: readJiraCsvPerson(author.trim()), body: body.join(';').trim(), createdAt: parseExternalDate(date) }
+          : { author: null, body: comment, createdAt: null };
+      }),
+      skip: null
+    };
+  });
+
+  return { records };
+};
+
+// Read a file exported from a source into records
+// Returns { records } (or { error } items for issues that cannot be read) or { error } for the whole file
+const readExternalIssues = (source, format, buffer) => {
+  if (source === 'github') {
+    const parsed = parseImportFile(buffer, format);
+    return parsed.error ? parsed : { records: parsed.rows.map(readGithubIssue) };
+  }
+
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  return format === 'xml' ? readJiraXml(text) : readJiraCsv(text);
+};
+
+// ========================================
+// VALUE MAPPING
+// ========================================
+// { statuses, priorities, labels, users }, each { source value: value here }:
+// - statuses: source status -> workflow status key
+// - priorities: source priority -> Low / Medium / High / Critical
+// - labels: source label -> '' (keep as a label) or 'status:<key>', 'priority:<level>', 'severity:<level>'
+// - users: source login / username / name -> email of a workspace member ('' = nobody)
+
+const MAPPING_SECTIONS = ['statuses', 'priorities', 'labels', 'users'];
+
+// Check a label mapping value, returns an error message or null
+const getLabelEffectError = (effect, workflow) => {
+  const [field, value] = effect.split(':');
+
+  if (field === 'status' && workflow.some(status => status.key === value)) return null;
+  if ((field === 'priority' || field === 'severity') && LEVELS.includes(value)) return null;
+  return `"${effect}" must be status:<status key>, priority:<level> or severity:<level>`;
+};
+
+// Parse the valueMapping sent with an upload (a JSON string); sections left out are guessed
+// Returns { valueMapping } or { error } with a message for a 400 response
+const parseValueMapping = (value, workflow) => {
+  if (!value) {
+    return { valueMapping: {} };
+  }
+
+  let mapping;
+
+  try {
+    mapping = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    return { error: 'valueMapping must be a JSON object' };
+  }
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { error: 'valueMapping must be a JSON object' };
+  }
+
+  for (const section of MAPPING_SECTIONS) {
+    const entries = mapping[section];
+
+    if (entries === undefined) continue;
+
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries) ||
+      Object.values(entries).some(item => typeof item !== 'string')) {
+      return { error: `valueMapping.${section} must map source values to strings` };
+    }
+
+    for (const [from, to] of Object.entries(entries)) {
+      if (!to) continue;
+
+      if (section === 'statuses' && !workflow.some(status => status.key === to)) {
+        return { error: `Status "${from}" is mapped to "${to}", which is not a status of this project` };
+      }
+      if (section === 'priorities' && !LEVELS.includes(to)) {
+        return { error: `Priority "${from}" must map to one of: ${LEVELS.join(', ')}` };
+      }
+      if (section === 'labels' && getLabelEffectError(to, workflow)) {
+        return { error: `Label "${from}": ${getLabelEffectError(to, workflow)}` };
+      }
+    }
+  }
+
+  return { valueMapping: mapping };
+};
+
+const guessStatus = (record, workflow) => {
+  const name = normalizeName(record.status);
+  const byName = workflow.find(status => normalizeName(status.key) === name || normalizeName(status.name) === name);
+  const byCategory = workflow.find(status => status.category === record.statusCategory);
+  return (byName || byCategory || workflow[0]).key;
+};
+
+// "priority: high", "P-High", "severity/critical" and the like set the field; other labels stay labels
+const guessLabelEffect = (label) => {
+  const match = label.match(/^(priority|prio|severity|sev)[\s:/_-]*(low|medium|high|critical)$/i);
+
+  if (!match) return '';
+
+  const field = match[1].toLowerCase().startsWith('p') ? 'priority' : 'severity';
+  const level = LEVELS.find(item => item.toLowerCase() === match[2].toLowerCase());
+  return `${field}:${level}`;
+};
+
+// Email of the member a source person is, by email or by name
+const guessUser = (person, members) => {
+  const emails = [person.email, person.id].filter(Boolean).map(value => value.toLowerCase());
+  const member = members.find(item => emails.includes(item.email.toLowerCase())) ||
+    members.find(item => item.name && item.name.toLowerCase() === person.name.toLowerCase());
+  return member ? member.email : '';
+};
+
+// Mapped value of a source value, or undefined; only own keys count, so source values such as
+// "constructor" or "toString" are never read from Object.prototype
+const getMappedValue = (values, key) => (
+  values && Object.hasOwn(values, key) ? values[key] : undefined
+);
+
+// The mapping used for an import: every status, priority, label and person found in the records,
+// mapped as given in supplied or else guessed. lookups: { workflow, members: [{ id, name, email }] }
+const buildValueMapping = (records, supplied, { workflow, members }) => {
+  // Prototype-free sections, so any source value (even "__proto__") is a plain key
+  const mapping = Object.fromEntries(MAPPING_SECTIONS.map(section => [section, Object.create(null)]));
+  const pick = (section, key, guess) => {
+    if (Object.hasOwn(mapping[section], key)) return;
+    const given = getMappedValue(supplied[section], key);
+    mapping[section][key] = given !== undefined ? given : guess();
+  };
+
+  records.filter(record => !record.error).forEach((record) => {
+    if (record.status) pick('statuses', record.status, () => guessStatus(record, workflow));
+    if (record.priority) {
+      pick('priorities', record.priority, () => DEFAULT_PRIORITIES[normalizeName(record.priority)] || 'Medium');
+    }
+    record.labels.forEach(label => pick('labels', label, () => guessLabelEffect(label)));
+    [record.author, record.assignee, ...record.comments.map(comment => comment.author)]
+      .filter(Boolean)
+      .forEach(person => pick('users', person.id, () => guessUser(person, members)));
+  });
+
+  return mapping;
+};
+
+// Turn a record into the body of POST /api/issues plus what the create rules do not cover:
+// the reporter, the original creation time and the comments
+// lookups: { workflow, members: [{ id, name, email }], labels: [{ id, name }] }
+// Returns { body, userId, createdAt, comments: [{ userId, body, createdAt }], warnings } (userId null
+// = the importing user) or { error } with a message for the row
+const toExternalIssue = (record, source, valueMapping, lookups) => {
+  const warnings = [];
+  const findMember = (person) => {
+    const email = person && getMappedValue(valueMapping.users, person.id);
+    return email ? lookups.members.find(member => member.email.toLowerCase() === email.toLowerCase()) || null : null;
+  };
+
+  const body = {
+    title: record.title,
+    status: record.status ? getMappedValue(valueMapping.statuses, record.status) || undefined : undefined,
+    priority: record.priority ? getMappedValue(valueMapping.priorities, record.priority) || undefined : undefined,
+    dueDate: record.dueDate,
+    labelIds: []
+  };
+
+  // Labels that set a field; status labels only move issues that are not closed in the source
+  const isDone = lookups.workflow.find(status => status.key === (body.status || lookups.workflow[0].key))
+    ?.category === 'Done';
+
+  record.labels.forEach((name) => {
+    const effect = getMappedValue(valueMapping.labels, name);
+
+    if (effect) {
+      const [field, value] = effect.split(':');
+
+      if (field === 'status' && !isDone) body.status = value;
+      if ((field === 'priority' || field === 'severity') && !body[field]) body[field] = value;
+      return;
+    }
+
+    const label = lookups.labels.find(item => item.name.toLowerCase() === name.toLowerCase());
+
+    if (label) {
+      body.labelIds.push(label.id);
+    } else {
+      warnings.push(`The workspace has no label "${name}"; it was left out`);
+    }
+  });
+
+  const author = findMember(record.author);
+  const assignee = findMember(record.assignee);
+
+  if (record.author && !author) {
+    warnings.push(`${record.author.name} is not mapped to a workspace member; you are recorded as the reporter`);
+  }
+  if (record.assignee && !assignee) {
+    warnings.push(`${record.assignee.name} is not mapped to a workspace member; the issue is left unassigned`);
+  }
+  body.assigneeId = assignee ? assignee.id : null;
+
+  // Keep where the issue came from (and who reported it, when they are not a member) in the description
+  const origin = `Imported from ${EXTERNAL_SOURCES[source].name} ${record.key}` +
+    (record.url ? ` (${record.url})` : '') +
+    (record.author && !author ? `, reported by ${record.author.name}` : '');
+  body.description = record.description ? `${record.description}\n\n---\n${origin}` : origin;
+
+  const comments = record.comments.filter(comment => comment.body).map((comment) => {
+    const commenter = findMember(comment.author);
+    let text = commenter || !comment.author ? comment.body : `_${comment.author.name} wrote:_\n\n${comment.body}`;
+
+    if (text.length > MAX_COMMENT_LENGTH) {
+      text = `${text.slice(0, MAX_COMMENT_LENGTH - 1)}…`;
+      warnings.push(`A comment longer than ${MAX_COMMENT_LENGTH} characters was shortened`);
+    }
+
+    return { userId: commenter ? commenter.id : null, body: text, createdAt: comment.createdAt };
+  });
+
+  return {
+    body,
+    userId: author ? author.id : null,
+    createdAt: record.createdAt,
+    comments,
+    warnings
+  };
+};
+
+module.exports = {
+  EXTERNAL_SOURCES,
+  getExternalSource,
+  getExternalFormat,
+  readExternalIssues,
+  parseValueMapping,
+  getMappedValue,
+  buildValueMapping,
+  toExternalIssue
+};
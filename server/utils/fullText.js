@@ -0,0 +1,182 @@
+// Full-Text Helpers - Word search over issue titles, descriptions and comments
+// Search words use the MySQL FULLTEXT indexes (MATCH ... AGAINST in boolean mode), which also
+// rank issues for sort=relevance. Matches are located again here so the API can return
+// highlight offsets and a snippet around the first match
+
+// InnoDB skips words shorter than innodb_ft_min_token_size (3 by default) and these stopwords,
+// so a FULLTEXT search for them finds nothing; such terms fall back to a substring match
+const MIN_WORD_LENGTH = 3;
+const STOPWORDS = [
+  'about', 'are', 'com', 'for', 'from', 'how', 'that', 'the', 'this', 'was', 'what',
+  'when', 'where', 'who', 'will', 'with', 'und', 'www'
+];
+
+// Columns covered by the combined Issue FULLTEXT index, used for relevance
+const RELEVANCE_FIELDS = ['title', 'description'];
+
+// Snippet size in characters, and how much of it comes before the first match
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40;
+
+// Word characters; everything else separates words, as in the FULLTEXT parser
+const WORD = '[\\p{L}\\p{N}_]';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toWords = (text) => text.split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+
+// Boolean-mode query for a search term: word* (words starting with it) or "a phrase"
+// Returns null when the index cannot answer it (short words, stopwords)
+const toBooleanQuery = ({ text, phrase }) => {
+  const words = toWords(text);
+
+  if (words.length === 0 || words.some(word => word.length < MIN_WORD_LENGTH || STOPWORDS.includes(word.toLowerCase()))) {
+    return null;
+  }
+
+  return words.length === 1 && !phrase ? `${words[0]}*` : `"${words.join(' ')}"`;
+};
+
+// Prisma filter for one column
+const getTextFilter = (term) => {
+  const query = toBooleanQuery(term);
+  return query ? { search: query } : { contains: term.text };
+};
+
+// Issues whose title, description or any comment matches a search term ({ text, phrase })
+const getTextWhere = (term) => {
+  const filter = getTextFilter(term);
+
+  return {
+    OR: [
+      { title: filter },
+      { description: filter },
+      { comments: { some: { body: filter } } }
+    ]
+  };
+};
+
+// Replace { relevance: direction } keys of a parsed sort with Prisma's _relevance ordering
+// Relevance is scored on title and description; without searchable words the key is dropped
+const getRelevanceOrder = (orderBy, terms) => {
+  const search = terms.map(toBooleanQuery).filter(Boolean).join(' ');
+
+  return orderBy.flatMap((entry) => {
+    if (!entry.relevance) {
+      return [entry];
+    }
+    return search ? [{ _relevance: { fields: RELEVANCE_FIELDS, search, sort: entry.relevance } }] : [];
+  });
+};
+
+// Regex finding a term the way the search matched it: whole words (the last may continue,
+// as word* does) for FULLTEXT terms, anywhere for substring terms
+const getTermPattern = (term) => {
+  if (!toBooleanQuery(term)) {
+    return new RegExp(escapeRegex(term.text), 'giu');
+  }
+
+  const words = toWords(term.text);
+  const ending = words.length === 1 && !term.phrase ? `${WORD}*` : `(?!${WORD})`;
+
+  return new RegExp(`(?<!${WORD})${words.map(escapeRegex).join(`(?:(?!${WORD}).)+`)}${ending}`, 'gisu');
+};
+
+// Sorted, non-overlapping [start, end) ranges of text matching any of the terms
+// Offsets are in JavaScript string units, so clients can slice the text with them directly
+const findMatches = (text, terms) => {
+  if (!text) {
+    return [];
+  }
+
+  const ranges = terms
+    .flatMap(term => [...text.matchAll(getTermPattern(term))])
+    .filter(match => match[0].length > 0)
+    .map(match => [match.index, match.index + match[0].length])
+    .sort((a, b) => a[0] - b[0]);
+
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+};
+
+// A short excerpt around the first match, cut at spaces where possible
+// Returns { text, matches, truncatedStart, truncatedEnd } with match ranges relative to the excerpt
+const buildSnippet = (text, ranges) => {
+  const [firstStart, firstEnd] = ranges[0];
+  let start = Math.max(0, firstStart - SNIPPET_LEAD);
+
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < firstStart) start = space + 1;
+  }
+
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > firstEnd) end = space;
+  }
+  end = Math.max(end, firstEnd);
+
+  return {
+    text: text.slice(start, end),
+    matches: ranges
+      .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+      .map(([rangeStart, rangeEnd]) => [rangeStart - start, rangeEnd - start]),
+    truncatedStart: start > 0,
+    truncatedEnd: end < text.length
+  };
+};
+
+// Add matches: { title, description, snippet } to each listed issue
+// The snippet comes from the description, or from the first matching comment when only a comment matched
+const addSearchMatches = async (db, issues, terms) => {
+  if (terms.length === 0 || issues.length === 0) {
+    return issues;
+  }
+
+  const comments = await db.comment.findMany({
+    where: {
+      issueId: { in: issues.map(issue => issue.id) },
+      OR: terms.map(term => ({ body: getTextFilter(term) }))
+    },
+    select: { id: true, issueId: true, body: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return issues.map((issue) => {
+    const title = findMatches(issue.title, terms);
+    const description = findMatches(issue.description, terms);
+    let snippet = null;
+
+    if (description.length > 0) {
+      snippet = { source: 'description', ...buildSnippet(issue.description, description) };
+    } else {
+      for (const comment of comments.filter(item => item.issueId === issue.id)) {
+        const ranges = findMatches(comment.body, terms);
+
+        if (ranges.length > 0) {
+          snippet = { source: 'comment', commentId: comment.id, ...buildSnippet(comment.body, ranges) };
+          break;
+        }
+      }
+    }
+
+    return { ...issue, matches: { title, description, snippet } };
+  });
+};
+
+module.exports = {
+  getTextWhere,
+  getRelevanceOrder,
+  findMatches,
+  addSearchMatches
+};
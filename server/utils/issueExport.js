@@ -0,0 +1,181 @@
+// Issue Export Helpers - Columns and file writers for GET /api/issues/export
+// Writers take issues in batches and write them to the response as they come, so an export
+// never holds more than one batch in memory
+
+const ExcelJS = require('exceljs');
+
+// Exportable columns: header text and the value of an issue
+// Values are plain (strings, numbers, dates, arrays of names); each format renders them itself
+const EXPORT_COLUMNS = {
+  id: { header: 'ID', value: issue => issue.id },
+  title: { header: 'Title', value: issue => issue.title },
+  description: { header: 'Description', value: issue => issue.description },
+  status: { header: 'Status', value: issue => issue.status },
+  priority: { header: 'Priority', value: issue => issue.priority },
+  severity: { header: 'Severity', value: issue => issue.severity },
+  assignee: { header: 'Assignee', value: issue => (issue.assignee ? issue.assignee.name || issue.assignee.email : null) },
+  reporter: { header: 'Reporter', value: issue => issue.user.name || issue.user.email },
+  labels: { header: 'Labels', value: issue => issue.labels.map(label => label.name) },
+  milestone: { header: 'Milestone', value: issue => issue.milestone?.name ?? null },
+  sprint: { header: 'Sprint', value: issue => issue.sprint?.name ?? null },
+  storyPoints: { header: 'Story Points', value: issue => issue.storyPoints },
+  dueDate: { header: 'Due Date', value: issue => (issue.dueDate ? issue.dueDate.toISOString().slice(0, 10) : null) },
+  parent: { header: 'Parent ID', value: issue => issue.parent?.id ?? null },
+  project: { header: 'Project', value: issue => issue.project.name },
+  createdAt: { header: 'Created At', value: issue => issue.createdAt },
+  updatedAt: { header: 'Updated At', value: issue => issue.updatedAt }
+};
+
+// Columns exported when ?columns= is not given
+const DEFAULT_EXPORT_COLUMNS = ['id', 'title', 'description', 'status', 'priority', 'severity', 'dueDate', 'milestone', 'createdAt'];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Parse ?columns=id,title,... into column keys
+// Returns { columns } or { error } with a message for a 400 response
+const parseExportColumns = (value) => {
+  if (!value) {
+    return { columns: DEFAULT_EXPORT_COLUMNS };
+  }
+
+  const columns = [...new Set(value.split(',').map(column => column.trim()).filter(Boolean))];
+  const unknown = columns.filter(column => !EXPORT_COLUMNS[column]);
+
+  if (columns.length === 0 || unknown.length > 0) {
+    return {
+      error: `Invalid export column${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ') || value}. ` +
+        `Must be among: ${Object.keys(EXPORT_COLUMNS).join(', ')}`
+    };
+  }
+
+  return { columns };
+};
+
+// Text of a value in a CSV or spreadsheet cell
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+};
+
+// RFC 4180: fields with a comma, quote or line break are quoted, and quotes inside are doubled
+const toCsvField = (value) => {
+  const text = toText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => values.map(toCsvField).join(',') + '\r\n';
+
+// Wait until a stream that reported a full buffer can take more (or was closed by the client)
+const waitForDrain = (stream) => new Promise((resolve) => {
+  const done = () => {
+    stream.off('drain', done);
+    stream.off('close', done);
+    resolve();
+  };
+
+  stream.on('drain', done);
+  stream.on('close', done);
+});
+
+const write = async (stream, chunk) => {
+  if (!stream.write(chunk)) {
+    await waitForDrain(stream);
+  }
+};
+
+// Create a writer for a format that writes to stream (the response)
+// Returns { writeRows(issues), end() }; end() finishes the file and ends the stream
+const createExportWriter = (format, stream, columns) => {
+  const getValues = issue => columns.map(column => EXPORT_COLUMNS[column].value(issue));
+  const getRecord = issue => Object.fromEntries(columns.map(column => [column, EXPORT_COLUMNS[column].value(issue)]));
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const sheet = workbook.addWorksheet('Issues', { views: [{ state: 'frozen', ySplit: 1 }] });
+
+    sheet.columns = columns.map(column => ({
+      header: EXPORT_COLUMNS[column].header,
+      key: column,
+      width: column === 'description' ? 60 : column === 'title' ? 40 : 16
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    return {
+      writeRows: async (issues) => {
+        issues.forEach((issue) => {
+          const values = getValues(issue).map(value => (Array.isArray(value) ? toText(value) : value));
+          sheet.addRow(values).commit();
+        });
+      },
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
+
+  if (format === 'csv') {
+    let started = false;
+
+    const start = async () => {
+      if (!started) {
+        started = true;
+        await write(stream, toCsvRow(columns.map(column => EXPORT_COLUMNS[column].header)));
+      }
+    };
+
+    return {
+      writeRows: async (issues) => {
+        await start();
+        await write(stream, issues.map(issue => toCsvRow(getValues(issue))).join(''));
+      },
+      end: async () => {
+        await start();
+        stream.end();
+      }
+    };
+  }
+
+  if (format === 'ndjson') {
+    return {
+      writeRows: async (issues) => {
+        await write(stream, issues.map(issue => JSON.stringify(getRecord(issue)) + '\n').join(''));
+      },
+      end: async () => {
+        stream.end();
+      }
+    };
+  }
+
+  // JSON: one array, opened before the first row and closed at the end
+  let count = 0;
+
+  return {
+    writeRows: async (issues) => {
+      const rows = issues.map((issue, index) => (
+        (count + index === 0 ? '[\n' : ',\n') + JSON.stringify(getRecord(issue))
+      ));
+      count += issues.length;
+      await write(stream, rows.join(''));
+    },
+    end: async () => {
+      stream.end(count === 0 ? '[]\n' : '\n]\n');
+    }
+  };
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  parseExportColumns,
+  toCsvField,
+  createExportWriter
+};
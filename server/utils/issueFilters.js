@@ -0,0 +1,155 @@
+// Issue Filter Helpers - Turn the issue list's query parameters into a Prisma where clause
+// Shared by the issue list and saved views (which store the same filters and count their matches)
+
+const { parseDate, getToday } = require('./dates');
+const { buildSearchWhere } = require('./searchQuery');
+
+// Parse the ?labels= filter (comma-separated label IDs), returns null if any ID is invalid
+const parseLabelFilter = (labels) => {
+  const labelIds = String(labels).split(',').map(id => parseInt(id));
+  return labelIds.some(id => isNaN(id)) ? null : labelIds;
+};
+
+// Parse the ?assignee= filter into an assigneeId condition (undefined = invalid)
+// Accepts a user ID, "me" for the current user, or "none" for unassigned issues
+const parseAssigneeFilter = (userId, assignee) => {
+  if (assignee === 'me') return userId;
+  if (assignee === 'none') return null;
+
+  const assigneeId = parseInt(assignee);
+  return isNaN(assigneeId) ? undefined : assigneeId;
+};
+
+// Condition for issues in scope that are past their due date (before today, UTC)
+// and not in a Done-category status of their project's workflow
+const getOverdueWhere = async (db, scopeWhere) => {
+  const today = getToday();
+
+  const doneStatuses = await db.workflowStatus.findMany({
+    where: {
+      category: 'Done',
+      ...(scopeWhere.projectId ? { projectId: scopeWhere.projectId } : { project: scopeWhere.project })
+    },
+    select: { projectId: true, key: true }
+  });
+
+  const where = { dueDate: { lt: today } };
+
+  if (doneStatuses.length > 0) {
+    where.NOT = {
+      OR: doneStatuses.map(status => ({ projectId: status.projectId, status: status.key }))
+    };
+  }
+
+  return where;
+};
+
+// Build the where clause for the issues in scope that match the filters
+// filters: search, status, priority, severity, assignee, labels, labelMatch, dueBefore, dueAfter,
+// overdue, milestone, sprint, subtasks (all optional, as strings like the query parameters)
+// context: { scopeWhere, userId } - the issues in scope and the user asking
+// Returns { where, textTerms } or { error } with a message for a 400 response
+const buildIssueFilters = async (db, filters, { scopeWhere, userId }) => {
+  const {
+    search, status, priority, severity, assignee, labels, labelMatch, dueBefore, dueAfter, overdue, subtasks,
+    milestone, sprint
+  } = filters;
+
+  const where = { ...scopeWhere, AND: [] };
+  let textTerms = [];
+
+  // Search query: words match title, description or comments, field:value terms filter
+  // (e.g. status:Open priority:>=High label:backend -wontfix)
+  if (search) {
+    const searchResult = await buildSearchWhere(db, search, { scopeWhere, userId });
+
+    if (searchResult.error) {
+      return { error: `Invalid search: ${searchResult.error}` };
+    }
+
+    where.AND.push(searchResult.where);
+    textTerms = searchResult.textTerms;
+  }
+
+  if (status) where.status = status;
+  if (priority) where.priority = priority;
+  if (severity) where.severity = severity;
+
+  if (assignee) {
+    const assigneeId = parseAssigneeFilter(userId, assignee);
+
+    if (assigneeId === undefined) {
+      return { error: 'Invalid assignee. Use a user ID, "me" or "none"' };
+    }
+
+    where.assigneeId = assigneeId;
+  }
+
+  // Labels: issues with any of the labels, or with all of them (labelMatch=all)
+  if (labels) {
+    const labelIds = parseLabelFilter(labels);
+
+    if (!labelIds) {
+      return { error: 'Invalid labels. Use comma-separated label IDs' };
+    }
+
+    if (labelMatch === 'all') {
+      where.AND.push(...labelIds.map(id => ({ labels: { some: { id } } })));
+    } else {
+      where.labels = { some: { id: { in: labelIds } } };
+    }
+  }
+
+  // Due date range (inclusive): dueAfter <= dueDate <= dueBefore
+  if (dueBefore || dueAfter) {
+    const before = dueBefore ? parseDate(dueBefore) : undefined;
+    const after = dueAfter ? parseDate(dueAfter) : undefined;
+
+    if (before === null || after === null) {
+      return { error: 'Invalid due date filter. Use YYYY-MM-DD' };
+    }
+
+    where.dueDate = {
+      ...(before && { lte: before }),
+      ...(after && { gte: after })
+    };
+  }
+
+  if (String(overdue) === 'true') {
+    where.AND.push(await getOverdueWhere(db, scopeWhere));
+  }
+
+  // Milestone: a milestone ID, or "none" for issues not targeted at any milestone
+  if (milestone) {
+    const milestoneId = milestone === 'none' ? null : parseInt(milestone);
+
+    if (Number.isNaN(milestoneId)) {
+      return { error: 'Invalid milestone. Use a milestone ID or "none"' };
+    }
+
+    where.milestoneId = milestoneId;
+  }
+
+  // Sprint: a sprint ID, or "none" for backlog issues not planned into any sprint
+  if (sprint) {
+    const sprintId = sprint === 'none' ? null : parseInt(sprint);
+
+    if (Number.isNaN(sprintId)) {
+      return { error: 'Invalid sprint. Use a sprint ID or "none"' };
+    }
+
+    where.sprintId = sprintId;
+  }
+
+  // Sub-tasks are listed by default; subtasks=exclude shows only top-level issues
+  if (subtasks === 'exclude') {
+    where.parentId = null;
+  }
+
+  return { where, textTerms };
+};
+
+module.exports = {
+  getOverdueWhere,
+  buildIssueFilters
+};
@@ -0,0 +1,361 @@
+// Issue Import Helpers - Read CSV / JSON files into rows and turn rows into issue fields
+// Accepts the files GET /api/issues/export produces: CSV headers and JSON keys of EXPORT_COLUMNS
+// are recognised, and names (assignee, labels, milestone, sprint) are matched like the export writes them
+
+const path = require('path');
+const { EXPORT_COLUMNS } = require('./issueExport');
+
+// Issue fields a column can be mapped to; title and description must be mapped
+const IMPORT_FIELDS = {
+  title: { label: 'Title', required: true },
+  description: { label: 'Description', required: true },
+  status: { label: 'Status' },
+  priority: { label: 'Priority' },
+  severity: { label: 'Severity' },
+  assignee: { label: 'Assignee' },
+  labels: { label: 'Labels' },
+  milestone: { label: 'Milestone' },
+  sprint: { label: 'Sprint' },
+  storyPoints: { label: 'Story Points' },
+  dueDate: { label: 'Due Date' }
+};
+
+const LEVELS = ['Low', 'Medium', 'High', 'Critical'];
+
+// File formats by extension, with the MIME types browsers send for them as a fallback
+const IMPORT_FORMATS = {
+  csv: { extensions: ['.csv'], mimeTypes: ['text/csv', 'application/vnd.ms-excel'] },
+  json: { extensions: ['.json'], mimeTypes: ['application/json'] },
+  ndjson: { extensions: ['.ndjson', '.jsonl'], mimeTypes: ['application/x-ndjson'] }
+};
+
+// Get the format of an uploaded file, or null when it is not CSV, JSON or NDJSON
+const getImportFormat = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const formats = Object.keys(IMPORT_FORMATS);
+
+  return formats.find(format => IMPORT_FORMATS[format].extensions.includes(extension)) ||
+    formats.find(format => IMPORT_FORMATS[format].mimeTypes.includes(file.mimetype)) ||
+    null;
+};
+
+// Split CSV text into records (RFC 4180: quoted fields may hold commas, quotes and line breaks)
+// Spreadsheets set to some locales separate fields with semicolons or tabs; the header line decides
+// Returns { records } (arrays of strings, blank lines left out) or { error }
+const parseCsv = (text) => {
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].find(char => headerLine.includes(char)) || ',';
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let index = 0;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.some(value => value.trim() !== '')) {
+      records.push(record);
+    }
+    record = [];
+    field = '';
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      index++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      endRecord();
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+    } else {
+      field += char;
+    }
+    index++;
+  }
+
+  if (quoted) {
+    return { error: 'The CSV file has a quoted field that is never closed' };
+  }
+
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  return { records };
+};
+
+// Read an uploaded file into columns and rows (objects keyed by column)
+// Returns { columns, rows } or { error } with a message for a 400 response
+const parseImportFile = (buffer, format) => {
+  // Spreadsheet programs start UTF-8 files with a byte order mark
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  if (format === 'csv') {
+    const { records, error } = parseCsv(text);
+
+    if (error) {
+      return { error };
+    }
+    if (records.length === 0) {
+      return { error: 'The file is empty' };
+    }
+
+    const columns = records[0].map((header, index) => header.trim() || `Column ${index + 1}`);
+    const duplicate = columns.find((column, index) => columns.indexOf(column) !== index);
+
+    if (duplicate) {
+      return { error: `The column "${duplicate}" appears more than once` };
+    }
+
+    const rows = records.slice(1).map(record => (
+      Object.fromEntries(columns.map((column, index) => [column, record[index] ?? '']))
+    ));
+
+    return { columns, rows };
+  }
+
+  // JSON: one array of objects; NDJSON: one object per line
+  let rows;
+
+  if (format === 'json') {
+    try {
+      rows = JSON.parse(text);
+    } catch (error) {
+      return { error: `The file is not valid JSON: ${error.message}` };
+    }
+
+    if (!Array.isArray(rows)) {
+      return { error: 'The JSON file must hold an array of issues' };
+    }
+  } else {
+    rows = [];
+    const lines = text.split(/\r?\n/);
+
+    for (let index = 0; index < lines.length; index++) {
+      if (!lines[index].trim()) continue;
+
+      try {
+        rows.push(JSON.parse(lines[index]));
+      } catch (error) {
+        return { error: `Line ${index + 1} is not valid JSON: ${error.message}` };
+      }
+    }
+  }
+
+  const invalid = rows.findIndex(row => !row || typeof row !== 'object' || Array.isArray(row));
+
+  if (invalid !== -1) {
+    return { error: `Issue ${invalid + 1} in the file is not an object` };
+  }
+
+  // Columns in the order they first appear
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+  if (columns.length === 0) {
+    return { error: 'The file is empty' };
+  }
+
+  return { columns, rows };
+};
+
+// Compare column names without case, spaces or punctuation ("Due Date" = "dueDate")
+const normalizeName = name => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Guess the field of each column from its name: a field key, its label, or the export header
+// Returns { column: field } with every field used at most once
+const suggestMapping = (columns) => {
+  const names = {};
+
+  Object.keys(IMPORT_FIELDS).forEach((field) => {
+    names[normalizeName(field)] = field;
+    names[normalizeName(IMPORT_FIELDS[field].label)] = field;
+    if (EXPORT_COLUMNS[field]) {
+      names[normalizeName(EXPORT_COLUMNS[field].header)] = field;
+    }
+  });
+
+  const mapping = {};
+  const used = new Set();
+
+  columns.forEach((column) => {
+    const field = names[normalizeName(column)];
+
+    if (field && !used.has(field)) {
+      mapping[column] = field;
+      used.add(field);
+    }
+  });
+
+  return mapping;
+};
+
+// Parse the mapping sent with an upload: a JSON object { column: field } (empty field = not imported)
+// Returns { mapping } or { error } with a message for a 400 response
+const parseMapping = (value, columns) => {
+  let mapping;
+
+  try {
+    mapping = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    return { error: 'mapping must be a JSON object of column names to fields' };
+  }
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { error: 'mapping must be a JSON object of column names to fields' };
+  }
+
+  const result = {};
+  const used = new Set();
+
+  for (const [column, field] of Object.entries(mapping)) {
+    if (!field) continue;
+
+    if (!columns.includes(column)) {
+      return { error: `The file has no column "${column}"` };
+    }
+    if (!IMPORT_FIELDS[field]) {
+      return { error: `Invalid field "${field}". Must be one of: ${Object.keys(IMPORT_FIELDS).join(', ')}` };
+    }
+    if (used.has(field)) {
+      return { error: `More than one column is mapped to ${IMPORT_FIELDS[field].label}` };
+    }
+
+    result[column] = field;
+    used.add(field);
+  }
+
+  return { mapping: result };
+};
+
+// Required fields no column is mapped to
+const getMissingFields = mapping => Object.keys(IMPORT_FIELDS).filter(field => (
+  IMPORT_FIELDS[field].required && !Object.values(mapping).includes(field)
+));
+
+// Text of a cell; JSON files may hold numbers, booleans or null
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value).trim();
+};
+
+// Mapped values of a row as short text, for the preview
+const PREVIEW_LENGTH = 100;
+
+const toPreview = text => (text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text);
+
+const getPreviewValues = (row, mapping) => Object.fromEntries(
+  Object.entries(mapping).map(([column, field]) => [field, toPreview(toText(row[column]))])
+);
+
+// First non-empty value of each column, shown next to it while mapping
+const getColumnSamples = (columns, rows) => Object.fromEntries(columns.map((column) => {
+  const row = rows.find(item => toText(item[column]) !== '');
+  return [column, row ? toPreview(toText(row[column])) : ''];
+}));
+
+const findByName = (items, name, getNames) => {
+  const lower = name.toLowerCase();
+  return items.find(item => getNames(item).some(itemName => itemName && itemName.toLowerCase() === lower));
+};
+
+// Turn a row into the body of POST /api/issues, matching names against the project's records
+// lookups: { workflow, members: [{ id, name, email }], labels, milestones, sprints } ([{ id, name }])
+// Unmapped or empty cells are left out so the create rules apply their defaults
+// Returns { body } or { error } with a message for the row
+const toIssueBody = (row, mapping, lookups) => {
+  const body = {};
+
+  for (const [column, field] of Object.entries(mapping)) {
+    const value = row[column];
+    const text = toText(value);
+
+    if (field === 'title' || field === 'description') {
+      body[field] = text;
+      continue;
+    }
+
+    if (!text) continue;
+
+    if (field === 'status') {
+      // Status key or name
+      const status = findByName(lookups.workflow, text, item => [item.key, item.name]);
+      body.status = status ? status.key : text;
+    } else if (field === 'priority' || field === 'severity') {
+      body[field] = LEVELS.find(level => level.toLowerCase() === text.toLowerCase()) || text;
+    } else if (field === 'assignee') {
+      // Email or name, as the export writes it
+      const member = findByName(lookups.members, text, item => [item.email, item.name]);
+
+      if (!member) {
+        return { error: `No workspace member matches the assignee "${text}"` };
+      }
+      body.assigneeId = member.id;
+    } else if (field === 'labels') {
+      const names = Array.isArray(value)
+        ? value.map(toText).filter(Boolean)
+        : text.split(',').map(name => name.trim()).filter(Boolean);
+      const labelIds = [];
+
+      for (const name of names) {
+        const label = findByName(lookups.labels, name, item => [item.name]);
+
+        if (!label) {
+          return { error: `Unknown label "${name}"` };
+        }
+        labelIds.push(label.id);
+      }
+      body.labelIds = labelIds;
+    } else if (field === 'milestone' || field === 'sprint') {
+      const items = field === 'milestone' ? lookups.milestones : lookups.sprints;
+      const item = findByName(items, text, match => [match.name]);
+
+      if (!item) {
+        return { error: `Unknown ${field} "${text}"` };
+      }
+      body[`${field}Id`] = item.id;
+    } else if (field === 'storyPoints') {
+      body.storyPoints = text;
+    } else if (field === 'dueDate') {
+      // Accept full timestamps as well as dates
+      body.dueDate = /^\d{4}-\d{2}-\d{2}T/.test(text) ? text.slice(0, 10) : text;
+    }
+  }
+
+  return { body };
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  getImportFormat,
+  parseCsv,
+  parseImportFile,
+  suggestMapping,
+  parseMapping,
+  getMissingFields,
+  getPreviewValues,
+  getColumnSamples,
+  toIssueBody
+};
@@ -0,0 +1,80 @@
+// Issue Link Helpers - Typed relationships between issues, read from either side
+// A link is stored once as "source <type> target"; each issue sees it as a relation,
+// e.g. the link #17 Blocks #42 is "Blocks #42" on #17 and "BlockedBy #17" on #42
+
+// Relations as seen from one issue: the stored link type and whether that issue is the source
+const RELATIONS = {
+  Blocks: { type: 'Blocks', isSource: true, label: 'blocks' },
+  BlockedBy: { type: 'Blocks', isSource: false, label: 'is blocked by' },
+  Duplicates: { type: 'Duplicates', isSource: true, label: 'duplicates' },
+  DuplicatedBy: { type: 'Duplicates', isSource: false, label: 'is duplicated by' },
+  RelatesTo: { type: 'RelatesTo', isSource: true, label: 'relates to' }
+};
+
+// Turn "issueId <relation> otherIssueId" into the stored { type, sourceIssueId, targetIssueId }
+const toLinkData = (relation, issueId, otherIssueId) => {
+  const { type, isSource } = RELATIONS[relation];
+
+  return {
+    type,
+    sourceIssueId: isSource ? issueId : otherIssueId,
+    targetIssueId: isSource ? otherIssueId : issueId
+  };
+};
+
+// Name a stored link from the point of view of one of its issues
+// RelatesTo reads the same from both sides
+const getRelation = (link, issueId) => {
+  if (link.type === 'RelatesTo') {
+    return 'RelatesTo';
+  }
+
+  const isSource = link.sourceIssueId === issueId;
+  if (link.type === 'Blocks') {
+    return isSource ? 'Blocks' : 'BlockedBy';
+  }
+  return isSource ? 'Duplicates' : 'DuplicatedBy';
+};
+
+// Find a chain of links of one type leading from one issue to another
+// Returns the issue IDs along the path (e.g. [42, 17, 8]) or null when there is none
+// Used to refuse links that would close a cycle (A blocks B blocks A)
+const findLinkPath = async (db, type, fromIssueId, toIssueId) => {
+  const previous = new Map([[fromIssueId, null]]);
+  let frontier = [fromIssueId];
+
+  // Breadth-first search, one query per level of the chain
+  while (frontier.length > 0) {
+    const links = await db.issueLink.findMany({
+      where: { type, sourceIssueId: { in: frontier } },
+      select: { sourceIssueId: true, targetIssueId: true }
+    });
+
+    const next = [];
+    for (const link of links) {
+      if (previous.has(link.targetIssueId)) {
+        continue;
+      }
+      previous.set(link.targetIssueId, link.sourceIssueId);
+
+      if (link.targetIssueId === toIssueId) {
+        const path = [];
+        for (let id = toIssueId; id !== null; id = previous.get(id)) {
+          path.unshift(id);
+        }
+        return path;
+      }
+      next.push(link.targetIssueId);
+    }
+    frontier = next;
+  }
+
+  return null;
+};
+
+module.exports = {
+  RELATIONS,
+  toLinkData,
+  getRelation,
+  findLinkPath
+};
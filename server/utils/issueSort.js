@@ -0,0 +1,63 @@
+// Issue Sort Helpers - Turn ?sort=priority:desc,updatedAt:asc into a Prisma orderBy
+// Priority and Severity are MySQL ENUM columns, which sort by declaration order
+// (Low < Medium < High < Critical), so priority:desc lists Critical issues first
+// relevance ranks by how well the search words match (see fullText.js)
+
+const { BOARD_ORDER } = require('./board');
+
+// Fields issues can be sorted by
+const SORT_FIELDS = ['relevance', 'createdAt', 'updatedAt', 'priority', 'severity', 'dueDate', 'storyPoints', 'title', 'id'];
+
+// Optional fields: issues without a value always come last, whatever the direction
+const NULLABLE_FIELDS = ['dueDate', 'storyPoints'];
+
+const DEFAULT_ORDER = [{ createdAt: 'desc' }, { id: 'desc' }];
+
+// Parse the sort (comma-separated field[:asc|desc]) and order (default direction) query parameters
+// sort=board gives the manual board order
+// Returns { orderBy } or { error }; a relevance key stays { relevance: direction } for getRelevanceOrder
+const parseSort = (sort, order) => {
+  if (!sort) {
+    return { orderBy: DEFAULT_ORDER };
+  }
+
+  if (sort === 'board') {
+    return { orderBy: BOARD_ORDER };
+  }
+
+  const defaultDirection = order || 'asc';
+
+  if (!['asc', 'desc'].includes(defaultDirection)) {
+    return { error: 'Invalid order. Use asc or desc' };
+  }
+
+  const orderBy = [];
+  const seen = new Set();
+
+  for (const part of sort.split(',')) {
+    const [field, direction = defaultDirection, ...rest] = part.trim().split(':');
+
+    if (!SORT_FIELDS.includes(field) || !['asc', 'desc'].includes(direction) || rest.length > 0) {
+      return { error: 'Invalid sort. Use field[:asc|desc] with fields: ' + SORT_FIELDS.join(', ') };
+    }
+
+    if (seen.has(field)) {
+      return { error: `Invalid sort. ${field} is listed more than once` };
+    }
+    seen.add(field);
+
+    orderBy.push({ [field]: NULLABLE_FIELDS.includes(field) ? { sort: direction, nulls: 'last' } : direction });
+  }
+
+  // Break ties by ID so pages never overlap or skip issues
+  if (!seen.has('id')) {
+    orderBy.push({ id: 'desc' });
+  }
+
+  return { orderBy };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  parseSort
+};
@@ -0,0 +1,352 @@
+// Search Query Helpers - The issue search language, parsed into Prisma filters
+// e.g. status:Open priority:>=High label:backend assignee:me created:>2026-01-01 "exact phrase" -wontfix
+// Terms are combined with AND. Words and "quoted phrases" match the title, description or a comment
+// (see fullText.js), field:value terms filter on a field, and a leading - excludes whatever the term matches
+
+const { parseDate } = require('./dates');
+const { getTextWhere } = require('./fullText');
+
+// Priority and severity levels, lowest first
+const LEVELS = ['Low', 'Medium', 'High', 'Critical'];
+
+// Searchable fields
+// type decides how values are read; comparable fields accept >, >=, <, <=;
+// lists accept comma-separated values (any of them matches); nullable fields accept "none"
+const SEARCH_FIELDS = {
+  status: { type: 'status', list: true },
+  priority: { type: 'level', column: 'priority', comparable: true, list: true },
+  severity: { type: 'level', column: 'severity', comparable: true, list: true },
+  label: { type: 'label', list: true },
+  assignee: { type: 'user', column: 'assigneeId', nullable: true },
+  author: { type: 'user', column: 'userId' },
+  created: { type: 'date', column: 'createdAt', comparable: true },
+  updated: { type: 'date', column: 'updatedAt', comparable: true },
+  due: { type: 'date', column: 'dueDate', comparable: true, nullable: true },
+  points: { type: 'number', column: 'storyPoints', comparable: true, nullable: true },
+  milestone: { type: 'named', column: 'milestoneId', model: 'milestone', nullable: true },
+  sprint: { type: 'named', column: 'sprintId', model: 'sprint', nullable: true }
+};
+
+const OPERATORS = ['>=', '<=', '>', '<'];
+
+// Largest value of a MySQL INT column (story points, user IDs)
+const MAX_INT = 2147483647;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Split a query into raw terms, keeping "quoted text" (also after field:) together
+// Returns { tokens: [{ raw, negated, position }] } or { error }
+const tokenize = (query) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    if (/\s/.test(query[i])) {
+      i++;
+      continue;
+    }
+
+    const position = i + 1;
+    const negated = query[i] === '-' && i + 1 < query.length && !/\s/.test(query[i + 1]);
+    if (negated) i++;
+
+    let raw = '';
+    let inQuote = false;
+
+    while (i < query.length && (inQuote || !/\s/.test(query[i]))) {
+      if (query[i] === '"') inQuote = !inQuote;
+      raw += query[i];
+      i++;
+    }
+
+    if (inQuote) {
+      return { error: `Unterminated quote in the term starting at position ${position}` };
+    }
+
+    tokens.push({ raw, negated, position });
+  }
+
+  return { tokens };
+};
+
+// Remove the quotes around a "quoted value"
+const unquote = (value) => (
+  value.length >= 2 && value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value.replace(/"/g, '')
+);
+
+// Check and convert a field term's value, e.g. priority:>=High -> { operator: '>=', values: ['High'] }
+// Returns { operator, values } or { error }
+const parseFieldValue = (name, field, rawValue) => {
+  const operator = OPERATORS.find(item => rawValue.startsWith(item)) || '=';
+  const valueText = unquote(operator === '=' ? rawValue : rawValue.slice(operator.length));
+
+  if (!valueText) {
+    return { error: `Missing value for ${name}:` };
+  }
+
+  if (operator !== '=' && !field.comparable) {
+    return { error: `${name}: does not support ${operator}. Only priority, severity, created, updated, due and points can be compared` };
+  }
+
+  if (valueText.toLowerCase() === 'none') {
+    if (!field.nullable) {
+      return { error: `${name}:none is not supported` };
+    }
+    if (operator !== '=') {
+      return { error: `${name}:none cannot be compared with ${operator}` };
+    }
+    return { operator, values: [null] };
+  }
+
+  const texts = field.list && operator === '=' ? valueText.split(',').filter(Boolean) : [valueText];
+  const values = [];
+
+  for (const text of texts) {
+    if (field.type === 'level') {
+      const level = LEVELS.find(item => item.toLowerCase() === text.toLowerCase());
+      if (!level) {
+        return { error: `Invalid ${name} "${text}". Use ${LEVELS.join(', ')}` };
+      }
+      values.push(level);
+    } else if (field.type === 'date') {
+      const date = parseDate(text);
+      if (!date) {
+        return { error: `Invalid date "${text}" for ${name}:. Use YYYY-MM-DD` };
+      }
+      values.push(date);
+    } else if (field.type === 'number') {
+      if (!/^\d+$/.test(text) || parseInt(text) > MAX_INT) {
+        return { error: `Invalid number "${text}" for ${name}:` };
+      }
+      values.push(parseInt(text));
+    } else {
+      values.push(text);
+    }
+  }
+
+  return { operator, values };
+};
+
+// Parse a search query into terms
+// Returns { terms: [{ negated, text, phrase } | { negated, field, operator, values, position }] } or { error }
+const parseSearchQuery = (query) => {
+  const { tokens, error } = tokenize(query);
+
+  if (error) {
+    return { error };
+  }
+
+  const terms = [];
+
+  for (const { raw, negated, position } of tokens) {
+    const fieldMatch = raw.match(/^([a-zA-Z]+):(.*)$/);
+
+    if (!fieldMatch) {
+      const text = unquote(raw);
+      if (text) terms.push({ negated, text, phrase: raw.startsWith('"') });
+      continue;
+    }
+
+    const name = fieldMatch[1].toLowerCase();
+    const field = Object.hasOwn(SEARCH_FIELDS, name) ? SEARCH_FIELDS[name] : null;
+
+    if (!field) {
+      return {
+        error: `Unknown field "${fieldMatch[1]}" at position ${position}. Use one of: ` +
+          Object.keys(SEARCH_FIELDS).join(', ') + ' (put text containing ":" in quotes)'
+      };
+    }
+
+    const value = parseFieldValue(name, field, fieldMatch[2]);
+
+    if (value.error) {
+      return { error: `${value.error} (at position ${position})` };
+    }
+
+    terms.push({ negated, field: name, operator: value.operator, values: value.values, position });
+  }
+
+  return { terms };
+};
+
+// Prisma comparison for an operator and value
+const compare = (operator, value) => {
+  switch (operator) {
+    case '>': return { gt: value };
+    case '>=': return { gte: value };
+    case '<': return { lt: value };
+    case '<=': return { lte: value };
+    default: return { equals: value };
+  }
+};
+
+// Calendar dates match the whole day: created:2026-01-01 is any time that day,
+// created:>2026-01-01 starts the day after
+const compareDate = (operator, date) => {
+  const nextDay = new Date(date.getTime() + DAY_MS);
+
+  switch (operator) {
+    case '>': return { gte: nextDay };
+    case '>=': return { gte: date };
+    case '<': return { lt: date };
+    case '<=': return { lt: nextDay };
+    default: return { gte: date, lt: nextDay };
+  }
+};
+
+// Levels matching a comparison, e.g. >=High -> ['High', 'Critical']
+const compareLevel = (operator, level) => {
+  const index = LEVELS.indexOf(level);
+
+  switch (operator) {
+    case '>': return LEVELS.slice(index + 1);
+    case '>=': return LEVELS.slice(index);
+    case '<': return LEVELS.slice(0, index);
+    case '<=': return LEVELS.slice(0, index + 1);
+    default: return [level];
+  }
+};
+
+// Look up named records (statuses, labels, milestones, sprints) for a term's values
+// Every value must match at least one record; returns { ids } or { error }
+const matchNames = (records, values, getNames, label) => {
+  for (const value of values) {
+    const lower = value.toLowerCase();
+    if (!records.some(record => getNames(record).some(name => name.toLowerCase() === lower))) {
+      return { error: `No ${label} named "${value}"` };
+    }
+  }
+
+  const wanted = values.map(value => value.toLowerCase());
+  return {
+    ids: records
+      .filter(record => getNames(record).some(name => wanted.includes(name.toLowerCase())))
+      .map(record => record.id ?? record.key)
+  };
+};
+
+// Build the filter for one field term
+// context: { scopeWhere, userId } - the issues in scope and the user searching
+// Returns { where } or { error }
+const buildFieldWhere = async (db, term, { scopeWhere, userId }) => {
+  const field = SEARCH_FIELDS[term.field];
+  const [value] = term.values;
+
+  // Records named in the query are looked up in the projects (or workspaces) in scope
+  const projectScope = scopeWhere.projectId ? { projectId: scopeWhere.projectId } : { project: scopeWhere.project };
+  const workspaceScope = scopeWhere.projectId
+    ? { workspace: { projects: { some: { id: scopeWhere.projectId } } } }
+    : { workspaceId: scopeWhere.project.workspaceId };
+
+  if (value === null) {
+    return { where: { [field.column]: null } };
+  }
+
+  switch (field.type) {
+    case 'level':
+      return {
+        where: { [field.column]: { in: [...new Set(term.values.flatMap(level => compareLevel(term.operator, level)))] } }
+      };
+
+    case 'date':
+      return { where: { [field.column]: compareDate(term.operator, value) } };
+
+    case 'number':
+      return { where: { [field.column]: compare(term.operator, value) } };
+
+    case 'status': {
+      const statuses = await db.workflowStatus.findMany({ where: projectScope, select: { key: true, name: true } });
+      const match = matchNames(statuses, term.values, status => [status.key, status.name], 'status');
+      return match.error ? match : { where: { status: { in: [...new Set(match.ids)] } } };
+    }
+
+    case 'label': {
+      const labels = await db.label.findMany({ where: workspaceScope, select: { id: true, name: true } });
+      const match = matchNames(labels, term.values, label => [label.name], 'label');
+      return match.error ? match : { where: { labels: { some: { id: { in: match.ids } } } } };
+    }
+
+    case 'named': {
+      const records = await db[field.model].findMany({ where: projectScope, select: { id: true, name: true } });
+      const match = matchNames(records, term.values, record => [record.name], term.field);
+      return match.error ? match : { where: { [field.column]: { in: match.ids } } };
+    }
+
+    case 'user': {
+      if (value.toLowerCase() === 'me') {
+        return { where: { [field.column]: userId } };
+      }
+
+      if (/^\d+$/.test(value) && parseInt(value) > MAX_INT) {
+        return { error: `Invalid user ID "${value}" for ${term.field}:` };
+      }
+
+      // Only members of the workspaces in scope are looked up, so the answer never tells
+      // whether an ID or email belongs to someone outside them
+      const member = await db.workspaceMember.findFirst({
+        where: {
+          ...workspaceScope,
+          user: /^\d+$/.test(value) ? { id: parseInt(value) } : { email: value }
+        },
+        select: { userId: true }
+      });
+
+      if (!member) {
+        return { error: `No workspace member matches ${term.field}:${value}. Use me, a user ID or an email address` };
+      }
+      return { where: { [field.column]: member.userId } };
+    }
+
+    default:
+      return { error: `Unsupported field ${term.field}` };
+  }
+};
+
+// Turn a search query into a Prisma where clause for the issues in scope
+// Returns { where, textTerms } or { error } with a message for a 400 response;
+// textTerms are the words and phrases searched for (not excluded), for relevance and highlighting
+const buildSearchWhere = async (db, query, context) => {
+  const { terms, error } = parseSearchQuery(query);
+
+  if (error) {
+    return { error };
+  }
+
+  const conditions = [];
+  const textTerms = [];
+
+  for (const term of terms) {
+    if (term.text !== undefined) {
+      const where = getTextWhere(term);
+      conditions.push(term.negated ? { NOT: where } : where);
+      if (!term.negated) textTerms.push({ text: term.text, phrase: term.phrase });
+      continue;
+    }
+
+    const result = await buildFieldWhere(db, term, context);
+
+    if (result.error) {
+      return { error: `${result.error} (at position ${term.position})` };
+    }
+
+    if (!term.negated) {
+      conditions.push(result.where);
+      continue;
+    }
+
+    // NOT (column = x) leaves out rows where the column is empty, so add them back:
+    // -assignee:me should still list unassigned issues
+    const field = SEARCH_FIELDS[term.field];
+    conditions.push(field.nullable && term.values[0] !== null
+      ? { OR: [{ NOT: result.where }, { [field.column]: null }] }
+      : { NOT: result.where });
+  }
+
+  return { where: { AND: conditions }, textTerms };
+};
+
+module.exports = {
+  SEARCH_FIELDS,
+  parseSearchQuery,
+  buildSearchWhere
+};
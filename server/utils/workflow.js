@@ -0,0 +1,109 @@
+// Workflow Helpers - Per-project issue statuses and the transitions allowed between them
+// Each helper takes the Prisma client or a transaction client (tx) so workflows can be
+// created together with their project
+
+// Statuses every new project starts with (the original fixed lifecycle)
+const DEFAULT_STATUSES = [
+  { key: 'Open', name: 'Open', category: 'Todo', color: '#198ED2' },
+  { key: 'InProgress', name: 'In Progress', category: 'InProgress', color: '#F57F17' },
+  { key: 'Resolved', name: 'Resolved', category: 'Done', color: '#00C853' },
+  { key: 'Closed', name: 'Closed', category: 'Done', color: '#616161' }
+];
+
+// Status categories, in the order they are usually passed through
+const STATUS_CATEGORIES = ['Todo', 'InProgress', 'Done'];
+
+// Load transitions as the keys of the statuses they lead to
+const statusInclude = {
+  transitionsFrom: {
+    select: { toStatus: { select: { key: true } } }
+  }
+};
+
+// Flatten a loaded status into { key, name, ..., transitions: ['InProgress', ...] }
+const formatStatus = ({ transitionsFrom, createdAt, updatedAt, ...status }) => ({
+  ...status,
+  transitions: transitionsFrom.map(transition => transition.toStatus.key)
+});
+
+// Get a project's statuses in order, each with the keys it may move to
+const getWorkflow = async (db, projectId) => {
+  const statuses = await db.workflowStatus.findMany({
+    where: { projectId },
+    orderBy: { position: 'asc' },
+    include: statusInclude
+  });
+
+  return statuses.map(formatStatus);
+};
+
+// Create statuses and transitions for a project
+// statuses: [{ key, name, category, color }], transitions: [{ from, to }] using status keys
+const createWorkflow = async (db, projectId, statuses, transitions) => {
+  await db.workflowStatus.createMany({
+    data: statuses.map((status, index) => ({
+      key: status.key,
+      name: status.name,
+      category: status.category,
+      color: status.color,
+      position: index,
+      projectId
+    }))
+  });
+
+  const created = await db.workflowStatus.findMany({
+    where: { projectId },
+    select: { id: true, key: true }
+  });
+  const idByKey = Object.fromEntries(created.map(status => [status.key, status.id]));
+
+  if (transitions.length > 0) {
+    await db.workflowTransition.createMany({
+      data: transitions.map(({ from, to }) => ({
+        fromStatusId: idByKey[from],
+        toStatusId: idByKey[to]
+      }))
+    });
+  }
+};
+
+// Create the default workflow, where any status can move to any other
+const createDefaultWorkflow = (db, projectId) => {
+  const transitions = DEFAULT_STATUSES.flatMap(from =>
+    DEFAULT_STATUSES
+      .filter(to => to.key !== from.key)
+      .map(to => ({ from: from.key, to: to.key }))
+  );
+
+  return createWorkflow(db, projectId, DEFAULT_STATUSES, transitions);
+};
+
+// Check whether a workflow allows moving an issue from one status key to another
+const canTransition = (workflow, fromKey, toKey) => {
+  if (fromKey === toKey) {
+    return true;
+  }
+
+  const from = workflow.find(status => status.key === fromKey);
+  return Boolean(from && from.transitions.includes(toKey));
+};
+
+// Pick the status to close an issue with: the last Done-category status the workflow
+// allows moving to from fromKey (e.g. Closed rather than Resolved), or null if none is allowed
+const getCloseStatus = (workflow, fromKey) => {
+  const candidates = workflow.filter(status => (
+    status.category === 'Done' && status.key !== fromKey && canTransition(workflow, fromKey, status.key)
+  ));
+
+  return candidates.length > 0 ? candidates[candidates.length - 1] : null;
+};
+
+module.exports = {
+  DEFAULT_STATUSES,
+  STATUS_CATEGORIES,
+  getWorkflow,
+  createWorkflow,
+  createDefaultWorkflow,
+  canTransition,
+  getCloseStatus
+};
@@ -0,0 +1,43 @@
+// Workspace Access Helpers - Membership lookups shared by workspace, project and issue routes
+
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Get the user's membership in a workspace, or null if they are not a member
+const getMembership = (userId, workspaceId) => {
+  return prisma.workspaceMember.findUnique({
+    where: {
+      workspaceId_userId: { workspaceId, userId }
+    }
+  });
+};
+
+// Get the IDs of every workspace the user belongs to
+const getWorkspaceIds = async (userId) => {
+  const memberships = await prisma.workspaceMember.findMany({
+    where: { userId },
+    select: { workspaceId: true }
+  });
+
+  return memberships.map(membership => membership.workspaceId);
+};
+
+// Get the workspace IDs a request may read from
+// An optional workspaceId query parameter narrows the list to that single workspace
+const getRequestWorkspaceIds = async (req) => {
+  const workspaceIds = await getWorkspaceIds(req.user.userId);
+  const requestedId = parseInt(req.query.workspaceId);
+
+  if (isNaN(requestedId)) {
+    return workspaceIds;
+  }
+
+  return workspaceIds.filter(id => id === requestedId);
+};
+
+module.exports = {
+  getMembership,
+  getWorkspaceIds,
+  getRequestWorkspaceIds
+};